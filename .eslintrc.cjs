@@ -10,4 +10,8 @@ module.exports = {
   globals: {
     shopify: "readonly"
   },
+  // Tests run on node:test; the jest rules still need a version to load
+  settings: {
+    jest: { version: 29 },
+  },
 };
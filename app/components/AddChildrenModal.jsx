@@ -118,6 +118,9 @@ export default function AddChildrenModal({
   
   // State for error handling
   const [fetchError, setFetchError] = useState(null);
+
+  // Why the last "Add" was refused (e.g. the variant would create a cycle)
+  const [addError, setAddError] = useState(null);
   
   // Debug logging function
   const logDebug = (message, data) => {
@@ -582,6 +585,7 @@ export default function AddChildrenModal({
    * @param {string} childId - The ID of the variant to add as a child
    */
   const handleAddChild = async (childId) => {
+    setAddError(null);
     try {
       // Check if this child is already in the children array
       if (currentChildren.includes(childId)) {
@@ -605,7 +609,11 @@ export default function AddChildrenModal({
       }
       
       // Call the parent component's callback to add the child
-      await onAddChild(childId);
+      // (it throws with the server's message when the link is refused)
+      const added = await onAddChild(childId);
+      if (added === false) {
+        return;
+      }
       
       // Remove the added child from available products
       setAvailableProducts(prev => prev.filter(product => product.id !== childId));
@@ -614,6 +622,7 @@ export default function AddChildrenModal({
       setTotalAvailableProducts(prev => Math.max(0, prev - 1));
     } catch (err) {
       console.error('Error adding child:', err);
+      setAddError(err.message);
       setError(err.message);
     }
   };
@@ -882,6 +891,12 @@ export default function AddChildrenModal({
           <Text variant="bodyMd" as="p">
             Select variants to add as children to this master variant. Child variants will be linked to this master for inventory synchronisation.
           </Text>
+
+          {addError && (
+            <Banner status="critical" onDismiss={() => setAddError(null)}>
+              <p>{addError}</p>
+            </Banner>
+          )}
           
           {/* Search field */}
           <TextField
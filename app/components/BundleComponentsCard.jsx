@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from "react";
+import {
+  Card,
+  TextField,
+  Button,
+  Banner,
+  Spinner,
+  Text,
+  BlockStack,
+  InlineStack,
+} from "@shopify/polaris";
+
+function componentLabel(component) {
+  const name = [component.productTitle, component.title].filter(Boolean).join(" - ");
+  return name || component.masterVariantId.split("/").pop();
+}
+
+/**
+ * BundleComponentsCard Component
+ *
+ * Turns a variant into a bundle built from several master variants.
+ * The bundle's stock is min(floor(masterQty / quantity)) across its components
+ * and selling it reduces every component master.
+ *
+ * @param {string} variantId - The ID of the bundle variant
+ * @param {function} setError - Callback used to surface errors in the parent modal
+ * @param {function} onSaved - Called with (bundleQty, components) after a successful save
+ */
+export default function BundleComponentsCard({ variantId, setError, onSaved }) {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [searching, setSearching] = useState(false);
+  const [components, setComponents] = useState([]);
+  const [savedCount, setSavedCount] = useState(0);
+  const [bundleQty, setBundleQty] = useState(0);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [candidates, setCandidates] = useState([]);
+
+  useEffect(() => {
+    if (!variantId) return;
+    let cancelled = false;
+
+    const loadBundle = async () => {
+      setLoading(true);
+      try {
+        const res = await fetch(`/api/bundle-components?variantId=${encodeURIComponent(variantId)}`);
+        const data = await res.json();
+        if (data.error) throw new Error(data.error);
+        if (!cancelled) {
+          setComponents(data.components || []);
+          setSavedCount((data.components || []).length);
+          setBundleQty(data.bundleQty || 0);
+        }
+      } catch (err) {
+        console.error("Error loading bundle components:", err);
+        if (!cancelled) setError(`Could not load bundle components: ${err.message}`);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadBundle();
+    return () => {
+      cancelled = true;
+    };
+  }, [variantId]);
+
+  const searchMasters = async () => {
+    setSearching(true);
+    try {
+      const params = new URLSearchParams({ variantId, q: searchQuery });
+      const res = await fetch(`/api/bundle-components?${params.toString()}`);
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+      setCandidates(data.candidates || []);
+    } catch (err) {
+      console.error("Error searching master variants:", err);
+      setError(err.message);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const addComponent = (candidate) => {
+    setComponents((prev) =>
+      prev.some((c) => c.masterVariantId === candidate.masterVariantId)
+        ? prev
+        : [...prev, { ...candidate, ratio: 1 }]
+    );
+  };
+
+  const updateRatio = (masterVariantId, value) => {
+    setComponents((prev) =>
+      prev.map((c) => (c.masterVariantId === masterVariantId ? { ...c, ratio: value } : c))
+    );
+  };
+
+  const removeComponent = (masterVariantId) => {
+    setComponents((prev) => prev.filter((c) => c.masterVariantId !== masterVariantId));
+  };
+
+  const saveBundle = async () => {
+    setSaving(true);
+    try {
+      const res = await fetch("/api/bundle-components", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          variantId,
+          components: components.map((c) => ({
+            masterVariantId: c.masterVariantId,
+            ratio: Number(c.ratio),
+          })),
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok || data.error) throw new Error(data.error || "Failed to save bundle");
+      setComponents(data.components || []);
+      setSavedCount((data.components || []).length);
+      setBundleQty(data.bundleQty || 0);
+      setCandidates([]);
+      if (onSaved) await onSaved(data.bundleQty || 0, data.components || []);
+    } catch (err) {
+      console.error("Error saving bundle components:", err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <div className="Card-Header">
+        <InlineStack gap="4" align="space-between">
+          <Text variant="headingMd" as="h3">Bundle Components</Text>
+          {savedCount > 0 && (
+            <Text as="p" fontWeight="semibold">Bundles available: {bundleQty}</Text>
+          )}
+        </InlineStack>
+      </div>
+
+      <div className="Card-Section">
+        {loading ? (
+          <Spinner size="small" />
+        ) : (
+          <BlockStack gap="300">
+            {savedCount === 0 && (
+              <Banner tone="info">
+                Add two or more master variants to sell this variant as a bundle. Its stock
+                follows the scarcest component and every sale reduces each component master.
+              </Banner>
+            )}
+
+            {components.map((component) => (
+              <InlineStack key={component.masterVariantId} gap="300" blockAlign="end" wrap={false}>
+                <div style={{ flexGrow: 1 }}>
+                  <Text as="p" fontWeight="semibold">{componentLabel(component)}</Text>
+                  <Text as="p" tone="subdued">
+                    SKU: {component.sku || "N/A"} · Stock: {component.inventoryQuantity ?? "—"}
+                  </Text>
+                </div>
+                <div style={{ width: "110px" }}>
+                  <TextField
+                    label="Qty per bundle"
+                    type="number"
+                    min="0"
+                    step={0.01}
+                    value={String(component.ratio)}
+                    onChange={(value) => updateRatio(component.masterVariantId, value)}
+                    autoComplete="off"
+                  />
+                </div>
+                <Button tone="critical" onClick={() => removeComponent(component.masterVariantId)}>
+                  Remove
+                </Button>
+              </InlineStack>
+            ))}
+
+            <InlineStack gap="200" blockAlign="end">
+              <div style={{ flexGrow: 1 }}>
+                <TextField
+                  label="Add a master variant"
+                  value={searchQuery}
+                  onChange={setSearchQuery}
+                  placeholder="Search by title or SKU"
+                  autoComplete="off"
+                />
+              </div>
+              <Button onClick={searchMasters} loading={searching}>Search</Button>
+            </InlineStack>
+
+            {candidates.map((candidate) => (
+              <InlineStack key={candidate.masterVariantId} gap="200" align="space-between" blockAlign="center">
+                <Text as="p">
+                  {componentLabel(candidate)} ({candidate.sku || "no SKU"}) · Stock: {candidate.inventoryQuantity}
+                </Text>
+                <Button
+                  size="slim"
+                  onClick={() => addComponent(candidate)}
+                  disabled={components.some((c) => c.masterVariantId === candidate.masterVariantId)}
+                >
+                  Add
+                </Button>
+              </InlineStack>
+            ))}
+            {!searching && candidates.length === 0 && searchQuery && (
+              <Text as="p" tone="subdued">Search lists master variants only.</Text>
+            )}
+
+            <InlineStack align="end">
+              <Button onClick={saveBundle} loading={saving} disabled={components.length === 0 && savedCount === 0}>
+                {components.length === 0 && savedCount > 0 ? "Remove bundle" : "Save bundle"}
+              </Button>
+            </InlineStack>
+          </BlockStack>
+        )}
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from "react";
+import {
+  Card,
+  Select,
+  Checkbox,
+  Button,
+  Banner,
+  Spinner,
+  Text,
+  BlockStack,
+  InlineStack,
+} from "@shopify/polaris";
+
+const MODE_OPTIONS = [
+  { label: "Sync every location independently", value: "INDEPENDENT" },
+  { label: "Sync selected locations only", value: "SELECTED" },
+  { label: "Pool selected locations into one total", value: "POOLED" },
+];
+
+/**
+ * MasterLocationRuleCard Component
+ *
+ * Lets the merchant choose which locations take part in syncing for one master variant.
+ * Without an override the master follows the shop default from the Settings page.
+ *
+ * @param {string} variantId - The ID of the master variant
+ * @param {function} setError - Callback used to surface errors in the parent modal
+ */
+export default function MasterLocationRuleCard({ variantId, setError }) {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [locations, setLocations] = useState([]);
+  const [mode, setMode] = useState("INDEPENDENT");
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [source, setSource] = useState("shop");
+
+  const applyRule = (rule) => {
+    setMode(rule?.mode || "INDEPENDENT");
+    setSelectedIds(rule?.locationIds || []);
+    setSource(rule?.source || "shop");
+  };
+
+  useEffect(() => {
+    if (!variantId) return;
+    let cancelled = false;
+
+    const loadRule = async () => {
+      setLoading(true);
+      try {
+        const res = await fetch(`/api/master-location-rule?variantId=${encodeURIComponent(variantId)}`);
+        const data = await res.json();
+        if (data.error) throw new Error(data.error);
+        if (!cancelled) {
+          setLocations(data.locations || []);
+          applyRule(data.rule);
+        }
+      } catch (err) {
+        console.error("Error loading location rule:", err);
+        if (!cancelled) setError(`Could not load location settings: ${err.message}`);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadRule();
+    return () => {
+      cancelled = true;
+    };
+  }, [variantId]);
+
+  const toggleLocation = (locationId, checked) => {
+    setSelectedIds((prev) =>
+      checked ? [...prev, locationId] : prev.filter((id) => id !== locationId)
+    );
+  };
+
+  const submitRule = async (body) => {
+    setSaving(true);
+    try {
+      const res = await fetch("/api/master-location-rule", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ variantId, ...body }),
+      });
+      const data = await res.json();
+      if (!res.ok || data.error) throw new Error(data.error || "Failed to save location settings");
+      applyRule(data.rule);
+    } catch (err) {
+      console.error("Error saving location rule:", err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <div className="Card-Header">
+        <InlineStack gap="4" align="space-between">
+          <Text variant="headingMd" as="h3">Inventory Locations</Text>
+          {source === "master" && (
+            <Button onClick={() => submitRule({ reset: true })} disabled={saving}>
+              Use shop default
+            </Button>
+          )}
+        </InlineStack>
+      </div>
+
+      <div className="Card-Section">
+        {loading ? (
+          <Spinner size="small" />
+        ) : (
+          <BlockStack gap="300">
+            {source === "shop" && (
+              <Banner tone="info">
+                This master follows the shop default from Settings. Saving here creates an override.
+              </Banner>
+            )}
+            <Select
+              label="Sync mode"
+              options={MODE_OPTIONS}
+              value={mode}
+              onChange={setMode}
+            />
+            {mode !== "INDEPENDENT" && (
+              <BlockStack gap="100">
+                {locations.map((loc) => (
+                  <Checkbox
+                    key={loc.id}
+                    label={`${loc.name}${loc.isPrimary ? " (primary)" : ""}`}
+                    checked={selectedIds.includes(loc.id)}
+                    onChange={(checked) => toggleLocation(loc.id, checked)}
+                    disabled={!loc.isActive}
+                  />
+                ))}
+                {mode === "POOLED" && (
+                  <Text tone="subdued" as="p">
+                    Children are stocked at the first selected location and use the pooled master total.
+                  </Text>
+                )}
+              </BlockStack>
+            )}
+            <InlineStack align="end">
+              <Button
+                onClick={() => submitRule({ mode, locationIds: selectedIds })}
+                loading={saving}
+              >
+                Save locations
+              </Button>
+            </InlineStack>
+          </BlockStack>
+        )}
+      </div>
+    </Card>
+  );
+}
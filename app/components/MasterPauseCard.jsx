@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from "react";
+import {
+  Card,
+  Select,
+  Button,
+  Banner,
+  Spinner,
+  Text,
+  BlockStack,
+  InlineStack,
+} from "@shopify/polaris";
+import { SYNC_RESUME_MODES } from "../utils/sync-constants";
+
+const RESUME_OPTIONS = [
+  { label: "Recompute children from the master", value: SYNC_RESUME_MODES.RECOMPUTE },
+  { label: "Keep current stock, only re-baseline", value: SYNC_RESUME_MODES.REBASELINE },
+];
+
+/**
+ * MasterPauseCard Component
+ *
+ * Pauses syncing for one master variant and its children, e.g. during a stocktake,
+ * and resumes it by either recomputing the children or re-baselining their stock.
+ *
+ * @param {string} variantId - The ID of the master variant
+ * @param {function} setError - Callback used to surface errors in the parent modal
+ */
+export default function MasterPauseCard({ variantId, setError }) {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [pausedAt, setPausedAt] = useState(null);
+  const [shopPaused, setShopPaused] = useState(false);
+  const [resumeMode, setResumeMode] = useState(SYNC_RESUME_MODES.RECOMPUTE);
+
+  useEffect(() => {
+    if (!variantId) return;
+    let cancelled = false;
+
+    const loadPause = async () => {
+      setLoading(true);
+      try {
+        const res = await fetch(`/api/master-pause?variantId=${encodeURIComponent(variantId)}`);
+        const data = await res.json();
+        if (data.error) throw new Error(data.error);
+        if (!cancelled) {
+          setPausedAt(data.pausedAt);
+          setShopPaused(!!data.shopPaused);
+        }
+      } catch (err) {
+        console.error("Error loading master pause:", err);
+        if (!cancelled) setError(`Could not load pause settings: ${err.message}`);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadPause();
+    return () => {
+      cancelled = true;
+    };
+  }, [variantId]);
+
+  const submitPause = async (body) => {
+    setSaving(true);
+    try {
+      const res = await fetch("/api/master-pause", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ variantId, ...body }),
+      });
+      const data = await res.json();
+      if (!res.ok || data.error) throw new Error(data.error || "Failed to save pause settings");
+      setPausedAt(data.pausedAt);
+    } catch (err) {
+      console.error("Error saving master pause:", err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <div className="Card-Header">
+        <Text variant="headingMd" as="h3">Sync Pause</Text>
+      </div>
+
+      <div className="Card-Section">
+        {loading ? (
+          <Spinner size="small" />
+        ) : (
+          <BlockStack gap="300">
+            {shopPaused && (
+              <Banner tone="warning">
+                Syncing is paused for the whole shop in Settings.
+              </Banner>
+            )}
+            {pausedAt ? (
+              <>
+                <Text as="p">
+                  Paused since {new Date(pausedAt).toLocaleString()}. Stock changes of this master and
+                  its children are not synced.
+                </Text>
+                <Select
+                  label="On resume"
+                  options={RESUME_OPTIONS}
+                  value={resumeMode}
+                  onChange={setResumeMode}
+                />
+                <InlineStack align="end">
+                  <Button
+                    variant="primary"
+                    onClick={() => submitPause({ paused: false, mode: resumeMode })}
+                    loading={saving}
+                  >
+                    Resume sync
+                  </Button>
+                </InlineStack>
+              </>
+            ) : (
+              <>
+                <Text tone="subdued" as="p">
+                  Pause during a stocktake or import to stop this master and its children from
+                  updating each other. Links and settings are kept.
+                </Text>
+                <InlineStack align="end">
+                  <Button onClick={() => submitPause({ paused: true })} loading={saving}>
+                    Pause sync
+                  </Button>
+                </InlineStack>
+              </>
+            )}
+          </BlockStack>
+        )}
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,114 @@
+import React, { useState, useEffect } from "react";
+import {
+  Card,
+  TextField,
+  Button,
+  Banner,
+  Text,
+  BlockStack,
+  InlineStack,
+} from "@shopify/polaris";
+import { parseSafetyValue } from "../utils/ratio-utils";
+import { METAFIELD_NAMESPACE } from "../utils/metafield-utils";
+
+/**
+ * SafetyStockCard Component
+ *
+ * Default buffer and cap for every child of a master variant, in child units.
+ * A child's own buffer/cap (set in the children table) wins over these defaults.
+ *
+ * @param {string} variantId - The ID of the master variant
+ * @param {string} buffer - Saved default buffer ("" when none)
+ * @param {string} cap - Saved default cap ("" when none)
+ * @param {function} setError - Callback used to surface errors in the parent modal
+ * @param {function} onSaved - Called with ({ buffer, cap }) after a successful save
+ */
+export default function SafetyStockCard({ variantId, buffer, cap, setError, onSaved }) {
+  const [saving, setSaving] = useState(false);
+  const [values, setValues] = useState({ buffer: buffer ?? "", cap: cap ?? "" });
+
+  useEffect(() => {
+    setValues({ buffer: buffer ?? "", cap: cap ?? "" });
+  }, [variantId, buffer, cap]);
+
+  const saveDefaults = async () => {
+    setSaving(true);
+    try {
+      const saved = {};
+      for (const key of ["buffer", "cap"]) {
+        const raw = String(values[key] ?? "").trim();
+        if (raw !== "" && parseSafetyValue(raw) === null) {
+          throw new Error(`The ${key} must be a whole number of 0 or more.`);
+        }
+        const res = await fetch("/api/update-variant-metafield", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            variantId,
+            namespace: METAFIELD_NAMESPACE,
+            key,
+            value: raw,
+            type: "number_integer",
+          }),
+        });
+        if (!res.ok) {
+          const responseText = await res.text();
+          throw new Error(responseText || `Error updating ${key}`);
+        }
+        saved[key] = raw;
+      }
+      if (onSaved) await onSaved(saved);
+    } catch (err) {
+      console.error("Error saving safety stock defaults:", err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <div className="Card-Header">
+        <Text variant="headingMd" as="h3">Safety Stock</Text>
+      </div>
+
+      <div className="Card-Section">
+        <BlockStack gap="300">
+          <Banner tone="info">
+            Children show the calculated stock minus the buffer, never more than the cap.
+            These defaults apply to every child without its own values.
+          </Banner>
+          <InlineStack gap="300" blockAlign="end">
+            <div style={{ width: "140px" }}>
+              <TextField
+                label="Buffer"
+                type="number"
+                min="0"
+                value={String(values.buffer)}
+                onChange={(value) => setValues((prev) => ({ ...prev, buffer: value }))}
+                placeholder="None"
+                autoComplete="off"
+              />
+            </div>
+            <div style={{ width: "140px" }}>
+              <TextField
+                label="Cap"
+                type="number"
+                min="0"
+                value={String(values.cap)}
+                onChange={(value) => setValues((prev) => ({ ...prev, cap: value }))}
+                placeholder="No cap"
+                autoComplete="off"
+              />
+            </div>
+          </InlineStack>
+          <InlineStack align="end">
+            <Button onClick={saveDefaults} loading={saving}>
+              Save safety stock
+            </Button>
+          </InlineStack>
+        </BlockStack>
+      </div>
+    </Card>
+  );
+}
@@ -19,12 +19,46 @@ import {
   InlineStack,
   BlockStack,
   Divider,
-  ProgressBar
+  ProgressBar,
+  Select
 } from "@shopify/polaris";
 import { DeleteIcon, CheckCircleIcon } from '@shopify/polaris-icons';
 
 // Import the AddChildrenModal component
 import AddChildrenModal from './AddChildrenModal';
+import MasterLocationRuleCard from './MasterLocationRuleCard';
+import MasterPauseCard from './MasterPauseCard';
+import BundleComponentsCard from './BundleComponentsCard';
+import { RATIO_ROUNDING } from '../utils/sync-constants';
+import { METAFIELD_NAMESPACE, isStockSyncNamespace } from '../utils/metafield-utils';
+import {
+  parseRatio,
+  normaliseRounding,
+  childQtyFromMaster,
+  parseSafetyValue,
+  resolveSafetyStock,
+  applySafetyStock
+} from '../utils/ratio-utils';
+import SafetyStockCard from './SafetyStockCard';
+
+const ROUNDING_OPTIONS = [
+  { label: "Round down", value: RATIO_ROUNDING.FLOOR },
+  { label: "Round nearest", value: RATIO_ROUNDING.ROUND },
+  { label: "Round up", value: RATIO_ROUNDING.CEIL },
+];
+
+/**
+ * Reads the message of a failed API response ({ error } JSON or plain text).
+ */
+async function readErrorMessage(res, fallback) {
+  const text = await res.text();
+  try {
+    const data = JSON.parse(text);
+    return data.error || data.errors?.[0]?.message || fallback;
+  } catch {
+    return text || fallback;
+  }
+}
 
 /**
  * SyncVariantModal Component
@@ -82,6 +116,9 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
   // State for child variants management
   const [childrenDetails, setChildrenDetails] = useState({});
   const [masterRatios, setMasterRatios] = useState({});
+  const [childRoundings, setChildRoundings] = useState({});
+  const [childSafety, setChildSafety] = useState({});
+  const [masterSafety, setMasterSafety] = useState({ buffer: "", cap: "" });
   const [isAddChildrenModalOpen, setIsAddChildrenModalOpen] = useState(false);
   const [parentMasters, setParentMasters] = useState({});
 
@@ -98,17 +135,51 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
    *
    * @param {string} childId - ID of the child variant
    * @param {number} masterQty - Current inventory of the master variant
-   * @param {number} childRatio - Ratio value for the child (qtymanagement)
+   * @param {number} childRatio - Ratio value for the child (master units per child unit)
+   * @param {string} rounding - FLOOR, ROUND or CEIL for fractional results
+   * @param {object} safetyStock - { buffer, cap } of the child, master defaults already applied
    * @returns {Promise<number>} The new child inventory quantity
    */
-  const updateChildInventory = async (childId, masterQty, childRatio) => {
+  const updateChildInventory = async (childId, masterQty, childRatio, rounding, safetyStock) => {
     try {
       console.log(`Updating inventory for child ${childId} based on master qty ${masterQty} and ratio ${childRatio}`);
 
-      // Calculate new inventory for child: masterQty / childRatio
-      const newChildQty = Math.floor(masterQty / (childRatio || 1));
+      // Calculate new inventory for child: masterQty / childRatio, rounded
+      let newChildQty = childQtyFromMaster(masterQty, childRatio, rounding);
+
+      // Bundles take the minimum over all of their component masters instead
+      const bundleParams = new URLSearchParams({
+        variantId: childId,
+        masterId: variantId,
+        masterQty: String(masterQty)
+      });
+      const bundleRes = await fetch(`/api/bundle-components?${bundleParams.toString()}`);
+      if (bundleRes.ok) {
+        const bundleData = await bundleRes.json();
+        if (bundleData.components?.length > 0) {
+          newChildQty = bundleData.bundleQty;
+          console.log(`Child ${childId} is a bundle of ${bundleData.components.length} masters`);
+        }
+      }
+      newChildQty = applySafetyStock(newChildQty, safetyStock);
       console.log(`New inventory calculated for child: ${newChildQty}`);
 
+      return await writeChildQuantity(childId, newChildQty);
+    } catch (error) {
+      console.error("Error in updateChildInventory:", error);
+      throw error;
+    }
+  };
+
+  /**
+   * Writes a CHILD quantity: qtyold metafield FIRST, then the inventory itself
+   *
+   * @param {string} childId - ID of the child variant
+   * @param {number} newChildQty - Quantity to store
+   * @returns {Promise<number>} The new child inventory quantity
+   */
+  const writeChildQuantity = async (childId, newChildQty) => {
+    try {
       // 1. FIRST: Update qtyold metafield - CRITICAL to do this BEFORE inventory change
       console.log(`Updating qtyold to ${newChildQty} BEFORE changing inventory`);
       const metafieldUpdateResponse = await fetch('/api/update-variant-metafield', {
@@ -116,7 +187,7 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           variantId: childId,
-          namespace: 'projektstocksyncqtyold',
+          namespace: METAFIELD_NAMESPACE,
           key: 'qtyold',
           value: String(newChildQty),
           type: "number_integer"
@@ -150,11 +221,67 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
       console.log(`Metafield qtyold and inventory updated for child ${childId} to ${newChildQty}`);
       return newChildQty;
     } catch (error) {
-      console.error("Error in updateChildInventory:", error);
+      console.error("Error in writeChildQuantity:", error);
       throw error;
     }
   };
 
+  /**
+   * After the bundle components change, align the bundle's own stock
+   * with what its component masters can build right now.
+   */
+  const handleBundleSaved = async (bundleQty, components) => {
+    if (components.length === 0) return;
+    const newQty = applySafetyStock(bundleQty, {
+      buffer: parseSafetyValue(variantData?.bufferMetafield?.value),
+      cap: parseSafetyValue(variantData?.capMetafield?.value)
+    });
+    await writeChildQuantity(variantId, newQty);
+    setInventory(String(newQty));
+  };
+
+  /**
+   * Safety stock of a child: its own buffer/cap, falling back to this master's defaults
+   *
+   * @param {string} childId - ID of the child variant
+   * @param {object} defaults - Master defaults as entered ({ buffer, cap })
+   * @returns {object} { buffer, cap } as integers or null
+   */
+  const getEffectiveSafetyStock = (childId, defaults = masterSafety) => {
+    const own = childSafety[childId] || {};
+    return resolveSafetyStock(
+      { buffer: parseSafetyValue(own.buffer), cap: parseSafetyValue(own.cap) },
+      { buffer: parseSafetyValue(defaults.buffer), cap: parseSafetyValue(defaults.cap) }
+    );
+  };
+
+  /**
+   * Re-syncs every child once the master's default buffer/cap changed
+   *
+   * @param {object} defaults - The saved master defaults ({ buffer, cap })
+   */
+  const handleMasterSafetySaved = async (defaults) => {
+    setMasterSafety(defaults);
+    const masterQty = Number(inventory);
+    const updated = {};
+    for (const childId of children) {
+      updated[childId] = await updateChildInventory(
+        childId,
+        masterQty,
+        masterRatios[childId] || 1,
+        childRoundings[childId],
+        getEffectiveSafetyStock(childId, defaults)
+      );
+    }
+    setChildrenDetails(prev => {
+      const next = { ...prev };
+      for (const [childId, qty] of Object.entries(updated)) {
+        next[childId] = { ...(next[childId] || {}), inventory: qty };
+      }
+      return next;
+    });
+  };
+
   /**
    * Handles product information after data is loaded
    * Checks if this is a master variant, a child variant, or neither
@@ -249,6 +376,8 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
               // Re-fetch all child details to ensure they're current
               const childDetails = { ...childrenDetails };
               const ratios = { ...masterRatios };
+              const roundings = { ...childRoundings };
+              const safety = { ...childSafety };
               const parentMastersMap = { ...parentMasters };
 
               // Process each child to refresh its data
@@ -273,28 +402,35 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
                   };
 
                   // Extract and update ratio
+                  roundings[childId] = normaliseRounding(childProduct.roundingMetafield?.value);
+                  safety[childId] = {
+                    buffer: childProduct.bufferMetafield?.value ?? "",
+                    cap: childProduct.capMetafield?.value ?? ""
+                  };
                   let qtyValue = null;
 
-                  if (childProduct.ratioMetafield?.value) {
+                  if (childProduct.decimalRatioMetafield?.value) {
+                    qtyValue = childProduct.decimalRatioMetafield.value;
+                  } else if (childProduct.ratioMetafield?.value) {
                     qtyValue = childProduct.ratioMetafield.value;
                   } else if (Array.isArray(childProduct.metafields)) {
                     const qtyMeta = childProduct.metafields.find(
-                      meta => meta.namespace === "projektstocksyncqtymanagement" && meta.key === "qtymanagement"
+                      meta => meta.key === "qtymanagement" && isStockSyncNamespace(meta.namespace, meta.key)
                     );
                     if (qtyMeta) qtyValue = qtyMeta.value;
                   } else if (childProduct.metafields?.edges) {
                     const qtyMetaEdge = childProduct.metafields.edges.find(
                       edge =>
-                        edge.node?.namespace === "projektstocksyncqtymanagement" &&
-                        edge.node?.key === "qtymanagement"
+                        edge.node?.key === "qtymanagement" &&
+                        isStockSyncNamespace(edge.node.namespace, edge.node.key)
                     );
                     if (qtyMetaEdge?.node?.value) qtyValue = qtyMetaEdge.node.value;
                   }
 
                   if (qtyValue !== null) {
                     try {
-                      const parsedValue = parseInt(qtyValue, 10);
-                      if (!isNaN(parsedValue) && parsedValue > 0) {
+                      const parsedValue = parseRatio(qtyValue);
+                      if (parsedValue) {
                         ratios[childId] = parsedValue;
                       }
                     } catch (e) {
@@ -309,14 +445,14 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
                     parentMaster = childProduct.parentMasterMetafield.value;
                   } else if (Array.isArray(childProduct.metafields)) {
                     const parentMasterMeta = childProduct.metafields.find(
-                      meta => meta.namespace === "projektstocksyncparentmaster" && meta.key === "parentmaster"
+                      meta => meta.key === "parentmaster" && isStockSyncNamespace(meta.namespace, meta.key)
                     );
                     if (parentMasterMeta) parentMaster = parentMasterMeta.value;
                   } else if (childProduct.metafields?.edges) {
                     const parentMasterEdge = childProduct.metafields.edges.find(
                       edge =>
-                        edge.node?.namespace === "projektstocksyncparentmaster" &&
-                        edge.node?.key === "parentmaster"
+                        edge.node?.key === "parentmaster" &&
+                        isStockSyncNamespace(edge.node.namespace, edge.node.key)
                     );
                     if (parentMasterEdge?.node?.value) parentMaster = parentMasterEdge.node.value;
                   }
@@ -335,6 +471,8 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
               // Update state with all refreshed child data
               setChildrenDetails(childDetails);
               setMasterRatios(ratios);
+              setChildRoundings(roundings);
+              setChildSafety(safety);
               setParentMasters(parentMastersMap);
             } catch (e) {
               console.error("Error parsing updated children data:", e);
@@ -377,6 +515,8 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
       setError(null);
       setSuccess(null);
       setMasterRatios({}); // Reset ratios on new fetch
+      setChildRoundings({});
+      setChildSafety({});
       setParentMasters({}); // Reset parent masters on new fetch
 
       try {
@@ -403,6 +543,10 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
         setTitle(v.title || "");
         setInventory(String(v.inventoryQuantity || 0));
         setMaster(v.masterMetafield?.value === "true");
+        setMasterSafety({
+          buffer: v.bufferMetafield?.value ?? "",
+          cap: v.capMetafield?.value ?? ""
+        });
 
         // Check if this variant is a child of another master
         let isChildVariant = false;
@@ -422,7 +566,7 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
           console.log("Found parent master in parentMasterMetafield:", parentId);
         } else if (Array.isArray(v.metafields)) {
           const parentMasterMeta = v.metafields.find(
-            meta => meta.namespace === "projektstocksyncparentmaster" && meta.key === "parentmaster"
+            meta => meta.key === "parentmaster" && isStockSyncNamespace(meta.namespace, meta.key)
           );
           if (
             parentMasterMeta &&
@@ -438,7 +582,7 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
         } else if (v.metafields?.edges) {
           const parentMasterEdge = v.metafields.edges.find(
             edge =>
-              edge.node?.namespace === "projektstocksyncparentmaster" && edge.node?.key === "parentmaster"
+              edge.node?.key === "parentmaster" && isStockSyncNamespace(edge.node.namespace, edge.node.key)
           );
           if (
             parentMasterEdge?.node?.value &&
@@ -541,6 +685,8 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
             // Create maps to store details and ratios for children
             const childDetails = {};
             const ratios = {};
+            const roundings = {};
+            const safety = {};
             const parentMastersMap = {};
 
             await Promise.all(
@@ -573,7 +719,7 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
                     parentMaster = childProduct.parentMasterMetafield.value;
                   } else if (Array.isArray(childProduct.metafields)) {
                     const parentMasterMeta = childProduct.metafields.find(
-                      meta => meta.namespace === "projektstocksyncparentmaster" && meta.key === "parentmaster"
+                      meta => meta.key === "parentmaster" && isStockSyncNamespace(meta.namespace, meta.key)
                     );
                     if (parentMasterMeta) {
                       parentMaster = parentMasterMeta.value;
@@ -581,8 +727,8 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
                   } else if (childProduct.metafields?.edges) {
                     const parentMasterEdge = childProduct.metafields.edges.find(
                       edge =>
-                        edge.node?.namespace === "projektstocksyncparentmaster" &&
-                        edge.node?.key === "parentmaster"
+                        edge.node?.key === "parentmaster" &&
+                        isStockSyncNamespace(edge.node.namespace, edge.node.key)
                     );
                     if (parentMasterEdge?.node?.value) {
                       parentMaster = parentMasterEdge.node.value;
@@ -593,16 +739,23 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
                   parentMastersMap[childId] = parentMaster || '';
 
                   // Extract quantity management metafield using various possible data structures
+                  roundings[childId] = normaliseRounding(childProduct.roundingMetafield?.value);
+                  safety[childId] = {
+                    buffer: childProduct.bufferMetafield?.value ?? "",
+                    cap: childProduct.capMetafield?.value ?? ""
+                  };
                   let qtyValue = null;
 
                   // Option 1: Direct ratio metafield
-                  if (childProduct.ratioMetafield?.value) {
+                  if (childProduct.decimalRatioMetafield?.value) {
+                    qtyValue = childProduct.decimalRatioMetafield.value;
+                  } else if (childProduct.ratioMetafield?.value) {
                     qtyValue = childProduct.ratioMetafield.value;
                   }
                   // Option 2: Array of metafields
                   else if (Array.isArray(childProduct.metafields)) {
                     const qtyMeta = childProduct.metafields.find(
-                      meta => meta.namespace === "projektstocksyncqtymanagement" && meta.key === "qtymanagement"
+                      meta => meta.key === "qtymanagement" && isStockSyncNamespace(meta.namespace, meta.key)
                     );
                     if (qtyMeta) {
                       qtyValue = qtyMeta.value;
@@ -612,8 +765,8 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
                   else if (childProduct.metafields?.edges) {
                     const qtyMetaEdge = childProduct.metafields.edges.find(
                       edge =>
-                        edge.node?.namespace === "projektstocksyncqtymanagement" &&
-                        edge.node?.key === "qtymanagement"
+                        edge.node?.key === "qtymanagement" &&
+                        isStockSyncNamespace(edge.node.namespace, edge.node.key)
                     );
                     if (qtyMetaEdge?.node?.value) {
                       qtyValue = qtyMetaEdge.node.value;
@@ -623,8 +776,8 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
                   // Process and validate the quantity value
                   if (qtyValue !== null) {
                     try {
-                      const parsedValue = parseInt(qtyValue, 10);
-                      if (!isNaN(parsedValue) && parsedValue > 0) {
+                      const parsedValue = parseRatio(qtyValue);
+                      if (parsedValue) {
                         ratios[childId] = parsedValue;
                       } else {
                         ratios[childId] = ""; // Invalid value, leave empty
@@ -645,6 +798,8 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
 
             setChildrenDetails(childDetails);
             setMasterRatios(ratios);
+            setChildRoundings(roundings);
+            setChildSafety(safety);
             setParentMasters(parentMastersMap);
           }
         } catch (e) {
@@ -699,7 +854,7 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
         parentMaster = childProduct.parentMasterMetafield.value;
       } else if (Array.isArray(childProduct.metafields)) {
         const parentMasterMeta = childProduct.metafields.find(
-          meta => meta.namespace === "projektstocksyncparentmaster" && meta.key === "parentmaster"
+          meta => meta.key === "parentmaster" && isStockSyncNamespace(meta.namespace, meta.key)
         );
         if (parentMasterMeta) {
           parentMaster = parentMasterMeta.value;
@@ -707,8 +862,8 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
       } else if (childProduct.metafields?.edges) {
         const parentMasterEdge = childProduct.metafields.edges.find(
           edge =>
-            edge.node?.namespace === "projektstocksyncparentmaster" &&
-            edge.node?.key === "parentmaster"
+            edge.node?.key === "parentmaster" &&
+            isStockSyncNamespace(edge.node.namespace, edge.node.key)
         );
         if (parentMasterEdge?.node?.value) {
           parentMaster = parentMasterEdge.node.value;
@@ -722,14 +877,27 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
       }));
 
       // Extract quantity management metafield
+      setChildRoundings(prev => ({
+        ...prev,
+        [childId]: normaliseRounding(childProduct.roundingMetafield?.value)
+      }));
+      setChildSafety(prev => ({
+        ...prev,
+        [childId]: {
+          buffer: childProduct.bufferMetafield?.value ?? "",
+          cap: childProduct.capMetafield?.value ?? ""
+        }
+      }));
       let qtyValue = null;
 
       // Try different approaches to find the quantity management metafield
-      if (childProduct.ratioMetafield?.value) {
+      if (childProduct.decimalRatioMetafield?.value) {
+        qtyValue = childProduct.decimalRatioMetafield.value;
+      } else if (childProduct.ratioMetafield?.value) {
         qtyValue = childProduct.ratioMetafield.value;
       } else if (Array.isArray(childProduct.metafields)) {
         const qtyMeta = childProduct.metafields.find(
-          meta => meta.namespace === "projektstocksyncqtymanagement" && meta.key === "qtymanagement"
+          meta => meta.key === "qtymanagement" && isStockSyncNamespace(meta.namespace, meta.key)
         );
         if (qtyMeta) {
           qtyValue = qtyMeta.value;
@@ -737,8 +905,8 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
       } else if (childProduct.metafields?.edges) {
         const qtyMetaEdge = childProduct.metafields.edges.find(
           edge =>
-            edge.node?.namespace === "projektstocksyncqtymanagement" &&
-            edge.node?.key === "qtymanagement"
+            edge.node?.key === "qtymanagement" &&
+            isStockSyncNamespace(edge.node.namespace, edge.node.key)
         );
         if (qtyMetaEdge?.node?.value) {
           qtyValue = qtyMetaEdge.node.value;
@@ -748,8 +916,8 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
       // Update master ratio state based on the extracted value
       if (qtyValue !== null) {
         try {
-          const parsedValue = parseInt(qtyValue, 10);
-          if (!isNaN(parsedValue) && parsedValue > 0) {
+          const parsedValue = parseRatio(qtyValue);
+          if (parsedValue) {
             setMasterRatios(prev => ({
               ...prev,
               [childId]: parsedValue
@@ -793,20 +961,14 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           variantId: childId,
-          namespace: 'projektstocksyncparentmaster',
+          namespace: METAFIELD_NAMESPACE,
           key: 'parentmaster',
           value: masterId // The API will handle wrapping this in an array and JSON stringifying
         })
       });
 
       if (!res.ok) {
-        const errText = await res.text();
-        try {
-          const errData = JSON.parse(errText);
-          throw new Error(errData.error || 'Failed to set parent master metafield');
-        } catch (jsonError) {
-          throw new Error(errText || 'Failed to set parent master metafield');
-        }
+        throw new Error(await readErrorMessage(res, 'Failed to set parent master metafield'));
       }
 
       console.log(`Successfully set parent master for ${childId} to ${masterId}`);
@@ -818,7 +980,8 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
       }));
     } catch (err) {
       console.error('Error setting parent master:', err);
-      // We'll continue even if this fails, since the children array is the primary record
+      // A refused link (cycle, second master, ...) must stop the add
+      throw err;
     }
   };
 
@@ -837,7 +1000,7 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           variantId: childId,
-          namespace: 'projektstocksyncparentmaster',
+          namespace: METAFIELD_NAMESPACE,
           key: 'parentmaster',
           value: '' // Empty value - the API will convert this to an empty array []
         })
@@ -948,15 +1111,17 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           variantId,
-          namespace: 'projektstocksyncchildren',
+          namespace: METAFIELD_NAMESPACE,
           key: 'childrenkey',
           value: JSON.stringify(updatedChildren)
         })
       });
 
       if (!res.ok) {
-        const errText = await res.text();
-        throw new Error(errText || 'Error adding child variant');
+        const message = await readErrorMessage(res, 'Error adding child variant');
+        // Undo the parent link so the child is not left half-assigned
+        await clearParentMasterMetafield(childId);
+        throw new Error(message);
       }
 
       // Update local state
@@ -965,16 +1130,16 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
       // Set default ratio of 1 for new child
       const defaultRatio = 1;
 
-      // Set qtymanagement metafield with default ratio
+      // Set ratio metafield with default ratio (it takes precedence over qtymanagement)
       await fetch('/api/update-variant-metafield', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           variantId: childId,
-          namespace: 'projektstocksyncqtymanagement',
-          key: 'qtymanagement',
+          namespace: METAFIELD_NAMESPACE,
+          key: 'ratio',
           value: String(defaultRatio),
-          type: 'number_integer'
+          type: 'number_decimal'
         })
       });
 
@@ -982,7 +1147,13 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
       const currentMasterQty = Number(inventory);
 
       // Update child inventory based on master inventory and ratio
-      await updateChildInventory(childId, currentMasterQty, defaultRatio);
+      await updateChildInventory(
+        childId,
+        currentMasterQty,
+        defaultRatio,
+        RATIO_ROUNDING.FLOOR,
+        getEffectiveSafetyStock(childId)
+      );
 
       // Close the add child modal first
       setIsAddChildrenModalOpen(false);
@@ -1036,7 +1207,8 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
       setProcessingProgress(0);
       console.error("Error adding child variant:", err);
       setError(err.message);
-      return false;
+      // Let the Add Children modal show the reason as well
+      throw err;
     }
   };
 
@@ -1063,7 +1235,7 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
           variantId,
-          namespace: "projektstocksyncchildren",
+          namespace: METAFIELD_NAMESPACE,
           key: "childrenkey",
           value: JSON.stringify(updatedChildren),
         }),
@@ -1088,12 +1260,13 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
   }
 
   /**
-   * Updates the master ratio for a child variant and recalculates its inventory
+   * Updates the master ratio (and rounding) for a child variant and recalculates its inventory
    *
    * @param {string} childId - The ID of the child variant
-   * @param {number|string} newRatio - The new ratio value
+   * @param {number|string} newRatio - The new ratio value, decimals allowed (0.5 = half a master unit)
+   * @param {string} newRounding - FLOOR, ROUND or CEIL; keeps the current mode when omitted
    */
-  async function handleUpdateMasterRatio(childId, newRatio) {
+  async function handleUpdateMasterRatio(childId, newRatio, newRounding = childRoundings[childId]) {
     try {
       console.log(`==== START: RATIO UPDATE FOR ${childId} ====`);
       setError(null);
@@ -1104,44 +1277,60 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
       }
 
       // Validate input - check if it's a positive number
-      const ratioNumber = parseInt(newRatio, 10);
-      if (isNaN(ratioNumber) || ratioNumber < 1) {
-        throw new Error("The ratio must be a positive integer.");
+      const ratioNumber = parseRatio(newRatio);
+      if (!ratioNumber) {
+        throw new Error("The ratio must be a number greater than 0.");
       }
+      const rounding = normaliseRounding(newRounding);
 
       // Update in state
       setMasterRatios(prev => ({
         ...prev,
         [childId]: ratioNumber
       }));
+      setChildRoundings(prev => ({
+        ...prev,
+        [childId]: rounding
+      }));
 
-      // Call API to update the metafield
+      // Call API to update the metafields. The decimal "ratio" takes precedence over "qtymanagement".
       const timestamp = new Date().getTime();
-      const res = await fetch(`/api/update-variant-metafield?t=${timestamp}`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache, no-store, must-revalidate"
-        },
-        body: JSON.stringify({
-          variantId: childId,
-          namespace: "projektstocksyncqtymanagement",
-          key: "qtymanagement",
-          value: String(ratioNumber),
-          type: "number_integer"
-        }),
-      });
+      for (const [key, value, type] of [
+        ["ratio", String(ratioNumber), "number_decimal"],
+        ["rounding", rounding, "single_line_text_field"]
+      ]) {
+        const res = await fetch(`/api/update-variant-metafield?t=${timestamp}`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "Cache-Control": "no-cache, no-store, must-revalidate"
+          },
+          body: JSON.stringify({
+            variantId: childId,
+            namespace: METAFIELD_NAMESPACE,
+            key,
+            value,
+            type
+          }),
+        });
 
-      if (!res.ok) {
-        const responseText = await res.text();
-        throw new Error(responseText || "Error updating ratio");
+        if (!res.ok) {
+          const responseText = await res.text();
+          throw new Error(responseText || "Error updating ratio");
+        }
       }
 
       // Get current master inventory
       const currentMasterQty = Number(inventory);
 
       // Update child inventory based on master inventory and new ratio
-      await updateChildInventory(childId, currentMasterQty, ratioNumber);
+      await updateChildInventory(
+        childId,
+        currentMasterQty,
+        ratioNumber,
+        rounding,
+        getEffectiveSafetyStock(childId)
+      );
 
       // Show loading animation
       await simulateSyncProcess();
@@ -1196,6 +1385,60 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
     }
   }
 
+  /**
+   * Saves a child's own buffer/cap and re-syncs it.
+   * An empty field removes the child value so the master default applies again.
+   *
+   * @param {string} childId - ID of the child variant
+   */
+  async function handleUpdateChildSafety(childId) {
+    try {
+      setError(null);
+      const own = childSafety[childId] || {};
+
+      for (const key of ["buffer", "cap"]) {
+        const raw = own[key] === undefined || own[key] === null ? "" : String(own[key]).trim();
+        if (raw !== "" && parseSafetyValue(raw) === null) {
+          throw new Error(`The ${key} must be a whole number of 0 or more.`);
+        }
+
+        const res = await fetch("/api/update-variant-metafield", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            variantId: childId,
+            namespace: METAFIELD_NAMESPACE,
+            key,
+            value: raw,
+            type: "number_integer"
+          })
+        });
+
+        if (!res.ok) {
+          const responseText = await res.text();
+          throw new Error(responseText || `Error updating ${key}`);
+        }
+      }
+
+      const newQty = await updateChildInventory(
+        childId,
+        Number(inventory),
+        masterRatios[childId] || 1,
+        childRoundings[childId],
+        getEffectiveSafetyStock(childId)
+      );
+      setChildrenDetails(prev => ({
+        ...prev,
+        [childId]: { ...(prev[childId] || {}), inventory: newQty }
+      }));
+
+      setSuccess("Safety stock updated and synchronised successfully.");
+    } catch (err) {
+      console.error("Error updating safety stock:", err);
+      setError(err.message);
+    }
+  }
+
   /**
    * Fetch information about a parent master variant
    *
@@ -1409,7 +1652,7 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
           },
           body: JSON.stringify({
             variantId,
-            namespace: "projektstocksyncmaster",
+            namespace: METAFIELD_NAMESPACE,
             key: "master",
             value: master ? "true" : "false",  // Mantén esto como string
             type: "boolean"  // Cambia el tipo a texto en lugar de boolean
@@ -1417,9 +1660,9 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
         });
 
         if (!masterRes.ok) {
-          const masterText = await masterRes.text();
-          console.error("Master update error response:", masterText);
-          throw new Error("Failed to update master status: " + masterText);
+          const masterMessage = await readErrorMessage(masterRes, "Failed to update master status");
+          console.error("Master update error response:", masterMessage);
+          throw new Error(masterMessage);
         }
 
         console.log("Master status updated successfully");
@@ -1434,7 +1677,7 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
           },
           body: JSON.stringify({
             variantId,
-            namespace: "projektstocksyncchildren",
+            namespace: METAFIELD_NAMESPACE,
             key: "childrenkey",
             value: JSON.stringify(children),
             type: "list.variant_reference"
@@ -1442,9 +1685,9 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
         });
 
         if (!childrenRes.ok) {
-          const childText = await childrenRes.text();
-          console.error("Children update error response:", childText);
-          throw new Error("Failed to update children: " + childText);
+          const childMessage = await readErrorMessage(childrenRes, "Failed to update children");
+          console.error("Children update error response:", childMessage);
+          throw new Error(childMessage);
         }
 
         console.log("Children metafield updated successfully");
@@ -1876,6 +2119,16 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
                               >
                                 Master Ratio
                               </th>
+                              <th
+                                style={{
+                                  borderBottom: "1px solid #ddd",
+                                  padding: "12px 16px",
+                                  textAlign: "center",
+                                  width: "150px"
+                                }}
+                              >
+                                Safety Stock
+                              </th>
                               <th
                                 style={{
                                   borderBottom: "1px solid #ddd",
@@ -2008,11 +2261,10 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
                                               [childId]: ""
                                             }));
                                           } else {
-                                            // If there's a value, try to convert to integer
-                                            const parsedValue = parseInt(value, 10);
+                                            // Keep the raw text so decimals like "0.5" can be typed
                                             setMasterRatios(prev => ({
                                               ...prev,
-                                              [childId]: isNaN(parsedValue) ? "" : parsedValue
+                                              [childId]: value
                                             }));
                                           }
                                         }}
@@ -2024,10 +2276,54 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
                                             handleUpdateMasterRatio(childId, currentRatio);
                                           }
                                         }}
-                                        min="1"
+                                        min="0"
+                                        step={0.01}
                                         autoComplete="off"
                                       />
                                     </div>
+                                    <div style={{ marginTop: "4px" }}>
+                                      <Select
+                                        label="Rounding"
+                                        labelHidden={true}
+                                        options={ROUNDING_OPTIONS}
+                                        value={childRoundings[childId] || RATIO_ROUNDING.FLOOR}
+                                        onChange={(value) =>
+                                          handleUpdateMasterRatio(childId, masterRatios[childId] || 1, value)
+                                        }
+                                      />
+                                    </div>
+                                  </td>
+                                  <td
+                                    style={{
+                                      padding: "12px 16px",
+                                      textAlign: "center",
+                                      borderBottom: "1px solid #f1f1f1"
+                                    }}
+                                  >
+                                    {["buffer", "cap"].map((key) => (
+                                      <div key={key} style={{ marginTop: key === "cap" ? "4px" : 0 }}>
+                                        <TextField
+                                          label={key === "buffer" ? "Buffer" : "Cap"}
+                                          labelHidden={true}
+                                          type="number"
+                                          min="0"
+                                          value={String(childSafety[childId]?.[key] ?? "")}
+                                          placeholder={
+                                            masterSafety[key] !== ""
+                                              ? `${key === "buffer" ? "Buffer" : "Cap"}: ${masterSafety[key]} (default)`
+                                              : key === "buffer" ? "No buffer" : "No cap"
+                                          }
+                                          onChange={(value) =>
+                                            setChildSafety(prev => ({
+                                              ...prev,
+                                              [childId]: { ...(prev[childId] || {}), [key]: value }
+                                            }))
+                                          }
+                                          onBlur={() => handleUpdateChildSafety(childId)}
+                                          autoComplete="off"
+                                        />
+                                      </div>
+                                    ))}
                                   </td>
                                   <td
                                     style={{
@@ -2066,6 +2362,36 @@ export default function SyncVariantModal({ variantId, onClose, onUpdate }) {
                   </div>
                 </Card>
               )}
+
+              {/* Bundle components - Only show for variants that are not masters */}
+              {!master && variantData?.masterMetafield?.value !== "true" && (
+                <BundleComponentsCard
+                  variantId={variantId}
+                  setError={setError}
+                  onSaved={handleBundleSaved}
+                />
+              )}
+
+              {/* Safety stock defaults - Only show for saved master variants */}
+              {master && !isChild && variantData?.masterMetafield?.value === "true" && (
+                <SafetyStockCard
+                  variantId={variantId}
+                  buffer={variantData?.bufferMetafield?.value ?? ""}
+                  cap={variantData?.capMetafield?.value ?? ""}
+                  setError={setError}
+                  onSaved={handleMasterSafetySaved}
+                />
+              )}
+
+              {/* Location rules - Only show for saved master variants */}
+              {master && !isChild && variantData?.masterMetafield?.value === "true" && (
+                <MasterLocationRuleCard variantId={variantId} setError={setError} />
+              )}
+
+              {/* Sync pause - Only show for saved master variants */}
+              {master && !isChild && variantData?.masterMetafield?.value === "true" && (
+                <MasterPauseCard variantId={variantId} setError={setError} />
+              )}
             </BlockStack>
           )}
         </Modal.Section>
@@ -4,7 +4,14 @@ import { RemixServer } from "@remix-run/react";
 import { createReadableStreamFromReadable } from "@remix-run/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
-import { loader as metafieldsLoader } from "./routes/models/metafields.app";
+import { startAggregatorWorker } from "./server/webhooks.inventory-update.helpers.server.js";
+import { startDriftReconciliationScheduler } from "./server/drift-reconciliation.server.js";
+import { startDeletedVariantWorker } from "./server/deleted-variants.server.js";
+
+// Resume any inventory windows left pending by a previous process.
+startAggregatorWorker();
+startDriftReconciliationScheduler();
+startDeletedVariantWorker();
 
 export const streamTimeout = 5000;
 
@@ -20,9 +27,6 @@ export default async function handleRequest(
   // Luego agregamos nuestras propias cabeceras cruciales para iframes
   responseHeaders.set('Content-Security-Policy', "frame-ancestors https://*.myshopify.com https://admin.shopify.com;");
   responseHeaders.set('X-Frame-Options', 'ALLOW-FROM https://admin.shopify.com');
-  
-  // El resto permanece igual
-  await metafieldsLoader({ request });
 
   const userAgent = request.headers.get("user-agent");
   const callbackName = isbot(userAgent ?? "") ? "onAllReady" : "onShellReady";
@@ -1,5 +1,10 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
+import {
+  METAFIELD_KEYS,
+  metafieldSelection,
+  preferAppMetafields,
+} from "../utils/metafield-utils.js";
 
 /**
  * API endpoint to fetch paginated products for the Add Children modal
@@ -53,24 +58,9 @@ export async function loader({ request }) {
                   image {
                     originalSrc
                   }
-                  masterMetafield: metafield(
-                    namespace: "projektstocksyncmaster"
-                    key: "master"
-                  ) {
-                    value
-                  }
-                  childrenMetafield: metafield(
-                    namespace: "projektstocksyncchildren"
-                    key: "childrenkey"
-                  ) {
-                    value
-                  }
-                  parentMasterMetafield: metafield(
-                    namespace: "projektstocksyncparentmaster"
-                    key: "parentmaster"
-                  ) {
-                    value
-                  }
+                  ${metafieldSelection("masterMetafield", METAFIELD_KEYS.MASTER)}
+                  ${metafieldSelection("childrenMetafield", METAFIELD_KEYS.CHILDREN)}
+                  ${metafieldSelection("parentMasterMetafield", METAFIELD_KEYS.PARENT_MASTER)}
                 }
               }
             }
@@ -85,7 +75,7 @@ export async function loader({ request }) {
         }
       });
       
-      const variantData = await variantResponse.json();
+      const variantData = preferAppMetafields(await variantResponse.json());
       
       // Process the additional variants
       const processedVariants = variantData.data.product.variants.edges.map(variantEdge => {
@@ -192,24 +182,9 @@ export async function loader({ request }) {
                     image {
                       originalSrc
                     }
-                    masterMetafield: metafield(
-                      namespace: "projektstocksyncmaster"
-                      key: "master"
-                    ) {
-                      value
-                    }
-                    childrenMetafield: metafield(
-                      namespace: "projektstocksyncchildren"
-                      key: "childrenkey"
-                    ) {
-                      value
-                    }
-                    parentMasterMetafield: metafield(
-                      namespace: "projektstocksyncparentmaster"
-                      key: "parentmaster"
-                    ) {
-                      value
-                    }
+                    ${metafieldSelection("masterMetafield", METAFIELD_KEYS.MASTER)}
+                    ${metafieldSelection("childrenMetafield", METAFIELD_KEYS.CHILDREN)}
+                    ${metafieldSelection("parentMasterMetafield", METAFIELD_KEYS.PARENT_MASTER)}
                   }
                 }
               }
@@ -233,7 +208,7 @@ export async function loader({ request }) {
     
     // Execute the GraphQL query
     const response = await admin.graphql(query, { variables });
-    const { data } = await response.json();
+    const { data } = preferAppMetafields(await response.json());
     
     console.log("GraphQL response received. Products count:", data.products.edges.length);
     
@@ -0,0 +1,106 @@
+// app/routes/api.bundle-components.jsx
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import {
+  getBundle,
+  saveBundleComponents,
+  searchMasterVariants,
+  bundleQuantityFromComponents,
+} from "../server/bundles.server.js";
+import { seedRelationshipBaselines } from "../server/qty-baselines.server.js";
+import { setChildMasters } from "../server/relationships.server.js";
+
+/**
+ * Bundle qty from the components' total inventory. `masterId`/`masterQty`
+ * let the master modal preview a quantity it has not saved yet.
+ */
+function computeBundleQty(components, masterId, masterQty) {
+  return bundleQuantityFromComponents(
+    components.map((component) => ({
+      qty:
+        masterId && component.masterVariantId === masterId
+          ? masterQty
+          : component.inventoryQuantity,
+      ratio: component.ratio,
+    }))
+  );
+}
+
+/**
+ * GET  ?variantId=gid://shopify/ProductVariant/123[&q=search][&masterId=...&masterQty=10]
+ *   => { components, bundleQty, candidates }
+ *      candidates are MASTER variants matching "q" (only when q is given).
+ *
+ * POST { "variantId": "...", "components": [{ "masterVariantId": "...", "ratio": 2 }] }
+ *   => saves the bundle; an empty list turns it back into a standard variant.
+ * ------------------------------------------------------------------
+ */
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const variantId = url.searchParams.get("variantId");
+  if (!variantId) {
+    return json({ error: "No variantId provided." }, { status: 400 });
+  }
+
+  try {
+    const searchQuery = url.searchParams.get("q");
+    const masterId = url.searchParams.get("masterId");
+    const masterQty = Number(url.searchParams.get("masterQty"));
+
+    const [bundle, candidates] = await Promise.all([
+      getBundle(admin, variantId),
+      searchQuery !== null ? searchMasterVariants(admin, searchQuery) : Promise.resolve([]),
+    ]);
+
+    return json({
+      components: bundle.components,
+      bundleQty: computeBundleQty(bundle.components, masterId, masterQty),
+      candidates: candidates.filter((c) => c.masterVariantId !== variantId),
+    });
+  } catch (error) {
+    console.error("Error loading bundle components:", error);
+    return json({ error: error.message }, { status: 500 });
+  }
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  try {
+    const { variantId, components } = await request.json();
+    if (!variantId) {
+      throw new Error("No variantId provided.");
+    }
+
+    const adminHeaders = { "X-Shopify-Access-Token": session.accessToken };
+    const bundle = await saveBundleComponents(admin, session.shop, variantId, components || []);
+    await setChildMasters(
+      session.shop,
+      adminHeaders,
+      variantId,
+      bundle.components.map((c) => c.masterVariantId),
+      { ratios: new Map(bundle.components.map((c) => [c.masterVariantId, c.ratio])) }
+    );
+    if (bundle.components.length > 0) {
+      try {
+        await seedRelationshipBaselines(
+          session.shop,
+          adminHeaders,
+          bundle.components.map((c) => c.masterVariantId),
+          [variantId]
+        );
+      } catch (err) {
+        console.error("Error seeding bundle baselines:", err);
+      }
+    }
+    return json({
+      success: true,
+      components: bundle.components,
+      bundleQty: computeBundleQty(bundle.components),
+    });
+  } catch (error) {
+    console.error("Error saving bundle components:", error);
+    return json({ error: error.message }, { status: 400 });
+  }
+};
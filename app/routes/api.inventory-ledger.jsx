@@ -0,0 +1,64 @@
+// app/routes/api.inventory-ledger.jsx
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { getLedgerQuantityAt, getLedgerHistory } from "../server/inventory-ledger.server.js";
+
+/**
+ * GET  ?variantId=gid://shopify/ProductVariant/123 (or inventoryItemId=...)
+ *      [&locationId=456][&at=2026-10-19T12:00:00Z][&from=...&to=...][&limit=100]
+ *   => { inventoryItemId, entries, quantityAt }
+ *      entries are ledger rows (newest first); quantityAt is the level
+ *      reconstructed at "at" and is only returned when locationId and at
+ *      are both given.
+ * ------------------------------------------------------------------
+ */
+async function getInventoryItemId(admin, variantId) {
+  const response = await admin.graphql(
+    `#graphql
+    query ledgerVariant($id: ID!) {
+      productVariant(id: $id) {
+        inventoryItem {
+          id
+        }
+      }
+    }`,
+    { variables: { id: variantId } }
+  );
+  const data = await response.json();
+  return data?.data?.productVariant?.inventoryItem?.id || null;
+}
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const params = new URL(request.url).searchParams;
+
+  try {
+    const variantId = params.get("variantId");
+    const inventoryItemId =
+      params.get("inventoryItemId") || (variantId ? await getInventoryItemId(admin, variantId) : null);
+    if (!inventoryItemId) {
+      return json({ error: "No variantId or inventoryItemId provided." }, { status: 400 });
+    }
+
+    const locationId = params.get("locationId");
+    const at = params.get("at");
+    const [entries, reconstructed] = await Promise.all([
+      getLedgerHistory(session.shop, inventoryItemId, {
+        locationId,
+        from: params.get("from"),
+        to: params.get("to"),
+        limit: Number(params.get("limit")) || 100,
+      }),
+      locationId && at ? getLedgerQuantityAt(session.shop, inventoryItemId, locationId, at) : null,
+    ]);
+
+    return json({
+      inventoryItemId,
+      entries,
+      quantityAt: reconstructed ? reconstructed.quantity : null,
+    });
+  } catch (error) {
+    console.error("Error loading inventory ledger:", error);
+    return json({ error: error.message }, { status: 500 });
+  }
+};
@@ -0,0 +1,62 @@
+// app/routes/api.master-location-rule.jsx
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import {
+  getLocationRule,
+  saveMasterLocationRule,
+  deleteMasterLocationRule,
+  fetchShopLocations,
+} from "../server/location-rules.server.js";
+
+/**
+ * GET  ?variantId=gid://shopify/ProductVariant/123
+ *   => { locations, rule } where rule.source is "master" when the MASTER
+ *      has its own override and "shop" when it inherits the shop default.
+ *
+ * POST { "variantId": "...", "mode": "SELECTED", "locationIds": ["123"] }
+ *   => saves an override for this MASTER.
+ * POST { "variantId": "...", "reset": true }
+ *   => removes the override so the shop default applies again.
+ * ------------------------------------------------------------------
+ */
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const variantId = new URL(request.url).searchParams.get("variantId");
+  if (!variantId) {
+    return json({ error: "No variantId provided." }, { status: 400 });
+  }
+
+  try {
+    const [locations, rule] = await Promise.all([
+      fetchShopLocations(admin),
+      getLocationRule(session.shop, variantId),
+    ]);
+    return json({ locations, rule });
+  } catch (error) {
+    console.error("Error loading location rule:", error);
+    return json({ error: error.message }, { status: 500 });
+  }
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  try {
+    const { variantId, mode, locationIds, reset } = await request.json();
+    if (!variantId) {
+      throw new Error("No variantId provided.");
+    }
+
+    if (reset) {
+      await deleteMasterLocationRule(session.shop, variantId);
+    } else {
+      await saveMasterLocationRule(session.shop, variantId, mode, locationIds);
+    }
+
+    const rule = await getLocationRule(session.shop, variantId);
+    return json({ success: true, rule });
+  } catch (error) {
+    console.error("Error saving location rule:", error);
+    return json({ error: error.message }, { status: 400 });
+  }
+};
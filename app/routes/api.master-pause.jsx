@@ -0,0 +1,59 @@
+// app/routes/api.master-pause.jsx
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { getMasterPausedAt, isShopSyncPaused, pauseMasterSync } from "../server/sync-pause.server.js";
+import { parseResumeMode, resumeMasterSync } from "../server/sync-resume.server.js";
+
+/**
+ * GET  ?variantId=gid://shopify/ProductVariant/123
+ *   => { pausedAt, shopPaused } where pausedAt is null while the MASTER syncs.
+ *
+ * POST { "variantId": "...", "paused": true }
+ *   => stops syncing this MASTER and its CHILDREN.
+ * POST { "variantId": "...", "paused": false, "mode": "RECOMPUTE" | "REBASELINE" }
+ *   => recomputes the CHILDREN or re-baselines oldQty, then resumes.
+ * ------------------------------------------------------------------
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const variantId = new URL(request.url).searchParams.get("variantId");
+  if (!variantId) {
+    return json({ error: "No variantId provided." }, { status: 400 });
+  }
+
+  try {
+    const [pausedAt, shopPaused] = await Promise.all([
+      getMasterPausedAt(session.shop, variantId),
+      isShopSyncPaused(session.shop),
+    ]);
+    return json({ pausedAt, shopPaused });
+  } catch (error) {
+    console.error("Error loading master pause:", error);
+    return json({ error: error.message }, { status: 500 });
+  }
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  try {
+    const { variantId, paused, mode } = await request.json();
+    if (!variantId) {
+      throw new Error("No variantId provided.");
+    }
+
+    let resumed = null;
+    if (paused) {
+      await pauseMasterSync(session.shop, variantId);
+    } else {
+      const adminHeaders = { "X-Shopify-Access-Token": session.accessToken };
+      resumed = await resumeMasterSync(session.shop, adminHeaders, variantId, parseResumeMode(mode));
+    }
+
+    const pausedAt = await getMasterPausedAt(session.shop, variantId);
+    return json({ success: true, pausedAt, resumed });
+  } catch (error) {
+    console.error("Error saving master pause:", error);
+    return json({ error: error.message }, { status: 400 });
+  }
+};
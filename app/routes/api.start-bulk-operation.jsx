@@ -1,5 +1,6 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
+import { METAFIELD_KEYS, metafieldSelection } from "../utils/metafield-utils.js";
 
 /**
  * API endpoint to manually start a bulk operation for syncing product data
@@ -48,27 +49,9 @@ export async function action({ request }) {
                           id
                           originalSrc
                         }
-                        masterMetafield: metafield(
-                          namespace: "projektstocksyncmaster"
-                          key: "master"
-                        ) {
-                          id
-                          value
-                        }
-                        childrenMetafield: metafield(
-                          namespace: "projektstocksyncchildren"
-                          key: "childrenkey"
-                        ) {
-                          id
-                          value
-                        }
-                        parentMasterMetafield: metafield(
-                          namespace: "projektstocksyncparentmaster"
-                          key: "parentmaster"
-                        ) {
-                          id
-                          value
-                        }
+                        ${metafieldSelection("masterMetafield", METAFIELD_KEYS.MASTER, "id value")}
+                        ${metafieldSelection("childrenMetafield", METAFIELD_KEYS.CHILDREN, "id value")}
+                        ${metafieldSelection("parentMasterMetafield", METAFIELD_KEYS.PARENT_MASTER, "id value")}
                       }
                     }
                   }
@@ -1,6 +1,11 @@
 // app/api/sync-product.js
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server"; // Adjust the path as needed
+import {
+  METAFIELD_KEYS,
+  metafieldSelection,
+  preferAppMetafields,
+} from "../utils/metafield-utils.js";
 
 /**
  * Loader for fetching the latest data for a single variant.
@@ -8,7 +13,7 @@ import { authenticate } from "../shopify.server"; // Adjust the path as needed
  *
  * The GraphQL query retrieves:
  *  - The variant's basic info (id, title, inventoryQuantity, image, sku)
- *  - The master metafield ("projektstocksyncmaster") and children metafield ("projektstocksyncchildren")
+ *  - The master, children, ratio and safety stock metafields ($app:stocksync, legacy namespaces as fallback)
  *  - The product context (id, title, first image)
  *
  * The endpoint returns a JSON object with the property "product" containing the variant details.
@@ -36,25 +41,14 @@ export const loader = async ({ request }) => {
           image {
             originalSrc
           }
-          masterMetafield: metafield(namespace: "projektstocksyncmaster", key: "master") {
-            id
-            value
-          }
-          parentMasterMetafield: metafield(namespace: "projektstocksyncparentmaster", key: "parentmaster") {
-            id
-            value
-          }
-          ratioMetafield: metafield(
-            namespace: "projektstocksyncqtymanagement"
-            key: "qtymanagement"
-          ) {
-            id
-            value
-          }  
-          childrenMetafield: metafield(namespace: "projektstocksyncchildren", key: "childrenkey") {
-            id
-            value
-          }
+          ${metafieldSelection("masterMetafield", METAFIELD_KEYS.MASTER, "id value")}
+          ${metafieldSelection("parentMasterMetafield", METAFIELD_KEYS.PARENT_MASTER, "id value")}
+          ${metafieldSelection("ratioMetafield", METAFIELD_KEYS.QTY_MANAGEMENT, "id value")}
+          ${metafieldSelection("decimalRatioMetafield", METAFIELD_KEYS.RATIO, "id value")}
+          ${metafieldSelection("roundingMetafield", METAFIELD_KEYS.ROUNDING, "id value")}
+          ${metafieldSelection("bufferMetafield", METAFIELD_KEYS.BUFFER, "id value")}
+          ${metafieldSelection("capMetafield", METAFIELD_KEYS.CAP, "id value")}
+          ${metafieldSelection("childrenMetafield", METAFIELD_KEYS.CHILDREN, "id value")}
           product {
             id
             title
@@ -73,7 +67,7 @@ export const loader = async ({ request }) => {
   
   // Execute the GraphQL query.
   const response = await admin.graphql(query, { variables: { id: variantId } });
-  const result = await response.json();
+  const result = preferAppMetafields(await response.json());
   if (result.errors) {
     console.error("Error fetching variant:", result.errors);
     throw new Response("Error fetching variant data", { status: 500 });
@@ -1,6 +1,14 @@
 // app/api/sync-variant-update.js
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server"; // Adjust path as needed
+import { validateRelationshipWrite } from "../server/relationship-graph.server.js";
+import { setMasterChildren, mirrorRelationshipMetafields } from "../server/relationships.server.js";
+import {
+  METAFIELD_NAMESPACE,
+  METAFIELD_KEYS,
+  metafieldSelection,
+  preferAppMetafields,
+} from "../utils/metafield-utils.js";
 
 /**
  * Action for updating a single variant synchronously.
@@ -31,6 +39,15 @@ export const action = async ({ request }) => {
   // Authenticate the admin request.
   const { session, admin } = await authenticate.admin(request);
 
+  // Refuse master/children combinations the sync cannot handle (cycles, two masters, ...)
+  const relationshipError = await validateRelationshipWrite(admin, session.shop, variantId, {
+    master: master === true || master === "true",
+    children: Array.isArray(children) ? children : [],
+  });
+  if (relationshipError) {
+    return json({ error: relationshipError }, { status: 400 });
+  }
+
   // Build the mutation.
   // We use productVariantUpdate to update the variant.
   // Note: Depending on your Shopify Admin API version, updating inventory may require separate mutations.
@@ -42,14 +59,8 @@ export const action = async ({ request }) => {
           id
           title
           inventoryQuantity
-          masterMetafield: metafield(namespace: "projektstocksyncmaster", key: "master") {
-            id
-            value
-          }
-          childrenMetafield: metafield(namespace: "projektstocksyncchildren", key: "childrenkey") {
-            id
-            value
-          }
+          ${metafieldSelection("masterMetafield", METAFIELD_KEYS.MASTER, "id value")}
+          ${metafieldSelection("childrenMetafield", METAFIELD_KEYS.CHILDREN, "id value")}
         }
         userErrors {
           field
@@ -84,13 +95,10 @@ export const action = async ({ request }) => {
   // For master flag (using boolean type):
   const updateMasterMetafieldMutation = `
     mutation UpdateMasterMetafield($variantId: ID!, $value: Boolean!) {
-      productVariantUpdate(input: { id: $variantId, metafields: [{ namespace: "projektstocksyncmaster", key: "master", value: $value, type: "boolean" }] }) {
+      productVariantUpdate(input: { id: $variantId, metafields: [{ namespace: "${METAFIELD_NAMESPACE}", key: "${METAFIELD_KEYS.MASTER}", value: $value, type: "boolean" }] }) {
         productVariant {
           id
-          masterMetafield: metafield(namespace: "projektstocksyncmaster", key: "master") {
-            id
-            value
-          }
+          ${metafieldSelection("masterMetafield", METAFIELD_KEYS.MASTER, "id value")}
         }
         userErrors {
           field
@@ -107,13 +115,10 @@ export const action = async ({ request }) => {
   // Note: This expects an array of variant IDs
   const updateChildrenMetafieldMutation = `
     mutation UpdateChildrenMetafield($variantId: ID!, $value: String!) {
-      productVariantUpdate(input: { id: $variantId, metafields: [{ namespace: "projektstocksyncchildren", key: "childrenkey", value: $value, type: "list.variant_reference" }] }) {
+      productVariantUpdate(input: { id: $variantId, metafields: [{ namespace: "${METAFIELD_NAMESPACE}", key: "${METAFIELD_KEYS.CHILDREN}", value: $value, type: "list.variant_reference" }] }) {
         productVariant {
           id
-          childrenMetafield: metafield(namespace: "projektstocksyncchildren", key: "childrenkey") {
-            id
-            value
-          }
+          ${metafieldSelection("childrenMetafield", METAFIELD_KEYS.CHILDREN, "id value")}
         }
         userErrors {
           field
@@ -129,6 +134,16 @@ export const action = async ({ request }) => {
     variables: { variantId, value: JSON.stringify(children) },
   });
 
+  // Store the links and point the added/removed children back at this master
+  const adminHeaders = { "X-Shopify-Access-Token": session.accessToken };
+  const { added, removed } = await setMasterChildren(
+    session.shop,
+    adminHeaders,
+    variantId,
+    Array.isArray(children) ? children : []
+  );
+  await mirrorRelationshipMetafields(session.shop, adminHeaders, { childVariantIds: [...added, ...removed] });
+
   // Finally, perform a synchronous query to fetch the updated variant data.
   const syncQuery = `
     query GetVariant($id: ID!) {
@@ -140,14 +155,8 @@ export const action = async ({ request }) => {
           image {
             originalSrc
           }
-          masterMetafield: metafield(namespace: "projektstocksyncmaster", key: "master") {
-            id
-            value
-          }
-          childrenMetafield: metafield(namespace: "projektstocksyncchildren", key: "childrenkey") {
-            id
-            value
-          }
+          ${metafieldSelection("masterMetafield", METAFIELD_KEYS.MASTER, "id value")}
+          ${metafieldSelection("childrenMetafield", METAFIELD_KEYS.CHILDREN, "id value")}
           product {
             id
             title
@@ -164,7 +173,7 @@ export const action = async ({ request }) => {
     }
   `;
   const syncResponse = await admin.graphql(syncQuery, { variables: { id: variantId } });
-  const syncResult = await syncResponse.json();
+  const syncResult = preferAppMetafields(await syncResponse.json());
   if (syncResult.errors) {
     console.error("Error fetching updated variant:", syncResult.errors);
     return json({ error: "Error fetching updated variant data" }, { status: 500 });
@@ -1,12 +1,23 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server"; // Adjust path if needed
+import {
+  getLocationRule,
+  getDefaultRuleLocation,
+  normaliseLocationId,
+} from "../server/location-rules.server.js";
+import {
+  METAFIELD_KEYS,
+  metafieldSelection,
+  preferAppMetafields,
+} from "../utils/metafield-utils.js";
 
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
 
   try {
     // 1) Parse the JSON body from the client
-    const { variantId, newQuantity } = await request.json();
+    //    "locationId" is optional; without it we follow the MASTER's location rule
+    const { variantId, newQuantity, locationId: requestedLocationId } = await request.json();
     if (!variantId) {
       throw new Error("No variantId provided.");
     }
@@ -24,13 +35,9 @@ export const action = async ({ request }) => {
             id
           }
           # Check if this variant is master
-          masterMetafield: metafield(namespace: "projektstocksyncmaster", key: "master") {
-            value
-          }
+          ${metafieldSelection("masterMetafield", METAFIELD_KEYS.MASTER)}
           # If it is master, we parse children from here
-          childrenMetafield: metafield(namespace: "projektstocksyncchildren", key: "childrenkey") {
-            value
-          }
+          ${metafieldSelection("childrenMetafield", METAFIELD_KEYS.CHILDREN)}
         }
       }
       `,
@@ -41,7 +48,7 @@ export const action = async ({ request }) => {
       }
     );
 
-    const variantDataJson = await variantDataResponse.json();
+    const variantDataJson = preferAppMetafields(await variantDataResponse.json());
     const masterVariantNode = variantDataJson?.data?.productVariant;
     if (!masterVariantNode) {
       throw new Error(`Could not find variant with ID: ${variantId}`);
@@ -52,16 +59,11 @@ export const action = async ({ request }) => {
       throw new Error("Could not find inventoryItem for this variant.");
     }
 
-    // 2) Determine how much to adjust the Master variant inventory by
-    //    "newQuantity" is the final quantity desired. We compute the difference (delta).
-    const masterCurrentQuantity = masterVariantNode.inventoryQuantity ?? 0;
-    const masterDelta = newQuantity - masterCurrentQuantity;
-
     // NEW: Fetch the store's locations to avoid hardcoding
     const locationResponse = await admin.graphql(
       `#graphql
       query getLocations {
-        locations(first: 10) {
+        locations(first: 50) {
           edges {
             node {
               id
@@ -82,8 +84,23 @@ export const action = async ({ request }) => {
       throw new Error("Could not find any locations for this store.");
     }
 
+    // An explicit location wins, then the location rule, then the primary location
+    const ruleLocationId = requestedLocationId
+      ? normaliseLocationId(requestedLocationId)
+      : getDefaultRuleLocation(await getLocationRule(session.shop, variantId));
+
+    let selectedLocation = ruleLocationId
+      ? locationEdges.find(edge => normaliseLocationId(edge.node.id) === ruleLocationId)
+      : null;
+
+    if (ruleLocationId && !selectedLocation) {
+      throw new Error(`Location ${ruleLocationId} was not found for this store.`);
+    }
+
     // Try to find the primary location first
-    let selectedLocation = locationEdges.find(edge => edge.node.isPrimary && edge.node.isActive);
+    if (!selectedLocation) {
+      selectedLocation = locationEdges.find(edge => edge.node.isPrimary && edge.node.isActive);
+    }
 
     // If no primary location, take the first active one
     if (!selectedLocation) {
@@ -98,6 +115,14 @@ export const action = async ({ request }) => {
     const locationId = selectedLocation.node.id;
     console.log(`Using location: ${selectedLocation.node.name} (${locationId})`);
 
+    // 2) Determine how much to adjust the Master variant inventory by
+    //    "newQuantity" is the final quantity desired. We compute the difference (delta).
+    //    When a specific location was chosen we compare against that location only.
+    const masterCurrentQuantity = ruleLocationId
+      ? await getLocationAvailable(admin, masterVariantNode.inventoryItem.id, locationId)
+      : masterVariantNode.inventoryQuantity ?? 0;
+    const masterDelta = newQuantity - masterCurrentQuantity;
+
     // If there's any difference, adjust the Master variant's inventory
     if (masterDelta !== 0) {
       await adjustVariantInventory({
@@ -185,6 +210,32 @@ export const action = async ({ request }) => {
   }
 };
 
+/**
+ * Helper function to read the "available" quantity of an inventoryItem at one location.
+ */
+async function getLocationAvailable(admin, inventoryItemId, locationId) {
+  const levelResponse = await admin.graphql(
+    `#graphql
+    query getInventoryLevel($inventoryItemId: ID!, $locationId: ID!) {
+      inventoryItem(id: $inventoryItemId) {
+        inventoryLevel(locationId: $locationId) {
+          quantities(names: ["available"]) {
+            name
+            quantity
+          }
+        }
+      }
+    }`,
+    {
+      variables: { inventoryItemId, locationId },
+    }
+  );
+
+  const levelData = await levelResponse.json();
+  const quantities = levelData?.data?.inventoryItem?.inventoryLevel?.quantities || [];
+  return quantities.find((q) => q.name === "available")?.quantity ?? 0;
+}
+
 /**
  * Helper function to adjust inventory for a single inventoryItem in a specified location.
  * It uses Shopify's `inventoryAdjustQuantities` GraphQL mutation.
@@ -2,6 +2,7 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server"; // Adjust path if needed
 import prisma from "../db.server.js"; // Adjust path if needed
+import { METAFIELD_NAMESPACE, METAFIELD_KEYS } from "../utils/metafield-utils.js";
 
 /**
  * This route accepts a POST request with JSON such as:
@@ -13,7 +14,7 @@ import prisma from "../db.server.js"; // Adjust path if needed
  *  2) Stores the newQty into our Prisma database as 'oldQuantity'
  *     (just as your webhook logic does).
  *  3) Updates the 'qtyold' metafield in Shopify for reference,
- *     using the 'projektstocksyncqtyold' namespace.
+ *     in the app's $app:stocksync namespace.
  * ------------------------------------------------------------------
  */
 
@@ -53,8 +54,8 @@ async function setQtyOldValueShopify(adminApiHeaders, shopDomain, variantId, new
     metafields: [
       {
         ownerId: variantId,
-        namespace: "projektstocksyncqtyold",
-        key: "qtyold",
+        namespace: METAFIELD_NAMESPACE,
+        key: METAFIELD_KEYS.QTY_OLD,
         type: "number_integer",
         value: String(newQty),
       },
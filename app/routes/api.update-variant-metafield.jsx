@@ -1,5 +1,95 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server"; // Adjust this path as needed
+import { dispatchWebhookEvent } from "../server/webhook-endpoints.server.js";
+import { seedRelationshipBaselines } from "../server/qty-baselines.server.js";
+import { validateRelationshipWrite } from "../server/relationship-graph.server.js";
+import {
+  setChildMasters,
+  setMasterChildren,
+  mirrorRelationshipMetafields,
+} from "../server/relationships.server.js";
+import { WEBHOOK_EVENT_TYPES, RATIO_ROUNDING } from "../utils/sync-constants.js";
+import {
+  METAFIELD_NAMESPACE,
+  METAFIELD_KEYS,
+  LEGACY_METAFIELD_NAMESPACES,
+  isStockSyncNamespace,
+  metafieldSelection,
+  preferAppMetafields,
+} from "../utils/metafield-utils.js";
+
+/**
+ * Reads the current parent master of a child so we can tell whether
+ * a "parentmaster" write links, unlinks or moves the child.
+ */
+async function getCurrentParentMaster(admin, variantId) {
+  const response = await admin.graphql(
+    `#graphql
+    query getParentMaster($id: ID!) {
+      productVariant(id: $id) {
+        ${metafieldSelection("parentMaster", METAFIELD_KEYS.PARENT_MASTER)}
+      }
+    }`,
+    { variables: { id: variantId } }
+  );
+  const data = preferAppMetafields(await response.json());
+  try {
+    const parsed = JSON.parse(data?.data?.productVariant?.parentMaster?.value || "[]");
+    return Array.isArray(parsed) && parsed.length > 0 ? parsed[0] : null;
+  } catch {
+    return null;
+  }
+}
+
+const CLEARABLE_KEYS = [METAFIELD_KEYS.BUFFER, METAFIELD_KEYS.CAP];
+
+/**
+ * The relationship change a write makes, or null for any other metafield.
+ */
+function relationshipChange(namespace, key, processedValue) {
+  if (namespace !== METAFIELD_NAMESPACE) return null;
+  if (key === METAFIELD_KEYS.MASTER) {
+    return processedValue === "true" ? { master: true } : null;
+  }
+  if (key === METAFIELD_KEYS.CHILDREN) {
+    return { children: JSON.parse(processedValue) };
+  }
+  if (key === METAFIELD_KEYS.PARENT_MASTER) {
+    return { parentMasters: JSON.parse(processedValue) };
+  }
+  return null;
+}
+
+/**
+ * Removes an optional metafield so the fallback (e.g. the master default) applies again.
+ * A value left in the legacy namespace would be read instead, so it goes too.
+ */
+async function deleteVariantMetafield(admin, variantId, key) {
+  const response = await admin.graphql(
+    `#graphql
+    mutation metafieldsDeleteVariant($metafields: [MetafieldIdentifierInput!]!) {
+      metafieldsDelete(metafields: $metafields) {
+        deletedMetafields {
+          key
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    {
+      variables: {
+        metafields: [
+          { ownerId: variantId, namespace: METAFIELD_NAMESPACE, key },
+          { ownerId: variantId, namespace: LEGACY_METAFIELD_NAMESPACES[key], key },
+        ],
+      },
+    }
+  );
+  const data = await response.json();
+  return data?.data?.metafieldsDelete?.userErrors || [];
+}
 
 /**
  * Action function to update a variant-level metafield.
@@ -8,11 +98,15 @@ import { authenticate } from "../shopify.server"; // Adjust this path as needed
  */
 export async function action({ request }) {
   // 1) Get the Shopify Admin API client.
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
   
   // 2) Parse the request body.
   let { variantId, namespace, key, value, type } = await request.json();
   console.log("update-variant-metafield => Inicio", { variantId, namespace, key, value, type });
+  // Clients opened before the namespace move still send the legacy namespaces
+  if (isStockSyncNamespace(namespace, key)) {
+    namespace = METAFIELD_NAMESPACE;
+  }
   
   try {
     // 3) Build the GraphQL mutation to set a variant-level metafield.
@@ -51,6 +145,27 @@ export async function action({ request }) {
       else if (key === "qtymanagement" || key === "qtyold") {
         metafieldType = "number_integer";
       }
+      else if (key === "ratio") {
+        metafieldType = "number_decimal";
+      }
+      else if (key === "rounding") {
+        metafieldType = "single_line_text_field";
+      }
+      else if (key === "buffer" || key === "cap") {
+        metafieldType = "number_integer";
+      }
+    }
+
+    // Safety stock values are optional: an empty value clears them
+    const isClearableKey =
+      namespace === METAFIELD_NAMESPACE && CLEARABLE_KEYS.includes(key);
+    if (isClearableKey && (value === "" || value === null || value === undefined)) {
+      const errors = await deleteVariantMetafield(admin, variantId, key);
+      if (errors.length) {
+        console.error("Shopify metafieldsDelete userErrors:", errors);
+        return json({ success: false, errors }, { status: 400 });
+      }
+      return json({ success: true, metafields: [] });
     }
     
     // 5) Process the value based on the metafield type
@@ -94,6 +209,9 @@ export async function action({ request }) {
         if (isNaN(intValue)) {
           throw new Error(`Invalid number: ${value}`);
         }
+        if (isClearableKey && intValue < 0) {
+          throw new Error(`The ${key} cannot be negative.`);
+        }
         
         // Convert to string for Shopify
         processedValue = String(intValue);
@@ -103,7 +221,40 @@ export async function action({ request }) {
         throw new Error(`Error processing ${key} as number_integer: ${e.message}`);
       }
     }
+    else if (metafieldType === "number_decimal") {
+      const decimalValue = typeof value === 'string' ? parseFloat(value) : Number(value);
+      if (!Number.isFinite(decimalValue)) {
+        throw new Error(`Invalid decimal number for ${key}: ${value}`);
+      }
+      if (key === "ratio" && decimalValue <= 0) {
+        throw new Error("The ratio must be greater than 0.");
+      }
+      processedValue = String(decimalValue);
+      console.log(`Procesando valor number_decimal: ${value} -> ${processedValue}`);
+    }
+    else if (key === "rounding") {
+      processedValue = String(value || "").toUpperCase();
+      if (!RATIO_ROUNDING[processedValue]) {
+        throw new Error(`Unknown rounding mode: ${value}`);
+      }
+    }
     
+    // Reject writes that would break the MASTER/CHILD graph (cycles, two masters, ...)
+    const change = relationshipChange(namespace, key, processedValue);
+    if (change) {
+      const relationshipError = await validateRelationshipWrite(admin, session.shop, variantId, change);
+      if (relationshipError) {
+        console.log(`update-variant-metafield => rejected: ${relationshipError}`);
+        return json({ success: false, error: relationshipError }, { status: 400 });
+      }
+    }
+
+    // Remember the previous parent so relationship webhooks can be sent afterwards
+    const isParentMasterWrite = namespace === METAFIELD_NAMESPACE && key === METAFIELD_KEYS.PARENT_MASTER;
+    const previousMasterId = isParentMasterWrite
+      ? await getCurrentParentMaster(admin, variantId)
+      : null;
+
     // 6) Prepare variables for the mutation.
     const variables = {
       input: [
@@ -147,7 +298,51 @@ export async function action({ request }) {
       data?.data?.metafieldsSet?.metafields
     );
     
-    // 9) Return success.
+    // Store the links only once Shopify took the value, so a rejected write
+    // leaves the Relationship table (what the sync reads) untouched
+    const adminHeaders = { "X-Shopify-Access-Token": session.accessToken };
+    let mirror = null;
+    if (change?.children) {
+      const { added, removed } = await setMasterChildren(session.shop, adminHeaders, variantId, change.children);
+      mirror = { childVariantIds: [...added, ...removed] };
+    } else if (change?.parentMasters) {
+      const { added, removed } = await setChildMasters(session.shop, adminHeaders, variantId, change.parentMasters);
+      mirror = { masterVariantIds: [...added, ...removed] };
+    }
+
+    // The other side of every changed link mirrors the table as well
+    if (mirror) {
+      await mirrorRelationshipMetafields(session.shop, adminHeaders, mirror);
+    }
+
+    // 9) Notify webhook endpoints about relationship changes (not awaited)
+    if (isParentMasterWrite) {
+      const parsedNew = JSON.parse(processedValue);
+      const newMasterId = parsedNew.length > 0 ? parsedNew[0] : null;
+      if (previousMasterId && previousMasterId !== newMasterId) {
+        dispatchWebhookEvent(session.shop, WEBHOOK_EVENT_TYPES.RELATIONSHIP_REMOVED, {
+          data: { masterVariantId: previousMasterId, childVariantId: variantId },
+        });
+      }
+      if (newMasterId && newMasterId !== previousMasterId) {
+        dispatchWebhookEvent(session.shop, WEBHOOK_EVENT_TYPES.RELATIONSHIP_CREATED, {
+          data: { masterVariantId: newMasterId, childVariantId: variantId },
+        });
+        // The first webhook of the new child must diff against its real stock, not 0
+        try {
+          await seedRelationshipBaselines(
+            session.shop,
+            { "X-Shopify-Access-Token": session.accessToken },
+            [newMasterId],
+            [variantId]
+          );
+        } catch (err) {
+          console.error("Error seeding oldQty baselines:", err);
+        }
+      }
+    }
+
+    // 10) Return success.
     return json({
       success: true,
       metafields: data?.data?.metafieldsSet?.metafields || [],
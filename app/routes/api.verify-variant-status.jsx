@@ -1,6 +1,28 @@
 // app/routes/api.verify-variant-status.jsx
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
+import { findStoredMaster } from "../server/relationships.server.js";
+import {
+  METAFIELD_KEYS,
+  metafieldSelection,
+  preferAppMetafields,
+} from "../utils/metafield-utils.js";
+
+async function getProductTitle(admin, variantId) {
+  const response = await admin.graphql(
+    `#graphql
+    query getMasterProduct($id: ID!) {
+      productVariant(id: $id) {
+        product {
+          title
+        }
+      }
+    }`,
+    { variables: { id: variantId } }
+  );
+  const data = await response.json();
+  return data?.data?.productVariant?.product?.title || null;
+}
 
 /**
  * Endpoint to verify the status of a variant before adding it as a child.
@@ -38,20 +60,14 @@ export const loader = async ({ request }) => {
               id
               title
             }
-            masterMetafield: metafield(
-              namespace: "projektstocksyncmaster"
-              key: "master"
-            ) {
-              id
-              value
-            }
+            ${metafieldSelection("masterMetafield", METAFIELD_KEYS.MASTER, "id value")}
           }
         }
       }
     `;
     
     const variantResponse = await admin.graphql(variantQuery, { variables: { id: variantId } });
-    const variantData = await variantResponse.json();
+    const variantData = preferAppMetafields(await variantResponse.json());
     
     if (variantData.errors) {
       console.error("Error fetching variant details:", variantData.errors);
@@ -69,6 +85,18 @@ export const loader = async ({ request }) => {
       });
     }
     
+    // Imported shops know the master without scanning the catalog
+    const storedMasterId = await findStoredMaster(session.shop, variantId);
+    if (storedMasterId !== undefined) {
+      return json({
+        isMaster,
+        isChild: storedMasterId !== null,
+        masterVariantId: storedMasterId,
+        masterProductTitle: storedMasterId ? await getProductTitle(admin, storedMasterId) : null,
+        variantTitle: variant.title,
+      });
+    }
+
     // Next, check if the variant is a child of another product
     // We'll need to check for any master variants that have this variant in their children
     const query = `
@@ -83,18 +111,8 @@ export const loader = async ({ request }) => {
                   node {
                     id
                     title
-                    masterMetafield: metafield(
-                      namespace: "projektstocksyncmaster"
-                      key: "master"
-                    ) {
-                      value
-                    }
-                    childrenMetafield: metafield(
-                      namespace: "projektstocksyncchildren"
-                      key: "childrenkey"
-                    ) {
-                      value
-                    }
+                    ${metafieldSelection("masterMetafield", METAFIELD_KEYS.MASTER)}
+                    ${metafieldSelection("childrenMetafield", METAFIELD_KEYS.CHILDREN)}
                   }
                 }
               }
@@ -105,7 +123,7 @@ export const loader = async ({ request }) => {
     `;
     
     const response = await admin.graphql(query);
-    const data = await response.json();
+    const data = preferAppMetafields(await response.json());
     
     if (data.errors) {
       console.error("Error fetching products:", data.errors);
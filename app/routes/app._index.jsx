@@ -1,7 +1,8 @@
 //app._index.jsx
 
 import { useState, useEffect } from "react";
-import { useFetcher } from "@remix-run/react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import { json } from "@remix-run/node";
 import {
   Page,
   Layout,
@@ -13,15 +14,30 @@ import {
   List,
   Link,
   InlineStack,
+  Banner,
 } from "@shopify/polaris";
 import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { SYNC_REASONS } from "../server/sync-events.server.js";
 
 
-// Loader function to authenticate the admin user.
+// Loader function to authenticate the admin user and list masters deleted this week.
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
-  return null;
+  const { session } = await authenticate.admin(request);
+  // A deleted master leaves its children without a sync source
+  const deletedMasters = await prisma.syncEvent.findMany({
+    where: {
+      shop: session.shop,
+      reason: SYNC_REASONS.MASTER_DELETED,
+      createdAt: { gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
+    },
+    distinct: ["masterVariantId"],
+    orderBy: { createdAt: "desc" },
+    select: { masterVariantId: true },
+    take: 10,
+  });
+  return json({ deletedMasterIds: deletedMasters.map((row) => row.masterVariantId) });
 };
 
 // Action function to create a new product and update its variant.
@@ -94,6 +110,7 @@ export const action = async ({ request }) => {
 };
 
 export default function Index() {
+  const { deletedMasterIds } = useLoaderData();
   const fetcher = useFetcher();
   const shopify = useAppBridge();
   // Determine if the fetcher is currently loading or submitting.
@@ -184,6 +201,18 @@ const YouTubeThumbnail = ({ videoId }) => {
       </TitleBar>
       <BlockStack gap="500">
         <Layout>
+          {deletedMasterIds.length > 0 && (
+            <Layout.Section>
+              <Banner tone="warning" title="A master variant was deleted">
+                <p>
+                  {deletedMasterIds.length === 1 ? "Master" : "Masters"} {deletedMasterIds.join(", ")}{" "}
+                  {deletedMasterIds.length === 1 ? "was" : "were"} deleted this week and the children were
+                  detached, so they no longer sync. Link them to another master from the Products page.
+                  The History page lists every child that was affected.
+                </p>
+              </Banner>
+            </Layout.Section>
+          )}
           <Layout.Section>
             <Card>
               <BlockStack gap="500">
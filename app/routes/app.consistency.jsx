@@ -0,0 +1,246 @@
+import React, { useEffect, useState } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  DataTable,
+  Badge,
+  Banner,
+  Button,
+  Text,
+  InlineStack,
+  BlockStack,
+  EmptyState,
+  Spinner,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { useLoaderData, useFetcher, useRevalidator } from "@remix-run/react";
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { repairRelationshipIssue } from "../server/relationship-repair.server.js";
+import {
+  startBulkOperation,
+  checkBulkOperationStatus,
+  fetchBulkResults,
+  rebuildNestedProducts,
+  findRelationshipIssues,
+} from "../utils/product-utils";
+import { RELATIONSHIP_ISSUES, RELATIONSHIP_REPAIRS } from "../utils/sync-constants";
+
+/**
+ * Loader => relationship issues found in the latest bulk operation data.
+ * Starts a new bulk operation when there is none or it is older than 15 minutes.
+ */
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+
+  try {
+    const currentOp = await checkBulkOperationStatus(admin);
+    const isFresh =
+      currentOp?.status === "COMPLETED" &&
+      new Date(currentOp.completedAt) >= new Date(Date.now() - 15 * 60 * 1000);
+
+    const needsNewScan =
+      !currentOp ||
+      ["CANCELED", "FAILED"].includes(currentOp.status) ||
+      (currentOp.status === "COMPLETED" && !isFresh);
+
+    if (needsNewScan) {
+      await startBulkOperation(admin);
+      return json({ scanning: true, issues: [], scannedAt: null });
+    }
+    if (!isFresh) {
+      return json({ scanning: true, issues: [], scannedAt: null });
+    }
+    if (!currentOp.url) {
+      // A shop without products completes with no file
+      return json({ scanning: false, issues: [], scannedAt: currentOp.completedAt });
+    }
+
+    const products = rebuildNestedProducts(await fetchBulkResults(currentOp.url));
+    return json({
+      scanning: false,
+      issues: findRelationshipIssues(products),
+      scannedAt: currentOp.completedAt,
+    });
+  } catch (error) {
+    console.error("Error scanning relationships:", error);
+    return json({ scanning: false, issues: [], scannedAt: null, error: error.message });
+  }
+};
+
+/**
+ * Action => repair one issue or start a new scan
+ * form fields: intent ("repair" | "rescan"), repair, type, masterVariantId, childVariantId
+ */
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "rescan") {
+    await startBulkOperation(admin);
+    return json({ success: true, rescan: true });
+  }
+
+  if (intent === "repair") {
+    const issue = {
+      type: formData.get("type"),
+      masterVariantId: formData.get("masterVariantId"),
+      childVariantId: formData.get("childVariantId"),
+    };
+    try {
+      const result = await repairRelationshipIssue(admin, session, issue, formData.get("repair"));
+      if (result.error) {
+        return json({ error: result.error, issueId: formData.get("issueId") }, { status: 400 });
+      }
+      return json({ success: true, message: result.message, issueId: formData.get("issueId") });
+    } catch (error) {
+      console.error("Error repairing relationship:", error);
+      return json({ error: error.message, issueId: formData.get("issueId") }, { status: 500 });
+    }
+  }
+
+  return json({ error: "Unknown action" }, { status: 400 });
+};
+
+const ISSUE_LABELS = {
+  [RELATIONSHIP_ISSUES.ONE_SIDED_CHILD]: "Child does not point back",
+  [RELATIONSHIP_ISSUES.ORPHAN_CHILD]: "Not listed by its master",
+  [RELATIONSHIP_ISSUES.DELETED_CHILD]: "Deleted child",
+  [RELATIONSHIP_ISSUES.DELETED_MASTER]: "Deleted master",
+};
+
+const REPAIR_LABELS = {
+  [RELATIONSHIP_REPAIRS.ADOPT]: "Adopt",
+  [RELATIONSHIP_REPAIRS.DETACH]: "Detach",
+  [RELATIONSHIP_REPAIRS.DELETE_REFERENCE]: "Delete reference",
+};
+
+export default function Consistency() {
+  const { scanning, issues, scannedAt, error } = useLoaderData();
+  const fetcher = useFetcher();
+  const revalidator = useRevalidator();
+
+  // The bulk data stays the same until the next scan, so hide what was repaired
+  const [repairedIds, setRepairedIds] = useState([]);
+  const pendingId = fetcher.state !== "idle" ? fetcher.formData?.get("issueId") || null : null;
+
+  useEffect(() => {
+    if (fetcher.data?.rescan) {
+      setRepairedIds([]);
+    } else if (fetcher.data?.success && fetcher.data.issueId) {
+      setRepairedIds((prev) => [...prev, fetcher.data.issueId]);
+    }
+  }, [fetcher.data]);
+
+  // Poll while the bulk operation is running
+  useEffect(() => {
+    if (!scanning) return;
+    const timer = setTimeout(() => revalidator.revalidate(), 5000);
+    return () => clearTimeout(timer);
+  }, [scanning, revalidator]);
+
+  const repair = (issue, repairType) => {
+    const formData = new FormData();
+    formData.append("intent", "repair");
+    formData.append("repair", repairType);
+    formData.append("issueId", issue.id);
+    formData.append("type", issue.type);
+    formData.append("masterVariantId", issue.masterVariantId);
+    formData.append("childVariantId", issue.childVariantId);
+    fetcher.submit(formData, { method: "post" });
+  };
+
+  const rescan = () => fetcher.submit({ intent: "rescan" }, { method: "post" });
+
+  const openIssues = issues.filter((issue) => !repairedIds.includes(issue.id));
+  const rows = openIssues.map((issue) => [
+    <Badge key="type" tone={issue.type.startsWith("DELETED") ? "critical" : "attention"}>
+      {ISSUE_LABELS[issue.type]}
+    </Badge>,
+    issue.masterLabel,
+    issue.childLabel,
+    <InlineStack key="repairs" gap="200">
+      {issue.repairs.map((repairType) => (
+        <Button
+          key={repairType}
+          size="slim"
+          tone={repairType === RELATIONSHIP_REPAIRS.ADOPT ? undefined : "critical"}
+          onClick={() => repair(issue, repairType)}
+          loading={pendingId === issue.id}
+          disabled={pendingId !== null && pendingId !== issue.id}
+        >
+          {REPAIR_LABELS[repairType]}
+        </Button>
+      ))}
+    </InlineStack>,
+  ]);
+
+  return (
+    <Page fullWidth>
+      <TitleBar title="Consistency" />
+      <Layout>
+        {fetcher.data?.message && (
+          <Layout.Section>
+            <Banner tone="success">{fetcher.data.message}</Banner>
+          </Layout.Section>
+        )}
+        {(fetcher.data?.error || error) && (
+          <Layout.Section>
+            <Banner tone="critical">{fetcher.data?.error || error}</Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="headingMd" as="h2">Relationship check</Text>
+              <Text as="p" tone="subdued">
+                Compares the children each master lists with the master each child points back to.
+                Adopt records the link on both sides, Detach removes it from both sides and Delete
+                reference drops the ID of a variant that no longer exists.
+              </Text>
+              <InlineStack gap="300" blockAlign="center">
+                <Button onClick={rescan} loading={fetcher.state !== "idle" && !pendingId} disabled={scanning}>
+                  Rescan
+                </Button>
+                {scannedAt && (
+                  <Text as="span" tone="subdued">
+                    Last scan {new Date(scannedAt).toLocaleString()}
+                  </Text>
+                )}
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card padding="0">
+            {scanning ? (
+              <div style={{ padding: "16px" }}>
+                <InlineStack gap="200" blockAlign="center">
+                  <Spinner size="small" />
+                  <Text as="span">Reading your products… this page refreshes by itself.</Text>
+                </InlineStack>
+              </div>
+            ) : rows.length > 0 ? (
+              <DataTable
+                columnContentTypes={["text", "text", "text", "text"]}
+                headings={["Issue", "Master", "Child", "Repair"]}
+                rows={rows}
+              />
+            ) : (
+              <EmptyState
+                heading="No inconsistencies found"
+                image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+              >
+                <p>Every master and child agree on their links.</p>
+              </EmptyState>
+            )}
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
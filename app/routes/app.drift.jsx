@@ -0,0 +1,235 @@
+import React from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  DataTable,
+  Badge,
+  Banner,
+  Button,
+  Checkbox,
+  Select,
+  Text,
+  InlineStack,
+  BlockStack,
+  EmptyState,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { useLoaderData, useFetcher, useNavigate } from "@remix-run/react";
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server.js";
+import {
+  DRIFT_TRIGGERS,
+  getDriftOverview,
+  isDriftRunInProgress,
+  runDriftReconciliation,
+} from "../server/drift-reconciliation.server.js";
+
+/**
+ * Loader => recent drift reports, the items of the selected one and the shop's settings
+ * query params: report (defaults to the latest)
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const { reports, selected, items } = await getDriftOverview(
+    session.shop,
+    url.searchParams.get("report")
+  );
+  const shopSub = await prisma.shopSubscription.findUnique({
+    where: { shop: session.shop },
+    select: { driftCheckEnabled: true, driftAutoCorrect: true },
+  });
+  return json({
+    reports,
+    selected,
+    items,
+    settings: {
+      driftCheckEnabled: shopSub?.driftCheckEnabled ?? true,
+      driftAutoCorrect: shopSub?.driftAutoCorrect ?? false,
+    },
+  });
+};
+
+/**
+ * Action => start a check or save the schedule settings
+ * form fields: intent ("run" | "settings"), autoCorrect, driftCheckEnabled, driftAutoCorrect
+ */
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "run") {
+    if (await isDriftRunInProgress(session.shop)) {
+      return json({ error: "A drift check is already running." }, { status: 409 });
+    }
+    const autoCorrect = formData.get("autoCorrect") === "true";
+    // Large catalogs take minutes: run in the background and let the page poll
+    runDriftReconciliation(session.shop, { trigger: DRIFT_TRIGGERS.MANUAL, autoCorrect }).catch((err) =>
+      console.error("runDriftReconciliation => error =>", err)
+    );
+    return json({ success: true, message: "Drift check started. Refresh in a few minutes to see the report." });
+  }
+
+  if (intent === "settings") {
+    const data = {
+      driftCheckEnabled: formData.get("driftCheckEnabled") === "true",
+      driftAutoCorrect: formData.get("driftAutoCorrect") === "true",
+    };
+    const { count } = await prisma.shopSubscription.updateMany({
+      where: { shop: session.shop },
+      data,
+    });
+    if (count === 0) {
+      return json({ error: "No subscription found for this shop." }, { status: 404 });
+    }
+    return json({ success: true, message: "Drift settings saved." });
+  }
+
+  return json({ error: "Unknown action" }, { status: 400 });
+};
+
+const STATUS_TONES = {
+  RUNNING: "info",
+  COMPLETED: "success",
+  FAILED: "critical",
+};
+
+function reportLabel(report) {
+  return `${new Date(report.startedAt).toLocaleString()} – ${report.trigger.toLowerCase()} (${report.driftCount} drifted)`;
+}
+
+export default function Drift() {
+  const { reports, selected, items, settings } = useLoaderData();
+  const fetcher = useFetcher();
+  const navigate = useNavigate();
+
+  const busy = fetcher.state !== "idle";
+
+  const submit = (fields) => {
+    const formData = new FormData();
+    Object.entries(fields).forEach(([key, value]) => formData.append(key, String(value)));
+    fetcher.submit(formData, { method: "post" });
+  };
+
+  const saveSettings = (changes) => submit({ intent: "settings", ...settings, ...changes });
+
+  const rows = items.map((item) => [
+    item.sku || "—",
+    item.childVariantId,
+    item.masterVariantId,
+    item.locationId,
+    item.masterQty,
+    item.expectedQty,
+    item.actualQty,
+    item.corrected ? <Badge tone="success">Corrected</Badge> : <Badge tone="attention">Open</Badge>,
+  ]);
+
+  return (
+    <Page fullWidth>
+      <TitleBar title="Drift" />
+      <Layout>
+        {fetcher.data?.message && (
+          <Layout.Section>
+            <Banner tone="success">{fetcher.data.message}</Banner>
+          </Layout.Section>
+        )}
+        {fetcher.data?.error && (
+          <Layout.Section>
+            <Banner tone="critical">{fetcher.data.error}</Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="headingMd" as="h2">Reconciliation</Text>
+              <Text as="p" tone="subdued">
+                Compares every child with what its master says it should hold, per location.
+                Scheduled checks run every few hours.
+              </Text>
+              <Checkbox
+                label="Check for drift automatically"
+                checked={settings.driftCheckEnabled}
+                onChange={(value) => saveSettings({ driftCheckEnabled: value })}
+                disabled={busy}
+              />
+              <Checkbox
+                label="Correct drift automatically"
+                helpText="Children that drifted are reset to the expected quantity."
+                checked={settings.driftAutoCorrect}
+                onChange={(value) => saveSettings({ driftAutoCorrect: value })}
+                disabled={busy}
+              />
+              <InlineStack gap="200">
+                <Button onClick={() => submit({ intent: "run", autoCorrect: false })} loading={busy}>
+                  Check now
+                </Button>
+                <Button
+                  variant="primary"
+                  onClick={() => submit({ intent: "run", autoCorrect: true })}
+                  loading={busy}
+                >
+                  Check and correct now
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card padding="0">
+            {selected ? (
+              <BlockStack gap="300">
+                <div style={{ padding: "16px 16px 0" }}>
+                  <InlineStack gap="300" blockAlign="end">
+                    <div style={{ minWidth: "320px" }}>
+                      <Select
+                        label="Report"
+                        options={reports.map((r) => ({ label: reportLabel(r), value: r.id }))}
+                        value={selected.id}
+                        onChange={(value) => navigate(`?report=${value}`)}
+                      />
+                    </div>
+                    <Badge tone={STATUS_TONES[selected.status]}>{selected.status}</Badge>
+                    <Text as="span" tone="subdued">
+                      {selected.mastersChecked} masters, {selected.childrenChecked} children checked,{" "}
+                      {selected.driftCount} drifted, {selected.correctedCount} corrected
+                    </Text>
+                  </InlineStack>
+                  {selected.error && (
+                    <div style={{ marginTop: "12px" }}>
+                      <Banner tone="critical">{selected.error}</Banner>
+                    </div>
+                  )}
+                </div>
+                {rows.length > 0 ? (
+                  <DataTable
+                    columnContentTypes={["text", "text", "text", "text", "numeric", "numeric", "numeric", "text"]}
+                    headings={["SKU", "Child", "Master", "Location", "Master qty", "Expected", "Actual", "Status"]}
+                    rows={rows}
+                  />
+                ) : (
+                  <div style={{ padding: "0 16px 16px" }}>
+                    <Text as="p" tone="subdued">
+                      {selected.status === "RUNNING" ? "Check in progress…" : "No drift found."}
+                    </Text>
+                  </div>
+                )}
+              </BlockStack>
+            ) : (
+              <EmptyState
+                heading="No drift checks yet"
+                image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+              >
+                <p>Run a check to compare every child with its master.</p>
+              </EmptyState>
+            )}
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,192 @@
+import React from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  DataTable,
+  Badge,
+  Banner,
+  Button,
+  Checkbox,
+  Text,
+  InlineStack,
+  BlockStack,
+  EmptyState,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { useLoaderData, useFetcher } from "@remix-run/react";
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server.js";
+import { getDryRunChanges, clearDryRunChanges } from "../server/dry-run.server.js";
+import { DRY_RUN_KINDS } from "../utils/sync-constants.js";
+
+/**
+ * Loader => the latest changes recorded in dry-run mode and whether it is on
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const [changes, shopSub] = await Promise.all([
+    getDryRunChanges(session.shop),
+    prisma.shopSubscription.findUnique({
+      where: { shop: session.shop },
+      select: { dryRunEnabled: true },
+    }),
+  ]);
+  return json({ changes, dryRunEnabled: shopSub?.dryRunEnabled === true });
+};
+
+/**
+ * Action => turn dry-run mode on or off, or clear the recorded changes
+ * form fields: intent ("settings" | "clear"), dryRunEnabled
+ */
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "settings") {
+    const dryRunEnabled = formData.get("dryRunEnabled") === "true";
+    const { count } = await prisma.shopSubscription.updateMany({
+      where: { shop: session.shop },
+      data: { dryRunEnabled },
+    });
+    if (count === 0) {
+      return json({ error: "No subscription found for this shop." }, { status: 404 });
+    }
+    return json({
+      success: true,
+      message: dryRunEnabled
+        ? "Dry-run mode is on. Stock changes are computed but not written."
+        : "Dry-run mode is off. Syncing writes stock again.",
+    });
+  }
+
+  if (intent === "clear") {
+    const count = await clearDryRunChanges(session.shop);
+    return json({ success: true, message: `${count} recorded change(s) cleared.` });
+  }
+
+  return json({ error: "Unknown action" }, { status: 400 });
+};
+
+const KIND_LABELS = {
+  [DRY_RUN_KINDS.INVENTORY]: "Inventory",
+  [DRY_RUN_KINDS.QTY_OLD]: "Baseline",
+  [DRY_RUN_KINDS.WEBHOOK]: "Webhook",
+};
+
+function targetLabel(change) {
+  if (change.kind === DRY_RUN_KINDS.INVENTORY) return `Item ${change.inventoryItemId}`;
+  return `Variant ${change.variantId || "—"}`;
+}
+
+function wouldWriteLabel(change) {
+  if (change.kind !== DRY_RUN_KINDS.WEBHOOK) return change.quantity;
+  const children = change.payload?.children?.length || 0;
+  return `${change.payload?.eventType || "webhook"} (${children} children)`;
+}
+
+function comparisonBadge(change) {
+  if (change.kind !== DRY_RUN_KINDS.INVENTORY) return "—";
+  if (change.actualQty === null) return <Badge>No level seen</Badge>;
+  return change.actualQty === change.quantity ? (
+    <Badge tone="success">Matches</Badge>
+  ) : (
+    <Badge tone="attention">Differs</Badge>
+  );
+}
+
+export default function DryRun() {
+  const { changes, dryRunEnabled } = useLoaderData();
+  const fetcher = useFetcher();
+
+  const busy = fetcher.state !== "idle";
+
+  const submit = (fields) => {
+    const formData = new FormData();
+    Object.entries(fields).forEach(([key, value]) => formData.append(key, String(value)));
+    fetcher.submit(formData, { method: "post" });
+  };
+
+  const rows = changes.map((change) => [
+    new Date(change.createdAt).toLocaleString(),
+    KIND_LABELS[change.kind] || change.kind,
+    targetLabel(change),
+    change.locationId || "—",
+    wouldWriteLabel(change),
+    change.actualQty ?? "—",
+    comparisonBadge(change),
+  ]);
+
+  return (
+    <Page fullWidth>
+      <TitleBar title="Dry Run" />
+      <Layout>
+        {fetcher.data?.message && (
+          <Layout.Section>
+            <Banner tone="success">{fetcher.data.message}</Banner>
+          </Layout.Section>
+        )}
+        {fetcher.data?.error && (
+          <Layout.Section>
+            <Banner tone="critical">{fetcher.data.error}</Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="headingMd" as="h2">Dry-run mode</Text>
+              <Text as="p" tone="subdued">
+                Works out every change a stock update would cause, without writing stock,
+                baselines or webhooks. Use it to check a new ratio setup on your live store.
+                Drift checks only report while it is on.
+              </Text>
+              <Checkbox
+                label="Compute changes but do not write them"
+                checked={dryRunEnabled}
+                onChange={(value) => submit({ intent: "settings", dryRunEnabled: value })}
+                disabled={busy}
+              />
+              <InlineStack gap="200">
+                <Button
+                  onClick={() => submit({ intent: "clear" })}
+                  disabled={busy || changes.length === 0}
+                >
+                  Clear recorded changes
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card padding="0">
+            {rows.length > 0 ? (
+              <BlockStack gap="300">
+                <div style={{ padding: "16px 16px 0" }}>
+                  <Text as="p" tone="subdued">
+                    Actual is the latest level Shopify reported for the item and location.
+                  </Text>
+                </div>
+                <DataTable
+                  columnContentTypes={["text", "text", "text", "text", "numeric", "numeric", "text"]}
+                  headings={["Time", "Type", "Variant / item", "Location", "Would write", "Actual", "Comparison"]}
+                  rows={rows}
+                />
+              </BlockStack>
+            ) : (
+              <EmptyState
+                heading="No recorded changes"
+                image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+              >
+                <p>Turn on dry-run mode and the changes syncing would make are listed here.</p>
+              </EmptyState>
+            )}
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,201 @@
+import React, { useState } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  IndexTable,
+  Badge,
+  Banner,
+  Button,
+  Text,
+  InlineStack,
+  BlockStack,
+  Modal,
+  EmptyState,
+  useIndexResourceState,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { useLoaderData, useFetcher } from "@remix-run/react";
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import {
+  listDeadLetters,
+  getDeadLetters,
+  discardDeadLetters,
+} from "../server/dead-letter.server.js";
+import { DEAD_LETTER_STATUS } from "../utils/sync-constants.js";
+
+/**
+ * Loader => open dead-letter rows (waiting for retry or exhausted)
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const failures = await listDeadLetters(session.shop);
+  return json({ failures });
+};
+
+/**
+ * Action => retry or discard one or many rows
+ * form fields: intent ("retry" | "discard"), ids (repeated)
+ */
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const ids = formData.getAll("ids").map(String);
+
+  if (ids.length === 0) {
+    return json({ error: "Select at least one failed sync." }, { status: 400 });
+  }
+
+  if (intent === "discard") {
+    const count = await discardDeadLetters(session.shop, ids);
+    return json({ success: true, message: `Discarded ${count} failed sync(s).` });
+  }
+
+  if (intent === "retry") {
+    const { replayDeadLetter } = await import(
+      "../server/webhooks.inventory-update.helpers.server.js"
+    );
+    const rows = await getDeadLetters(session.shop, ids);
+    const results = [];
+    for (const row of rows) {
+      results.push(await replayDeadLetter(row, { manual: true }));
+    }
+    const succeeded = results.filter((r) => r.success).length;
+    const skipped = results.filter((r) => r.skipped).length;
+    const failed = results.length - succeeded - skipped;
+    return json({
+      success: failed === 0,
+      message:
+        `Retried ${results.length} failed sync(s): ${succeeded} succeeded, ` +
+        `${skipped} skipped, ${failed} failed.`,
+    });
+  }
+
+  return json({ error: "Unknown action" }, { status: 400 });
+};
+
+function describeEvent(payload) {
+  if (payload?.isMaster) {
+    return `Master ${payload.variantId}`;
+  }
+  return `Child ${payload?.childVariantId} of master ${payload?.masterVariantId}`;
+}
+
+export default function FailedSyncs() {
+  const { failures } = useLoaderData();
+  const fetcher = useFetcher();
+  const [detail, setDetail] = useState(null);
+
+  const { selectedResources, allResourcesSelected, handleSelectionChange, clearSelection } =
+    useIndexResourceState(failures);
+
+  const busy = fetcher.state !== "idle";
+
+  const submit = (intent, ids) => {
+    const formData = new FormData();
+    formData.append("intent", intent);
+    ids.forEach((id) => formData.append("ids", id));
+    fetcher.submit(formData, { method: "post" });
+    clearSelection();
+  };
+
+  const rowMarkup = failures.map((row, index) => (
+    <IndexTable.Row id={row.id} key={row.id} position={index} selected={selectedResources.includes(row.id)}>
+      <IndexTable.Cell>{new Date(row.createdAt).toLocaleString()}</IndexTable.Cell>
+      <IndexTable.Cell>{row.payload?.sku || "—"}</IndexTable.Cell>
+      <IndexTable.Cell>{describeEvent(row.payload)}</IndexTable.Cell>
+      <IndexTable.Cell>
+        {row.payload?.oldQty ?? "—"} → {row.payload?.newQty ?? "—"}
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Badge tone={row.status === DEAD_LETTER_STATUS.EXHAUSTED ? "critical" : "attention"}>
+          {row.status === DEAD_LETTER_STATUS.EXHAUSTED ? "Needs attention" : "Retrying"}
+        </Badge>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{row.attempts}</IndexTable.Cell>
+      <IndexTable.Cell>
+        {row.nextRetryAt ? new Date(row.nextRetryAt).toLocaleString() : "—"}
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <InlineStack gap="200">
+          <Button size="slim" onClick={() => setDetail(row)}>View</Button>
+          <Button size="slim" onClick={() => submit("retry", [row.id])} disabled={busy}>Retry</Button>
+          <Button size="slim" tone="critical" onClick={() => submit("discard", [row.id])} disabled={busy}>
+            Discard
+          </Button>
+        </InlineStack>
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page fullWidth>
+      <TitleBar title="Failed Syncs" />
+      <Layout>
+        {fetcher.data?.message && (
+          <Layout.Section>
+            <Banner tone={fetcher.data.success ? "success" : "warning"}>{fetcher.data.message}</Banner>
+          </Layout.Section>
+        )}
+        {fetcher.data?.error && (
+          <Layout.Section>
+            <Banner tone="critical">{fetcher.data.error}</Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card padding="0">
+            {failures.length > 0 ? (
+              <IndexTable
+                resourceName={{ singular: "failed sync", plural: "failed syncs" }}
+                itemCount={failures.length}
+                selectedItemsCount={allResourcesSelected ? "All" : selectedResources.length}
+                onSelectionChange={handleSelectionChange}
+                promotedBulkActions={[
+                  { content: "Retry selected", onAction: () => submit("retry", selectedResources) },
+                  { content: "Discard selected", onAction: () => submit("discard", selectedResources) },
+                ]}
+                headings={[
+                  { title: "Failed at" },
+                  { title: "SKU" },
+                  { title: "Event" },
+                  { title: "Quantity" },
+                  { title: "Status" },
+                  { title: "Attempts" },
+                  { title: "Next retry" },
+                  { title: "Actions" },
+                ]}
+              >
+                {rowMarkup}
+              </IndexTable>
+            ) : (
+              <EmptyState
+                heading="No failed syncs"
+                image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+              >
+                <p>Propagations that fail are kept here and retried automatically.</p>
+              </EmptyState>
+            )}
+          </Card>
+        </Layout.Section>
+      </Layout>
+
+      <Modal open={!!detail} onClose={() => setDetail(null)} title="Failed sync details">
+        <Modal.Section>
+          {detail && (
+            <BlockStack gap="300">
+              <Text variant="headingSm" as="h3">Error</Text>
+              <Text as="p">{detail.error}</Text>
+              <Text variant="headingSm" as="h3">Payload</Text>
+              <pre style={{ whiteSpace: "pre-wrap", fontSize: "12px" }}>
+                {JSON.stringify(detail.payload, null, 2)}
+              </pre>
+            </BlockStack>
+          )}
+        </Modal.Section>
+      </Modal>
+    </Page>
+  );
+}
@@ -180,12 +180,190 @@ export default function AdditionalPage() {
                   - 2 ratio means two units are deducted when a Child
                   representing a pack of two is sold.
                   <br />
+                  - 0.5 ratio means a Child is half a Master unit, e.g. a
+                  half-case or 0.5 kg of a Master counted in kg. One Master unit
+                  then shows as two Child units.
+                  <br />
+                  <br />
+                  When a ratio does not divide evenly, the Rounding setting next to
+                  the ratio decides whether the Child rounds down (the default),
+                  to the nearest unit or up. The same rounding is applied when a
+                  Child sale is passed back to its Master.
+                  <br />
+                  <br />
+                  Safety stock keeps a reserve out of a Child's listing: the Buffer
+                  is subtracted from the calculated Child stock and the Cap is the
+                  most it will ever show. Set defaults for all Children in the
+                  Master's Safety Stock card, or per Child in the Safety Stock
+                  column. The Master's own stock is never reduced by a buffer.
+                  <br />
                   <br />
                   This ensures accurate stock management across various product
                   presentations without the need for manual adjustments.
                 </Text>
               </BlockStack>
             </Card>
+            {/* Card 7: Bundles */}
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h1" variant="headingLg">
+                  Bundles built from several Masters
+                </Text>
+                <Text as="p" variant="bodyMd">
+                  A bundle (or kit) is a variant made of several Master products.
+                  Open the variant, search for each Master in the Bundle Components
+                  card and set how many units of it go into one bundle.
+                  <br />
+                  <br />
+                  - The bundle's stock is the number of complete bundles the
+                  Masters can build. A bundle of 2 × A and 1 × B with 10 A and 3 B
+                  in stock shows 3.
+                  <br />
+                  - Selling one bundle deducts 2 units of A and 1 unit of B, and
+                  every other Child of A and B is recalculated.
+                  <br />
+                  <br />
+                  Master changes caused by a bundle sale are reported to your
+                  webhooks as <Code>inventory.child_changed</Code> with trigger
+                  source <Code>bundle</Code>.
+                </Text>
+              </BlockStack>
+            </Card>
+            {/* Card 8: Custom webhook payloads */}
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h1" variant="headingLg">
+                  Custom webhook payloads
+                </Text>
+                <Text as="p" variant="bodyMd">
+                  When a Custom API URL is set in Settings, the app POSTs a JSON body
+                  after each synchronisation. Every request is signed with
+                  the <Code>X-Stock-Control-Hmac-Sha256</Code> header and names its event
+                  in <Code>X-Stock-Control-Event</Code>. Choose the format in Settings:
+                </Text>
+                <List>
+                  <List.Item>
+                    <strong>Legacy</strong> – sent when a Master changes. Keys:
+                    <Code>masterID</Code>, <Code>masterSKU</Code>, <Code>master old inventory</Code>,
+                    <Code>master new inventory</Code> and a <Code>children</Code> list
+                    with <Code>child ID</Code>, <Code>child SKU</Code>, <Code>child old inventory</Code>
+                    and <Code>child new inventory</Code>.
+                  </List.Item>
+                  <List.Item>
+                    <strong>Version 2</strong> – sent when a Master or a Child changes. Keys:
+                    <Code>version</Code> (2), <Code>eventId</Code>, <Code>eventType</Code>
+                    (<Code>inventory.master_changed</Code> or <Code>inventory.child_changed</Code>),
+                    <Code>shop</Code>, <Code>locationId</Code>, <Code>occurredAt</Code>,
+                    <Code>trigger</Code> (<Code>source</Code>, <Code>variantId</Code>, <Code>sku</Code>,
+                    <Code>shopifyWebhookId</Code>), <Code>master</Code> and <Code>children</Code>,
+                    each with <Code>variantId</Code>, <Code>sku</Code>, <Code>oldQuantity</Code> and
+                    <Code>newQuantity</Code>.
+                  </List.Item>
+                </List>
+                <Text as="p" variant="bodyMd">
+                  Use <Code>eventId</Code> to ignore repeated deliveries: failed requests
+                  are retried with the same body.
+                </Text>
+                <Text as="p" variant="bodyMd">
+                  Webhook endpoints added in Settings always use version 2 and only
+                  receive the events they subscribe to. Besides inventory changes they
+                  can receive <Code>relationship.created</Code>, <Code>relationship.removed</Code>,
+                  <Code>relationship.master_deleted</Code>,
+                  <Code>sync.failed</Code> and <Code>plan.limit_reached</Code>; these events carry
+                  their details in a <Code>data</Code> object instead of <Code>master</Code> and
+                  <Code>children</Code>.
+                </Text>
+              </BlockStack>
+            </Card>
+            {/* Card 9: Drift */}
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h1" variant="headingLg">
+                  Drift checks
+                </Text>
+                <Text as="p" variant="bodyMd">
+                  A Child can fall out of step with its Master when Shopify fails to
+                  deliver a webhook. Every few hours the app compares each Child with
+                  the quantity its Master, ratio and safety stock say it should hold
+                  at every location and lists the differences on the Drift page.
+                  Turn on automatic correction there to reset drifted Children to the
+                  expected quantity.
+                </Text>
+              </BlockStack>
+            </Card>
+            {/* Card 10: Consistency */}
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h1" variant="headingLg">
+                  Relationship consistency
+                </Text>
+                <Text as="p" variant="bodyMd">
+                  A link is stored twice: the Master lists its Children and each Child
+                  points back to its Master. The Consistency page lists every link that
+                  only one side knows about, or that points to a deleted variant. Adopt
+                  records the link on both sides, Detach removes it from both, and
+                  Delete reference drops the ID of the deleted variant.
+                </Text>
+              </BlockStack>
+            </Card>
+            {/* Card 11: Order sync */}
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h1" variant="headingLg">
+                  Order sync
+                </Text>
+                <Text as="p" variant="bodyMd">
+                  With Order Sync turned on in Settings, a sold Child line takes
+                  quantity x ratio off its Master as soon as the order arrives, and a
+                  refund that restocks the line puts it back. Sales no longer have to be
+                  worked out from the change in stock, so packs stay exact when several
+                  orders land together. The stock change Shopify reports for the same
+                  sale is recognised and not applied a second time.
+                </Text>
+              </BlockStack>
+            </Card>
+            {/* Card 12: Pausing sync */}
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h1" variant="headingLg">
+                  Pausing sync
+                </Text>
+                <Text as="p" variant="bodyMd">
+                  During a stocktake or a big import you can stop Masters and Children
+                  from updating each other without removing any links. Pause the whole
+                  shop in Settings, or a single Master from its Sync Pause card. While
+                  paused, stock changes are still recorded and show as skipped in the
+                  sync log.
+                  <br />
+                  <br />
+                  When you resume, choose what happens to the stock that changed in the
+                  meantime:
+                  <br />
+                  - Recompute sets every Child to what its Master, ratio and safety
+                  stock say it should hold. Use it when you counted the Masters.
+                  <br />
+                  - Re-baseline keeps the stock as it is and only syncs changes made
+                  from then on. Use it when you counted Masters and Children.
+                </Text>
+              </BlockStack>
+            </Card>
+            {/* Card 13: Dry run */}
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h1" variant="headingLg">
+                  Dry run
+                </Text>
+                <Text as="p" variant="bodyMd">
+                  Turn on dry-run mode on the Dry Run page to try a new ratio setup on
+                  your live store. Every stock change is worked out as usual, but no
+                  stock, baseline or custom webhook is written. The Dry Run page lists
+                  what would have been written next to the level Shopify reported, and
+                  the History page shows these events as <Code>DRY_RUN</Code>. Drift
+                  checks, including the recompute when you resume sync, only report
+                  while dry-run mode is on.
+                </Text>
+              </BlockStack>
+            </Card>
           </BlockStack>
         </Layout.Section>
       </Layout>
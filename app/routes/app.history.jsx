@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  DataTable,
+  TextField,
+  Select,
+  Button,
+  Badge,
+  Pagination,
+  Text,
+  InlineStack,
+  BlockStack,
+  EmptyState,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { Form, useLoaderData, useNavigate, useLocation } from "@remix-run/react";
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { querySyncEvents } from "../server/sync-events.server.js";
+
+const PAGE_SIZE = 50;
+
+/**
+ * Loader => paged sync history filtered by SKU, outcome and date range
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+
+  const filters = {
+    sku: url.searchParams.get("sku") || "",
+    outcome: url.searchParams.get("outcome") || "",
+    from: url.searchParams.get("from") || "",
+    to: url.searchParams.get("to") || "",
+  };
+  const page = Math.max(1, parseInt(url.searchParams.get("page") || "1", 10) || 1);
+
+  const result = await querySyncEvents(session.shop, filters, { page, pageSize: PAGE_SIZE });
+  return json({ ...result, filters });
+};
+
+const OUTCOME_OPTIONS = [
+  { label: "All outcomes", value: "" },
+  { label: "Synced", value: "SYNCED" },
+  { label: "Skipped", value: "SKIPPED" },
+  { label: "Failed", value: "FAILED" },
+  { label: "Dry run", value: "DRY_RUN" },
+];
+
+const OUTCOME_TONES = {
+  SYNCED: "success",
+  SKIPPED: "info",
+  FAILED: "critical",
+  DRY_RUN: "attention",
+};
+
+function formatQty(value) {
+  return value === null || value === undefined ? "—" : String(value);
+}
+
+export default function SyncHistory() {
+  const { events, total, page, pageSize, filters } = useLoaderData();
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  const [sku, setSku] = useState(filters.sku);
+  const [outcome, setOutcome] = useState(filters.outcome);
+  const [from, setFrom] = useState(filters.from);
+  const [to, setTo] = useState(filters.to);
+
+  useEffect(() => {
+    setSku(filters.sku);
+    setOutcome(filters.outcome);
+    setFrom(filters.from);
+    setTo(filters.to);
+  }, [filters]);
+
+  const goToPage = (nextPage) => {
+    const params = new URLSearchParams(location.search);
+    params.set("page", String(nextPage));
+    navigate(`?${params.toString()}`);
+  };
+
+  const rows = events.map((event) => [
+    new Date(event.createdAt).toLocaleString(),
+    event.sku || "—",
+    event.childVariantId ? `Child ${event.childVariantId}` : `Master ${event.masterVariantId || "—"}`,
+    event.locationId || "—",
+    `${formatQty(event.oldQty)} → ${formatQty(event.newQty)}`,
+    <Badge key={event.id} tone={OUTCOME_TONES[event.outcome]}>{event.outcome}</Badge>,
+    event.reason,
+    event.details || "",
+  ]);
+
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+
+  return (
+    <Page fullWidth>
+      <TitleBar title="Sync History" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <Form method="get">
+              <BlockStack gap="300">
+                <InlineStack gap="300" blockAlign="end" wrap>
+                  <TextField label="SKU" name="sku" value={sku} onChange={setSku} autoComplete="off" />
+                  <Select label="Outcome" name="outcome" options={OUTCOME_OPTIONS} value={outcome} onChange={setOutcome} />
+                  <TextField label="From" type="date" name="from" value={from} onChange={setFrom} autoComplete="off" />
+                  <TextField label="To" type="date" name="to" value={to} onChange={setTo} autoComplete="off" />
+                  <Button submit>Filter</Button>
+                </InlineStack>
+                <Text tone="subdued" as="p">{total} events</Text>
+              </BlockStack>
+            </Form>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card padding="0">
+            {rows.length > 0 ? (
+              <DataTable
+                columnContentTypes={["text", "text", "text", "text", "text", "text", "text", "text"]}
+                headings={["Time", "SKU", "Variant", "Location", "Quantity", "Outcome", "Reason", "Details"]}
+                rows={rows}
+              />
+            ) : (
+              <EmptyState
+                heading="No sync events found"
+                image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+              >
+                <p>Inventory changes handled by the app will appear here.</p>
+              </EmptyState>
+            )}
+          </Card>
+        </Layout.Section>
+
+        {totalPages > 1 && (
+          <Layout.Section>
+            <InlineStack align="center">
+              <Pagination
+                hasPrevious={page > 1}
+                onPrevious={() => goToPage(page - 1)}
+                hasNext={page < totalPages}
+                onNext={() => goToPage(page + 1)}
+                label={`Page ${page} of ${totalPages}`}
+              />
+            </InlineStack>
+          </Layout.Section>
+        )}
+      </Layout>
+    </Page>
+  );
+}
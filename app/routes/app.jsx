@@ -24,6 +24,11 @@ export default function App() {
         </Link>
         <Link to="/app/products">Products</Link>
         <Link to="/app/master">Masters</Link>
+        <Link to="/app/history">History</Link>
+        <Link to="/app/failed-syncs">Failed Syncs</Link>
+        <Link to="/app/drift">Drift</Link>
+        <Link to="/app/consistency">Consistency</Link>
+        <Link to="/app/dry-run">Dry Run</Link>
         <Link to="/app/settings">Settings</Link>
         <Link to="/app/help">Help</Link>
       </NavMenu>
@@ -5,6 +5,7 @@ import { useLoaderData, useRevalidator, useRouteError } from "@remix-run/react";
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
+import { notifyLimitReached } from "../server/webhook-endpoints.server.js";
 import { ProductsTable } from "../components/ProductsTable";
 import { LoadingOverlay } from "../components/LoadingOverlay.jsx";
 import { BulkLoadingOverlay } from "../components/BulkLoadingOverlay.jsx";
@@ -159,6 +160,10 @@ export const loader = async ({ request }) => {
       overLimit = true;
       mustRemove = totalSyncedVariants - variantsLimit;
     }
+    if (overLimit) {
+      // Not awaited: endpoints must not slow down the page
+      notifyLimitReached(shopDomain, { totalSyncedVariants, variantsLimit, plan });
+    }
     
     return json({
       products: masterProducts, // Only return products with master variants
@@ -8,6 +8,7 @@ import { TablePreloader } from "../components/TablePreloader.jsx";
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
+import { notifyLimitReached } from "../server/webhook-endpoints.server.js";
 import { ProductsTable } from "../components/ProductsTable";
 import {
   startBulkOperation,
@@ -153,6 +154,10 @@ export const loader = async ({ request }) => {
     overLimit = true;
     mustRemove = totalSyncedVariants - variantsLimit;
   }
+  if (overLimit) {
+    // Not awaited: endpoints must not slow down the page
+    notifyLimitReached(shopDomain, { totalSyncedVariants, variantsLimit, plan });
+  }
   
   return json({
     products: productsParsed,
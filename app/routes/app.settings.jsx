@@ -31,9 +31,38 @@ import {
   Box,
   List,
   Icon,
+  Select,
+  Checkbox,
+  DataTable,
 } from "@shopify/polaris";
 import { TitleBar } from "@shopify/app-bridge-react";
 import { CheckIcon } from '@shopify/polaris-icons';
+import {
+  parseLocationRuleInput,
+  deleteMasterLocationRule,
+  fetchShopLocations,
+} from "../server/location-rules.server.js";
+import {
+  deliverCustomWebhook,
+  rotateWebhookSecret,
+  getRecentDeliveries,
+} from "../server/custom-webhook.server.js";
+import {
+  listWebhookEndpoints,
+  saveWebhookEndpoint,
+  deleteWebhookEndpoint,
+} from "../server/webhook-endpoints.server.js";
+import { backfillQtyBaselines } from "../server/qty-baselines.server.js";
+import { importRelationshipsFromMetafields } from "../server/relationships.server.js";
+import { getSyncPauseState, pauseShopSync } from "../server/sync-pause.server.js";
+import { parseResumeMode, resumeShopSync } from "../server/sync-resume.server.js";
+import {
+  LOCATION_SYNC_MODES,
+  PAYLOAD_VERSIONS,
+  WEBHOOK_EVENT_TYPES,
+  WEBHOOK_EVENT_LABELS,
+  SYNC_RESUME_MODES,
+} from "../utils/sync-constants.js";
 
 /**
  * Utility function for making API calls to Shopify's GraphQL API.
@@ -337,6 +366,7 @@ async function processPendingCancellations(shopDomain, accessToken) {
 
 export async function loader({ request }) {
   let session;
+  let admin;
   try {
     const authResult = await authenticate.admin(request);
     if (authResult instanceof Response) {
@@ -349,6 +379,7 @@ export async function loader({ request }) {
       return redirect(`/auth?shop=${shop}&return_to=${returnTo}`);
     }
     session = authResult.session;
+    admin = authResult.admin;
   } catch (err) {
     console.error("[app.settings loader] Authentication error:", err);
     // Return basic data to prevent UI errors, but indicate auth failure
@@ -464,7 +495,47 @@ export async function loader({ request }) {
     };
   }
   
-  return json({ shopSub, shopifySubscription: enhancedShopifySubscription, errorMessage });
+  // Locations and per-master overrides for the "Inventory Locations" card
+  let locations = [];
+  let masterLocationRules = [];
+  let webhookDeliveries = [];
+  let webhookEndpoints = [];
+  let pausedMasters = [];
+  try {
+    [webhookDeliveries, webhookEndpoints] = await Promise.all([
+      getRecentDeliveries(shopDomain),
+      listWebhookEndpoints(shopDomain),
+    ]);
+  } catch (err) {
+    console.error("[app.settings loader] Error loading webhook deliveries:", err);
+  }
+  try {
+    [locations, masterLocationRules] = await Promise.all([
+      fetchShopLocations(admin),
+      prisma.masterLocationRule.findMany({
+        where: { shop: shopDomain },
+        orderBy: { updatedAt: "desc" },
+      }),
+    ]);
+  } catch (err) {
+    console.error("[app.settings loader] Error loading locations:", err);
+  }
+  try {
+    ({ pausedMasters } = await getSyncPauseState(shopDomain));
+  } catch (err) {
+    console.error("[app.settings loader] Error loading paused masters:", err);
+  }
+
+  return json({
+    shopSub,
+    shopifySubscription: enhancedShopifySubscription,
+    errorMessage,
+    locations,
+    masterLocationRules,
+    webhookDeliveries,
+    webhookEndpoints,
+    pausedMasters,
+  });
 }
 
 export async function action({ request }) {
@@ -495,9 +566,13 @@ export async function action({ request }) {
   if (intent === "save-settings") {
     try {
       const customApiUrl = formData.get("customApiUrl")?.toString() || "";
+      const requestedVersion = formData.get("webhookPayloadVersion")?.toString();
+      const webhookPayloadVersion = Object.values(PAYLOAD_VERSIONS).includes(requestedVersion)
+        ? requestedVersion
+        : PAYLOAD_VERSIONS.LEGACY;
       await prisma.shopSubscription.update({
         where: { shop: shopDomain },
-        data: { customApiUrl },
+        data: { customApiUrl, webhookPayloadVersion },
       });
       return json({ success: true, message: "Settings saved successfully" });
     } catch (err) {
@@ -506,6 +581,172 @@ export async function action({ request }) {
     }
   }
 
+  // Send a signed test event to the custom API URL.
+  if (intent === "send-test-webhook") {
+    const customApiUrl = formData.get("customApiUrl")?.toString().trim() || "";
+    if (!customApiUrl) {
+      return json({ error: "Enter a webhook URL before sending a test event." }, { status: 400 });
+    }
+    try {
+      const result = await deliverCustomWebhook(
+        shopDomain,
+        customApiUrl,
+        {
+          test: true,
+          shop: shopDomain,
+          message: "Test event from Stock Control Master",
+          sentAt: new Date().toISOString(),
+        },
+        { eventType: "test" }
+      );
+      return json({
+        success: result.success,
+        message: result.success
+          ? `Test event delivered (HTTP ${result.statusCode}).`
+          : `Test event failed after ${result.attempts} attempt(s)${result.statusCode ? ` (HTTP ${result.statusCode})` : ""}.`,
+      });
+    } catch (err) {
+      console.error("[app.settings action] Error sending test webhook:", err);
+      return json({ error: "Failed to send test event" }, { status: 500 });
+    }
+  }
+
+  // Create or update an outbound webhook endpoint.
+  if (intent === "save-webhook-endpoint") {
+    try {
+      await saveWebhookEndpoint(shopDomain, formData.get("endpointId")?.toString() || null, {
+        url: formData.get("url"),
+        description: formData.get("description"),
+        events: formData.getAll("events").map(String),
+        active: formData.get("active") === "true",
+      });
+      return json({ success: true, message: "Webhook endpoint saved" });
+    } catch (err) {
+      console.error("[app.settings action] Error saving webhook endpoint:", err);
+      return json({ error: err.message || "Failed to save webhook endpoint" }, { status: 400 });
+    }
+  }
+
+  // Delete an outbound webhook endpoint.
+  if (intent === "delete-webhook-endpoint") {
+    try {
+      await deleteWebhookEndpoint(shopDomain, formData.get("endpointId")?.toString());
+      return json({ success: true, message: "Webhook endpoint deleted" });
+    } catch (err) {
+      console.error("[app.settings action] Error deleting webhook endpoint:", err);
+      return json({ error: "Failed to delete webhook endpoint" }, { status: 500 });
+    }
+  }
+
+  // Replace the secret used to sign custom webhook deliveries.
+  if (intent === "rotate-webhook-secret") {
+    try {
+      await rotateWebhookSecret(shopDomain);
+      return json({ success: true, message: "Webhook signing secret regenerated" });
+    } catch (err) {
+      console.error("[app.settings action] Error rotating webhook secret:", err);
+      return json({ error: "Failed to regenerate webhook secret" }, { status: 500 });
+    }
+  }
+
+  // Save the shop-wide location sync rule.
+  if (intent === "save-location-settings") {
+    try {
+      const rule = parseLocationRuleInput(
+        formData.get("locationSyncMode"),
+        formData.getAll("syncLocationIds").map(String)
+      );
+      await prisma.shopSubscription.update({
+        where: { shop: shopDomain },
+        data: { locationSyncMode: rule.mode, syncLocationIds: rule.locationIds },
+      });
+      return json({ success: true, message: "Location settings saved successfully" });
+    } catch (err) {
+      console.error("[app.settings action] Error saving location settings:", err);
+      return json({ error: err.message || "Failed to save location settings" }, { status: 400 });
+    }
+  }
+
+  // Remove a per-master location override so it follows the shop rule again.
+  if (intent === "remove-location-override") {
+    try {
+      await deleteMasterLocationRule(shopDomain, formData.get("masterVariantId")?.toString());
+      return json({ success: true, message: "Location override removed" });
+    } catch (err) {
+      console.error("[app.settings action] Error removing location override:", err);
+      return json({ error: "Failed to remove location override" }, { status: 500 });
+    }
+  }
+
+  // Rebuild the Relationship table from the variant metafields.
+  if (intent === "import-relationships") {
+    importRelationshipsFromMetafields(
+      shopDomain,
+      { "X-Shopify-Access-Token": session.accessToken },
+      { overwrite: true }
+    ).catch((err) => console.error("[app.settings action] Error importing relationships:", err));
+    return json({
+      success: true,
+      message: "Importing relationships from your variants. Large catalogs can take a few minutes.",
+    });
+  }
+
+  // Turn order- and refund-driven sync on or off.
+  if (intent === "save-order-sync") {
+    try {
+      await prisma.shopSubscription.update({
+        where: { shop: shopDomain },
+        data: { orderSyncEnabled: formData.get("orderSyncEnabled") === "true" },
+      });
+      return json({ success: true, message: "Order sync settings saved" });
+    } catch (err) {
+      console.error("[app.settings action] Error saving order sync settings:", err);
+      return json({ error: "Failed to save order sync settings" }, { status: 500 });
+    }
+  }
+
+  // Reset the stored oldQty of every master and child to its current stock.
+  if (intent === "rebuild-baselines") {
+    backfillQtyBaselines(shopDomain, { overwrite: true }).catch((err) =>
+      console.error("[app.settings action] Error rebuilding baselines:", err)
+    );
+    return json({
+      success: true,
+      message: "Rebuilding inventory baselines. Large catalogs can take a few minutes.",
+    });
+  }
+
+  // Stop syncing for the whole shop, e.g. during a stocktake.
+  if (intent === "pause-sync") {
+    try {
+      await pauseShopSync(shopDomain);
+      return json({ success: true, message: "Sync paused" });
+    } catch (err) {
+      console.error("[app.settings action] Error pausing sync:", err);
+      return json({ error: "Failed to pause sync" }, { status: 500 });
+    }
+  }
+
+  // Recompute or re-baseline, then lift the shop-wide pause.
+  if (intent === "resume-sync") {
+    let mode;
+    try {
+      mode = parseResumeMode(formData.get("resumeMode"));
+    } catch (err) {
+      return json({ error: err.message }, { status: 400 });
+    }
+    resumeShopSync(shopDomain, mode).catch((err) =>
+      console.error("[app.settings action] Error resuming sync:", err)
+    );
+    return json({
+      success: true,
+      message:
+        mode === SYNC_RESUME_MODES.RECOMPUTE
+          ? "Recomputing children from their masters. Sync resumes once every master is done."
+          : "Rebuilding inventory baselines. Sync resumes once they are stored.",
+    });
+  }
+
   // Start a paid subscription plan.
   if (intent === "start-paid-plan") {
     try {
@@ -759,8 +1000,26 @@ const PlanCard = ({
   );
 };
 
+// Initial state of the "Add endpoint" form
+const EMPTY_ENDPOINT = {
+  id: "",
+  url: "",
+  description: "",
+  events: [WEBHOOK_EVENT_TYPES.MASTER_CHANGED],
+  active: true,
+};
+
 export default function AppSettings() {
-  const { shopSub, shopifySubscription, errorMessage } = useLoaderData();
+  const {
+    shopSub,
+    shopifySubscription,
+    errorMessage,
+    locations = [],
+    masterLocationRules = [],
+    webhookDeliveries = [],
+    webhookEndpoints = [],
+    pausedMasters = [],
+  } = useLoaderData();
   const actionData = useActionData();
   const location = useLocation();
   const urlParams = new URLSearchParams(location.search);
@@ -768,16 +1027,34 @@ export default function AppSettings() {
   
   // Para evitar problemas de hidratación, usamos valores seguros iniciales
   const [customUrl, setCustomUrl] = useState("");
+  const [payloadVersion, setPayloadVersion] = useState(PAYLOAD_VERSIONS.LEGACY);
   const [isPaidPlan, setIsPaidPlan] = useState(false);
   const [showCancelModal, setShowCancelModal] = useState(false);
   const [currentShopifySubscription, setCurrentShopifySubscription] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
+  const [locationSyncMode, setLocationSyncMode] = useState(LOCATION_SYNC_MODES.INDEPENDENT);
+  const [syncLocationIds, setSyncLocationIds] = useState([]);
+  const [orderSyncEnabled, setOrderSyncEnabled] = useState(false);
+  const [resumeMode, setResumeMode] = useState(SYNC_RESUME_MODES.RECOMPUTE);
   const fetcher = useFetcher();
+  const webhookFetcher = useFetcher();
+  const [endpointForm, setEndpointForm] = useState(EMPTY_ENDPOINT);
+
+  // Clear the endpoint form once the save went through
+  useEffect(() => {
+    if (actionData?.success && actionData.message === "Webhook endpoint saved") {
+      setEndpointForm(EMPTY_ENDPOINT);
+    }
+  }, [actionData]);
 
   // Inicializar estados después del renderizado del cliente
   useEffect(() => {
     // Inicializar valores solo en el lado del cliente para evitar desajustes de hidratación
     setCustomUrl(shopSub?.customApiUrl || "");
+    setPayloadVersion(shopSub?.webhookPayloadVersion || PAYLOAD_VERSIONS.LEGACY);
+    setLocationSyncMode(shopSub?.locationSyncMode || LOCATION_SYNC_MODES.INDEPENDENT);
+    setSyncLocationIds(shopSub?.syncLocationIds || []);
+    setOrderSyncEnabled(shopSub?.orderSyncEnabled === true);
     setIsPaidPlan(shopSub?.plan === "PAID");
     setCurrentShopifySubscription(shopifySubscription);
   }, [shopSub, shopifySubscription]);
@@ -1124,16 +1401,417 @@ export default function AppSettings() {
           <Card sectioned title="Custom API URL">
             <Form method="post">
               <input type="hidden" name="intent" value="save-settings" />
-              <TextField
-                label="Webhook POST URL"
-                name="customApiUrl"
-                value={customUrl}
-                onChange={setCustomUrl}
-                helpText="Stock Control Master will send product updates here in JSON format."
-              />
+              <InlineStack gap="200" blockAlign="end" wrap={false}>
+                <div style={{ flexGrow: 1 }}>
+                  <TextField
+                    label="Webhook POST URL"
+                    name="customApiUrl"
+                    value={customUrl}
+                    onChange={setCustomUrl}
+                    helpText="Stock Control Master will send product updates here in JSON format."
+                  />
+                </div>
+                <Button
+                  onClick={() =>
+                    webhookFetcher.submit(
+                      { intent: "send-test-webhook", customApiUrl: customUrl },
+                      { method: "post" }
+                    )
+                  }
+                  loading={webhookFetcher.state !== "idle"}
+                  disabled={!customUrl}
+                >
+                  Send test event
+                </Button>
+              </InlineStack>
+              {webhookFetcher.data?.message && (
+                <Box paddingBlockStart="200">
+                  <Banner tone={webhookFetcher.data.success ? "success" : "warning"}>
+                    {webhookFetcher.data.message}
+                  </Banner>
+                </Box>
+              )}
+              {webhookFetcher.data?.error && (
+                <Box paddingBlockStart="200">
+                  <Banner tone="critical">{webhookFetcher.data.error}</Banner>
+                </Box>
+              )}
+              <Box paddingBlockStart="300">
+                <Select
+                  label="Payload format"
+                  name="webhookPayloadVersion"
+                  options={[
+                    { label: "Legacy (master changes only)", value: PAYLOAD_VERSIONS.LEGACY },
+                    { label: "Version 2 (master and child changes)", value: PAYLOAD_VERSIONS.V2 },
+                  ]}
+                  value={payloadVersion}
+                  onChange={setPayloadVersion}
+                  helpText="Both formats are described on the Help page."
+                />
+              </Box>
               <br />
               <Button submit disabled={isLoading}>Save</Button>
             </Form>
+
+            <Box paddingBlockStart="400">
+              <BlockStack gap="200">
+                <Divider />
+                <Text variant="headingSm" as="h3">Signing secret</Text>
+                <Text variant="bodySm" tone="subdued" as="p">
+                  Each delivery includes an <code>X-Stock-Control-Hmac-Sha256</code> header: the base64
+                  HMAC-SHA256 of the raw request body using this secret.
+                </Text>
+                <InlineStack gap="200" blockAlign="end" wrap={false}>
+                  <div style={{ flexGrow: 1 }}>
+                    <TextField
+                      label="Secret"
+                      labelHidden
+                      value={shopSub?.webhookSecret || "Generated on first delivery"}
+                      readOnly
+                      autoComplete="off"
+                    />
+                  </div>
+                  <Form method="post">
+                    <input type="hidden" name="intent" value="rotate-webhook-secret" />
+                    <Button submit disabled={isLoading}>
+                      {shopSub?.webhookSecret ? "Regenerate" : "Generate"}
+                    </Button>
+                  </Form>
+                </InlineStack>
+              </BlockStack>
+            </Box>
+
+            <Box paddingBlockStart="400">
+              <BlockStack gap="200">
+                <Divider />
+                <Text variant="headingSm" as="h3">Recent deliveries</Text>
+                {webhookDeliveries.length > 0 ? (
+                  <DataTable
+                    columnContentTypes={["text", "text", "numeric", "numeric", "numeric", "text"]}
+                    headings={["Time", "Event", "Attempt", "Status", "Latency (ms)", "Response"]}
+                    rows={webhookDeliveries.map((delivery) => [
+                      new Date(delivery.createdAt).toLocaleString(),
+                      delivery.eventType,
+                      delivery.attempt,
+                      delivery.statusCode ?? "—",
+                      delivery.latencyMs ?? "—",
+                      delivery.error || delivery.responseSnippet || "",
+                    ])}
+                  />
+                ) : (
+                  <Text variant="bodySm" tone="subdued" as="p">No deliveries yet.</Text>
+                )}
+              </BlockStack>
+            </Box>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card sectioned title="Webhook Endpoints">
+            <BlockStack gap="300">
+              <Text variant="headingMd" as="h2">Webhook Endpoints</Text>
+              <Text variant="bodySm" tone="subdued" as="p">
+                Send selected events to other systems. Endpoints receive the version 2 format and
+                are signed with the same secret as the Custom API URL.
+              </Text>
+
+              {webhookEndpoints.map((endpoint) => (
+                <InlineStack key={endpoint.id} align="space-between" blockAlign="center" wrap={false}>
+                  <BlockStack gap="100">
+                    <InlineStack gap="200" blockAlign="center">
+                      <Text as="span" fontWeight="semibold">{endpoint.description || endpoint.url}</Text>
+                      {!endpoint.active && <Badge>Paused</Badge>}
+                    </InlineStack>
+                    {endpoint.description && (
+                      <Text variant="bodySm" tone="subdued" as="span">{endpoint.url}</Text>
+                    )}
+                    <InlineStack gap="100" wrap>
+                      {endpoint.events.map((eventType) => (
+                        <Badge key={eventType} tone="info">{WEBHOOK_EVENT_LABELS[eventType] || eventType}</Badge>
+                      ))}
+                    </InlineStack>
+                  </BlockStack>
+                  <InlineStack gap="200" wrap={false}>
+                    <Button
+                      variant="plain"
+                      onClick={() =>
+                        setEndpointForm({
+                          id: endpoint.id,
+                          url: endpoint.url,
+                          description: endpoint.description || "",
+                          events: endpoint.events,
+                          active: endpoint.active,
+                        })
+                      }
+                    >
+                      Edit
+                    </Button>
+                    <Form method="post">
+                      <input type="hidden" name="intent" value="delete-webhook-endpoint" />
+                      <input type="hidden" name="endpointId" value={endpoint.id} />
+                      <Button submit variant="plain" tone="critical">Delete</Button>
+                    </Form>
+                  </InlineStack>
+                </InlineStack>
+              ))}
+
+              <Divider />
+              <Form method="post">
+                <input type="hidden" name="intent" value="save-webhook-endpoint" />
+                <input type="hidden" name="endpointId" value={endpointForm.id} />
+                <input type="hidden" name="active" value={String(endpointForm.active)} />
+                {endpointForm.events.map((eventType) => (
+                  <input key={eventType} type="hidden" name="events" value={eventType} />
+                ))}
+                <BlockStack gap="200">
+                  <Text variant="headingSm" as="h3">
+                    {endpointForm.id ? "Edit endpoint" : "Add endpoint"}
+                  </Text>
+                  <TextField
+                    label="URL"
+                    name="url"
+                    value={endpointForm.url}
+                    onChange={(url) => setEndpointForm((prev) => ({ ...prev, url }))}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Description"
+                    name="description"
+                    value={endpointForm.description}
+                    onChange={(description) => setEndpointForm((prev) => ({ ...prev, description }))}
+                    placeholder="e.g. ERP, Warehouse, Slack relay"
+                    autoComplete="off"
+                  />
+                  <BlockStack gap="100">
+                    {Object.values(WEBHOOK_EVENT_TYPES).map((eventType) => (
+                      <Checkbox
+                        key={eventType}
+                        label={WEBHOOK_EVENT_LABELS[eventType]}
+                        helpText={eventType}
+                        checked={endpointForm.events.includes(eventType)}
+                        onChange={(checked) =>
+                          setEndpointForm((prev) => ({
+                            ...prev,
+                            events: checked
+                              ? [...prev.events, eventType]
+                              : prev.events.filter((e) => e !== eventType),
+                          }))
+                        }
+                      />
+                    ))}
+                  </BlockStack>
+                  <Checkbox
+                    label="Active"
+                    checked={endpointForm.active}
+                    onChange={(active) => setEndpointForm((prev) => ({ ...prev, active }))}
+                  />
+                  <InlineStack gap="200">
+                    <Button submit disabled={isLoading || !endpointForm.url}>
+                      {endpointForm.id ? "Update endpoint" : "Add endpoint"}
+                    </Button>
+                    {endpointForm.id && (
+                      <Button variant="plain" onClick={() => setEndpointForm(EMPTY_ENDPOINT)}>
+                        Cancel
+                      </Button>
+                    )}
+                  </InlineStack>
+                </BlockStack>
+              </Form>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card sectioned title="Inventory Locations">
+            <Form method="post">
+              <input type="hidden" name="intent" value="save-location-settings" />
+              <input type="hidden" name="locationSyncMode" value={locationSyncMode} />
+              {locationSyncMode !== LOCATION_SYNC_MODES.INDEPENDENT &&
+                syncLocationIds.map((id) => (
+                  <input key={id} type="hidden" name="syncLocationIds" value={id} />
+                ))}
+              <BlockStack gap="300">
+                <Text variant="headingMd" as="h2">Inventory Locations</Text>
+                <Select
+                  label="Default sync mode"
+                  options={[
+                    { label: "Sync every location independently", value: LOCATION_SYNC_MODES.INDEPENDENT },
+                    { label: "Sync selected locations only", value: LOCATION_SYNC_MODES.SELECTED },
+                    { label: "Pool selected locations into one total", value: LOCATION_SYNC_MODES.POOLED },
+                  ]}
+                  value={locationSyncMode}
+                  onChange={setLocationSyncMode}
+                  helpText="Masters without their own override follow this rule."
+                />
+                {locationSyncMode !== LOCATION_SYNC_MODES.INDEPENDENT && (
+                  <BlockStack gap="100">
+                    {locations.map((loc) => (
+                      <Checkbox
+                        key={loc.id}
+                        label={`${loc.name}${loc.isPrimary ? " (primary)" : ""}`}
+                        checked={syncLocationIds.includes(loc.id)}
+                        disabled={!loc.isActive}
+                        onChange={(checked) =>
+                          setSyncLocationIds((prev) =>
+                            checked ? [...prev, loc.id] : prev.filter((id) => id !== loc.id)
+                          )
+                        }
+                      />
+                    ))}
+                    {locationSyncMode === LOCATION_SYNC_MODES.POOLED && (
+                      <Text variant="bodySm" tone="subdued" as="p">
+                        Children are stocked at the first selected location and use the pooled master total.
+                      </Text>
+                    )}
+                  </BlockStack>
+                )}
+                <InlineStack>
+                  <Button submit disabled={isLoading}>Save locations</Button>
+                </InlineStack>
+              </BlockStack>
+            </Form>
+
+            {masterLocationRules.length > 0 && (
+              <Box paddingBlockStart="400">
+                <BlockStack gap="200">
+                  <Divider />
+                  <Text variant="headingSm" as="h3">Master overrides</Text>
+                  {masterLocationRules.map((rule) => (
+                    <InlineStack key={rule.id} align="space-between" blockAlign="center">
+                      <Text as="span">
+                        Variant {rule.masterVariantId} — {rule.mode}
+                        {rule.locationIds.length > 0 &&
+                          ` (${rule.locationIds
+                            .map((id) => locations.find((loc) => loc.id === id)?.name || id)
+                            .join(", ")})`}
+                      </Text>
+                      <Form method="post">
+                        <input type="hidden" name="intent" value="remove-location-override" />
+                        <input type="hidden" name="masterVariantId" value={rule.masterVariantId} />
+                        <Button submit variant="plain" tone="critical">Remove</Button>
+                      </Form>
+                    </InlineStack>
+                  ))}
+                </BlockStack>
+              </Box>
+            )}
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card sectioned title="Order Sync">
+            <Form method="post">
+              <input type="hidden" name="intent" value="save-order-sync" />
+              <input type="hidden" name="orderSyncEnabled" value={String(orderSyncEnabled)} />
+              <BlockStack gap="300">
+                <Text variant="headingMd" as="h2">Order Sync</Text>
+                <Text as="p" tone="subdued">
+                  Applies every sold or restocked child line to its master straight from the order
+                  or refund, instead of working it out from the change in stock. Pack sales stay
+                  exact even when several orders arrive at once.
+                </Text>
+                <Checkbox
+                  label="Sync masters from orders and refunds"
+                  helpText="Only refunds that restock items add stock back to the master."
+                  checked={orderSyncEnabled}
+                  onChange={setOrderSyncEnabled}
+                />
+                <InlineStack>
+                  <Button submit disabled={isLoading}>Save</Button>
+                </InlineStack>
+              </BlockStack>
+            </Form>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card sectioned title="Relationships">
+            <Form method="post">
+              <input type="hidden" name="intent" value="import-relationships" />
+              <BlockStack gap="300">
+                <Text variant="headingMd" as="h2">Relationships</Text>
+                <Text as="p" tone="subdued">
+                  The app keeps its own copy of every master/child link and writes it to the variant
+                  metafields for your theme and other apps.
+                  {shopSub?.relationsImportedAt
+                    ? ` Last imported ${new Date(shopSub.relationsImportedAt).toLocaleString()}.`
+                    : " Your links have not been imported yet."}{" "}
+                  Import again if the metafields were edited outside the app.
+                </Text>
+                <InlineStack>
+                  <Button submit disabled={isLoading}>Import from metafields</Button>
+                </InlineStack>
+              </BlockStack>
+            </Form>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card sectioned title="Inventory Baselines">
+            <Form method="post">
+              <input type="hidden" name="intent" value="rebuild-baselines" />
+              <BlockStack gap="300">
+                <Text variant="headingMd" as="h2">Inventory Baselines</Text>
+                <Text as="p" tone="subdued">
+                  Every change is compared with the last quantity the app stored for the variant at that location.
+                  Rebuild the baselines if masters were adjusted by the wrong amount, for example
+                  after stock was edited while the app was uninstalled.
+                </Text>
+                <InlineStack>
+                  <Button submit disabled={isLoading}>Rebuild baselines</Button>
+                </InlineStack>
+              </BlockStack>
+            </Form>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card sectioned title="Sync Pause">
+            <Form method="post">
+              <input type="hidden" name="intent" value={shopSub?.syncPausedAt ? "resume-sync" : "pause-sync"} />
+              <input type="hidden" name="resumeMode" value={resumeMode} />
+              <BlockStack gap="300">
+                <Text variant="headingMd" as="h2">Sync Pause</Text>
+                {shopSub?.syncPausedAt ? (
+                  <>
+                    <Banner tone="warning">
+                      Syncing has been paused since {new Date(shopSub.syncPausedAt).toLocaleString()}.
+                      Stock changes are recorded but not passed between masters and children.
+                    </Banner>
+                    <Select
+                      label="On resume"
+                      options={[
+                        { label: "Recompute children from their masters", value: SYNC_RESUME_MODES.RECOMPUTE },
+                        { label: "Keep current stock, only re-baseline", value: SYNC_RESUME_MODES.REBASELINE },
+                      ]}
+                      value={resumeMode}
+                      onChange={setResumeMode}
+                      helpText="Recompute resets every child to what its master says it should hold. Re-baseline keeps the stock as counted and syncs only changes made from now on."
+                    />
+                    <InlineStack>
+                      <Button submit variant="primary" disabled={isLoading}>Resume sync</Button>
+                    </InlineStack>
+                  </>
+                ) : (
+                  <>
+                    <Text as="p" tone="subdued">
+                      Pause during stocktakes and big imports to stop masters and children from
+                      updating each other. Links and settings are kept.
+                    </Text>
+                    <InlineStack>
+                      <Button submit disabled={isLoading}>Pause sync</Button>
+                    </InlineStack>
+                  </>
+                )}
+                {pausedMasters.length > 0 && (
+                  <Text as="p" tone="subdued">
+                    {pausedMasters.length} master(s) are paused on their own:{" "}
+                    {pausedMasters.map((p) => p.masterVariantId).join(", ")}. Resume them from the
+                    master's sync window.
+                  </Text>
+                )}
+              </BlockStack>
+            </Form>
           </Card>
         </Layout.Section>
       </Layout>
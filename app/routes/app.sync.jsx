@@ -4,6 +4,11 @@ import { json } from "@remix-run/node";
 import { useLoaderData, useFetcher } from "@remix-run/react";
 import { Page, Card, TextField, Button, Modal, Banner, Spinner } from "@shopify/polaris";
 import { authenticate } from "../shopify.server";
+import {
+  METAFIELD_KEYS,
+  metafieldSelection,
+  preferAppMetafields,
+} from "../utils/metafield-utils.js";
 
 /**
  * Loader for syncing a single variant in real time.
@@ -30,27 +35,9 @@ export const loader = async ({ request }) => {
           image {
             originalSrc
           }
-          masterMetafield: metafield(
-            namespace: "projektstocksyncmaster"
-            key: "master"
-          ) {
-            id
-            value
-          }
-          childrenMetafield: metafield(
-            namespace: "projektstocksyncchildren"
-            key: "childrenkey"
-          ) {
-            id
-            value
-          }
-          ratioMetafield: metafield(
-            namespace: "projektstocksyncqtymanagement"
-            key: "qtymanagement"
-          ) {
-            id
-            value
-          }  
+          ${metafieldSelection("masterMetafield", METAFIELD_KEYS.MASTER, "id value")}
+          ${metafieldSelection("childrenMetafield", METAFIELD_KEYS.CHILDREN, "id value")}
+          ${metafieldSelection("ratioMetafield", METAFIELD_KEYS.QTY_MANAGEMENT, "id value")}
           product {
             id
             title
@@ -67,7 +54,7 @@ export const loader = async ({ request }) => {
     }
   `;
   const response = await admin.graphql(query, { variables: { id: variantId } });
-  const result = await response.json();
+  const result = preferAppMetafields(await response.json());
   if (result.errors) {
     console.error("Error fetching variant:", result.errors);
     throw new Response("Error fetching danilo variant data", { status: 500 });
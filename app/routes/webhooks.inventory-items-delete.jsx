@@ -0,0 +1,26 @@
+/************************************************************************
+ * webhooks.inventory-items-delete.jsx
+ *
+ * Shopify deletes a variant's inventory item with the variant, so this is
+ * the variant removal signal. The item is queued for the deleted variant
+ * cleanup (deleted-variants.server.js), which finds the variant behind it.
+ ************************************************************************/
+import { authenticate } from "../shopify.server";
+import { queueDeletedVariantCleanup } from "../server/deleted-variants.server.js";
+
+export const action = async ({ request }) => {
+  try {
+    const { shop, topic, payload } = await authenticate.webhook(request);
+    console.log(`[INVENTORY_ITEMS_DELETE] shop=${shop}, topic=${topic}, item=${payload?.id}`);
+    if (payload?.id) {
+      await queueDeletedVariantCleanup(shop, payload.id);
+    }
+  } catch (error) {
+    // authenticate.webhook throws a Response for invalid HMACs
+    if (error instanceof Response) throw error;
+    console.error(`[INVENTORY_ITEMS_DELETE] Error processing webhook: ${error.message}`);
+    // Not queued => let Shopify retry the delivery
+    return new Response("Failed to queue cleanup", { status: 500 });
+  }
+  return new Response("OK", { status: 200 });
+};
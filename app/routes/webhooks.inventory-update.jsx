@@ -16,14 +16,16 @@ export const action = async ({ request }) => {
   const {
     verifyHmac,
     getShopSessionHeaders,
-    hasExactKey,
     markExactKey,
+    releaseExactKey,
     buildExactDedupKey,
-    buildPredictedKey,
-    hasPredictedUpdate,
-    markComboKey,
-    hasComboKey,
+    findSyncOrigin,
+    checkInventoryWatermark,
+    advanceInventoryWatermark,
+    recordLedgerEntries,
+    LEDGER_SOURCES,
     addEventToAggregator,
+    startAggregatorWorker,
     setInventoryQuantity,
     setQtyOldValueDB,
     setQtyOldValue,
@@ -31,8 +33,12 @@ export const action = async ({ request }) => {
     getInventoryItemIdFromVariantId
     // ... any other functions you need
   } = await import("../server/webhooks.inventory-update.helpers.server.js");
+  const { SYNC_OUTCOMES, SYNC_REASONS, recordSyncEvent } = await import("../server/sync-events.server.js");
+  const { isShopSyncPaused, getPauseReason } = await import("../server/sync-pause.server.js");
+  const { masterIdsForEvent } = await import("../server/master-locks.server.js");
 
   console.log("🔔 Inventory Webhook => aggregator + difference-based + childDivisor=1 logic.");
+  startAggregatorWorker();
 
   // 1) Parse raw body
   const rawBody = await request.text();
@@ -65,138 +71,237 @@ export const action = async ({ request }) => {
     console.error("No X-Shopify-Shop-Domain header => cannot retrieve tokens");
     return new Response("Shop domain missing", { status: 400 });
   }
+  const sourceWebhookId = request.headers.get("X-Shopify-Webhook-Id");
+
+  // Skips decided before we know the MASTER/CHILD relationship
+  const recordSkip = (reason, details = null) =>
+    recordSyncEvent(shopDomain, {
+      inventoryItemId: payload.inventory_item_id,
+      locationId: payload.location_id,
+      newQty: payload.available,
+      outcome: SYNC_OUTCOMES.SKIPPED,
+      reason,
+      details,
+      sourceWebhookId,
+    });
 
   // 4) Short-term dedup => 10 seconds
   const dedupKey = buildExactDedupKey(payload);
-  if (hasExactKey(dedupKey)) {
+  if (!(await markExactKey(dedupKey))) {
     console.log(`Skipping repeated => ${dedupKey}`);
+    await recordSkip(SYNC_REASONS.DUPLICATE);
     return new Response("Duplicate skip", { status: 200 });
   }
-  markExactKey(dedupKey);
 
-  // 4) Predicted updates => skip
-  const pKey = buildPredictedKey(payload.inventory_item_id, payload.location_id, payload.available);
-  if (hasPredictedUpdate(pKey)) {
-    console.log(`Skipping => predicted future update => ${pKey}`);
-    return new Response("Skipped => predicted future update", { status: 200 });
-  }
+  // Everything up to the enqueue may throw: the key is released first so
+  // Shopify's retry of this delivery is not dropped as a duplicate.
+  try {
+    // 4) Echo of one of our own writes => skip
+    const syncRunId = await findSyncOrigin(payload);
+    if (syncRunId) {
+      console.log(`Skipping => echo of sync run ${syncRunId}`);
+      // The echo is the level we just applied => older deliveries are stale from here on
+      await advanceInventoryWatermark(shopDomain, payload.inventory_item_id, payload.location_id, payload.updated_at);
+      await recordSkip(SYNC_REASONS.APP_ECHO, `Sync run ${syncRunId}`);
+      return new Response("Skipped => echo of our own sync", { status: 200 });
+    }
 
-  // 5) 6-second item+location lock
-  const shortComboKey = `${payload.inventory_item_id}-${payload.location_id}`;
-  if (hasComboKey(shortComboKey)) {
-    console.log(`Skipping => combo locked => ${shortComboKey}`);
-    return new Response("Skipped => 6s combo lock", { status: 200 });
-  }
-  markComboKey(shortComboKey);
+    // Every genuine change to a linked item is kept in the ledger, stale deliveries included:
+    // they still tell us the level at their own updated_at.
+    await recordLedgerEntries(shopDomain, [{
+      inventoryItemId: payload.inventory_item_id,
+      locationId: payload.location_id,
+      quantity: payload.available,
+      source: LEDGER_SOURCES.WEBHOOK,
+      sourceWebhookId,
+      observedAt: payload.updated_at,
+    }]);
 
-  // 7) Retrieve admin headers
-  let adminHeaders, adminApiUrl;
-  try {
-    const result = await getShopSessionHeaders(shopDomain);
-    adminHeaders = result.adminHeaders;
-    adminApiUrl = result.adminApiUrl;
-    console.log(`Admin client auth => success for shop: ${shopDomain}`);
-  } catch (err) {
-    console.error("Auth error =>", err);
-    return new Response("Authentication (DB) failed", { status: 403 });
-  }
+    // 5) Out-of-order delivery => older than the last applied change => skip
+    const { stale, watermark } = await checkInventoryWatermark(
+      shopDomain,
+      payload.inventory_item_id,
+      payload.location_id,
+      payload.updated_at
+    );
+    if (stale) {
+      console.log(`Skipping => stale updated_at ${payload.updated_at} < ${watermark.toISOString()}`);
+      await recordSkip(
+        SYNC_REASONS.STALE,
+        `updated_at ${payload.updated_at} is older than the last applied ${watermark.toISOString()}`
+      );
+      return new Response("Skipped => stale webhook", { status: 200 });
+    }
 
-  // 8) Main logic
-  const locationId = payload.location_id;
-  const inventoryItemId = payload.inventory_item_id;
-  const newQty = payload.available;
-
-  // Dynamically import another helper if needed:
-  const info = await getMasterChildInfo(shopDomain, adminHeaders, inventoryItemId);
-
-  if (!info) {
-    console.log("No MASTER/CHILD relationship found; performing a direct update.");
-    await setInventoryQuantity(shopDomain, adminHeaders, inventoryItemId, locationId, newQty);
-
-    // Also store the new qty as oldQty in the DB for future reference
-    const { getInventoryItemIdFromVariantId } = await import("../server/webhooks.inventory-update.helpers.server.js");
-    const fallbackVariantId = await fetch(
-      `https://${shopDomain}/admin/api/2024-10/graphql.json`,
-      {
-        method: "POST",
-        headers: {
-          ...adminHeaders,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          query: `
-          query getVariantByInventory($inventoryItemId: ID!) {
-            inventoryItem(id: $inventoryItemId) {
-              variant {
-                id
+    // 6) Paused by the merchant => the ledger has the level, nothing is applied
+    if (await isShopSyncPaused(shopDomain)) {
+      console.log(`Skipping => sync paused for ${shopDomain}`);
+      await recordSkip(SYNC_REASONS.PAUSED, "Sync paused for the shop");
+      return new Response("Skipped => sync paused", { status: 200 });
+    }
+
+    //    Further changes to the same item+location are NOT dropped: they are
+    //    queued below and applied in order under the MASTER's advisory lock.
+
+    // 7) Retrieve admin headers
+    let adminHeaders, adminApiUrl;
+    try {
+      const result = await getShopSessionHeaders(shopDomain);
+      adminHeaders = result.adminHeaders;
+      adminApiUrl = result.adminApiUrl;
+      console.log(`Admin client auth => success for shop: ${shopDomain}`);
+    } catch (err) {
+      console.error("Auth error =>", err);
+      await releaseExactKey(dedupKey);
+      return new Response("Authentication (DB) failed", { status: 403 });
+    }
+
+    // 8) Main logic
+    const locationId = payload.location_id;
+    const inventoryItemId = payload.inventory_item_id;
+    const newQty = payload.available;
+
+    // Dynamically import another helper if needed:
+    const info = await getMasterChildInfo(shopDomain, adminHeaders, inventoryItemId);
+
+    if (!info) {
+      console.log("No MASTER/CHILD relationship found; performing a direct update.");
+      await setInventoryQuantity(shopDomain, adminHeaders, inventoryItemId, locationId, newQty);
+      await advanceInventoryWatermark(shopDomain, inventoryItemId, locationId, payload.updated_at);
+
+      // Also store the new qty as oldQty in the DB for future reference
+      const { getInventoryItemIdFromVariantId } = await import("../server/webhooks.inventory-update.helpers.server.js");
+      const fallbackVariantId = await fetch(
+        `https://${shopDomain}/admin/api/2024-10/graphql.json`,
+        {
+          method: "POST",
+          headers: {
+            ...adminHeaders,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            query: `
+            query getVariantByInventory($inventoryItemId: ID!) {
+              inventoryItem(id: $inventoryItemId) {
+                variant {
+                  id
+                }
               }
-            }
-          }`,
-          variables: { inventoryItemId: `gid://shopify/InventoryItem/${inventoryItemId}` },
-        }),
+            }`,
+            variables: { inventoryItemId: `gid://shopify/InventoryItem/${inventoryItemId}` },
+          }),
+        }
+      )
+        .then((res) => res.json())
+        .then((resData) => resData?.data?.inventoryItem?.variant?.id)
+        .catch(() => null);
+
+      if (fallbackVariantId) {
+        await setQtyOldValueDB(shopDomain, fallbackVariantId, newQty);
+        await setQtyOldValue(shopDomain, adminHeaders, fallbackVariantId, newQty);
+      } else {
+        console.log("Could not determine variantId for direct update, skipping DB 'oldQty' storage.");
       }
-    )
-      .then((res) => res.json())
-      .then((resData) => resData?.data?.inventoryItem?.variant?.id)
-      .catch(() => null);
-
-    if (fallbackVariantId) {
-      await setQtyOldValueDB(shopDomain, fallbackVariantId, newQty);
-      await setQtyOldValue(shopDomain, adminHeaders, fallbackVariantId, newQty);
+
+      await recordSyncEvent(shopDomain, {
+        inventoryItemId,
+        locationId,
+        newQty,
+        outcome: SYNC_OUTCOMES.SYNCED,
+        reason: SYNC_REASONS.DIRECT_UPDATE,
+        details: fallbackVariantId ? `Variant ${fallbackVariantId}` : null,
+        sourceWebhookId,
+      });
+
+      return new Response("No Master/Child => performed a direct update", { status: 200 });
+    }
+
+    let variantId;
+    let isMaster = false;
+    let sku = '';
+
+    if (info.isMaster) {
+      isMaster = true;
+      variantId = info.variantId;
+      sku = info.sku;
     } else {
-      console.log("Could not determine variantId for direct update, skipping DB 'oldQty' storage.");
+      isMaster = false;
+      variantId = info.childVariantId;
+      sku = info.childSku;
     }
 
-    return new Response("No Master/Child => performed a direct update", { status: 200 });
-  }
+    // Baseline of this location; an unknown one is taken as unchanged rather than 0
+    const { getLocationQtyOld } = await import("../server/webhooks.inventory-update.helpers.server.js");
+    const oldQty = (await getLocationQtyOld(shopDomain, variantId, inventoryItemId, locationId)) ?? newQty;
+    console.log(`(location baseline oldQty) => old:${oldQty}, new:${newQty}`);
 
-  let variantId;
-  let isMaster = false;
-  let sku = '';
-
-  if (info.isMaster) {
-    isMaster = true;
-    variantId = info.variantId;
-    sku = info.sku;
-  } else {
-    isMaster = false;
-    variantId = info.childVariantId;
-    sku = info.childSku;
-  }
+    let comboKey;
+    if (info.isMaster) {
+      comboKey = `${info.inventoryItemId}-${locationId}`;
+    } else {
+      comboKey = `${info.masterInventoryItemId}-${locationId}`;
+    }
 
-  // Import the function to get oldQty from DB
-  const { getQtyOldValueDB } = await import("../server/webhooks.inventory-update.helpers.server.js");
-  const oldQty = await getQtyOldValueDB(shopDomain, variantId);
-  console.log(`(DB-based oldQty) => old:${oldQty}, new:${newQty}`);
+    // Build event object
+    const eventObj = {
+      shopDomain,
+      adminHeaders,
+      isMaster,
+      locationId,
+      newQty,
+      oldQty,
+      sku,
+      sourceWebhookId,
+      sourceUpdatedAt: payload.updated_at
+    };
 
-  let comboKey;
-  if (info.isMaster) {
-    comboKey = `${info.inventoryItemId}-${locationId}`;
-  } else {
-    comboKey = `${info.masterInventoryItemId}-${locationId}`;
-  }
+    if (info.isChild) {
+      eventObj.masterInventoryItemId = info.masterInventoryItemId;
+      eventObj.masterVariantId = info.masterVariantId;
+      eventObj.childVariantId = info.childVariantId;
+      eventObj.inventoryItemId = info.inventoryItemId;
+      if (info.isBundle) {
+        eventObj.isBundle = true;
+        eventObj.bundleComponents = info.bundleComponents;
+      }
+    } else {
+      eventObj.variantId = info.variantId;
+      eventObj.inventoryItemId = info.inventoryItemId;
+    }
 
-  // Build event object
-  const eventObj = {
-    shopDomain,
-    adminHeaders,
-    isMaster,
-    locationId,
-    newQty,
-    oldQty,
-    sku
-  };
-
-  if (info.isChild) {
-    eventObj.masterInventoryItemId = info.masterInventoryItemId;
-    eventObj.masterVariantId = info.masterVariantId;
-    eventObj.childVariantId = info.childVariantId;
-    eventObj.inventoryItemId = info.inventoryItemId;
-  } else {
-    eventObj.variantId = info.variantId;
-    eventObj.inventoryItemId = info.inventoryItemId;
-  }
+    // A paused MASTER is checked again by the aggregator: it may be paused
+    // while the event waits in the queue.
+    if (await getPauseReason(shopDomain, masterIdsForEvent(eventObj))) {
+      console.log(`Skipping => sync paused for MASTER of ${variantId}`);
+      await recordSyncEvent(shopDomain, {
+        masterVariantId: isMaster ? variantId : info.masterVariantId,
+        childVariantId: isMaster ? null : variantId,
+        inventoryItemId,
+        locationId,
+        sku,
+        oldQty,
+        newQty,
+        outcome: SYNC_OUTCOMES.SKIPPED,
+        reason: SYNC_REASONS.PAUSED,
+        details: "Sync paused for the MASTER",
+        sourceWebhookId,
+      });
+      return new Response("Skipped => MASTER paused", { status: 200 });
+    }
 
-  addEventToAggregator(comboKey, eventObj);
-  return new Response("Event queued => waiting for aggregator to finalise", { status: 200 });
+    // The event must be persisted before we acknowledge it. If the insert fails,
+    // answer with a 5xx so Shopify retries the delivery instead of losing it.
+    try {
+      await addEventToAggregator(comboKey, eventObj);
+    } catch (err) {
+      console.error("Failed to persist aggregator event =>", err);
+      await releaseExactKey(dedupKey);
+      return new Response("Failed to queue event", { status: 500 });
+    }
+    return new Response("Event queued => waiting for aggregator to finalise", { status: 200 });
+  } catch (err) {
+    console.error("Inventory webhook failed =>", err);
+    await releaseExactKey(dedupKey);
+    return new Response("Failed to process webhook", { status: 500 });
+  }
 };
\ No newline at end of file
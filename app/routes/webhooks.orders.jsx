@@ -0,0 +1,24 @@
+/************************************************************************
+ * webhooks.orders.jsx
+ *
+ * orders/create, orders/cancelled and refunds/create. Sold and restocked
+ * CHILD lines are applied to their MASTERS by order-sync.server.js when
+ * the shop has order sync turned on.
+ ************************************************************************/
+import { authenticate } from "../shopify.server";
+import { handleOrderWebhook } from "../server/order-sync.server.js";
+
+export const action = async ({ request }) => {
+  try {
+    const { shop, topic, payload } = await authenticate.webhook(request);
+    console.log(`[ORDERS] shop=${shop}, topic=${topic}, id=${payload?.id}`);
+    await handleOrderWebhook(shop, topic, payload);
+  } catch (error) {
+    // authenticate.webhook throws a Response for invalid HMACs
+    if (error instanceof Response) throw error;
+    console.error(`[ORDERS] Error processing webhook: ${error.message}`);
+    // Applied lines are marked, so Shopify's retry only applies the rest
+    return new Response("Error", { status: 500 });
+  }
+  return new Response("OK", { status: 200 });
+};
@@ -0,0 +1,15 @@
+/************************************************************************
+ * webhooks.products-delete.jsx
+ *
+ * products/delete only carries the product ID. Shopify also sends one
+ * inventory_items/delete per variant of the product, and those queue the
+ * cleanup of each variant (webhooks.inventory-items-delete.jsx), so this
+ * delivery is only acknowledged.
+ ************************************************************************/
+import { authenticate } from "../shopify.server";
+
+export const action = async ({ request }) => {
+  const { shop, topic, payload } = await authenticate.webhook(request);
+  console.log(`[PRODUCTS_DELETE] shop=${shop}, topic=${topic}, product=${payload?.id}`);
+  return new Response("OK", { status: 200 });
+};
@@ -0,0 +1,30 @@
+/************************************************************************
+ * admin-graphql.server.js
+ *
+ * Admin API calls of the background modules, which have the shop's
+ * headers but no `admin` client. Responses come back raw: queries that
+ * select metafields run them through preferAppMetafields themselves.
+ ************************************************************************/
+
+const ADMIN_API_VERSION = "2024-10";
+
+/**
+ * => data of the response. Throws on GraphQL errors, named after the
+ * query's operation name.
+ */
+export async function adminGraphql(shopDomain, adminHeaders, query, variables) {
+  const response = await fetch(`https://${shopDomain}/admin/api/${ADMIN_API_VERSION}/graphql.json`, {
+    method: "POST",
+    headers: {
+      ...adminHeaders,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ query, variables }),
+  });
+  const data = await response.json();
+  if (data.errors) {
+    const operation = query.match(/\b(?:query|mutation)\s+(\w+)/)?.[1] || "Admin query";
+    throw new Error(`${operation} failed: ${JSON.stringify(data.errors)}`);
+  }
+  return data.data;
+}
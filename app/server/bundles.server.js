@@ -0,0 +1,331 @@
+/************************************************************************
+ * bundles.server.js
+ *
+ * A bundle (kit) is a CHILD built from several MASTERS. Its components
+ * live in a JSON metafield on the bundle variant:
+ *   $app:stocksync/components => [{ "masterVariantId": "gid://...", "ratio": 2 }]
+ * The bundle's "parentmaster" list holds every component MASTER and each
+ * MASTER lists the bundle in its "childrenkey", so the existing
+ * MASTER/CHILD plumbing keeps working.
+ *
+ * Available bundle qty = min(floor(componentQty_i / ratio_i)). Ratios may
+ * be decimal (0.5 kg of a MASTER counted in kg).
+ ************************************************************************/
+import { dispatchWebhookEvent } from "./webhook-endpoints.server.js";
+import { WEBHOOK_EVENT_TYPES, RATIO_ROUNDING } from "../utils/sync-constants.js";
+import { parseRatio, childQtyFromMaster } from "../utils/ratio-utils.js";
+import {
+  METAFIELD_NAMESPACE,
+  METAFIELD_KEYS,
+  metafieldSelection,
+  preferAppMetafields,
+} from "../utils/metafield-utils.js";
+
+function normaliseVariantGid(variantId) {
+  if (!variantId) return null;
+  const value = String(variantId);
+  return value.startsWith("gid://shopify/ProductVariant/")
+    ? value
+    : `gid://shopify/ProductVariant/${value}`;
+}
+
+/**
+ * Parses the raw metafield value. Invalid entries are dropped so a
+ * hand-edited metafield can never break a sync.
+ */
+export function parseBundleComponents(value) {
+  if (!value) return [];
+  let parsed;
+  try {
+    parsed = typeof value === "string" ? JSON.parse(value) : value;
+  } catch (err) {
+    console.error("❌ Error parsing bundle components =>", err);
+    return [];
+  }
+  if (!Array.isArray(parsed)) return [];
+
+  const seen = new Set();
+  const components = [];
+  for (const entry of parsed) {
+    const masterVariantId = normaliseVariantGid(entry?.masterVariantId);
+    if (!masterVariantId || seen.has(masterVariantId)) continue;
+    seen.add(masterVariantId);
+    components.push({ masterVariantId, ratio: parseRatio(entry?.ratio) || 1 });
+  }
+  return components;
+}
+
+/**
+ * entries: [{ qty, ratio }] => how many complete bundles can be built.
+ */
+export function bundleQuantityFromComponents(entries) {
+  if (!entries || entries.length === 0) return 0;
+  const perComponent = entries.map(({ qty, ratio }) =>
+    childQtyFromMaster(qty, ratio, RATIO_ROUNDING.FLOOR)
+  );
+  return Math.max(0, Math.min(...perComponent));
+}
+
+/**
+ * Validates a components list coming from the UI.
+ * Throws with a merchant-readable message when the list is unusable.
+ */
+export function parseBundleInput(bundleVariantId, components) {
+  if (!Array.isArray(components)) {
+    throw new Error("Bundle components must be a list.");
+  }
+  const bundleGid = normaliseVariantGid(bundleVariantId);
+  const seen = new Set();
+  return components.map((component) => {
+    const masterVariantId = normaliseVariantGid(component?.masterVariantId);
+    const ratio = parseRatio(component?.ratio);
+    if (!masterVariantId) {
+      throw new Error("Every bundle component needs a master variant.");
+    }
+    if (masterVariantId === bundleGid) {
+      throw new Error("A bundle cannot contain itself.");
+    }
+    if (seen.has(masterVariantId)) {
+      throw new Error("Each master can only appear once in a bundle.");
+    }
+    if (!ratio) {
+      throw new Error("Component quantities must be greater than 0.");
+    }
+    seen.add(masterVariantId);
+    return { masterVariantId, ratio };
+  });
+}
+
+/**
+ * Reads the bundle definition plus display details of every component.
+ * => { isMaster, components: [{ masterVariantId, ratio, title, productTitle, sku, inventoryQuantity }] }
+ */
+export async function getBundle(admin, bundleVariantId) {
+  const response = await admin.graphql(
+    `#graphql
+    query getBundle($id: ID!) {
+      productVariant(id: $id) {
+        id
+        ${metafieldSelection("masterMetafield", METAFIELD_KEYS.MASTER)}
+        ${metafieldSelection("bundleMetafield", METAFIELD_KEYS.BUNDLE)}
+        ${metafieldSelection("parentMasterMetafield", METAFIELD_KEYS.PARENT_MASTER)}
+      }
+    }`,
+    { variables: { id: bundleVariantId } }
+  );
+  const data = preferAppMetafields(await response.json());
+  const variant = data?.data?.productVariant;
+  if (!variant) {
+    throw new Error(`Could not find variant with ID: ${bundleVariantId}`);
+  }
+
+  const components = parseBundleComponents(variant.bundleMetafield?.value);
+  const details = await getVariantDetails(admin, components.map((c) => c.masterVariantId));
+
+  let parentMasters = [];
+  try {
+    parentMasters = JSON.parse(variant.parentMasterMetafield?.value || "[]");
+  } catch {
+    parentMasters = [];
+  }
+
+  return {
+    isMaster: variant.masterMetafield?.value === "true",
+    parentMasters: Array.isArray(parentMasters) ? parentMasters : [],
+    components: components.map((component) => ({
+      ...component,
+      ...(details.get(component.masterVariantId) || {}),
+    })),
+  };
+}
+
+/**
+ * Display details and relationship metafields for a set of variants.
+ * => Map<variantGid, { title, productTitle, sku, inventoryQuantity, isMaster, children }>
+ */
+export async function getVariantDetails(admin, variantIds) {
+  const details = new Map();
+  if (!variantIds || variantIds.length === 0) return details;
+
+  const response = await admin.graphql(
+    `#graphql
+    query getBundleVariantDetails($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on ProductVariant {
+          id
+          title
+          sku
+          inventoryQuantity
+          product {
+            title
+          }
+          ${metafieldSelection("masterMetafield", METAFIELD_KEYS.MASTER)}
+          ${metafieldSelection("childrenMetafield", METAFIELD_KEYS.CHILDREN)}
+        }
+      }
+    }`,
+    { variables: { ids: variantIds } }
+  );
+  const data = preferAppMetafields(await response.json());
+
+  for (const node of data?.data?.nodes || []) {
+    if (!node?.id) continue;
+    let children = [];
+    try {
+      children = JSON.parse(node.childrenMetafield?.value || "[]");
+    } catch {
+      children = [];
+    }
+    details.set(node.id, {
+      title: node.title,
+      productTitle: node.product?.title || "",
+      sku: node.sku || "",
+      inventoryQuantity: node.inventoryQuantity ?? 0,
+      isMaster: node.masterMetafield?.value === "true",
+      children: Array.isArray(children) ? children : [],
+    });
+  }
+  return details;
+}
+
+/**
+ * Searches variants flagged as MASTER so they can be added as components.
+ */
+export async function searchMasterVariants(admin, searchQuery) {
+  const response = await admin.graphql(
+    `#graphql
+    query searchBundleMasters($query: String) {
+      productVariants(first: 25, query: $query) {
+        edges {
+          node {
+            id
+            title
+            sku
+            inventoryQuantity
+            product {
+              title
+            }
+            ${metafieldSelection("masterMetafield", METAFIELD_KEYS.MASTER)}
+          }
+        }
+      }
+    }`,
+    { variables: { query: searchQuery || null } }
+  );
+  const data = preferAppMetafields(await response.json());
+  return (data?.data?.productVariants?.edges || [])
+    .map(({ node }) => node)
+    .filter((node) => node.masterMetafield?.value === "true")
+    .map((node) => ({
+      masterVariantId: node.id,
+      title: node.title,
+      productTitle: node.product?.title || "",
+      sku: node.sku || "",
+      inventoryQuantity: node.inventoryQuantity ?? 0,
+    }));
+}
+
+async function setMetafields(admin, metafields) {
+  if (metafields.length === 0) return;
+  const response = await admin.graphql(
+    `#graphql
+    mutation setBundleMetafields($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    { variables: { metafields } }
+  );
+  const data = await response.json();
+  const userErrors = data?.data?.metafieldsSet?.userErrors || [];
+  if (data.errors || userErrors.length > 0) {
+    throw new Error(`Failed to save bundle metafields: ${JSON.stringify(data.errors || userErrors)}`);
+  }
+}
+
+/**
+ * Saves the components of a bundle. Writes the bundle metafield and the
+ * "parentmaster" list, then adds/removes the bundle from every affected
+ * MASTER's "childrenkey". An empty list turns the bundle back into a
+ * standard variant.
+ */
+export async function saveBundleComponents(admin, shopDomain, bundleVariantId, input) {
+  const bundleGid = normaliseVariantGid(bundleVariantId);
+  const components = parseBundleInput(bundleGid, input);
+  const current = await getBundle(admin, bundleGid);
+
+  if (current.isMaster) {
+    throw new Error("A master variant cannot be a bundle. Remove its master flag first.");
+  }
+
+  const newMasterIds = components.map((c) => c.masterVariantId);
+  const oldMasterIds = [
+    ...new Set([...current.parentMasters, ...current.components.map((c) => c.masterVariantId)]),
+  ];
+  const affectedIds = [...new Set([...newMasterIds, ...oldMasterIds])];
+  const details = await getVariantDetails(admin, affectedIds);
+
+  for (const masterVariantId of newMasterIds) {
+    if (!details.get(masterVariantId)?.isMaster) {
+      throw new Error(`Variant ${masterVariantId.split("/").pop()} is not a master variant.`);
+    }
+  }
+
+  const metafields = [
+    {
+      ownerId: bundleGid,
+      namespace: METAFIELD_NAMESPACE,
+      key: METAFIELD_KEYS.BUNDLE,
+      type: "json",
+      value: JSON.stringify(components),
+    },
+    {
+      ownerId: bundleGid,
+      namespace: METAFIELD_NAMESPACE,
+      key: METAFIELD_KEYS.PARENT_MASTER,
+      type: "list.variant_reference",
+      value: JSON.stringify(newMasterIds),
+    },
+  ];
+
+  for (const masterVariantId of affectedIds) {
+    const master = details.get(masterVariantId);
+    if (!master) continue;
+    const keep = newMasterIds.includes(masterVariantId);
+    const hasBundle = master.children.includes(bundleGid);
+    if (keep === hasBundle) continue;
+    const children = keep
+      ? [...master.children, bundleGid]
+      : master.children.filter((id) => id !== bundleGid);
+    metafields.push({
+      ownerId: masterVariantId,
+      namespace: METAFIELD_NAMESPACE,
+      key: METAFIELD_KEYS.CHILDREN,
+      type: "list.variant_reference",
+      value: JSON.stringify(children),
+    });
+  }
+
+  // metafieldsSet accepts at most 25 metafields per call
+  for (let i = 0; i < metafields.length; i += 25) {
+    await setMetafields(admin, metafields.slice(i, i + 25));
+  }
+
+  console.log(`🧩 Bundle ${bundleGid} saved with ${components.length} component(s)`);
+
+  for (const masterVariantId of oldMasterIds.filter((id) => !newMasterIds.includes(id))) {
+    dispatchWebhookEvent(shopDomain, WEBHOOK_EVENT_TYPES.RELATIONSHIP_REMOVED, {
+      data: { masterVariantId, childVariantId: bundleGid },
+    });
+  }
+  for (const masterVariantId of newMasterIds.filter((id) => !oldMasterIds.includes(id))) {
+    dispatchWebhookEvent(shopDomain, WEBHOOK_EVENT_TYPES.RELATIONSHIP_CREATED, {
+      data: { masterVariantId, childVariantId: bundleGid },
+    });
+  }
+
+  return getBundle(admin, bundleGid);
+}
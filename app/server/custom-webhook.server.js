@@ -0,0 +1,290 @@
+/************************************************************************
+ * custom-webhook.server.js
+ *
+ * Signed delivery of the merchant's custom webhook. Every request carries
+ * an HMAC-SHA256 of the raw body (base64) computed with the shop's secret,
+ * is retried with exponential backoff, and each attempt is logged in
+ * CustomWebhookDelivery for the settings page.
+ *
+ * Syncs do not deliver inline: they run under the MASTER's advisory lock
+ * and a slow receiver would hold it for the whole retry schedule. They
+ * queue the delivery (PendingWebhookDelivery) and the queue worker below
+ * sends it in the background.
+ ************************************************************************/
+import crypto from "crypto";
+import os from "os";
+import https from "https";
+import axios from "axios";
+import prisma from "../db.server.js";
+
+export const SIGNATURE_HEADER = "X-Stock-Control-Hmac-Sha256";
+export const EVENT_HEADER = "X-Stock-Control-Event";
+export const ATTEMPT_HEADER = "X-Stock-Control-Delivery-Attempt";
+
+const MAX_ATTEMPTS = 4;
+const BASE_BACKOFF_MS = 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+const SNIPPET_LENGTH = 500;
+const DELIVERY_LOG_RETENTION = 200;
+const QUEUE_POLL_MS = 5000;
+const QUEUE_BATCH_SIZE = 10;
+// Longer than the worst-case retry schedule of one delivery
+const QUEUE_STALE_CLAIM_MS = 2 * 60 * 1000;
+const QUEUE_WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+
+let queueWorkerRunning = false;
+
+const agent = new https.Agent({
+  keepAlive: true,
+  family: 4,
+});
+
+export function generateWebhookSecret() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+export function signWebhookBody(secret, body) {
+  return crypto.createHmac("sha256", secret).update(body, "utf8").digest("base64");
+}
+
+/**
+ * Returns the shop's secret, creating one the first time it is needed.
+ */
+export async function ensureWebhookSecret(shopDomain) {
+  const subscription = await prisma.shopSubscription.findUnique({
+    where: { shop: shopDomain },
+    select: { webhookSecret: true },
+  });
+  if (subscription?.webhookSecret) return subscription.webhookSecret;
+
+  const webhookSecret = generateWebhookSecret();
+  await prisma.shopSubscription.update({
+    where: { shop: shopDomain },
+    data: { webhookSecret },
+  });
+  return webhookSecret;
+}
+
+export async function rotateWebhookSecret(shopDomain) {
+  const webhookSecret = generateWebhookSecret();
+  await prisma.shopSubscription.update({
+    where: { shop: shopDomain },
+    data: { webhookSecret },
+  });
+  return webhookSecret;
+}
+
+function toSnippet(data) {
+  if (data === undefined || data === null) return null;
+  const text = typeof data === "string" ? data : JSON.stringify(data);
+  return text.slice(0, SNIPPET_LENGTH);
+}
+
+async function logDelivery(entry) {
+  try {
+    await prisma.customWebhookDelivery.create({ data: entry });
+  } catch (err) {
+    console.error("❌ Failed to log custom webhook delivery:", err);
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * POSTs `payload` to `url`, retrying network errors, 5xx and 429 responses.
+ * Resolves with { success, statusCode, attempts }; HTTP failures are logged, not thrown.
+ */
+export async function deliverCustomWebhook(
+  shopDomain,
+  url,
+  payload,
+  { eventType = "inventory.update", endpointId = null } = {}
+) {
+  const secret = await ensureWebhookSecret(shopDomain);
+  const body = JSON.stringify(payload);
+  const signature = signWebhookBody(secret, body);
+
+  let lastStatus = null;
+  let attempt = 0;
+  let success = false;
+  while (attempt < MAX_ATTEMPTS) {
+    attempt++;
+    const startedAt = Date.now();
+    let retryable = true;
+    try {
+      const response = await axios.post(url, body, {
+        headers: {
+          "Content-Type": "application/json",
+          [SIGNATURE_HEADER]: signature,
+          [EVENT_HEADER]: eventType,
+          [ATTEMPT_HEADER]: String(attempt),
+        },
+        timeout: REQUEST_TIMEOUT_MS,
+        httpsAgent: agent,
+        // Non-2xx responses are logged, not thrown
+        validateStatus: () => true,
+        transformResponse: [(data) => data],
+      });
+
+      lastStatus = response.status;
+      success = response.status >= 200 && response.status < 300;
+      await logDelivery({
+        shop: shopDomain,
+        endpointId,
+        url,
+        eventType,
+        attempt,
+        success,
+        statusCode: response.status,
+        latencyMs: Date.now() - startedAt,
+        responseSnippet: toSnippet(response.data),
+      });
+
+      if (success) {
+        console.log(`✅ Custom webhook delivered to ${url} (attempt ${attempt})`);
+        break;
+      }
+      retryable = response.status >= 500 || response.status === 429;
+      console.error(`❌ Custom webhook returned ${response.status} (attempt ${attempt})`);
+    } catch (error) {
+      await logDelivery({
+        shop: shopDomain,
+        endpointId,
+        url,
+        eventType,
+        attempt,
+        success: false,
+        latencyMs: Date.now() - startedAt,
+        error: error.message,
+      });
+      console.error(`❌ Custom webhook error (attempt ${attempt}):`, error.message);
+    }
+
+    if (!retryable || attempt === MAX_ATTEMPTS) break;
+    await sleep(BASE_BACKOFF_MS * Math.pow(2, attempt - 1));
+  }
+
+  await pruneDeliveryLog(shopDomain);
+  return { success, statusCode: lastStatus, attempts: attempt };
+}
+
+/************************************************************************
+ * DELIVERY QUEUE
+ * A claimed row is deleted once deliverCustomWebhook has finished with it,
+ * whatever the outcome (the attempts are in the delivery log). A claim
+ * older than QUEUE_STALE_CLAIM_MS is taken over, so a crash mid-delivery
+ * never drops a webhook.
+ ************************************************************************/
+
+/**
+ * Queues `payload` for `url` and returns without waiting for the receiver.
+ */
+export async function queueCustomWebhook(
+  shopDomain,
+  url,
+  payload,
+  { eventType = "inventory.update", endpointId = null } = {}
+) {
+  await prisma.pendingWebhookDelivery.create({
+    data: { shop: shopDomain, url, payload, eventType, endpointId },
+  });
+  startWebhookQueueWorker();
+  // Nudge this instance's worker; the poller picks it up otherwise
+  setTimeout(() => {
+    runWebhookQueueWorker().catch((err) => console.error("runWebhookQueueWorker => error =>", err));
+  }, 0);
+}
+
+/**
+ * Starts the background poller once per process. Safe to call repeatedly.
+ */
+export function startWebhookQueueWorker() {
+  if (global.__webhookQueueTimer) return;
+  global.__webhookQueueTimer = setInterval(() => {
+    runWebhookQueueWorker().catch((err) => console.error("runWebhookQueueWorker => error =>", err));
+  }, QUEUE_POLL_MS);
+  if (typeof global.__webhookQueueTimer.unref === "function") {
+    global.__webhookQueueTimer.unref();
+  }
+  console.log(`🛠️ Webhook queue worker started => ${QUEUE_WORKER_ID}`);
+}
+
+/**
+ * Sends every queued delivery, a batch at a time.
+ */
+export async function runWebhookQueueWorker() {
+  if (queueWorkerRunning) return;
+  queueWorkerRunning = true;
+  try {
+    let claimed = await claimQueuedDeliveries();
+    while (claimed.length > 0) {
+      await Promise.all(claimed.map(sendQueuedDelivery));
+      claimed = await claimQueuedDeliveries();
+    }
+  } finally {
+    queueWorkerRunning = false;
+  }
+}
+
+async function claimQueuedDeliveries() {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - QUEUE_STALE_CLAIM_MS);
+  return prisma.$queryRaw`
+    UPDATE "PendingWebhookDelivery"
+    SET "claimedBy" = ${QUEUE_WORKER_ID},
+        "claimedAt" = ${now}
+    WHERE id IN (
+      SELECT id
+      FROM "PendingWebhookDelivery"
+      WHERE "claimedAt" IS NULL OR "claimedAt" < ${staleBefore}
+      ORDER BY "createdAt" ASC
+      LIMIT ${QUEUE_BATCH_SIZE}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `;
+}
+
+async function sendQueuedDelivery(row) {
+  try {
+    const result = await deliverCustomWebhook(row.shop, row.url, row.payload, {
+      eventType: row.eventType,
+      endpointId: row.endpointId,
+    });
+    if (!result.success) {
+      console.error(
+        `❌ Failed to send ${row.eventType} to ${row.url} after ${result.attempts} attempt(s). Status: ${result.statusCode}`
+      );
+    }
+    await prisma.pendingWebhookDelivery.delete({ where: { id: row.id } });
+  } catch (err) {
+    // Left claimed => retried once the claim goes stale
+    console.error(`❌ Queued webhook ${row.id} could not be sent:`, err);
+  }
+}
+
+async function pruneDeliveryLog(shopDomain) {
+  try {
+    const stale = await prisma.customWebhookDelivery.findMany({
+      where: { shop: shopDomain },
+      orderBy: { createdAt: "desc" },
+      skip: DELIVERY_LOG_RETENTION,
+      select: { id: true },
+    });
+    if (stale.length > 0) {
+      await prisma.customWebhookDelivery.deleteMany({
+        where: { id: { in: stale.map((row) => row.id) } },
+      });
+    }
+  } catch (err) {
+    console.error("❌ Failed to prune custom webhook delivery log:", err);
+  }
+}
+
+export async function getRecentDeliveries(shopDomain, take = 20) {
+  return prisma.customWebhookDelivery.findMany({
+    where: { shop: shopDomain },
+    orderBy: { createdAt: "desc" },
+    take,
+  });
+}
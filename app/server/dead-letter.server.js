@@ -0,0 +1,148 @@
+/************************************************************************
+ * dead-letter.server.js
+ *
+ * Storage for aggregator events whose propagation threw. Rows are retried
+ * automatically with exponential backoff until DEAD_LETTER_MAX_RETRIES,
+ * then wait (EXHAUSTED) for a merchant to retry or discard them.
+ * Replaying an event lives in webhooks.inventory-update.helpers.server.js.
+ ************************************************************************/
+import prisma from "../db.server.js";
+import { DEAD_LETTER_STATUS } from "../utils/sync-constants.js";
+
+export { DEAD_LETTER_STATUS };
+
+export const DEAD_LETTER_MAX_RETRIES = 5;
+const DEAD_LETTER_BASE_DELAY_MS = 60 * 1000;
+
+function nextRetryDate(attempts) {
+  return new Date(Date.now() + DEAD_LETTER_BASE_DELAY_MS * Math.pow(2, attempts));
+}
+
+export async function addDeadLetter(shopDomain, comboKey, event, err) {
+  // Admin credentials are looked up again when the event is replayed.
+  const payload = { ...event };
+  delete payload.adminHeaders;
+  delete payload.shopDomain;
+  try {
+    await prisma.failedPropagation.create({
+      data: {
+        shop: shopDomain,
+        comboKey,
+        kind: payload.isMaster ? "MASTER" : "CHILD",
+        payload,
+        error: err?.message || String(err),
+        nextRetryAt: nextRetryDate(0),
+      },
+    });
+    console.warn(`📮 Dead-lettered ${payload.isMaster ? "MASTER" : "CHILD"} event => combo:${comboKey}`);
+  } catch (dbErr) {
+    console.error("❌ Failed to store dead-letter event:", dbErr);
+  }
+}
+
+/**
+ * Claims up to `limit` rows whose retry is due by pushing nextRetryAt
+ * forward, so a second instance polling at the same time skips them.
+ */
+export async function claimDueDeadLetters(limit = 20) {
+  const now = new Date();
+  const due = await prisma.failedPropagation.findMany({
+    where: { status: DEAD_LETTER_STATUS.PENDING, nextRetryAt: { lte: now } },
+    orderBy: { nextRetryAt: "asc" },
+    take: limit,
+  });
+
+  const claimed = [];
+  for (const row of due) {
+    const { count } = await prisma.failedPropagation.updateMany({
+      where: { id: row.id, nextRetryAt: row.nextRetryAt },
+      data: { nextRetryAt: nextRetryDate(row.attempts + 1) },
+    });
+    if (count === 1) claimed.push(row);
+  }
+  return claimed;
+}
+
+export async function markDeadLetterResolved(id) {
+  await prisma.failedPropagation.update({
+    where: { id },
+    data: {
+      status: DEAD_LETTER_STATUS.RESOLVED,
+      attempts: { increment: 1 },
+      lastAttemptAt: new Date(),
+      resolvedAt: new Date(),
+      nextRetryAt: null,
+    },
+  });
+}
+
+/**
+ * Gives up on a row that must not be replayed any more, e.g. because a
+ * newer change for the same item and location was applied since.
+ */
+export async function markDeadLetterAbandoned(id, reason) {
+  await prisma.failedPropagation.update({
+    where: { id },
+    data: {
+      status: DEAD_LETTER_STATUS.DISCARDED,
+      attempts: { increment: 1 },
+      error: reason,
+      lastAttemptAt: new Date(),
+      nextRetryAt: null,
+    },
+  });
+}
+
+/**
+ * Records a failed retry. Automatic retries stop after DEAD_LETTER_MAX_RETRIES;
+ * a manual retry that fails leaves the row EXHAUSTED for the merchant.
+ */
+export async function markDeadLetterFailed(row, err, { manual = false } = {}) {
+  const attempts = row.attempts + 1;
+  const exhausted = manual || attempts >= DEAD_LETTER_MAX_RETRIES;
+  await prisma.failedPropagation.update({
+    where: { id: row.id },
+    data: {
+      status: exhausted ? DEAD_LETTER_STATUS.EXHAUSTED : DEAD_LETTER_STATUS.PENDING,
+      attempts,
+      error: err?.message || String(err),
+      lastAttemptAt: new Date(),
+      nextRetryAt: exhausted ? null : nextRetryDate(attempts),
+    },
+  });
+}
+
+export async function discardDeadLetters(shopDomain, ids) {
+  const { count } = await prisma.failedPropagation.updateMany({
+    where: {
+      shop: shopDomain,
+      id: { in: ids },
+      status: { in: [DEAD_LETTER_STATUS.PENDING, DEAD_LETTER_STATUS.EXHAUSTED] },
+    },
+    data: { status: DEAD_LETTER_STATUS.DISCARDED, nextRetryAt: null },
+  });
+  return count;
+}
+
+export async function getDeadLetters(shopDomain, ids) {
+  return prisma.failedPropagation.findMany({
+    where: {
+      shop: shopDomain,
+      id: { in: ids },
+      status: { in: [DEAD_LETTER_STATUS.PENDING, DEAD_LETTER_STATUS.EXHAUSTED] },
+    },
+  });
+}
+
+export async function listDeadLetters(shopDomain, status) {
+  return prisma.failedPropagation.findMany({
+    where: {
+      shop: shopDomain,
+      status: status
+        ? status
+        : { in: [DEAD_LETTER_STATUS.PENDING, DEAD_LETTER_STATUS.EXHAUSTED] },
+    },
+    orderBy: { createdAt: "desc" },
+    take: 200,
+  });
+}
@@ -0,0 +1,454 @@
+/************************************************************************
+ * deleted-variants.server.js
+ *
+ * Cleans up after inventory_items/delete: Shopify deletes a variant's
+ * inventory item with it, also when the whole product is deleted. Each
+ * delivery queues a PendingVariantCleanup row; the worker below picks it
+ * up SWEEP_DELAY_MS later (a product delete sends one delivery per
+ * variant, handled together) and, for the variants behind those items:
+ *   1. finds them in the Relationship table and the ledger,
+ *   2. confirms which of them no longer exist,
+ *   3. drops their Relationship rows, then their IDs from "childrenkey",
+ *      "parentmaster" and bundle components of the variants they were
+ *      linked to, under the MASTER locks,
+ *   4. purges Stockdb, ledger, watermark, location rule and pause rows,
+ *   5. tells the merchant when a MASTER with CHILDREN disappeared.
+ * Failed cleanups are retried with backoff up to CLEANUP_MAX_ATTEMPTS.
+ ************************************************************************/
+import prisma from "../db.server.js";
+import { withMasterLocks } from "./master-locks.server.js";
+import { dispatchWebhookEvent } from "./webhook-endpoints.server.js";
+import { SYNC_OUTCOMES, SYNC_REASONS, recordSyncEvents } from "./sync-events.server.js";
+import { parseBundleComponents } from "./bundles.server.js";
+import {
+  getShopSessionHeaders,
+  invalidateRelationshipCaches,
+} from "./webhooks.inventory-update.helpers.server.js";
+import { WEBHOOK_EVENT_TYPES } from "../utils/sync-constants.js";
+import {
+  METAFIELD_NAMESPACE,
+  METAFIELD_KEYS,
+  metafieldSelection,
+  preferAppMetafields,
+} from "../utils/metafield-utils.js";
+import { cleanId, toVariantGid, parseIdList } from "./shopify-ids.server.js";
+import { adminGraphql } from "./admin-graphql.server.js";
+
+const SWEEP_DELAY_MS = 30 * 1000;
+const CLEANUP_POLL_MS = 15 * 1000;
+const CLEANUP_BATCH_SIZE = 100;
+const CLEANUP_STALE_CLAIM_MS = 5 * 60 * 1000;
+const CLEANUP_MAX_ATTEMPTS = 5;
+const NODES_PER_QUERY = 250;
+
+let cleanupWorkerRunning = false;
+
+const LINKED_VARIANTS_QUERY = `
+  query deletedVariantLinks($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        displayName
+        ${metafieldSelection("children", METAFIELD_KEYS.CHILDREN)}
+        ${metafieldSelection("parentMaster", METAFIELD_KEYS.PARENT_MASTER)}
+        ${metafieldSelection("bundle", METAFIELD_KEYS.BUNDLE)}
+      }
+    }
+  }
+`;
+
+const EXISTING_NODES_QUERY = `
+  query deletedVariantCheck($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      id
+    }
+  }
+`;
+
+/************************************************************************
+ * CLEANUP QUEUE
+ ************************************************************************/
+
+/**
+ * Queues the cleanup of a deleted inventory item. Throws when the row
+ * cannot be stored, so the webhook is retried by Shopify.
+ */
+export async function queueDeletedVariantCleanup(shopDomain, inventoryItemId) {
+  await prisma.pendingVariantCleanup.create({
+    data: {
+      shop: shopDomain,
+      inventoryItemId: cleanId(inventoryItemId),
+      dueAt: new Date(Date.now() + SWEEP_DELAY_MS),
+    },
+  });
+}
+
+/**
+ * Starts the background poller once per process. Safe to call repeatedly.
+ */
+export function startDeletedVariantWorker() {
+  if (global.__deletedVariantTimer) return;
+  global.__deletedVariantTimer = setInterval(() => {
+    runDeletedVariantWorker().catch((err) => console.error("runDeletedVariantWorker => error =>", err));
+  }, CLEANUP_POLL_MS);
+  if (typeof global.__deletedVariantTimer.unref === "function") {
+    global.__deletedVariantTimer.unref();
+  }
+  console.log("🛠️ Deleted variant cleanup worker started");
+}
+
+/**
+ * Claims every due row and cleans up once per shop.
+ */
+export async function runDeletedVariantWorker() {
+  if (cleanupWorkerRunning) return;
+  cleanupWorkerRunning = true;
+  try {
+    const rows = await claimDueCleanups();
+    const rowsByShop = new Map();
+    for (const row of rows) {
+      if (!rowsByShop.has(row.shop)) rowsByShop.set(row.shop, []);
+      rowsByShop.get(row.shop).push(row);
+    }
+
+    for (const [shopDomain, shopRows] of rowsByShop) {
+      try {
+        await cleanupDeletedVariants(shopDomain, shopRows.map((row) => row.inventoryItemId));
+        await prisma.pendingVariantCleanup.deleteMany({
+          where: { id: { in: shopRows.map((row) => row.id) } },
+        });
+      } catch (err) {
+        console.error(`❌ Deleted variant cleanup failed => ${shopDomain}`, err);
+        await releaseCleanups(shopRows, err);
+      }
+    }
+  } finally {
+    cleanupWorkerRunning = false;
+  }
+}
+
+async function claimDueCleanups() {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - CLEANUP_STALE_CLAIM_MS);
+  return prisma.$queryRaw`
+    UPDATE "PendingVariantCleanup"
+    SET "claimedAt" = ${now},
+        attempts = attempts + 1
+    WHERE id IN (
+      SELECT id
+      FROM "PendingVariantCleanup"
+      WHERE "dueAt" <= ${now}
+        AND ("claimedAt" IS NULL OR "claimedAt" < ${staleBefore})
+      ORDER BY "dueAt" ASC
+      LIMIT ${CLEANUP_BATCH_SIZE}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `;
+}
+
+async function releaseCleanups(rows, err) {
+  for (const row of rows) {
+    if (row.attempts >= CLEANUP_MAX_ATTEMPTS) {
+      console.error(`❌ Giving up on deleted item ${row.inventoryItemId} after ${row.attempts} attempts`);
+      await prisma.pendingVariantCleanup.delete({ where: { id: row.id } });
+      continue;
+    }
+    await prisma.pendingVariantCleanup.update({
+      where: { id: row.id },
+      data: {
+        claimedAt: null,
+        lastError: err.message,
+        dueAt: new Date(Date.now() + SWEEP_DELAY_MS * Math.pow(2, row.attempts)),
+      },
+    });
+  }
+}
+
+/************************************************************************
+ * CLEANUP
+ ************************************************************************/
+
+/**
+ * Variants behind the deleted inventory items, as GIDs: the linked ones
+ * from the Relationship table, others from the ledger.
+ */
+async function findVariantsOfItems(shopDomain, inventoryItemIds) {
+  const [links, ledgerRows] = await Promise.all([
+    prisma.relationship.findMany({
+      where: {
+        shop: shopDomain,
+        OR: [
+          { masterInventoryItemId: { in: inventoryItemIds } },
+          { childInventoryItemId: { in: inventoryItemIds } },
+        ],
+      },
+      select: {
+        masterVariantId: true,
+        childVariantId: true,
+        masterInventoryItemId: true,
+        childInventoryItemId: true,
+      },
+    }),
+    prisma.inventoryLedgerEntry.findMany({
+      where: { shop: shopDomain, inventoryItemId: { in: inventoryItemIds }, variantId: { not: null } },
+      select: { variantId: true },
+      distinct: ["variantId"],
+    }),
+  ]);
+
+  const itemIds = new Set(inventoryItemIds);
+  const variantIds = new Set(ledgerRows.map((row) => toVariantGid(row.variantId)));
+  for (const link of links) {
+    if (itemIds.has(link.masterInventoryItemId)) variantIds.add(link.masterVariantId);
+    if (itemIds.has(link.childInventoryItemId)) variantIds.add(link.childVariantId);
+  }
+  return [...variantIds];
+}
+
+/**
+ * The given variants with their relationship metafields; variants that
+ * no longer exist are left out.
+ * => Map(variantGid => { name, children, parents, bundleComponents })
+ */
+async function fetchLinkedVariants(shopDomain, adminHeaders, variantIds) {
+  const variants = new Map();
+  for (let i = 0; i < variantIds.length; i += NODES_PER_QUERY) {
+    const ids = variantIds.slice(i, i + NODES_PER_QUERY);
+    const data = preferAppMetafields(await adminGraphql(shopDomain, adminHeaders, LINKED_VARIANTS_QUERY, { ids }));
+    for (const node of data?.nodes || []) {
+      if (!node?.id) continue;
+      variants.set(node.id, {
+        name: node.displayName || node.id.split("/").pop(),
+        children: parseIdList(node.children?.value),
+        parents: parseIdList(node.parentMaster?.value),
+        bundleComponents: parseBundleComponents(node.bundle?.value),
+      });
+    }
+  }
+  return variants;
+}
+
+/**
+ * Only IDs that Shopify returns null for are treated as deleted.
+ */
+async function confirmDeleted(shopDomain, adminHeaders, variantIds) {
+  const deleted = new Set();
+  for (let i = 0; i < variantIds.length; i += NODES_PER_QUERY) {
+    const ids = variantIds.slice(i, i + NODES_PER_QUERY);
+    const data = await adminGraphql(shopDomain, adminHeaders, EXISTING_NODES_QUERY, { ids });
+    (data?.nodes || []).forEach((node, index) => {
+      if (!node) deleted.add(ids[index]);
+    });
+  }
+  return deleted;
+}
+
+async function setMetafields(shopDomain, adminHeaders, metafields) {
+  const data = await adminGraphql(
+    shopDomain,
+    adminHeaders,
+    `mutation deletedVariantCleanup($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    { metafields }
+  );
+  const userErrors = data?.metafieldsSet?.userErrors || [];
+  if (userErrors.length > 0) {
+    throw new Error(`Failed to remove deleted variants: ${JSON.stringify(userErrors)}`);
+  }
+}
+
+/**
+ * The metafield writes that drop deleted IDs from one surviving variant
+ * => { variantId, masterIds (locks), metafields, removedChildren, removedMasters }
+ */
+function buildRepair(variantId, variant, deleted) {
+  const removedChildren = variant.children.filter((id) => deleted.has(id));
+  const removedMasters = [
+    ...new Set([
+      ...variant.parents.filter((id) => deleted.has(id)),
+      ...variant.bundleComponents.map((c) => c.masterVariantId).filter((id) => deleted.has(id)),
+    ]),
+  ];
+  if (removedChildren.length === 0 && removedMasters.length === 0) return null;
+
+  const metafields = [];
+  if (removedChildren.length > 0) {
+    metafields.push({
+      ownerId: variantId,
+      namespace: METAFIELD_NAMESPACE,
+      key: METAFIELD_KEYS.CHILDREN,
+      type: "list.variant_reference",
+      value: JSON.stringify(variant.children.filter((id) => !deleted.has(id))),
+    });
+  }
+  if (variant.parents.some((id) => deleted.has(id))) {
+    metafields.push({
+      ownerId: variantId,
+      namespace: METAFIELD_NAMESPACE,
+      key: METAFIELD_KEYS.PARENT_MASTER,
+      type: "list.variant_reference",
+      value: JSON.stringify(variant.parents.filter((id) => !deleted.has(id))),
+    });
+  }
+  if (variant.bundleComponents.some((c) => deleted.has(c.masterVariantId))) {
+    metafields.push({
+      ownerId: variantId,
+      namespace: METAFIELD_NAMESPACE,
+      key: METAFIELD_KEYS.BUNDLE,
+      type: "json",
+      value: JSON.stringify(variant.bundleComponents.filter((c) => !deleted.has(c.masterVariantId))),
+    });
+  }
+
+  const remainingMasters = variant.parents.filter((id) => !deleted.has(id));
+  return {
+    variantId,
+    masterIds: removedChildren.length > 0 ? [variantId] : remainingMasters,
+    metafields,
+    removedChildren,
+    removedMasters,
+  };
+}
+
+async function purgeDeletedRows(shopDomain, deletedVariantIds, inventoryItemIds) {
+  const variantIds = deletedVariantIds.map(cleanId);
+  const ledgerItems = variantIds.length
+    ? await prisma.inventoryLedgerEntry.findMany({
+        where: { shop: shopDomain, variantId: { in: variantIds } },
+        select: { inventoryItemId: true },
+        distinct: ["inventoryItemId"],
+      })
+    : [];
+  const itemIds = [...new Set([...inventoryItemIds, ...ledgerItems.map((row) => row.inventoryItemId)])];
+
+  const [stock, ledger, watermarks, rules, pauses, remainders] = await prisma.$transaction([
+    prisma.stockdb.deleteMany({ where: { shop: shopDomain, productVariantId: { in: variantIds } } }),
+    prisma.inventoryLedgerEntry.deleteMany({ where: { shop: shopDomain, inventoryItemId: { in: itemIds } } }),
+    prisma.inventoryWatermark.deleteMany({ where: { shop: shopDomain, inventoryItemId: { in: itemIds } } }),
+    prisma.masterLocationRule.deleteMany({ where: { shop: shopDomain, masterVariantId: { in: variantIds } } }),
+    prisma.pausedMaster.deleteMany({ where: { shop: shopDomain, masterVariantId: { in: variantIds } } }),
+    prisma.ratioRemainder.deleteMany({
+      where: {
+        shop: shopDomain,
+        OR: [{ childVariantId: { in: variantIds } }, { masterVariantId: { in: variantIds } }],
+      },
+    }),
+  ]);
+  console.log(
+    `🧹 Purged deleted variants => ${shopDomain}: ${stock.count} Stockdb, ${ledger.count} ledger, ` +
+      `${watermarks.count} watermark, ${rules.count} location rule, ${pauses.count} pause, ` +
+      `${remainders.count} ratio remainder row(s)`
+  );
+}
+
+/**
+ * Cleans up after the given deleted inventory items now. Returns the IDs
+ * of the deleted variants that were found.
+ */
+export async function cleanupDeletedVariants(shopDomain, inventoryItemIds) {
+  const itemIds = [...new Set(inventoryItemIds.filter(Boolean).map(cleanId))];
+  const candidates = await findVariantsOfItems(shopDomain, itemIds);
+
+  let deleted = new Set();
+  let variants = new Map();
+  const repairs = [];
+  if (candidates.length > 0) {
+    const { adminHeaders } = await getShopSessionHeaders(shopDomain);
+    deleted = await confirmDeleted(shopDomain, adminHeaders, candidates);
+    const links = deleted.size
+      ? await prisma.relationship.findMany({
+          where: {
+            shop: shopDomain,
+            OR: [{ masterVariantId: { in: [...deleted] } }, { childVariantId: { in: [...deleted] } }],
+          },
+          select: { masterVariantId: true, childVariantId: true },
+        })
+      : [];
+
+    // Their metafields still name the deleted variants
+    const linkedIds = [
+      ...new Set(links.flatMap((link) => [link.masterVariantId, link.childVariantId])),
+    ].filter((id) => !deleted.has(id));
+    variants = await fetchLinkedVariants(shopDomain, adminHeaders, linkedIds);
+
+    // The sync reads the table, so the links go before the metafields are repaired
+    if (links.length > 0) {
+      await prisma.relationship.deleteMany({
+        where: {
+          shop: shopDomain,
+          OR: [{ masterVariantId: { in: [...deleted] } }, { childVariantId: { in: [...deleted] } }],
+        },
+      });
+    }
+
+    for (const [variantId, variant] of variants) {
+      const repair = buildRepair(variantId, variant, deleted);
+      if (repair) repairs.push(repair);
+    }
+
+    for (const repair of repairs) {
+      await withMasterLocks(shopDomain, repair.masterIds, () =>
+        setMetafields(shopDomain, adminHeaders, repair.metafields)
+      );
+      invalidateRelationshipCaches(shopDomain, repair.variantId);
+    }
+  }
+
+  await purgeDeletedRows(shopDomain, [...deleted], itemIds);
+  await notifyDeletions(shopDomain, repairs, variants);
+
+  console.log(
+    `🧹 Deleted variant cleanup => ${shopDomain}: ${itemIds.length} item(s), ${deleted.size} variant(s) deleted`
+  );
+  return [...deleted];
+}
+
+async function notifyDeletions(shopDomain, repairs, variants) {
+  const orphansByMaster = new Map();
+  const events = [];
+
+  for (const repair of repairs) {
+    for (const childVariantId of repair.removedChildren) {
+      dispatchWebhookEvent(shopDomain, WEBHOOK_EVENT_TYPES.RELATIONSHIP_REMOVED, {
+        data: { masterVariantId: repair.variantId, childVariantId, reason: "child_deleted" },
+      });
+      events.push({
+        masterVariantId: repair.variantId,
+        childVariantId,
+        outcome: SYNC_OUTCOMES.SKIPPED,
+        reason: SYNC_REASONS.CHILD_DELETED,
+        details: `Child ${cleanId(childVariantId)} was deleted and removed from ${variants.get(repair.variantId)?.name}.`,
+      });
+    }
+    for (const masterVariantId of repair.removedMasters) {
+      if (!orphansByMaster.has(masterVariantId)) orphansByMaster.set(masterVariantId, []);
+      orphansByMaster.get(masterVariantId).push(repair.variantId);
+      dispatchWebhookEvent(shopDomain, WEBHOOK_EVENT_TYPES.RELATIONSHIP_REMOVED, {
+        data: { masterVariantId, childVariantId: repair.variantId, reason: "master_deleted" },
+      });
+      events.push({
+        masterVariantId,
+        childVariantId: repair.variantId,
+        outcome: SYNC_OUTCOMES.SKIPPED,
+        reason: SYNC_REASONS.MASTER_DELETED,
+        details: `Master ${cleanId(masterVariantId)} was deleted. ${variants.get(repair.variantId)?.name} no longer syncs from it.`,
+      });
+    }
+  }
+
+  // A deleted MASTER leaves its CHILDREN unsynced: worth its own event
+  for (const [masterVariantId, childVariantIds] of orphansByMaster) {
+    console.log(`⚠️ MASTER deleted => ${masterVariantId}, ${childVariantIds.length} child(ren) detached`);
+    dispatchWebhookEvent(shopDomain, WEBHOOK_EVENT_TYPES.MASTER_DELETED, {
+      data: { masterVariantId, childVariantIds },
+    });
+  }
+  await recordSyncEvents(shopDomain, events);
+}
@@ -0,0 +1,475 @@
+/************************************************************************
+ * drift-reconciliation.server.js
+ *
+ * A missed or failed webhook leaves a CHILD permanently out of step with
+ * its MASTER. This job walks every MASTER (from the relationship
+ * metafields), recomputes what each CHILD should hold per location with
+ * the same rules as the webhook handlers (location rule, ratio, rounding,
+ * bundles, safety stock) and stores the differences as a DriftReport.
+ *
+ * With auto-correct on, each MASTER's drift is fixed under its advisory
+ * lock with setInventoryQuantityBatch, so corrections never interleave
+ * with live webhook processing. Paused MASTERS (and every MASTER while the
+ * shop is paused) are only reported; a RESUME run corrects the shop it is
+ * resuming but still leaves individually paused MASTERS alone. In dry-run
+ * mode nothing is corrected, whatever the trigger.
+ ************************************************************************/
+import prisma from "../db.server.js";
+import {
+  LOCATION_SYNC_MODES,
+  getLocationRule,
+  locationParticipates,
+  getChildTargetLocation,
+} from "./location-rules.server.js";
+import { withMasterLocks } from "./master-locks.server.js";
+import { createSyncRunId } from "./sync-origin.server.js";
+import { SYNC_OUTCOMES, SYNC_REASONS, recordSyncEvents } from "./sync-events.server.js";
+import { getSyncPauseState } from "./sync-pause.server.js";
+import { isDryRunEnabled } from "./dry-run.server.js";
+import {
+  getShopSessionHeaders,
+  getChildrenInventoryItems,
+  getVariantQtyManagement,
+  getChildSettings,
+  calculateChildQuantity,
+  setInventoryQuantityBatch,
+  setQtyOldValueBatch,
+  setQtyOldValueDBBatch,
+} from "./webhooks.inventory-update.helpers.server.js";
+import {
+  METAFIELD_KEYS,
+  metafieldSelection,
+  preferAppMetafields,
+} from "../utils/metafield-utils.js";
+import { cleanId, toVariantGid } from "./shopify-ids.server.js";
+import { adminGraphql } from "./admin-graphql.server.js";
+
+export const DRIFT_TRIGGERS = {
+  SCHEDULED: "SCHEDULED",
+  MANUAL: "MANUAL",
+  RESUME: "RESUME",
+};
+
+const DRIFT_CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const DRIFT_SCHEDULER_POLL_MS = 15 * 60 * 1000;
+const DRIFT_STALE_RUN_MS = 2 * 60 * 60 * 1000;
+const DRIFT_REPORTS_KEPT = 20;
+const MAX_DRIFT_ITEMS = 1000;
+
+const MASTER_SCAN_QUERY = `
+  query driftMasters($after: String) {
+    productVariants(first: 250, after: $after) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      nodes {
+        id
+        sku
+        inventoryItem {
+          id
+        }
+        ${metafieldSelection("master", METAFIELD_KEYS.MASTER)}
+      }
+    }
+  }
+`;
+
+const MASTER_VARIANT_QUERY = `
+  query driftMaster($id: ID!) {
+    productVariant(id: $id) {
+      id
+      sku
+      inventoryItem {
+        id
+      }
+      ${metafieldSelection("master", METAFIELD_KEYS.MASTER)}
+    }
+  }
+`;
+
+const INVENTORY_LEVELS_QUERY = `
+  query driftInventoryLevels($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on InventoryItem {
+        id
+        inventoryLevels(first: 50) {
+          nodes {
+            location {
+              id
+            }
+            quantities(names: ["available"]) {
+              name
+              quantity
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+async function listMasterVariants(shopDomain, adminHeaders) {
+  const masters = [];
+  let after = null;
+  do {
+    const data = preferAppMetafields(await adminGraphql(shopDomain, adminHeaders, MASTER_SCAN_QUERY, { after }));
+    const page = data?.productVariants;
+    for (const node of page?.nodes || []) {
+      if (node.master?.value === "true" && node.inventoryItem?.id) {
+        masters.push({ variantId: node.id, sku: node.sku || "", inventoryItemId: node.inventoryItem.id });
+      }
+    }
+    after = page?.pageInfo?.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+  return masters;
+}
+
+/**
+ * inventoryItemGid => Map<numeric location id, available>
+ */
+async function getInventoryLevels(shopDomain, adminHeaders, inventoryItemIds) {
+  const levels = new Map();
+  for (let i = 0; i < inventoryItemIds.length; i += 50) {
+    const ids = inventoryItemIds.slice(i, i + 50);
+    const data = await adminGraphql(shopDomain, adminHeaders, INVENTORY_LEVELS_QUERY, { ids });
+    for (const item of data?.nodes || []) {
+      if (!item?.id) continue;
+      const byLocation = new Map();
+      for (const level of item.inventoryLevels?.nodes || []) {
+        const available = level.quantities?.find((q) => q.name === "available");
+        byLocation.set(cleanId(level.location.id), available ? available.quantity : 0);
+      }
+      levels.set(item.id, byLocation);
+    }
+  }
+  return levels;
+}
+
+/**
+ * Every (MASTER basis, CHILD location) pair the MASTER's location rule syncs.
+ */
+function locationPairs(rule, masterLevels) {
+  if (rule.mode === LOCATION_SYNC_MODES.POOLED && rule.locationIds.length > 0) {
+    const basisQty = rule.locationIds.reduce((total, id) => total + (masterLevels.get(id) || 0), 0);
+    return [{ basisQty, childLocationId: getChildTargetLocation(rule, rule.locationIds[0]) }];
+  }
+  return [...masterLevels.entries()]
+    .filter(([locationId]) => locationParticipates(rule, locationId))
+    .map(([locationId, basisQty]) => ({ basisQty, childLocationId: locationId }));
+}
+
+/**
+ * Drift of one MASTER => [{ child, locationId, masterQty, expectedQty, actualQty }]
+ * `seen` skips bundles already checked through another of their MASTERS.
+ */
+async function findMasterDrift(shopDomain, adminHeaders, master, seen) {
+  const children = await getChildrenInventoryItems(shopDomain, adminHeaders, master.variantId);
+  if (children.length === 0) return { checked: 0, drift: [] };
+
+  const rule = await getLocationRule(shopDomain, master.variantId);
+  const masterDefaults = await getVariantQtyManagement(shopDomain, adminHeaders, master.variantId);
+  const levels = await getInventoryLevels(shopDomain, adminHeaders, [
+    master.inventoryItemId,
+    ...children.map((c) => c.inventoryItemId),
+  ]);
+  const pairs = locationPairs(rule, levels.get(master.inventoryItemId) || new Map());
+
+  let checked = 0;
+  const drift = [];
+  for (const child of children) {
+    const settings = await getChildSettings(shopDomain, adminHeaders, child, masterDefaults);
+    const childLevels = levels.get(child.inventoryItemId) || new Map();
+    for (const { basisQty, childLocationId } of pairs) {
+      const seenKey = `${child.variantId}:${childLocationId}`;
+      // A child that is not stocked at the location has nothing to compare
+      if (seen.has(seenKey) || !childLevels.has(childLocationId)) continue;
+      seen.add(seenKey);
+      checked++;
+
+      const expectedQty = await calculateChildQuantity(
+        shopDomain,
+        adminHeaders,
+        child,
+        settings,
+        master.variantId,
+        basisQty,
+        childLocationId
+      );
+      const actualQty = childLevels.get(childLocationId);
+      if (expectedQty !== actualQty) {
+        drift.push({ child, locationId: childLocationId, masterQty: basisQty, expectedQty, actualQty });
+      }
+    }
+  }
+  return { checked, drift };
+}
+
+async function correctMasterDrift(shopDomain, adminHeaders, master, drift) {
+  await setInventoryQuantityBatch(
+    shopDomain,
+    adminHeaders,
+    drift.map((d) => ({
+      inventoryItemId: d.child.inventoryItemId,
+      locationId: d.locationId,
+      quantity: d.expectedQty,
+    })),
+    true,
+    createSyncRunId()
+  );
+
+  const oldQtyUpdates = drift.map((d) => ({ variantId: d.child.variantId, newQty: d.expectedQty }));
+  await Promise.all([
+    setQtyOldValueDBBatch(shopDomain, oldQtyUpdates),
+    setQtyOldValueBatch(shopDomain, adminHeaders, oldQtyUpdates),
+  ]);
+
+  await recordSyncEvents(
+    shopDomain,
+    drift.map((d) => ({
+      masterVariantId: master.variantId,
+      childVariantId: d.child.variantId,
+      inventoryItemId: d.child.inventoryItemId,
+      locationId: d.locationId,
+      sku: d.child.sku,
+      oldQty: d.actualQty,
+      newQty: d.expectedQty,
+      outcome: SYNC_OUTCOMES.SYNCED,
+      reason: SYNC_REASONS.DRIFT_CORRECTED,
+      details: `MASTER qty ${d.masterQty} => expected ${d.expectedQty}, found ${d.actualQty}`,
+    }))
+  );
+}
+
+async function reconcileMaster(shopDomain, adminHeaders, master, seen, autoCorrect) {
+  const { checked, drift } = await findMasterDrift(shopDomain, adminHeaders, master, seen);
+  if (!autoCorrect || drift.length === 0) return { checked, drift, corrected: false };
+
+  try {
+    await correctMasterDrift(shopDomain, adminHeaders, master, drift);
+    return { checked, drift, corrected: true };
+  } catch (err) {
+    console.error(`❌ Drift correction failed => MASTER ${master.variantId}`, err);
+    return { checked, drift, corrected: false };
+  }
+}
+
+/**
+ * Runs one reconciliation for a shop and returns the finished report.
+ */
+export async function runDriftReconciliation(shopDomain, { trigger = DRIFT_TRIGGERS.MANUAL, autoCorrect = false } = {}) {
+  const report = await prisma.driftReport.create({
+    data: { shop: shopDomain, trigger, autoCorrect },
+  });
+  console.log(`🔎 Drift reconciliation started => ${shopDomain} (${trigger}, autoCorrect:${autoCorrect})`);
+
+  let mastersChecked = 0;
+  let childrenChecked = 0;
+  let correctedCount = 0;
+  const items = [];
+
+  try {
+    const { adminHeaders } = await getShopSessionHeaders(shopDomain);
+    const masters = await listMasterVariants(shopDomain, adminHeaders);
+    const pause = await getSyncPauseState(shopDomain);
+    const pausedMasterIds = new Set(pause.pausedMasters.map((p) => p.masterVariantId));
+    const reportOnly =
+      (await isDryRunEnabled(shopDomain)) || (trigger !== DRIFT_TRIGGERS.RESUME && !!pause.pausedAt);
+    const seen = new Set();
+
+    for (const master of masters) {
+      const correct = autoCorrect && !reportOnly && !pausedMasterIds.has(cleanId(master.variantId));
+      // Read and correct under the lock so a live webhook cannot slip in between
+      const result = await withMasterLocks(shopDomain, [master.variantId], () =>
+        reconcileMaster(shopDomain, adminHeaders, master, seen, correct)
+      );
+      mastersChecked++;
+      childrenChecked += result.checked;
+      if (result.corrected) correctedCount += result.drift.length;
+
+      for (const d of result.drift) {
+        items.push({
+          masterVariantId: cleanId(master.variantId),
+          childVariantId: cleanId(d.child.variantId),
+          sku: d.child.sku || null,
+          locationId: String(d.locationId),
+          masterQty: d.masterQty,
+          expectedQty: d.expectedQty,
+          actualQty: d.actualQty,
+          corrected: result.corrected,
+        });
+      }
+    }
+
+    await prisma.driftItem.createMany({
+      data: items.slice(0, MAX_DRIFT_ITEMS).map((item) => ({ ...item, reportId: report.id })),
+    });
+    const finished = await prisma.driftReport.update({
+      where: { id: report.id },
+      data: {
+        status: "COMPLETED",
+        mastersChecked,
+        childrenChecked,
+        driftCount: items.length,
+        correctedCount,
+        finishedAt: new Date(),
+      },
+    });
+    console.log(
+      `✅ Drift reconciliation done => ${shopDomain}: ${items.length} drifted of ${childrenChecked}, corrected ${correctedCount}`
+    );
+    return finished;
+  } catch (err) {
+    console.error(`❌ Drift reconciliation failed => ${shopDomain}`, err);
+    return prisma.driftReport.update({
+      where: { id: report.id },
+      data: {
+        status: "FAILED",
+        error: err.message,
+        mastersChecked,
+        childrenChecked,
+        driftCount: items.length,
+        correctedCount,
+        finishedAt: new Date(),
+      },
+    });
+  } finally {
+    await pruneDriftReports(shopDomain);
+  }
+}
+
+/**
+ * Resets the CHILDREN of one MASTER to what the MASTER says they should
+ * hold, under its lock. Used when a paused MASTER is resumed; no report
+ * is stored, the corrections are in the sync log. In dry-run mode the
+ * drift is only counted.
+ * => { checked, corrected }
+ */
+export async function recomputeMasterChildren(shopDomain, adminHeaders, masterVariantId) {
+  const data = preferAppMetafields(
+    await adminGraphql(shopDomain, adminHeaders, MASTER_VARIANT_QUERY, {
+      id: toVariantGid(masterVariantId),
+    })
+  );
+  const variant = data?.productVariant;
+  if (variant?.master?.value !== "true" || !variant.inventoryItem?.id) {
+    return { checked: 0, corrected: 0 };
+  }
+
+  const master = { variantId: variant.id, sku: variant.sku || "", inventoryItemId: variant.inventoryItem.id };
+  const correct = !(await isDryRunEnabled(shopDomain));
+  const result = await withMasterLocks(shopDomain, [master.variantId], () =>
+    reconcileMaster(shopDomain, adminHeaders, master, new Set(), correct)
+  );
+  if (correct && !result.corrected && result.drift.length > 0) {
+    throw new Error(`Failed to recompute the children of MASTER ${cleanId(masterVariantId)}`);
+  }
+  return { checked: result.checked, corrected: result.corrected ? result.drift.length : 0 };
+}
+
+async function pruneDriftReports(shopDomain) {
+  try {
+    const old = await prisma.driftReport.findMany({
+      where: { shop: shopDomain },
+      orderBy: { startedAt: "desc" },
+      skip: DRIFT_REPORTS_KEPT,
+      select: { id: true },
+    });
+    if (old.length > 0) {
+      await prisma.driftReport.deleteMany({ where: { id: { in: old.map((r) => r.id) } } });
+    }
+  } catch (err) {
+    console.error("❌ Failed to prune drift reports =>", err);
+  }
+}
+
+/**
+ * Latest reports for the drift page, plus the items of one of them.
+ */
+export async function getDriftOverview(shopDomain, reportId = null) {
+  const reports = await prisma.driftReport.findMany({
+    where: { shop: shopDomain },
+    orderBy: { startedAt: "desc" },
+    take: DRIFT_REPORTS_KEPT,
+  });
+  const selected = reportId ? reports.find((r) => r.id === reportId) : reports[0];
+  const items = selected
+    ? await prisma.driftItem.findMany({
+        where: { reportId: selected.id },
+        orderBy: [{ masterVariantId: "asc" }, { childVariantId: "asc" }],
+      })
+    : [];
+  return { reports, selected: selected || null, items };
+}
+
+export async function isDriftRunInProgress(shopDomain) {
+  const running = await prisma.driftReport.findFirst({
+    where: {
+      shop: shopDomain,
+      status: "RUNNING",
+      startedAt: { gt: new Date(Date.now() - DRIFT_STALE_RUN_MS) },
+    },
+    select: { id: true },
+  });
+  return !!running;
+}
+
+/**
+ * Claims the shop for a scheduled run. The conditional update makes sure
+ * only one app instance starts it.
+ */
+async function claimScheduledRun(shopDomain) {
+  const dueBefore = new Date(Date.now() - DRIFT_CHECK_INTERVAL_MS);
+  const { count } = await prisma.shopSubscription.updateMany({
+    where: {
+      shop: shopDomain,
+      OR: [{ driftCheckedAt: null }, { driftCheckedAt: { lt: dueBefore } }],
+    },
+    data: { driftCheckedAt: new Date() },
+  });
+  return count > 0;
+}
+
+async function runDueReconciliations() {
+  const dueBefore = new Date(Date.now() - DRIFT_CHECK_INTERVAL_MS);
+  const shops = await prisma.shopSubscription.findMany({
+    where: {
+      driftCheckEnabled: true,
+      status: { in: ["ACTIVE", "PENDING_CANCELLATION"] },
+      OR: [{ driftCheckedAt: null }, { driftCheckedAt: { lt: dueBefore } }],
+    },
+    select: { shop: true, driftAutoCorrect: true },
+  });
+
+  for (const { shop, driftAutoCorrect } of shops) {
+    if (!(await claimScheduledRun(shop))) continue;
+    await runDriftReconciliation(shop, {
+      trigger: DRIFT_TRIGGERS.SCHEDULED,
+      autoCorrect: driftAutoCorrect,
+    });
+  }
+}
+
+let driftSchedulerRunning = false;
+
+/**
+ * Starts the periodic reconciliation once per process. Safe to call repeatedly.
+ */
+export function startDriftReconciliationScheduler() {
+  if (global.__driftSchedulerTimer) return;
+  global.__driftSchedulerTimer = setInterval(async () => {
+    if (driftSchedulerRunning) return;
+    driftSchedulerRunning = true;
+    try {
+      await runDueReconciliations();
+    } catch (err) {
+      console.error("runDueReconciliations => error =>", err);
+    } finally {
+      driftSchedulerRunning = false;
+    }
+  }, DRIFT_SCHEDULER_POLL_MS);
+  if (typeof global.__driftSchedulerTimer.unref === "function") {
+    global.__driftSchedulerTimer.unref();
+  }
+  console.log("🛠️ Drift reconciliation scheduler started");
+}
@@ -0,0 +1,169 @@
+/************************************************************************
+ * dry-run.server.js
+ *
+ * Shop-level dry-run mode (ShopSubscription.dryRunEnabled) for trying a
+ * new ratio setup on a live store. The event handlers still run in full,
+ * but their writes go to a recorder instead of Shopify:
+ *   setInventoryQuantityBatch => INVENTORY rows
+ *   setQtyOldValue(DB)        => QTY_OLD rows
+ *   sendCustomWebhook         => WEBHOOK rows
+ * and SYNCED audit rows are logged with outcome DRY_RUN. Order claims are
+ * netted as usual but neither used up nor left. The ledger still records
+ * the level of the item named in the webhook as handled, because that
+ * level is real.
+ *
+ * The Dry Run page lists the recorded changes next to the level Shopify
+ * reported since, so they can be compared with what actually happened.
+ ************************************************************************/
+import prisma from "../db.server.js";
+import { SYNC_OUTCOMES, recordSyncEvents } from "./sync-events.server.js";
+import { consumeOrderClaims } from "./order-claims.server.js";
+import { DRY_RUN_KINDS } from "../utils/sync-constants.js";
+import { cleanId } from "./shopify-ids.server.js";
+
+export { DRY_RUN_KINDS };
+
+const DRY_RUN_CHANGES_KEPT = 2000;
+
+export async function isDryRunEnabled(shopDomain) {
+  const shopSub = await prisma.shopSubscription.findUnique({
+    where: { shop: shopDomain },
+    select: { dryRunEnabled: true },
+  });
+  return shopSub?.dryRunEnabled === true;
+}
+
+/**
+ * Stand-in for the write helpers of one event, with the same signatures
+ * (see writesFor in webhooks.inventory-update.helpers.server.js).
+ * Nothing is stored until flush().
+ */
+export function createDryRunRecorder(shopDomain, { sourceWebhookId = null } = {}) {
+  const changes = [];
+  const base = { shop: shopDomain, sourceWebhookId };
+
+  return {
+    async setInventoryQuantityBatch(_shopDomain, _adminHeaders, itemsToUpdate, _internal, syncRunId = null) {
+      for (const item of itemsToUpdate) {
+        changes.push({
+          ...base,
+          kind: DRY_RUN_KINDS.INVENTORY,
+          inventoryItemId: cleanId(item.inventoryItemId),
+          locationId: cleanId(item.locationId),
+          quantity: item.quantity,
+          syncRunId,
+        });
+      }
+      console.log(`🧪 Dry run => ${itemsToUpdate.length} inventory level(s) recorded`);
+      return null;
+    },
+
+    async setQtyOldValue(_shopDomain, _adminHeaders, variantId, newQty) {
+      changes.push({
+        ...base,
+        kind: DRY_RUN_KINDS.QTY_OLD,
+        variantId: cleanId(variantId),
+        quantity: newQty,
+      });
+    },
+
+    // Always paired with setQtyOldValue, whose row covers both
+    async setQtyOldValueDB() {},
+
+    async sendCustomWebhook(_shopDomain, masterData, childrenData, context = {}) {
+      changes.push({
+        ...base,
+        kind: DRY_RUN_KINDS.WEBHOOK,
+        variantId: cleanId(masterData?.variantId),
+        locationId: cleanId(context.locationId),
+        payload: { ...context, master: masterData, children: childrenData },
+      });
+    },
+
+    async consumeOrderClaims(_shopDomain, inventoryItemId, locationId, delta, source) {
+      return consumeOrderClaims(shopDomain, inventoryItemId, locationId, delta, source, { readOnly: true });
+    },
+
+    async recordOrderClaim() {},
+
+    async saveRatioRemainder() {},
+
+    async recordSyncEvents(_shopDomain, events) {
+      await recordSyncEvents(
+        shopDomain,
+        events.map((event) =>
+          event.outcome === SYNC_OUTCOMES.SYNCED ? { ...event, outcome: SYNC_OUTCOMES.DRY_RUN } : event
+        )
+      );
+    },
+
+    /**
+     * Stores the recorded changes. Like the audit trail, a failure here
+     * never breaks the event.
+     */
+    async flush() {
+      if (changes.length === 0) return;
+      try {
+        await prisma.dryRunChange.createMany({ data: changes.splice(0) });
+        await pruneDryRunChanges(shopDomain);
+      } catch (err) {
+        console.error("❌ Failed to store dry-run changes:", err);
+      }
+    },
+  };
+}
+
+async function pruneDryRunChanges(shopDomain) {
+  const stale = await prisma.dryRunChange.findMany({
+    where: { shop: shopDomain },
+    orderBy: { createdAt: "desc" },
+    skip: DRY_RUN_CHANGES_KEPT,
+    select: { id: true },
+  });
+  if (stale.length > 0) {
+    await prisma.dryRunChange.deleteMany({ where: { id: { in: stale.map((row) => row.id) } } });
+  }
+}
+
+/**
+ * Latest recorded changes. INVENTORY rows carry actualQty, the newest
+ * level the inventory ledger has for the item and location, or null.
+ */
+export async function getDryRunChanges(shopDomain, { take = 100 } = {}) {
+  const changes = await prisma.dryRunChange.findMany({
+    where: { shop: shopDomain },
+    orderBy: { createdAt: "desc" },
+    take,
+  });
+
+  const pairs = new Map();
+  for (const change of changes) {
+    if (change.kind !== DRY_RUN_KINDS.INVENTORY) continue;
+    pairs.set(`${change.inventoryItemId}:${change.locationId}`, change);
+  }
+  const actual = new Map(
+    await Promise.all(
+      [...pairs.entries()].map(async ([key, { inventoryItemId, locationId }]) => {
+        const latest = await prisma.inventoryLedgerEntry.findFirst({
+          where: { shop: shopDomain, inventoryItemId, locationId },
+          orderBy: { observedAt: "desc" },
+          select: { quantity: true },
+        });
+        return [key, latest ? latest.quantity : null];
+      })
+    )
+  );
+
+  return changes.map((change) => ({
+    ...change,
+    actualQty:
+      change.kind === DRY_RUN_KINDS.INVENTORY
+        ? actual.get(`${change.inventoryItemId}:${change.locationId}`) ?? null
+        : null,
+  }));
+}
+
+export async function clearDryRunChanges(shopDomain) {
+  const { count } = await prisma.dryRunChange.deleteMany({ where: { shop: shopDomain } });
+  return count;
+}
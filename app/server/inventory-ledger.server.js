@@ -0,0 +1,239 @@
+/************************************************************************
+ * inventory-ledger.server.js
+ *
+ * Append-only record of every "available" quantity we observe or apply,
+ * per inventory item + location. It replaces the single oldQuantity
+ * snapshot as the memory the delta logic works from:
+ *
+ *   WEBHOOK  => level reported by inventory_levels/update (observed only)
+ *   HANDLED  => webhook quantity a handler has accounted for
+ *   SYNC     => level after one of our writes (from the adjustment group)
+ *   BASELINE => level seeded at link/install time or rebuilt from Settings
+ *
+ * The baseline of an item is its newest accounted (non-WEBHOOK) entry, so
+ * a change that was queued but not yet handled never moves it. Any entry
+ * can be used to reconstruct the level at a point in time.
+ *
+ * Only items linked as MASTER or CHILD are recorded. Entries older than
+ * LEDGER_RETENTION_MS are pruned, except the newest accounted entry of
+ * each item+location, which is still its baseline.
+ *
+ * Stockdb.oldQuantity and the qtyold metafield are still written for older
+ * readers; they are only used as a fallback before an item has entries.
+ ************************************************************************/
+import prisma from "../db.server.js";
+import { isRelationshipStoreReady } from "./relationships.server.js";
+import { cleanId } from "./shopify-ids.server.js";
+
+export const LEDGER_SOURCES = {
+  WEBHOOK: "WEBHOOK",
+  HANDLED: "HANDLED",
+  SYNC: "SYNC",
+  BASELINE: "BASELINE",
+};
+
+const ACCOUNTED_SOURCES = [LEDGER_SOURCES.HANDLED, LEDGER_SOURCES.SYNC, LEDGER_SOURCES.BASELINE];
+const LEDGER_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const LEDGER_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+let ledgerLastPrune = 0;
+
+function toDate(value) {
+  if (!value) return new Date();
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? new Date() : date;
+}
+
+function toRow(shopDomain, entry) {
+  return {
+    shop: shopDomain,
+    inventoryItemId: cleanId(entry.inventoryItemId),
+    locationId: cleanId(entry.locationId),
+    variantId: cleanId(entry.variantId),
+    quantity: entry.quantity,
+    source: entry.source,
+    syncRunId: entry.syncRunId || null,
+    sourceWebhookId: entry.sourceWebhookId || null,
+    observedAt: toDate(entry.observedAt),
+  };
+}
+
+/**
+ * Rows of items linked as MASTER or CHILD. Every row is kept until the
+ * relationship import has run, as links are not known before that.
+ */
+async function linkedRowsOnly(shopDomain, rows) {
+  if (!(await isRelationshipStoreReady(shopDomain))) return rows;
+  const itemIds = [...new Set(rows.map((row) => row.inventoryItemId))];
+  const links = await prisma.relationship.findMany({
+    where: {
+      shop: shopDomain,
+      OR: [{ masterInventoryItemId: { in: itemIds } }, { childInventoryItemId: { in: itemIds } }],
+    },
+    select: { masterInventoryItemId: true, childInventoryItemId: true },
+  });
+  const linked = new Set(links.flatMap((link) => [link.masterInventoryItemId, link.childInventoryItemId]));
+  return rows.filter((row) => linked.has(row.inventoryItemId));
+}
+
+/**
+ * entries: [{ inventoryItemId, locationId, quantity, source, variantId?,
+ *             syncRunId?, sourceWebhookId?, observedAt? }]
+ * Entries without an item, location or integer quantity are ignored, and
+ * so are items that are not linked.
+ * Like the sync audit trail, a failed write is logged and never breaks a sync.
+ */
+export async function recordLedgerEntries(shopDomain, entries) {
+  const rows = (entries || [])
+    .filter((e) => e && Number.isInteger(e.quantity))
+    .map((e) => toRow(shopDomain, e))
+    .filter((row) => row.inventoryItemId && row.locationId);
+  if (!shopDomain || rows.length === 0) return;
+  try {
+    const linkedRows = await linkedRowsOnly(shopDomain, rows);
+    if (linkedRows.length === 0) return;
+    await prisma.inventoryLedgerEntry.createMany({ data: linkedRows });
+  } catch (err) {
+    console.error("❌ Failed to record ledger entries:", err);
+  }
+}
+
+/**
+ * Retention sweep over every shop, at most once per LEDGER_PRUNE_INTERVAL_MS.
+ * Run by the aggregator worker; a failure is logged and retried next time.
+ */
+export async function pruneInventoryLedger() {
+  if (Date.now() - ledgerLastPrune < LEDGER_PRUNE_INTERVAL_MS) return;
+  ledgerLastPrune = Date.now();
+  const cutoff = new Date(Date.now() - LEDGER_RETENTION_MS);
+  try {
+    const count = await prisma.$executeRaw`
+      DELETE FROM "InventoryLedgerEntry"
+      WHERE "observedAt" < ${cutoff}
+        AND id NOT IN (
+          SELECT DISTINCT ON ("shop", "inventoryItemId", "locationId") id
+          FROM "InventoryLedgerEntry"
+          WHERE source <> ${LEDGER_SOURCES.WEBHOOK}
+          ORDER BY "shop", "inventoryItemId", "locationId", "observedAt" DESC, "createdAt" DESC
+        )
+    `;
+    if (count > 0) {
+      console.log(`🧹 Removed ${count} ledger entries older than the retention period`);
+    }
+  } catch (err) {
+    console.error("❌ Failed to prune the inventory ledger:", err);
+  }
+}
+
+/**
+ * Records what Shopify actually applied for one of our writes.
+ */
+export async function recordAppliedAdjustments(shopDomain, syncRunId, adjustmentGroup) {
+  if (!adjustmentGroup) return;
+  await recordLedgerEntries(
+    shopDomain,
+    (adjustmentGroup.changes || [])
+      .filter((c) => c.name === "available" && c.item?.id && c.location?.id)
+      .map((c) => ({
+        inventoryItemId: c.item.id,
+        locationId: c.location.id,
+        quantity: c.quantityAfterChange,
+        source: LEDGER_SOURCES.SYNC,
+        syncRunId,
+        observedAt: adjustmentGroup.createdAt,
+      }))
+  );
+}
+
+async function latestEntry(shopDomain, inventoryItemId, locationId, where = {}) {
+  return prisma.inventoryLedgerEntry.findFirst({
+    where: {
+      shop: shopDomain,
+      inventoryItemId: cleanId(inventoryItemId),
+      locationId: cleanId(locationId),
+      ...where,
+    },
+    orderBy: [{ observedAt: "desc" }, { createdAt: "desc" }],
+  });
+}
+
+/**
+ * The quantity the app last accounted for, or null when the item has no
+ * accounted entry yet (callers then fall back to the Stockdb snapshot).
+ */
+export async function getLedgerBaseline(shopDomain, inventoryItemId, locationId) {
+  if (!inventoryItemId || locationId === null || locationId === undefined) return null;
+  try {
+    const entry = await latestEntry(shopDomain, inventoryItemId, locationId, {
+      source: { in: ACCOUNTED_SOURCES },
+    });
+    return entry ? entry.quantity : null;
+  } catch (err) {
+    console.error("❌ Failed to read ledger baseline:", err);
+    return null;
+  }
+}
+
+/**
+ * True once the item has an accounted entry at any location.
+ */
+export async function hasLedgerBaseline(shopDomain, inventoryItemId) {
+  const entry = await prisma.inventoryLedgerEntry.findFirst({
+    where: {
+      shop: shopDomain,
+      inventoryItemId: cleanId(inventoryItemId),
+      source: { in: ACCOUNTED_SOURCES },
+    },
+    select: { id: true },
+  });
+  return entry !== null;
+}
+
+/**
+ * Bare ids of the variants with an accounted entry at any location.
+ */
+export async function getVariantsWithLedgerBaseline(shopDomain, variantIds) {
+  const rows = await prisma.inventoryLedgerEntry.findMany({
+    where: {
+      shop: shopDomain,
+      variantId: { in: variantIds.map(cleanId) },
+      source: { in: ACCOUNTED_SOURCES },
+    },
+    distinct: ["variantId"],
+    select: { variantId: true },
+  });
+  return new Set(rows.map((row) => row.variantId));
+}
+
+/**
+ * Reconstructs the level at `at` from every entry => { quantity, entry } or null.
+ */
+export async function getLedgerQuantityAt(shopDomain, inventoryItemId, locationId, at = new Date()) {
+  const entry = await latestEntry(shopDomain, inventoryItemId, locationId, {
+    observedAt: { lte: toDate(at) },
+  });
+  return entry ? { quantity: entry.quantity, entry } : null;
+}
+
+/**
+ * Entries of one item (optionally one location) between from/to, newest first.
+ */
+export async function getLedgerHistory(
+  shopDomain,
+  inventoryItemId,
+  { locationId = null, from = null, to = null, limit = 100 } = {}
+) {
+  const observedAt = {};
+  if (from) observedAt.gte = toDate(from);
+  if (to) observedAt.lte = toDate(to);
+  return prisma.inventoryLedgerEntry.findMany({
+    where: {
+      shop: shopDomain,
+      inventoryItemId: cleanId(inventoryItemId),
+      ...(locationId ? { locationId: cleanId(locationId) } : {}),
+      ...(from || to ? { observedAt } : {}),
+    },
+    orderBy: [{ observedAt: "desc" }, { createdAt: "desc" }],
+    take: Math.min(Math.max(limit, 1), 500),
+  });
+}
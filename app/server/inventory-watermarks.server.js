@@ -0,0 +1,65 @@
+/************************************************************************
+ * inventory-watermarks.server.js
+ *
+ * Remembers the newest inventory_levels/update "updated_at" we applied per
+ * inventory item + location. Shopify does not guarantee delivery order, so
+ * a delayed webhook carrying an older level must not overwrite a newer one.
+ * Only strictly older timestamps are stale: updated_at has second
+ * precision, so two real changes can share the same value.
+ ************************************************************************/
+import prisma from "../db.server.js";
+import { cleanId } from "./shopify-ids.server.js";
+
+function toDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export async function getInventoryWatermark(shopDomain, inventoryItemId, locationId) {
+  const row = await prisma.inventoryWatermark.findUnique({
+    where: {
+      shop_inventoryItemId_locationId: {
+        shop: shopDomain,
+        inventoryItemId: cleanId(inventoryItemId),
+        locationId: cleanId(locationId),
+      },
+    },
+  });
+  return row?.lastUpdatedAt || null;
+}
+
+/**
+ * => { stale, watermark } for an event whose level changed at `updatedAt`.
+ * Events without a timestamp (older queued rows) are never stale.
+ */
+export async function checkInventoryWatermark(shopDomain, inventoryItemId, locationId, updatedAt) {
+  const eventDate = toDate(updatedAt);
+  if (!eventDate) return { stale: false, watermark: null };
+  try {
+    const watermark = await getInventoryWatermark(shopDomain, inventoryItemId, locationId);
+    return { stale: !!watermark && eventDate < watermark, watermark };
+  } catch (err) {
+    console.error("❌ Failed to read inventory watermark =>", err);
+    return { stale: false, watermark: null };
+  }
+}
+
+/**
+ * Moves the watermark forward (never backwards) once a change was applied.
+ */
+export async function advanceInventoryWatermark(shopDomain, inventoryItemId, locationId, updatedAt) {
+  const eventDate = toDate(updatedAt);
+  if (!eventDate) return;
+  try {
+    await prisma.$executeRaw`
+      INSERT INTO "InventoryWatermark" ("shop", "inventoryItemId", "locationId", "lastUpdatedAt", "appliedAt")
+      VALUES (${shopDomain}, ${cleanId(inventoryItemId)}, ${cleanId(locationId)}, ${eventDate}, ${new Date()})
+      ON CONFLICT ("shop", "inventoryItemId", "locationId") DO UPDATE
+      SET "lastUpdatedAt" = GREATEST("InventoryWatermark"."lastUpdatedAt", EXCLUDED."lastUpdatedAt"),
+          "appliedAt" = EXCLUDED."appliedAt"
+    `;
+  } catch (err) {
+    console.error("❌ Failed to advance inventory watermark =>", err);
+  }
+}
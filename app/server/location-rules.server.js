@@ -0,0 +1,141 @@
+/************************************************************************
+ * location-rules.server.js
+ *
+ * Decides which inventory locations take part in MASTER/CHILD syncing.
+ * A shop has a default rule (stored on ShopSubscription) and each MASTER
+ * may override it with a MasterLocationRule row.
+ ************************************************************************/
+import prisma from "../db.server.js";
+import { LOCATION_SYNC_MODES } from "../utils/sync-constants.js";
+import { cleanId } from "./shopify-ids.server.js";
+
+export { LOCATION_SYNC_MODES };
+
+const VALID_MODES = Object.values(LOCATION_SYNC_MODES);
+
+export function normaliseLocationId(locationId) {
+  if (locationId === null || locationId === undefined) return null;
+  return String(locationId).replace("gid://shopify/Location/", "");
+}
+
+/**
+ * Validates and normalises a rule coming from a form or JSON body.
+ * Throws with a merchant-readable message when the rule is unusable.
+ */
+export function parseLocationRuleInput(mode, locationIds) {
+  const cleanMode = String(mode || "").toUpperCase();
+  if (!VALID_MODES.includes(cleanMode)) {
+    throw new Error(`Unknown location sync mode: ${mode}`);
+  }
+  const cleanIds = [...new Set((locationIds || []).map(normaliseLocationId).filter(Boolean))];
+  if (cleanMode !== LOCATION_SYNC_MODES.INDEPENDENT && cleanIds.length === 0) {
+    throw new Error("Select at least one location for this sync mode.");
+  }
+  return {
+    mode: cleanMode,
+    locationIds: cleanMode === LOCATION_SYNC_MODES.INDEPENDENT ? [] : cleanIds,
+  };
+}
+
+/**
+ * Returns the rule that applies to a MASTER:
+ * { mode, locationIds, source: "master" | "shop" }
+ */
+export async function getLocationRule(shopDomain, masterVariantId) {
+  const override = await prisma.masterLocationRule.findUnique({
+    where: {
+      shop_masterVariantId: {
+        shop: shopDomain,
+        masterVariantId: cleanId(masterVariantId),
+      },
+    },
+  });
+  if (override) {
+    return { mode: override.mode, locationIds: override.locationIds || [], source: "master" };
+  }
+
+  const shopSub = await prisma.shopSubscription.findUnique({
+    where: { shop: shopDomain },
+    select: { locationSyncMode: true, syncLocationIds: true },
+  });
+  return {
+    mode: shopSub?.locationSyncMode || LOCATION_SYNC_MODES.INDEPENDENT,
+    locationIds: shopSub?.syncLocationIds || [],
+    source: "shop",
+  };
+}
+
+export async function saveMasterLocationRule(shopDomain, masterVariantId, mode, locationIds) {
+  const rule = parseLocationRuleInput(mode, locationIds);
+  const normalisedId = cleanId(masterVariantId);
+  return prisma.masterLocationRule.upsert({
+    where: { shop_masterVariantId: { shop: shopDomain, masterVariantId: normalisedId } },
+    update: rule,
+    create: { shop: shopDomain, masterVariantId: normalisedId, ...rule },
+  });
+}
+
+export async function deleteMasterLocationRule(shopDomain, masterVariantId) {
+  await prisma.masterLocationRule.deleteMany({
+    where: { shop: shopDomain, masterVariantId: cleanId(masterVariantId) },
+  });
+}
+
+/**
+ * True when an inventory change at this location should be propagated.
+ */
+export function locationParticipates(rule, locationId) {
+  if (!rule || rule.mode === LOCATION_SYNC_MODES.INDEPENDENT) return true;
+  return rule.locationIds.includes(normaliseLocationId(locationId));
+}
+
+/**
+ * Location where CHILD quantities are written for an event at `locationId`.
+ * POOLED rules keep children at the first pooled location.
+ */
+export function getChildTargetLocation(rule, locationId) {
+  if (rule?.mode === LOCATION_SYNC_MODES.POOLED && rule.locationIds.length > 0) {
+    return rule.locationIds[0];
+  }
+  return normaliseLocationId(locationId);
+}
+
+/**
+ * Location used when the admin UI sets a quantity without naming one.
+ */
+export function getDefaultRuleLocation(rule) {
+  if (rule && rule.mode !== LOCATION_SYNC_MODES.INDEPENDENT && rule.locationIds.length > 0) {
+    return rule.locationIds[0];
+  }
+  return null;
+}
+
+/**
+ * Lists the shop's locations through the authenticated admin client.
+ */
+export async function fetchShopLocations(admin) {
+  const response = await admin.graphql(
+    `#graphql
+    query getLocations {
+      locations(first: 50) {
+        edges {
+          node {
+            id
+            name
+            isActive
+            isPrimary
+          }
+        }
+      }
+    }
+    `
+  );
+  const data = await response.json();
+  return (data?.data?.locations?.edges || []).map(({ node }) => ({
+    id: normaliseLocationId(node.id),
+    gid: node.id,
+    name: node.name,
+    isActive: node.isActive,
+    isPrimary: node.isPrimary,
+  }));
+}
@@ -0,0 +1,73 @@
+/************************************************************************
+ * master-locks.server.js
+ *
+ * Serializes work on a MASTER across every app instance with Postgres
+ * transaction-level advisory locks. Events for the same MASTER (any
+ * location, its CHILDREN, bundles that contain it) wait for each other
+ * and are applied in order instead of being dropped.
+ *
+ * The lock lives in an open transaction, so it is released automatically
+ * when the work finishes, throws or the instance dies. Those transactions
+ * run on a small connection pool of their own: the locked work queries
+ * through the shared client, and lock holders parked on the shared pool
+ * could leave it without a connection to do that work.
+ ************************************************************************/
+import { PrismaClient } from "@prisma/client";
+import { cleanId } from "./shopify-ids.server.js";
+
+// First key of the two-key advisory lock, so our locks never collide with
+// other users of pg_advisory_* on the same database.
+const MASTER_LOCK_NAMESPACE = 71001;
+const MASTER_LOCK_WAIT = "30s";
+const MASTER_LOCK_MAX_HOLD_MS = 2 * 60 * 1000;
+const MASTER_LOCK_CONNECTIONS = Number(process.env.MASTER_LOCK_CONNECTIONS) || 5;
+
+/**
+ * Client for the lock transactions only (kept on global so dev reloads
+ * share it). More concurrent lock holders than MASTER_LOCK_CONNECTIONS
+ * wait for a connection, up to the transaction's maxWait.
+ */
+function getLockClient() {
+  if (!global.__masterLockPrisma) {
+    const url = new URL(process.env.DB_URL);
+    url.searchParams.set("connection_limit", String(MASTER_LOCK_CONNECTIONS));
+    global.__masterLockPrisma = new PrismaClient({ datasourceUrl: url.toString() });
+  }
+  return global.__masterLockPrisma;
+}
+
+/**
+ * Every MASTER variant an aggregator/dead-letter event touches.
+ */
+export function masterIdsForEvent(ev) {
+  if (!ev) return [];
+  if (ev.isMaster) return ev.variantId ? [ev.variantId] : [];
+  if (ev.isBundle && Array.isArray(ev.bundleComponents)) {
+    return ev.bundleComponents.map((c) => c.masterVariantId).filter(Boolean);
+  }
+  return ev.masterVariantId ? [ev.masterVariantId] : [];
+}
+
+/**
+ * Runs fn() while holding the lock of every given MASTER.
+ * Locks are taken in a fixed order so two callers can never deadlock.
+ * Waiting longer than MASTER_LOCK_WAIT throws; callers retry later.
+ */
+export async function withMasterLocks(shopDomain, masterVariantIds, fn) {
+  const keys = [
+    ...new Set(masterVariantIds.filter(Boolean).map((id) => `${shopDomain}:${cleanId(id)}`)),
+  ].sort();
+  if (keys.length === 0) return fn();
+
+  return getLockClient().$transaction(
+    async (tx) => {
+      await tx.$executeRawUnsafe(`SET LOCAL lock_timeout = '${MASTER_LOCK_WAIT}'`);
+      for (const key of keys) {
+        await tx.$executeRaw`SELECT pg_advisory_xact_lock(${MASTER_LOCK_NAMESPACE}::int, hashtext(${key}))`;
+      }
+      console.log(`🔒 Master lock acquired => ${keys.join(", ")}`);
+      return fn();
+    },
+    { maxWait: 10000, timeout: MASTER_LOCK_MAX_HOLD_MS }
+  );
+}
@@ -0,0 +1,150 @@
+/************************************************************************
+ * metafield-definitions.server.js
+ *
+ * Typed definitions of every variant metafield the app owns. They live
+ * in the app-reserved "$app:stocksync" namespace, so merchants and other
+ * apps can read the values but only this app can write them, and Shopify
+ * rejects values that do not match the type or validations below.
+ *
+ * Created once per install from afterAuth (shopify.server.js); existing
+ * definitions are left untouched. Values written before the move are
+ * copied over by metafield-migration.server.js.
+ ************************************************************************/
+import { METAFIELD_NAMESPACE, METAFIELD_KEYS } from "../utils/metafield-utils.js";
+import { RATIO_ROUNDING } from "../utils/sync-constants.js";
+import { adminGraphql } from "./admin-graphql.server.js";
+
+const OWNER_TYPE = "PRODUCTVARIANT";
+
+// Merchants see the values in the admin, themes can render them
+const ACCESS = {
+  admin: "MERCHANT_READ",
+  storefront: "PUBLIC_READ",
+};
+
+export const METAFIELD_DEFINITIONS = [
+  {
+    key: METAFIELD_KEYS.MASTER,
+    name: "Stock Sync - Master",
+    description: "True when this variant is the stock master of its children. A master cannot be a child.",
+    type: "boolean",
+  },
+  {
+    key: METAFIELD_KEYS.CHILDREN,
+    name: "Stock Sync - Children",
+    description: "Variants whose stock follows this master.",
+    type: "list.variant_reference",
+  },
+  {
+    key: METAFIELD_KEYS.PARENT_MASTER,
+    name: "Stock Sync - Parent Master",
+    description: "The master (or, for a bundle, the masters) this child follows.",
+    type: "list.variant_reference",
+  },
+  {
+    key: METAFIELD_KEYS.QTY_MANAGEMENT,
+    name: "Stock Sync - Child Qty Management",
+    description: "Whole master units used by one unit of this child. Superseded by Child Ratio.",
+    type: "number_integer",
+    validations: [{ name: "min", value: "1" }],
+  },
+  {
+    key: METAFIELD_KEYS.RATIO,
+    name: "Stock Sync - Child Ratio",
+    description: "Master units used by one unit of this child. Decimals are allowed, e.g. 0.5 for a half-case.",
+    type: "number_decimal",
+    validations: [{ name: "min", value: "0.0001" }],
+  },
+  {
+    key: METAFIELD_KEYS.ROUNDING,
+    name: "Stock Sync - Child Rounding",
+    description: "How fractional child quantities are rounded: FLOOR (default), ROUND or CEIL.",
+    type: "single_line_text_field",
+    validations: [{ name: "choices", value: JSON.stringify(Object.values(RATIO_ROUNDING)) }],
+  },
+  {
+    key: METAFIELD_KEYS.BUFFER,
+    name: "Stock Sync - Safety Buffer",
+    description: "Child units held back from the calculated child stock. On a master it is the default for its children.",
+    type: "number_integer",
+    validations: [{ name: "min", value: "0" }],
+  },
+  {
+    key: METAFIELD_KEYS.CAP,
+    name: "Stock Sync - Stock Cap",
+    description: "Maximum stock shown for a child. On a master it is the default for its children.",
+    type: "number_integer",
+    validations: [{ name: "min", value: "0" }],
+  },
+  {
+    key: METAFIELD_KEYS.BUNDLE,
+    name: "Stock Sync - Bundle Components",
+    description: "Masters this bundle is built from and how many units of each go into one bundle.",
+    type: "json",
+  },
+  {
+    key: METAFIELD_KEYS.QTY_OLD,
+    name: "Stock Sync - Previous Quantity",
+    description: "Quantity of the variant after the last sync, used to work out the next change.",
+    type: "number_integer",
+  },
+];
+
+const EXISTING_DEFINITIONS_QUERY = `
+  query stockSyncDefinitions($namespace: String!, $ownerType: MetafieldOwnerType!) {
+    metafieldDefinitions(first: 50, namespace: $namespace, ownerType: $ownerType) {
+      nodes {
+        key
+      }
+    }
+  }
+`;
+
+const CREATE_DEFINITION_MUTATION = `
+  mutation stockSyncDefinitionCreate($definition: MetafieldDefinitionInput!) {
+    metafieldDefinitionCreate(definition: $definition) {
+      createdDefinition {
+        id
+        key
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
+
+/**
+ * Creates the definitions the shop does not have yet.
+ * => number of definitions created
+ */
+export async function ensureMetafieldDefinitions(shopDomain, adminHeaders) {
+  const data = await adminGraphql(shopDomain, adminHeaders, EXISTING_DEFINITIONS_QUERY, {
+    namespace: METAFIELD_NAMESPACE,
+    ownerType: OWNER_TYPE,
+  });
+  const existingKeys = new Set((data?.metafieldDefinitions?.nodes || []).map((node) => node.key));
+
+  let created = 0;
+  for (const definition of METAFIELD_DEFINITIONS) {
+    if (existingKeys.has(definition.key)) continue;
+    const result = await adminGraphql(shopDomain, adminHeaders, CREATE_DEFINITION_MUTATION, {
+      definition: {
+        ...definition,
+        namespace: METAFIELD_NAMESPACE,
+        ownerType: OWNER_TYPE,
+        access: ACCESS,
+      },
+    });
+    const userErrors = result?.metafieldDefinitionCreate?.userErrors || [];
+    if (userErrors.length > 0) {
+      console.error(`❌ Metafield definition ${definition.key} => ${shopDomain}`, userErrors);
+      continue;
+    }
+    created += 1;
+  }
+  console.log(`🏷️ Metafield definitions ready (${created} created) => ${shopDomain}`);
+  return created;
+}
@@ -0,0 +1,224 @@
+/************************************************************************
+ * metafield-migration.server.js
+ *
+ * Moves values written before the app-reserved namespace existed from
+ * the projektstocksync* namespaces to "$app:stocksync", one page of
+ * variants at a time:
+ *   1. copy each legacy value the variant has no app value for yet,
+ *   2. delete the legacy values that now have an app value,
+ *   3. once a pass leaves nothing behind, drop the legacy definitions
+ *      and record metafieldsMovedAt.
+ * Readers prefer the app namespace and fall back to the legacy one
+ * (metafield-utils.js), so the app keeps working while a shop is half
+ * migrated. Copies use compareDigest: null and therefore never overwrite
+ * a value the app wrote after the page was read.
+ *
+ * A value the new definition rejects (e.g. a ratio of 0) stays in the
+ * legacy namespace, is still read from there and is retried on the next
+ * pass.
+ ************************************************************************/
+import prisma from "../db.server.js";
+import { METAFIELD_DEFINITIONS } from "./metafield-definitions.server.js";
+import {
+  METAFIELD_NAMESPACE,
+  METAFIELD_KEYS,
+  LEGACY_METAFIELD_NAMESPACES,
+  metafieldSelection,
+} from "../utils/metafield-utils.js";
+import { normaliseRounding } from "../utils/ratio-utils.js";
+import { adminGraphql } from "./admin-graphql.server.js";
+
+// metafieldsSet accepts at most 25 metafields per call
+const METAFIELDS_PER_CALL = 25;
+// Two selections per key keep a page of 40 variants under the query cost limit
+const VARIANTS_PER_QUERY = 40;
+
+const VARIANTS_QUERY = `
+  query metafieldMigration($first: Int!, $after: String) {
+    productVariants(first: $first, after: $after) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      nodes {
+        id
+        ${METAFIELD_DEFINITIONS.map(({ key }) => metafieldSelection(key, key, "id value")).join("\n        ")}
+      }
+    }
+  }
+`;
+
+const SET_MUTATION = `
+  mutation metafieldMigrationSet($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
+
+const DELETE_MUTATION = `
+  mutation metafieldMigrationDelete($metafields: [MetafieldIdentifierInput!]!) {
+    metafieldsDelete(metafields: $metafields) {
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const LEGACY_DEFINITIONS_QUERY = `
+  query legacyDefinitions($namespace: String!) {
+    metafieldDefinitions(first: 50, namespace: $namespace, ownerType: PRODUCTVARIANT) {
+      nodes {
+        id
+      }
+    }
+  }
+`;
+
+const DELETE_DEFINITION_MUTATION = `
+  mutation legacyDefinitionDelete($id: ID!) {
+    metafieldDefinitionDelete(id: $id, deleteAllAssociatedMetafields: false) {
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+function copyValue(key, value) {
+  return key === METAFIELD_KEYS.ROUNDING ? normaliseRounding(value) : value;
+}
+
+async function setMetafields(shopDomain, adminHeaders, metafields) {
+  const data = await adminGraphql(shopDomain, adminHeaders, SET_MUTATION, { metafields });
+  return data?.metafieldsSet?.userErrors || [];
+}
+
+/**
+ * Copies the values and returns the ones that made it. metafieldsSet is
+ * all-or-nothing, so a rejected batch is retried value by value.
+ */
+async function copyValues(shopDomain, adminHeaders, copies) {
+  const copied = [];
+  for (let i = 0; i < copies.length; i += METAFIELDS_PER_CALL) {
+    const batch = copies.slice(i, i + METAFIELDS_PER_CALL);
+    const inputs = batch.map(({ ownerId, key, type, value }) => ({
+      ownerId,
+      namespace: METAFIELD_NAMESPACE,
+      key,
+      type,
+      value: copyValue(key, value),
+      compareDigest: null,
+    }));
+    if ((await setMetafields(shopDomain, adminHeaders, inputs)).length === 0) {
+      copied.push(...batch);
+      continue;
+    }
+    for (let j = 0; j < batch.length; j += 1) {
+      const userErrors = await setMetafields(shopDomain, adminHeaders, [inputs[j]]);
+      if (userErrors.length === 0) {
+        copied.push(batch[j]);
+      } else {
+        console.warn(`⚠️ Kept legacy ${batch[j].key} of ${batch[j].ownerId}:`, userErrors[0]?.message);
+      }
+    }
+  }
+  return copied;
+}
+
+async function deleteLegacyValues(shopDomain, adminHeaders, values) {
+  for (let i = 0; i < values.length; i += METAFIELDS_PER_CALL) {
+    const data = await adminGraphql(shopDomain, adminHeaders, DELETE_MUTATION, {
+      metafields: values.slice(i, i + METAFIELDS_PER_CALL).map(({ ownerId, key }) => ({
+        ownerId,
+        namespace: LEGACY_METAFIELD_NAMESPACES[key],
+        key,
+      })),
+    });
+    const userErrors = data?.metafieldsDelete?.userErrors || [];
+    if (userErrors.length > 0) {
+      throw new Error(`Failed to delete legacy metafields: ${JSON.stringify(userErrors)}`);
+    }
+  }
+}
+
+async function deleteLegacyDefinitions(shopDomain, adminHeaders) {
+  for (const namespace of new Set(Object.values(LEGACY_METAFIELD_NAMESPACES))) {
+    const data = await adminGraphql(shopDomain, adminHeaders, LEGACY_DEFINITIONS_QUERY, { namespace });
+    for (const { id } of data?.metafieldDefinitions?.nodes || []) {
+      await adminGraphql(shopDomain, adminHeaders, DELETE_DEFINITION_MUTATION, { id });
+    }
+  }
+}
+
+/**
+ * One migration pass over every variant of the shop.
+ * => { copied, kept } or null when the shop was migrated already
+ */
+export async function migrateLegacyMetafields(shopDomain, adminHeaders) {
+  const shopSub = await prisma.shopSubscription.findUnique({
+    where: { shop: shopDomain },
+    select: { metafieldsMovedAt: true },
+  });
+  if (shopSub?.metafieldsMovedAt) return null;
+
+  global.__metafieldMigrations = global.__metafieldMigrations || new Set();
+  if (global.__metafieldMigrations.has(shopDomain)) {
+    console.log(`🚚 Metafield migration already running => ${shopDomain}`);
+    return null;
+  }
+  global.__metafieldMigrations.add(shopDomain);
+
+  try {
+    let copiedCount = 0;
+    let keptCount = 0;
+    let after = null;
+    do {
+      const data = await adminGraphql(shopDomain, adminHeaders, VARIANTS_QUERY, {
+        first: VARIANTS_PER_QUERY,
+        after,
+      });
+      const page = data?.productVariants;
+
+      const copies = [];
+      const moved = [];
+      for (const node of page?.nodes || []) {
+        for (const { key, type } of METAFIELD_DEFINITIONS) {
+          // Raw response: `${key}Legacy` must not be folded into `${key}` here
+          const legacy = node[`${key}Legacy`];
+          if (!legacy) continue;
+          const entry = { ownerId: node.id, key, type, value: legacy.value };
+          // The app value wins; the legacy one is only left to clean up
+          if (node[key]) moved.push(entry);
+          else copies.push(entry);
+        }
+      }
+
+      const copied = await copyValues(shopDomain, adminHeaders, copies);
+      await deleteLegacyValues(shopDomain, adminHeaders, [...moved, ...copied]);
+      copiedCount += copied.length;
+      keptCount += copies.length - copied.length;
+
+      after = page?.pageInfo?.hasNextPage ? page.pageInfo.endCursor : null;
+    } while (after);
+
+    if (keptCount === 0) {
+      await deleteLegacyDefinitions(shopDomain, adminHeaders);
+      await prisma.shopSubscription.updateMany({
+        where: { shop: shopDomain },
+        data: { metafieldsMovedAt: new Date() },
+      });
+    }
+    console.log(`🚚 Moved ${copiedCount} metafield(s), kept ${keptCount} legacy value(s) => ${shopDomain}`);
+    return { copied: copiedCount, kept: keptCount };
+  } finally {
+    global.__metafieldMigrations.delete(shopDomain);
+  }
+}
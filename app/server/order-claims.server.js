@@ -0,0 +1,92 @@
+/************************************************************************
+ * order-claims.server.js
+ *
+ * With order sync on, one sale reaches us twice: as orders/create (or a
+ * refund) and as the inventory_levels/update of the CHILD it decremented,
+ * in either order. Whichever path applies the change to the MASTER first
+ * leaves a claim; the other path consumes it instead of applying the
+ * change again:
+ *   ORDER     => left by order-sync.server.js, consumed by inventory webhooks
+ *   INVENTORY => left by inventory webhooks, consumed by orders/refunds
+ * Only claims with the same sign pair up, so a sale never cancels a
+ * restock. Claims of changes that never get a counterpart (a manual stock
+ * edit) simply expire.
+ *
+ * Callers hold the MASTER lock, so claims of one item are never consumed
+ * twice at the same time.
+ ************************************************************************/
+import prisma from "../db.server.js";
+import { cleanId } from "./shopify-ids.server.js";
+
+export const ORDER_CLAIM_SOURCES = {
+  ORDER: "ORDER",
+  INVENTORY: "INVENTORY",
+};
+
+// Shopify retries a webhook for up to 48 hours
+const CLAIM_WINDOW_MS = 48 * 60 * 60 * 1000;
+
+export async function isOrderSyncEnabled(shopDomain) {
+  const shopSub = await prisma.shopSubscription.findUnique({
+    where: { shop: shopDomain },
+    select: { orderSyncEnabled: true },
+  });
+  return shopSub?.orderSyncEnabled === true;
+}
+
+/**
+ * Nets `delta` (signed CHILD units) against the other path's open claims.
+ * With readOnly the claims are only netted, not used up (dry-run mode).
+ * => the part of delta that still has to be applied to the MASTER
+ */
+export async function consumeOrderClaims(shopDomain, inventoryItemId, locationId, delta, source, { readOnly = false } = {}) {
+  if (!delta) return 0;
+  const claims = await prisma.orderSyncClaim.findMany({
+    where: {
+      shop: shopDomain,
+      inventoryItemId: cleanId(inventoryItemId),
+      locationId: cleanId(locationId),
+      source: source === ORDER_CLAIM_SOURCES.ORDER ? ORDER_CLAIM_SOURCES.INVENTORY : ORDER_CLAIM_SOURCES.ORDER,
+      remaining: delta < 0 ? { lt: 0 } : { gt: 0 },
+      createdAt: { gte: new Date(Date.now() - CLAIM_WINDOW_MS) },
+    },
+    orderBy: { createdAt: "asc" },
+  });
+
+  let left = delta;
+  for (const claim of claims) {
+    if (left === 0) break;
+    const used = Math.sign(delta) * Math.min(Math.abs(claim.remaining), Math.abs(left));
+    if (!readOnly) await prisma.orderSyncClaim.update({
+      where: { id: claim.id },
+      data: { remaining: claim.remaining - used },
+    });
+    left -= used;
+  }
+  if (left !== delta) {
+    console.log(`🧾 Order claims => ${delta - left} of ${delta} already applied (item:${cleanId(inventoryItemId)})`);
+  }
+  return left;
+}
+
+/**
+ * Leaves a claim for a change this path applied. Expired claims of the
+ * shop are pruned on the way.
+ */
+export async function recordOrderClaim(shopDomain, { inventoryItemId, locationId, quantity, source, reference = null }) {
+  if (!quantity) return;
+  await prisma.orderSyncClaim.deleteMany({
+    where: { shop: shopDomain, createdAt: { lt: new Date(Date.now() - CLAIM_WINDOW_MS) } },
+  });
+  await prisma.orderSyncClaim.create({
+    data: {
+      shop: shopDomain,
+      inventoryItemId: cleanId(inventoryItemId),
+      locationId: cleanId(locationId),
+      source,
+      reference: reference ? String(reference) : null,
+      quantity,
+      remaining: quantity,
+    },
+  });
+}
@@ -0,0 +1,266 @@
+/************************************************************************
+ * order-sync.server.js
+ *
+ * Applies sales and restocks to MASTERS from the order itself instead of
+ * inferring them from inventory_levels/update diffs:
+ *   orders/create    => every sold CHILD line, at the location it was
+ *                       assigned to (fulfillment orders)
+ *   refunds/create   => every restocked CHILD line, at its restock location
+ *   orders/cancelled => the restocking refunds of the cancellation
+ * A cancellation sends its refund through refunds/create as well; each
+ * refund is applied once, whichever delivery arrives first.
+ *
+ * Each line moves its MASTER(S) by quantity x ratio directly (see
+ * applyOrderLineChange), so several orders inside one aggregator window
+ * are never merged into one diff. The inventory webhook the same sale
+ * causes is netted out through order-claims.server.js.
+ *
+ * Each line is marked as applied under its MASTER lock once it went
+ * through. A delivery with a failed line answers with an error, so
+ * Shopify retries it and the retry only applies the lines still missing.
+ *
+ * Does nothing unless the shop turned order sync on in Settings. Lines of
+ * a paused shop or MASTER are logged as skipped (sync-pause.server.js); in
+ * dry-run mode the writes are only recorded (dry-run.server.js).
+ ************************************************************************/
+import prisma from "../db.server.js";
+import { withMasterLocks, masterIdsForEvent } from "./master-locks.server.js";
+import { getPauseReason } from "./sync-pause.server.js";
+import { isDryRunEnabled, createDryRunRecorder } from "./dry-run.server.js";
+import { SYNC_OUTCOMES, SYNC_REASONS, recordSyncEvents } from "./sync-events.server.js";
+import { createSyncRunId } from "./sync-origin.server.js";
+import { isOrderSyncEnabled } from "./order-claims.server.js";
+import {
+  applyOrderLineChange,
+  getMasterChildInfo,
+  getShopSessionHeaders,
+  getInventoryItemIdFromVariantIdCached,
+} from "./webhooks.inventory-update.helpers.server.js";
+import { cleanId } from "./shopify-ids.server.js";
+import { adminGraphql } from "./admin-graphql.server.js";
+
+// Restocked refund lines; "no_restock" lines never touch inventory
+const RESTOCK_TYPES = ["return", "cancel", "legacy_restock"];
+
+const ORDER_ASSIGNMENTS_QUERY = `
+  query orderSyncAssignments($id: ID!) {
+    order(id: $id) {
+      name
+      fulfillmentOrders(first: 50) {
+        nodes {
+          assignedLocation {
+            location {
+              id
+            }
+          }
+          lineItems(first: 250) {
+            nodes {
+              inventoryItemId
+              totalQuantity
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+function lineEventId(shopDomain, key, line) {
+  return `${shopDomain}:order-sync:${key}:${line.inventoryItemId}:${line.locationId}`;
+}
+
+async function isLineApplied(shopDomain, key, line) {
+  const row = await prisma.processedWebhook.findUnique({
+    where: { eventId: lineEventId(shopDomain, key, line) },
+    select: { id: true },
+  });
+  return !!row;
+}
+
+async function markLineApplied(shopDomain, topic, key, line) {
+  await prisma.processedWebhook.create({
+    data: {
+      eventId: lineEventId(shopDomain, key, line),
+      topic,
+      shop: shopDomain,
+      processedAt: new Date(),
+    },
+  });
+}
+
+/**
+ * One line per item and location, so each can be marked as applied.
+ */
+function mergeLines(lines) {
+  const merged = new Map();
+  for (const line of lines) {
+    const lineKey = `${line.inventoryItemId}:${line.locationId}`;
+    const existing = merged.get(lineKey);
+    if (existing) existing.delta += line.delta;
+    else merged.set(lineKey, { ...line });
+  }
+  return [...merged.values()].filter((line) => line.delta !== 0);
+}
+
+/**
+ * Sold lines of a new order => [{ inventoryItemId, locationId, delta }]
+ */
+async function soldLines(shopDomain, adminHeaders, order) {
+  const data = await adminGraphql(shopDomain, adminHeaders, ORDER_ASSIGNMENTS_QUERY, {
+    id: `gid://shopify/Order/${cleanId(order.id)}`,
+  });
+  const lines = [];
+  for (const fulfillmentOrder of data?.order?.fulfillmentOrders?.nodes || []) {
+    const locationId = fulfillmentOrder.assignedLocation?.location?.id;
+    if (!locationId) continue;
+    for (const line of fulfillmentOrder.lineItems?.nodes || []) {
+      if (!line.inventoryItemId || !line.totalQuantity) continue;
+      lines.push({
+        inventoryItemId: cleanId(line.inventoryItemId),
+        locationId: cleanId(locationId),
+        delta: -line.totalQuantity,
+      });
+    }
+  }
+  return lines;
+}
+
+/**
+ * Restocked lines of a refund => [{ inventoryItemId, locationId, delta }]
+ */
+async function restockedLines(shopDomain, adminHeaders, refund) {
+  const lines = [];
+  for (const refundLine of refund.refund_line_items || []) {
+    const variantId = refundLine.line_item?.variant_id;
+    if (!RESTOCK_TYPES.includes(refundLine.restock_type)) continue;
+    if (!variantId || !refundLine.location_id || !refundLine.quantity) continue;
+    const inventoryItemId = await getInventoryItemIdFromVariantIdCached(
+      shopDomain,
+      adminHeaders,
+      `gid://shopify/ProductVariant/${variantId}`
+    );
+    if (!inventoryItemId) continue;
+    lines.push({
+      inventoryItemId,
+      locationId: cleanId(refundLine.location_id),
+      delta: refundLine.quantity,
+    });
+  }
+  return lines;
+}
+
+/**
+ * Applies every line not applied by an earlier delivery of `key`.
+ * Throws once all lines were tried when any of them failed.
+ */
+async function applyLines(shopDomain, adminHeaders, topic, key, lines, reference) {
+  const syncRunId = createSyncRunId();
+  const dryRun = await isDryRunEnabled(shopDomain);
+  let failed = 0;
+  for (const line of mergeLines(lines)) {
+    let info = null;
+    try {
+      info = await getMasterChildInfo(shopDomain, adminHeaders, line.inventoryItemId);
+      // Only CHILD lines move a MASTER; a sold MASTER syncs through its inventory webhook
+      if (!info?.isChild) continue;
+
+      const masterIds = masterIdsForEvent(info);
+      const pausedBy = await getPauseReason(shopDomain, masterIds);
+      if (pausedBy) {
+        await recordSyncEvents(shopDomain, [{
+          masterVariantId: info.masterVariantId,
+          childVariantId: info.childVariantId,
+          inventoryItemId: line.inventoryItemId,
+          locationId: line.locationId,
+          sku: info.childSku,
+          outcome: SYNC_OUTCOMES.SKIPPED,
+          reason: SYNC_REASONS.PAUSED,
+          details: `${reference}: sync paused for the ${pausedBy === "shop" ? "shop" : "MASTER"}`,
+        }]);
+        continue;
+      }
+
+      const recorder = dryRun ? createDryRunRecorder(shopDomain) : null;
+      try {
+        // Checked and marked under the lock => a concurrent retry waits and then skips the line
+        await withMasterLocks(shopDomain, masterIds, async () => {
+          if (await isLineApplied(shopDomain, key, line)) return;
+          await applyOrderLineChange({
+            shopDomain,
+            adminHeaders,
+            info,
+            locationId: line.locationId,
+            delta: line.delta,
+            reference,
+            syncRunId,
+            dryRun: recorder,
+          });
+          await markLineApplied(shopDomain, topic, key, line);
+        });
+      } finally {
+        await recorder?.flush();
+      }
+    } catch (err) {
+      failed++;
+      console.error(`❌ Order sync failed => ${reference} item:${line.inventoryItemId}`, err);
+      await recordSyncEvents(shopDomain, [{
+        masterVariantId: info?.masterVariantId ?? null,
+        childVariantId: info?.childVariantId ?? null,
+        inventoryItemId: line.inventoryItemId,
+        locationId: line.locationId,
+        sku: info?.childSku ?? null,
+        outcome: SYNC_OUTCOMES.FAILED,
+        reason: SYNC_REASONS.ORDER_LINE,
+        details: `${reference}: ${err.message}`,
+      }]);
+    }
+  }
+  if (failed > 0) {
+    throw new Error(`${reference}: ${failed} line(s) failed`);
+  }
+}
+
+/**
+ * Entry point of webhooks.orders.jsx
+ */
+export async function handleOrderWebhook(shopDomain, topic, payload) {
+  if (!(await isOrderSyncEnabled(shopDomain))) {
+    console.log(`🛒 Order sync is off for ${shopDomain}; ${topic} ignored.`);
+    return;
+  }
+  const { adminHeaders } = await getShopSessionHeaders(shopDomain);
+  const normalizedTopic = String(topic).toLowerCase().replace("_", "/");
+
+  if (normalizedTopic === "orders/create") {
+    const lines = await soldLines(shopDomain, adminHeaders, payload);
+    await applyLines(
+      shopDomain,
+      adminHeaders,
+      topic,
+      `order:${payload.id}`,
+      lines,
+      `Order ${payload.name || payload.id}`
+    );
+    return;
+  }
+
+  const refunds = normalizedTopic === "refunds/create" ? [payload] : payload.refunds || [];
+  let failure = null;
+  for (const refund of refunds) {
+    try {
+      const lines = await restockedLines(shopDomain, adminHeaders, refund);
+      await applyLines(
+        shopDomain,
+        adminHeaders,
+        topic,
+        `refund:${refund.id}`,
+        lines,
+        `Refund ${refund.id} of order ${refund.order_id}`
+      );
+    } catch (err) {
+      failure = failure || err;
+    }
+  }
+  // Every refund was tried; the retry only applies what is still missing
+  if (failure) throw failure;
+}
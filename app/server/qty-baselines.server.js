@@ -0,0 +1,208 @@
+/************************************************************************
+ * qty-baselines.server.js
+ *
+ * The webhook handlers diff every change against the baseline of its
+ * item and location in the inventory ledger. A variant without one would
+ * have its first child sale diffed against a guess and could inflate the
+ * MASTER. Baselines are therefore seeded:
+ *  - when a relationship is created (MASTER + CHILD, overwriting),
+ *  - after install, for every linked variant that has none yet,
+ *  - on demand from Settings ("rebuild baselines", overwriting all).
+ *
+ * Each seed appends a BASELINE entry per location to the ledger. Stockdb
+ * and qtyold hold one level per variant, so they are not seeded: the
+ * handlers only fall back to them for items the ledger has never seen.
+ * Writes happen under the MASTER lock so they never interleave with a
+ * webhook that is applying a change to the same MASTER.
+ ************************************************************************/
+import { withMasterLocks } from "./master-locks.server.js";
+import {
+  LEDGER_SOURCES,
+  recordLedgerEntries,
+  getVariantsWithLedgerBaseline,
+} from "./inventory-ledger.server.js";
+import { getShopSessionHeaders } from "./webhooks.inventory-update.helpers.server.js";
+import {
+  METAFIELD_KEYS,
+  metafieldSelection,
+  preferAppMetafields,
+} from "../utils/metafield-utils.js";
+import { toVariantGid, parseIdList } from "./shopify-ids.server.js";
+import { adminGraphql } from "./admin-graphql.server.js";
+
+// Keeps the levels query well under the GraphQL cost limit
+const VARIANTS_PER_QUERY = 10;
+
+const LINKED_VARIANTS_QUERY = `
+  query baselineVariants($after: String) {
+    productVariants(first: 250, after: $after) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      nodes {
+        id
+        ${metafieldSelection("master", METAFIELD_KEYS.MASTER)}
+        ${metafieldSelection("parentMaster", METAFIELD_KEYS.PARENT_MASTER)}
+      }
+    }
+  }
+`;
+
+const VARIANT_QUANTITIES_QUERY = `
+  query baselineQuantities($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        inventoryItem {
+          id
+          inventoryLevels(first: 50) {
+            nodes {
+              location {
+                id
+              }
+              quantities(names: ["available"]) {
+                name
+                quantity
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Current stock of each variant =>
+ * [{ variantId, inventoryItemId, levels: [{ locationId, quantity }] }]
+ */
+async function fetchVariantStock(shopDomain, adminHeaders, variantIds) {
+  const stock = [];
+  for (let i = 0; i < variantIds.length; i += VARIANTS_PER_QUERY) {
+    const data = await adminGraphql(shopDomain, adminHeaders, VARIANT_QUANTITIES_QUERY, {
+      ids: variantIds.slice(i, i + VARIANTS_PER_QUERY),
+    });
+    for (const node of data?.nodes || []) {
+      if (!node?.id) continue;
+      stock.push({
+        variantId: node.id,
+        inventoryItemId: node.inventoryItem?.id || null,
+        levels: (node.inventoryItem?.inventoryLevels?.nodes || []).map((level) => ({
+          locationId: level.location.id,
+          quantity: level.quantities?.find((q) => q.name === "available")?.quantity ?? 0,
+        })),
+      });
+    }
+  }
+  return stock;
+}
+
+/**
+ * Every MASTER and CHILD of the shop, each with the MASTERS that own it.
+ * => [{ variantId, masterIds }]
+ */
+async function listLinkedVariants(shopDomain, adminHeaders) {
+  const variants = [];
+  let after = null;
+  do {
+    const data = preferAppMetafields(await adminGraphql(shopDomain, adminHeaders, LINKED_VARIANTS_QUERY, { after }));
+    const page = data?.productVariants;
+    for (const node of page?.nodes || []) {
+      const parentIds = parseIdList(node.parentMaster?.value);
+      const isMaster = node.master?.value === "true";
+      if (!isMaster && parentIds.length === 0) continue;
+      variants.push({
+        variantId: node.id,
+        masterIds: isMaster ? [node.id] : parentIds,
+      });
+    }
+    after = page?.pageInfo?.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+  return variants;
+}
+
+async function writeBaselines(shopDomain, stock) {
+  if (stock.length === 0) return;
+  await recordLedgerEntries(
+    shopDomain,
+    stock.flatMap((variant) =>
+      variant.levels.map((level) => ({
+        inventoryItemId: variant.inventoryItemId,
+        locationId: level.locationId,
+        variantId: variant.variantId,
+        quantity: level.quantity,
+        source: LEDGER_SOURCES.BASELINE,
+      }))
+    )
+  );
+}
+
+async function variantsWithBaseline(shopDomain, variantIds) {
+  const ids = await getVariantsWithLedgerBaseline(shopDomain, variantIds);
+  return new Set([...ids].map(toVariantGid));
+}
+
+/**
+ * Stores the current quantity of the MASTERS and their new CHILDREN as
+ * their baseline. Called right after a relationship is saved.
+ */
+export async function seedRelationshipBaselines(shopDomain, adminHeaders, masterVariantIds, childVariantIds) {
+  const variantIds = [
+    ...new Set([...masterVariantIds, ...childVariantIds].filter(Boolean).map(toVariantGid)),
+  ];
+  if (variantIds.length === 0) return 0;
+
+  return withMasterLocks(shopDomain, masterVariantIds, async () => {
+    const stock = await fetchVariantStock(shopDomain, adminHeaders, variantIds);
+    await writeBaselines(shopDomain, stock);
+    console.log(`📏 Seeded ${stock.length} baseline(s) for MASTER ${masterVariantIds.join(", ")}`);
+    return stock.length;
+  });
+}
+
+/**
+ * Seeds baselines for every linked variant of the shop.
+ * overwrite=false only fills variants without a stored baseline (install
+ * backfill); overwrite=true resets all of them (rebuild from Settings).
+ */
+export async function backfillQtyBaselines(shopDomain, { overwrite = false } = {}) {
+  global.__baselineBackfills = global.__baselineBackfills || new Set();
+  if (global.__baselineBackfills.has(shopDomain)) {
+    console.log(`📏 Baseline backfill already running => ${shopDomain}`);
+    return 0;
+  }
+  global.__baselineBackfills.add(shopDomain);
+
+  try {
+    const { adminHeaders } = await getShopSessionHeaders(shopDomain);
+    const linked = await listLinkedVariants(shopDomain, adminHeaders);
+    const existing = overwrite
+      ? new Set()
+      : await variantsWithBaseline(shopDomain, linked.map((v) => v.variantId));
+
+    // Group by owning MASTERS so each group is written under its locks
+    const groups = new Map();
+    for (const variant of linked) {
+      if (existing.has(variant.variantId)) continue;
+      const key = [...variant.masterIds].sort().join(",");
+      if (!groups.has(key)) groups.set(key, { masterIds: variant.masterIds, variantIds: [] });
+      groups.get(key).variantIds.push(variant.variantId);
+    }
+
+    let seeded = 0;
+    for (const { masterIds, variantIds } of groups.values()) {
+      seeded += await withMasterLocks(shopDomain, masterIds, async () => {
+        // Re-read inside the lock: the listing may be minutes old on big catalogs
+        const stock = await fetchVariantStock(shopDomain, adminHeaders, variantIds);
+        await writeBaselines(shopDomain, stock);
+        return stock.length;
+      });
+    }
+
+    console.log(`📏 Baseline backfill done => ${shopDomain}: ${seeded} seeded (overwrite:${overwrite})`);
+    return seeded;
+  } finally {
+    global.__baselineBackfills.delete(shopDomain);
+  }
+}
@@ -0,0 +1,64 @@
+/************************************************************************
+ * ratio-remainders.server.js
+ *
+ * A CHILD change scaled back to its MASTER rarely makes whole MASTER
+ * units: one sale of a half-case child is 0.5 of a case. The handlers
+ * apply the whole units and carry the rest per CHILD, MASTER and
+ * location (scaleChildDiff in ratio-utils.js), so two such sales move
+ * the MASTER by exactly one unit instead of zero or two. Whenever a
+ * CHILD is derived from its MASTER, the carried part is counted in.
+ *
+ * Callers hold the MASTER lock, so a remainder is never read and written
+ * by two events at the same time.
+ ************************************************************************/
+import prisma from "../db.server.js";
+import { cleanId } from "./shopify-ids.server.js";
+
+export async function getRatioRemainder(shopDomain, childVariantId, masterVariantId, locationId) {
+  const row = await prisma.ratioRemainder.findUnique({
+    where: {
+      shop_childVariantId_masterVariantId_locationId: {
+        shop: shopDomain,
+        childVariantId: cleanId(childVariantId),
+        masterVariantId: cleanId(masterVariantId),
+        locationId: cleanId(locationId),
+      },
+    },
+    select: { remainder: true },
+  });
+  return row ? row.remainder : 0;
+}
+
+/**
+ * Remainders of one CHILD (a bundle has one per component) at a location
+ * => Map of bare MASTER id => remainder
+ */
+export async function getChildRatioRemainders(shopDomain, childVariantId, locationId) {
+  const rows = await prisma.ratioRemainder.findMany({
+    where: {
+      shop: shopDomain,
+      childVariantId: cleanId(childVariantId),
+      locationId: cleanId(locationId),
+    },
+    select: { masterVariantId: true, remainder: true },
+  });
+  return new Map(rows.map((row) => [row.masterVariantId, row.remainder]));
+}
+
+export async function saveRatioRemainder(shopDomain, { childVariantId, masterVariantId, locationId, remainder }) {
+  const key = {
+    shop: shopDomain,
+    childVariantId: cleanId(childVariantId),
+    masterVariantId: cleanId(masterVariantId),
+    locationId: cleanId(locationId),
+  };
+  if (!remainder) {
+    await prisma.ratioRemainder.deleteMany({ where: key });
+    return;
+  }
+  await prisma.ratioRemainder.upsert({
+    where: { shop_childVariantId_masterVariantId_locationId: key },
+    update: { remainder },
+    create: { ...key, remainder },
+  });
+}
@@ -0,0 +1,174 @@
+/************************************************************************
+ * relationship-graph.server.js
+ *
+ * Guards every write of the relationship metafields ($app:stocksync):
+ *   master        (is a MASTER)
+ *   childrenkey   (MASTER => CHILDREN)
+ *   parentmaster  (CHILD => MASTER)
+ *
+ * The webhook pipeline assumes a graph one level deep: a MASTER is never
+ * a CHILD, a CHILD never has CHILDREN and only bundles have more than one
+ * MASTER. Self-references, a variant under two MASTERS or A => B => A
+ * chains would make a sync trigger itself, so such writes are rejected
+ * with a message the admin UI can show as is.
+ *
+ * Writes are checked against the Relationship table, which is what the
+ * sync reads, once the shop has been imported; the metafields only
+ * supply names, the master flag and bundle definitions then.
+ ************************************************************************/
+import {
+  METAFIELD_KEYS,
+  metafieldSelection,
+  preferAppMetafields,
+} from "../utils/metafield-utils.js";
+import { toVariantGid, parseIdList } from "./shopify-ids.server.js";
+import { getStoredLinks } from "./relationships.server.js";
+
+const RELATIONSHIP_NODES_QUERY = `#graphql
+  query relationshipNodes($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        displayName
+        ${metafieldSelection("master", METAFIELD_KEYS.MASTER)}
+        ${metafieldSelection("children", METAFIELD_KEYS.CHILDREN)}
+        ${metafieldSelection("parentMaster", METAFIELD_KEYS.PARENT_MASTER)}
+        ${metafieldSelection("bundle", METAFIELD_KEYS.BUNDLE)}
+      }
+    }
+  }
+`;
+
+/**
+ * Adds the missing variants to `nodes`. With `shopDomain` their links
+ * come from the Relationship table once the shop has been imported.
+ */
+async function fetchNodes(admin, ids, nodes, shopDomain = null) {
+  const missing = [...new Set(ids)].filter((id) => !nodes.has(id));
+  const links = shopDomain && missing.length > 0 ? await getStoredLinks(shopDomain, missing) : undefined;
+  for (let i = 0; i < missing.length; i += 100) {
+    const response = await admin.graphql(RELATIONSHIP_NODES_QUERY, {
+      variables: { ids: missing.slice(i, i + 100) },
+    });
+    const data = preferAppMetafields(await response.json());
+    for (const node of data?.data?.nodes || []) {
+      if (!node?.id) continue;
+      const stored = links?.get(node.id);
+      const isMaster = node.master?.value === "true";
+      const isBundle = !!node.bundle?.value && node.bundle.value !== "[]";
+      nodes.set(node.id, stored
+        ? {
+            id: node.id,
+            name: node.displayName || node.id.split("/").pop(),
+            // A MASTER without CHILDREN has no rows, only its flag
+            isMaster: isMaster || stored.children.length > 0,
+            children: stored.children,
+            parents: stored.parents,
+            isBundle: isBundle || stored.isBundle,
+          }
+        : {
+            id: node.id,
+            name: node.displayName || node.id.split("/").pop(),
+            isMaster,
+            children: parseIdList(node.children?.value),
+            parents: parseIdList(node.parentMaster?.value),
+            isBundle,
+          });
+    }
+  }
+}
+
+/**
+ * Current relationship metafields of the given variants =>
+ * Map(variantGid => { id, name, isMaster, children, parents, isBundle }).
+ * Deleted variants are missing from the map.
+ */
+export async function getRelationshipNodes(admin, variantIds) {
+  const nodes = new Map();
+  await fetchNodes(admin, variantIds.filter(Boolean).map(toVariantGid), nodes);
+  return nodes;
+}
+
+/**
+ * Checks a planned write against the current graph.
+ * changes: { master?: boolean, children?: string[], parentMasters?: string[] }
+ * => an error message, or null when the write is allowed.
+ */
+export async function validateRelationshipWrite(admin, shopDomain, variantId, changes) {
+  const targetId = toVariantGid(variantId);
+  const children = changes.children ? parseIdList(changes.children) : null;
+  const parents = changes.parentMasters ? parseIdList(changes.parentMasters) : null;
+
+  const nodes = new Map();
+  await fetchNodes(admin, [targetId, ...(children || []), ...(parents || [])], nodes, shopDomain);
+  const target = nodes.get(targetId);
+  if (!target) return "Variant not found.";
+  // Current MASTERS of the target and of its new children, to name them in errors
+  await fetchNodes(
+    admin,
+    [...target.parents, ...(children || []).flatMap((id) => nodes.get(id)?.parents || [])],
+    nodes,
+    shopDomain
+  );
+  const nameOf = (id) => nodes.get(id)?.name || id.split("/").pop();
+
+  const willBeMaster = changes.master ?? target.isMaster;
+  const willHaveChildren = (children ?? target.children).length > 0;
+
+  if (changes.master === true && target.parents.length > 0) {
+    return `${target.name} is a child of ${nameOf(target.parents[0])}. A child cannot also be a master.`;
+  }
+
+  if (children) {
+    if (children.includes(targetId)) {
+      return "A master cannot be its own child.";
+    }
+    if (new Set(children).size !== children.length) {
+      return "The same child is listed twice.";
+    }
+    if (children.length > 0 && target.parents.length > 0) {
+      return `${target.name} is a child of ${nameOf(target.parents[0])}, so it cannot have children of its own.`;
+    }
+    for (const childId of children) {
+      const child = nodes.get(childId);
+      if (!child) return `Child variant ${nameOf(childId)} was not found.`;
+      if (child.isMaster) {
+        return `${child.name} is a master and cannot be a child of another master.`;
+      }
+      if (child.children.length > 0) {
+        return `${child.name} has children of its own and cannot be a child.`;
+      }
+      const otherParent = child.parents.find((id) => id !== targetId);
+      if (otherParent && !child.isBundle) {
+        return `${child.name} is already a child of ${nameOf(otherParent)}. Remove it there first.`;
+      }
+    }
+  }
+
+  if (parents && parents.length > 0) {
+    if (parents.includes(targetId)) {
+      return "A variant cannot be its own master.";
+    }
+    if (parents.length > 1 && !target.isBundle) {
+      return `${target.name} can only be a child of one master. Use a bundle to combine several masters.`;
+    }
+    if (willBeMaster || willHaveChildren) {
+      return `${target.name} is a master and cannot be a child of another master.`;
+    }
+    for (const parentId of parents) {
+      const parent = nodes.get(parentId);
+      if (!parent) return `Master variant ${nameOf(parentId)} was not found.`;
+      if (parent.parents.length > 0) {
+        return `${parent.name} is a child of ${nameOf(parent.parents[0])}, so it cannot be a master.`;
+      }
+    }
+    // Moving a child: the previous MASTER must have released it first
+    for (const previousId of target.parents.filter((id) => !parents.includes(id))) {
+      if (nodes.get(previousId)?.children.includes(targetId)) {
+        return `${target.name} is already a child of ${nameOf(previousId)}. Remove it there first.`;
+      }
+    }
+  }
+
+  return null;
+}
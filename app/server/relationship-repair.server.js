@@ -0,0 +1,176 @@
+/************************************************************************
+ * relationship-repair.server.js
+ *
+ * One-click repairs for the issues findRelationshipIssues (product-utils)
+ * reports between a MASTER's "childrenkey" list and the "parentmaster"
+ * back-references of its CHILDREN:
+ *   ADOPT            => record the link on both sides
+ *   DETACH           => remove the link from both sides
+ *   DELETE_REFERENCE => drop the ID of a variant that no longer exists
+ *
+ * The scan works from bulk data that can be minutes old, so every repair
+ * re-reads both variants first and refuses when the data moved on. Each
+ * repair is applied to the Relationship table as well.
+ ************************************************************************/
+import prisma from "../db.server.js";
+import { dispatchWebhookEvent } from "./webhook-endpoints.server.js";
+import { seedRelationshipBaselines } from "./qty-baselines.server.js";
+import { getRelationshipNodes, validateRelationshipWrite } from "./relationship-graph.server.js";
+import { setChildMasters } from "./relationships.server.js";
+import {
+  RELATIONSHIP_ISSUES,
+  RELATIONSHIP_REPAIRS,
+  WEBHOOK_EVENT_TYPES,
+} from "../utils/sync-constants.js";
+import { METAFIELD_NAMESPACE, METAFIELD_KEYS } from "../utils/metafield-utils.js";
+
+const STALE_SCAN_ERROR = "This link changed since the last scan. Rescan and try again.";
+
+function referenceList(ownerId, key, ids) {
+  return {
+    ownerId,
+    namespace: METAFIELD_NAMESPACE,
+    key,
+    type: "list.variant_reference",
+    value: JSON.stringify(ids),
+  };
+}
+
+const childrenField = (masterId, ids) =>
+  referenceList(masterId, METAFIELD_KEYS.CHILDREN, ids);
+const parentsField = (childId, ids) =>
+  referenceList(childId, METAFIELD_KEYS.PARENT_MASTER, ids);
+
+async function setMetafields(admin, metafields) {
+  if (metafields.length === 0) return;
+  const response = await admin.graphql(
+    `#graphql
+    mutation repairRelationship($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    { variables: { metafields } }
+  );
+  const data = await response.json();
+  const userErrors = data?.data?.metafieldsSet?.userErrors || [];
+  if (data.errors || userErrors.length > 0) {
+    throw new Error(`Failed to repair relationship: ${JSON.stringify(data.errors || userErrors)}`);
+  }
+}
+
+/**
+ * issue: { type, masterVariantId, childVariantId } as listed by the scan
+ * => { message } when repaired, { error } when the repair was refused
+ */
+export async function repairRelationshipIssue(admin, session, issue, repair) {
+  const { type, masterVariantId, childVariantId } = issue;
+  const adminHeaders = { "X-Shopify-Access-Token": session.accessToken };
+  const nodes = await getRelationshipNodes(admin, [masterVariantId, childVariantId]);
+  const master = nodes.get(masterVariantId);
+  const child = nodes.get(childVariantId);
+
+  if (repair === RELATIONSHIP_REPAIRS.DELETE_REFERENCE) {
+    if (type === RELATIONSHIP_ISSUES.DELETED_CHILD) {
+      if (child) return { error: `${child.name} still exists. Rescan and try again.` };
+      if (!master) return { error: STALE_SCAN_ERROR };
+      await setMetafields(admin, [
+        childrenField(masterVariantId, master.children.filter((id) => id !== childVariantId)),
+      ]);
+      await prisma.relationship.deleteMany({ where: { shop: session.shop, childVariantId } });
+      console.log(`🩹 Removed deleted child ${childVariantId} from ${masterVariantId}`);
+      return { message: `Removed the deleted child from ${master.name}.` };
+    }
+    if (type === RELATIONSHIP_ISSUES.DELETED_MASTER) {
+      if (master) return { error: `${master.name} still exists. Rescan and try again.` };
+      if (!child) return { error: STALE_SCAN_ERROR };
+      await setMetafields(admin, [
+        parentsField(childVariantId, child.parents.filter((id) => id !== masterVariantId)),
+      ]);
+      await prisma.relationship.deleteMany({ where: { shop: session.shop, masterVariantId } });
+      console.log(`🩹 Removed deleted master ${masterVariantId} from ${childVariantId}`);
+      return { message: `Removed the deleted master from ${child.name}.` };
+    }
+    return { error: "Only references to deleted variants can be deleted." };
+  }
+
+  if (!master || !child) return { error: STALE_SCAN_ERROR };
+  const listed = master.children.includes(childVariantId);
+  const pointsBack = child.parents.includes(masterVariantId);
+
+  if (repair === RELATIONSHIP_REPAIRS.DETACH) {
+    const metafields = [];
+    if (listed) {
+      metafields.push(childrenField(masterVariantId, master.children.filter((id) => id !== childVariantId)));
+    }
+    if (pointsBack) {
+      metafields.push(parentsField(childVariantId, child.parents.filter((id) => id !== masterVariantId)));
+    }
+    if (metafields.length === 0) return { error: STALE_SCAN_ERROR };
+    await setMetafields(admin, metafields);
+    await setChildMasters(
+      session.shop,
+      adminHeaders,
+      childVariantId,
+      child.parents.filter((id) => id !== masterVariantId)
+    );
+    console.log(`🩹 Detached ${childVariantId} from ${masterVariantId}`);
+    dispatchWebhookEvent(session.shop, WEBHOOK_EVENT_TYPES.RELATIONSHIP_REMOVED, {
+      data: { masterVariantId, childVariantId },
+    });
+    return { message: `Detached ${child.name} from ${master.name}.` };
+  }
+
+  if (repair === RELATIONSHIP_REPAIRS.ADOPT) {
+    if (listed && pointsBack) return { error: STALE_SCAN_ERROR };
+
+    // Keep the other MASTERS that really list the CHILD (bundles), drop stale ones
+    const otherParents = child.parents.filter((id) => id !== masterVariantId);
+    const otherNodes = await getRelationshipNodes(admin, otherParents);
+    const parents = [
+      ...otherParents.filter((id) => otherNodes.get(id)?.children.includes(childVariantId)),
+      masterVariantId,
+    ];
+    const relationshipError = await validateRelationshipWrite(admin, session.shop, childVariantId, {
+      parentMasters: parents,
+    });
+    if (relationshipError) return { error: relationshipError };
+
+    const metafields = [parentsField(childVariantId, parents)];
+    if (!listed) {
+      metafields.push(childrenField(masterVariantId, [...master.children, childVariantId]));
+    }
+    if (!master.isMaster) {
+      metafields.push({
+        ownerId: masterVariantId,
+        namespace: METAFIELD_NAMESPACE,
+        key: METAFIELD_KEYS.MASTER,
+        type: "boolean",
+        value: "true",
+      });
+    }
+    await setMetafields(admin, metafields);
+    await setChildMasters(session.shop, adminHeaders, childVariantId, parents);
+    console.log(`🩹 Adopted ${childVariantId} into ${masterVariantId}`);
+
+    dispatchWebhookEvent(session.shop, WEBHOOK_EVENT_TYPES.RELATIONSHIP_CREATED, {
+      data: { masterVariantId, childVariantId },
+    });
+    try {
+      await seedRelationshipBaselines(
+        session.shop,
+        adminHeaders,
+        [masterVariantId],
+        [childVariantId]
+      );
+    } catch (err) {
+      console.error("Error seeding oldQty baselines:", err);
+    }
+    return { message: `Linked ${child.name} to ${master.name}.` };
+  }
+
+  return { error: `Unknown repair: ${repair}` };
+}
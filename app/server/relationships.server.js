@@ -0,0 +1,455 @@
+/************************************************************************
+ * relationships.server.js
+ *
+ * MASTER => CHILD links live in the Relationship table. The webhook
+ * pipeline and the admin read them from here instead of paying a GraphQL
+ * round-trip per event; the variant metafields are kept as a mirror for
+ * themes and other apps ($app:stocksync):
+ *   master        (true on every MASTER with CHILDREN)
+ *   childrenkey   (MASTER => CHILDREN)
+ *   parentmaster  (CHILD => MASTERS)
+ * Ratios, rounding and safety stock stay in their metafields. A MASTER
+ * without CHILDREN has no rows: there is nothing for its webhooks to sync.
+ *
+ * Existing shops are imported from the metafields once (after auth, or
+ * from Settings). Until then readers get `undefined` and fall back to the
+ * metafields, and nothing is mirrored so a half-filled table can never
+ * overwrite a metafield.
+ ************************************************************************/
+import prisma from "../db.server.js";
+import { parseBundleComponents } from "./bundles.server.js";
+import {
+  METAFIELD_NAMESPACE,
+  METAFIELD_KEYS,
+  metafieldSelection,
+  preferAppMetafields,
+} from "../utils/metafield-utils.js";
+import { cleanId, toVariantGid, parseIdList } from "./shopify-ids.server.js";
+import { adminGraphql } from "./admin-graphql.server.js";
+
+// metafieldsSet accepts at most 25 metafields per call
+const METAFIELDS_PER_CALL = 25;
+const NODES_PER_QUERY = 100;
+
+const IMPORT_VARIANTS_QUERY = `
+  query relationshipImport($after: String) {
+    productVariants(first: 250, after: $after) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      nodes {
+        id
+        sku
+        inventoryItem {
+          id
+        }
+        ${metafieldSelection("parentMaster", METAFIELD_KEYS.PARENT_MASTER)}
+        ${metafieldSelection("bundle", METAFIELD_KEYS.BUNDLE)}
+      }
+    }
+  }
+`;
+
+const VARIANT_DETAILS_QUERY = `
+  query relationshipVariants($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        sku
+        inventoryItem {
+          id
+        }
+      }
+    }
+  }
+`;
+
+const MIRROR_MUTATION = `
+  mutation relationshipMirror($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+export async function isRelationshipStoreReady(shopDomain) {
+  const shopSub = await prisma.shopSubscription.findUnique({
+    where: { shop: shopDomain },
+    select: { relationsImportedAt: true },
+  });
+  return !!shopSub?.relationsImportedAt;
+}
+
+/************************************************************************
+ * READS
+ ************************************************************************/
+
+/**
+ * MASTER/CHILD info of an inventory item, in the shape getMasterChildInfo
+ * returns. null when the item is not linked, undefined before the import.
+ */
+export async function getStoredMasterChildInfo(shopDomain, inventoryItemId) {
+  if (!(await isRelationshipStoreReady(shopDomain))) return undefined;
+  const itemId = cleanId(inventoryItemId);
+
+  const childRows = await prisma.relationship.findMany({
+    where: { shop: shopDomain, masterInventoryItemId: itemId },
+    orderBy: [{ createdAt: "asc" }, { childVariantId: "asc" }],
+  });
+  if (childRows.length > 0) {
+    return {
+      isMaster: true,
+      variantId: childRows[0].masterVariantId,
+      inventoryItemId,
+      sku: childRows[0].masterSku,
+      children: childRows.map((row) => row.childVariantId),
+    };
+  }
+
+  const masterRows = await prisma.relationship.findMany({
+    where: { shop: shopDomain, childInventoryItemId: itemId },
+    orderBy: [{ createdAt: "asc" }, { masterVariantId: "asc" }],
+  });
+  if (masterRows.length === 0) return null;
+
+  const components = masterRows.filter((row) => row.bundleRatio !== null);
+  const first = components[0] || masterRows[0];
+  return {
+    isChild: true,
+    ...(components.length > 0 && {
+      isBundle: true,
+      bundleComponents: components.map((row) => ({
+        masterVariantId: row.masterVariantId,
+        ratio: row.bundleRatio,
+        masterInventoryItemId: row.masterInventoryItemId,
+      })),
+    }),
+    childVariantId: first.childVariantId,
+    childSku: first.childSku,
+    masterVariantId: first.masterVariantId,
+    masterInventoryItemId: first.masterInventoryItemId,
+    inventoryItemId,
+  };
+}
+
+/**
+ * CHILDREN of a MASTER in the shape getChildrenInventoryItems returns,
+ * undefined before the import.
+ */
+export async function getStoredChildren(shopDomain, masterVariantId) {
+  if (!(await isRelationshipStoreReady(shopDomain))) return undefined;
+  const rows = await prisma.relationship.findMany({
+    where: { shop: shopDomain, masterVariantId: toVariantGid(masterVariantId) },
+    orderBy: [{ createdAt: "asc" }, { childVariantId: "asc" }],
+  });
+
+  const bundleIds = rows.filter((row) => row.bundleRatio !== null).map((row) => row.childVariantId);
+  const componentRows = bundleIds.length > 0
+    ? await prisma.relationship.findMany({
+        where: { shop: shopDomain, childVariantId: { in: bundleIds }, bundleRatio: { not: null } },
+        orderBy: [{ createdAt: "asc" }, { masterVariantId: "asc" }],
+      })
+    : [];
+
+  return rows.map((row) => {
+    const components = componentRows
+      .filter((component) => component.childVariantId === row.childVariantId)
+      .map((component) => ({ masterVariantId: component.masterVariantId, ratio: component.bundleRatio }));
+    return {
+      variantId: row.childVariantId,
+      sku: row.childSku,
+      inventoryItemId: `gid://shopify/InventoryItem/${row.childInventoryItemId}`,
+      bundleComponents: components.length > 0 ? components : null,
+    };
+  });
+}
+
+/**
+ * First MASTER of a CHILD: its GID, null when it has none, undefined
+ * before the import.
+ */
+export async function findStoredMaster(shopDomain, childVariantId) {
+  if (!(await isRelationshipStoreReady(shopDomain))) return undefined;
+  const row = await prisma.relationship.findFirst({
+    where: { shop: shopDomain, childVariantId: toVariantGid(childVariantId) },
+    orderBy: [{ createdAt: "asc" }, { masterVariantId: "asc" }],
+  });
+  return row?.masterVariantId ?? null;
+}
+
+/**
+ * Links of the given variants => Map(variantGid => { children, parents,
+ * isBundle }), with an entry for every variant. undefined before the import.
+ */
+export async function getStoredLinks(shopDomain, variantIds) {
+  if (!(await isRelationshipStoreReady(shopDomain))) return undefined;
+  const ids = [...new Set(variantIds.filter(Boolean).map(toVariantGid))];
+  const rows = ids.length > 0
+    ? await prisma.relationship.findMany({
+        where: {
+          shop: shopDomain,
+          OR: [{ masterVariantId: { in: ids } }, { childVariantId: { in: ids } }],
+        },
+        orderBy: [{ createdAt: "asc" }, { masterVariantId: "asc" }, { childVariantId: "asc" }],
+      })
+    : [];
+
+  const links = new Map(ids.map((id) => [id, { children: [], parents: [], isBundle: false }]));
+  for (const row of rows) {
+    links.get(row.masterVariantId)?.children.push(row.childVariantId);
+    const child = links.get(row.childVariantId);
+    if (child) {
+      child.parents.push(row.masterVariantId);
+      if (row.bundleRatio !== null) child.isBundle = true;
+    }
+  }
+  return links;
+}
+
+/************************************************************************
+ * WRITES
+ ************************************************************************/
+
+/**
+ * => Map(variantGid => { inventoryItemId, sku }); deleted variants are missing.
+ */
+async function fetchVariantDetails(shopDomain, adminHeaders, variantIds) {
+  const details = new Map();
+  for (let i = 0; i < variantIds.length; i += NODES_PER_QUERY) {
+    const data = await adminGraphql(shopDomain, adminHeaders, VARIANT_DETAILS_QUERY, {
+      ids: variantIds.slice(i, i + NODES_PER_QUERY),
+    });
+    for (const node of data?.nodes || []) {
+      if (!node?.inventoryItem?.id) continue;
+      details.set(node.id, { inventoryItemId: cleanId(node.inventoryItem.id), sku: node.sku || "" });
+    }
+  }
+  return details;
+}
+
+/**
+ * Makes the stored links of one variant match `linkedIds`.
+ * ownerField is the column that holds the variant ("childVariantId" when
+ * setting its MASTERS, "masterVariantId" when setting its CHILDREN).
+ * => { added, removed } IDs on the other side
+ */
+async function replaceLinks(shopDomain, adminHeaders, ownerField, ownerId, linkedIds, ratios) {
+  const otherField = ownerField === "childVariantId" ? "masterVariantId" : "childVariantId";
+  const current = await prisma.relationship.findMany({
+    where: { shop: shopDomain, [ownerField]: ownerId },
+  });
+  const currentIds = current.map((row) => row[otherField]);
+  const removed = currentIds.filter((id) => !linkedIds.includes(id));
+  const added = linkedIds.filter((id) => !currentIds.includes(id));
+  const details = added.length > 0
+    ? await fetchVariantDetails(shopDomain, adminHeaders, [ownerId, ...added])
+    : new Map();
+
+  const writes = [];
+  if (removed.length > 0) {
+    writes.push(
+      prisma.relationship.deleteMany({
+        where: { shop: shopDomain, [ownerField]: ownerId, [otherField]: { in: removed } },
+      })
+    );
+  }
+  for (const id of added) {
+    const masterVariantId = ownerField === "masterVariantId" ? ownerId : id;
+    const childVariantId = ownerField === "childVariantId" ? ownerId : id;
+    const master = details.get(masterVariantId);
+    const child = details.get(childVariantId);
+    if (!master || !child) {
+      console.warn(`⚠️ Relationship ${masterVariantId} => ${childVariantId} skipped: variant not found`);
+      continue;
+    }
+    writes.push(
+      prisma.relationship.create({
+        data: {
+          shop: shopDomain,
+          masterVariantId,
+          childVariantId,
+          masterInventoryItemId: master.inventoryItemId,
+          childInventoryItemId: child.inventoryItemId,
+          masterSku: master.sku,
+          childSku: child.sku,
+          bundleRatio: ratios?.get(masterVariantId) ?? null,
+        },
+      })
+    );
+  }
+  if (ratios) {
+    for (const row of current) {
+      if (removed.includes(row[otherField])) continue;
+      const bundleRatio = ratios.get(row.masterVariantId) ?? null;
+      if (bundleRatio !== row.bundleRatio) {
+        writes.push(prisma.relationship.update({ where: { id: row.id }, data: { bundleRatio } }));
+      }
+    }
+  }
+
+  if (writes.length > 0) await prisma.$transaction(writes);
+  return { added, removed };
+}
+
+/**
+ * Sets the MASTERS of a CHILD. `ratios` (Map masterGid => ratio) is only
+ * passed for bundles; without it existing bundle ratios are kept.
+ * => { added, removed } MASTER IDs
+ */
+export async function setChildMasters(shopDomain, adminHeaders, childVariantId, masterVariantIds, { ratios = null } = {}) {
+  const masterIds = [...new Set(masterVariantIds.filter(Boolean).map(toVariantGid))];
+  return replaceLinks(shopDomain, adminHeaders, "childVariantId", toVariantGid(childVariantId), masterIds, ratios);
+}
+
+/**
+ * Sets the CHILDREN of a MASTER.
+ * => { added, removed } CHILD IDs
+ */
+export async function setMasterChildren(shopDomain, adminHeaders, masterVariantId, childVariantIds) {
+  const childIds = [...new Set(childVariantIds.filter(Boolean).map(toVariantGid))];
+  return replaceLinks(shopDomain, adminHeaders, "masterVariantId", toVariantGid(masterVariantId), childIds, null);
+}
+
+/**
+ * Rewrites the metafield mirror of the given MASTERS ("childrenkey", plus
+ * the master flag when they have CHILDREN) and CHILDREN ("parentmaster")
+ * from the stored rows.
+ */
+export async function mirrorRelationshipMetafields(shopDomain, adminHeaders, { masterVariantIds = [], childVariantIds = [] }) {
+  if (!(await isRelationshipStoreReady(shopDomain))) return;
+  const masterIds = [...new Set(masterVariantIds.filter(Boolean).map(toVariantGid))];
+  const childIds = [...new Set(childVariantIds.filter(Boolean).map(toVariantGid))];
+  if (masterIds.length === 0 && childIds.length === 0) return;
+
+  const rows = await prisma.relationship.findMany({
+    where: {
+      shop: shopDomain,
+      OR: [{ masterVariantId: { in: masterIds } }, { childVariantId: { in: childIds } }],
+    },
+    orderBy: [{ createdAt: "asc" }, { masterVariantId: "asc" }, { childVariantId: "asc" }],
+  });
+
+  const metafields = [];
+  for (const masterId of masterIds) {
+    const children = rows.filter((row) => row.masterVariantId === masterId).map((row) => row.childVariantId);
+    metafields.push({
+      ownerId: masterId,
+      namespace: METAFIELD_NAMESPACE,
+      key: METAFIELD_KEYS.CHILDREN,
+      type: "list.variant_reference",
+      value: JSON.stringify(children),
+    });
+    if (children.length > 0) {
+      metafields.push({
+        ownerId: masterId,
+        namespace: METAFIELD_NAMESPACE,
+        key: METAFIELD_KEYS.MASTER,
+        type: "boolean",
+        value: "true",
+      });
+    }
+  }
+  for (const childId of childIds) {
+    metafields.push({
+      ownerId: childId,
+      namespace: METAFIELD_NAMESPACE,
+      key: METAFIELD_KEYS.PARENT_MASTER,
+      type: "list.variant_reference",
+      value: JSON.stringify(
+        rows.filter((row) => row.childVariantId === childId).map((row) => row.masterVariantId)
+      ),
+    });
+  }
+
+  for (let i = 0; i < metafields.length; i += METAFIELDS_PER_CALL) {
+    const data = await adminGraphql(shopDomain, adminHeaders, MIRROR_MUTATION, {
+      metafields: metafields.slice(i, i + METAFIELDS_PER_CALL),
+    });
+    const userErrors = data?.metafieldsSet?.userErrors || [];
+    if (userErrors.length > 0) {
+      throw new Error(`Failed to mirror relationships: ${JSON.stringify(userErrors)}`);
+    }
+  }
+  console.log(`🪞 Mirrored relationships of ${masterIds.length} MASTER(s) and ${childIds.length} CHILD(REN)`);
+}
+
+/************************************************************************
+ * ONE-TIME IMPORT FROM METAFIELDS
+ ************************************************************************/
+
+/**
+ * Fills the table from the metafields of every variant. The CHILD side
+ * decides, as it did for the webhooks: a bundle links to its components,
+ * any other CHILD to the first MASTER in its "parentmaster". Links only a
+ * MASTER lists are left for the Consistency page.
+ * Skipped once the shop was imported unless overwrite is set.
+ */
+export async function importRelationshipsFromMetafields(shopDomain, adminHeaders, { overwrite = false } = {}) {
+  global.__relationshipImports = global.__relationshipImports || new Set();
+  if (global.__relationshipImports.has(shopDomain)) {
+    console.log(`🔗 Relationship import already running => ${shopDomain}`);
+    return null;
+  }
+  if (!overwrite && (await isRelationshipStoreReady(shopDomain))) return null;
+  global.__relationshipImports.add(shopDomain);
+
+  try {
+    const variants = new Map();
+    let after = null;
+    do {
+      const data = preferAppMetafields(await adminGraphql(shopDomain, adminHeaders, IMPORT_VARIANTS_QUERY, { after }));
+      const page = data?.productVariants;
+      for (const node of page?.nodes || []) {
+        if (!node.inventoryItem?.id) continue;
+        variants.set(node.id, {
+          inventoryItemId: cleanId(node.inventoryItem.id),
+          sku: node.sku || "",
+          parents: parseIdList(node.parentMaster?.value),
+          bundleComponents: parseBundleComponents(node.bundle?.value),
+        });
+      }
+      after = page?.pageInfo?.hasNextPage ? page.pageInfo.endCursor : null;
+    } while (after);
+
+    const rows = [];
+    const link = (masterVariantId, childVariantId, bundleRatio) => {
+      const master = variants.get(masterVariantId);
+      const child = variants.get(childVariantId);
+      if (!master || !child || masterVariantId === childVariantId) return;
+      rows.push({
+        shop: shopDomain,
+        masterVariantId,
+        childVariantId,
+        masterInventoryItemId: master.inventoryItemId,
+        childInventoryItemId: child.inventoryItemId,
+        masterSku: master.sku,
+        childSku: child.sku,
+        bundleRatio,
+      });
+    };
+    for (const [variantId, variant] of variants) {
+      if (variant.bundleComponents.length > 0) {
+        variant.bundleComponents.forEach((c) => link(c.masterVariantId, variantId, c.ratio));
+      } else if (variant.parents.length > 0) {
+        link(variant.parents[0], variantId, null);
+      }
+    }
+
+    await prisma.$transaction([
+      prisma.relationship.deleteMany({ where: { shop: shopDomain } }),
+      prisma.relationship.createMany({ data: rows, skipDuplicates: true }),
+      prisma.shopSubscription.updateMany({
+        where: { shop: shopDomain },
+        data: { relationsImportedAt: new Date() },
+      }),
+    ]);
+    console.log(`🔗 Imported ${rows.length} relationship(s) from ${variants.size} variants => ${shopDomain}`);
+    return rows.length;
+  } finally {
+    global.__relationshipImports.delete(shopDomain);
+  }
+}
@@ -0,0 +1,35 @@
+/************************************************************************
+ * shopify-ids.server.js
+ *
+ * Shopify hands out ids as GIDs (gid://shopify/ProductVariant/123) in
+ * GraphQL and as bare numbers in webhooks. Our tables store the bare
+ * number; variant lists in metafields hold GIDs.
+ ************************************************************************/
+
+/**
+ * Bare id of a GID or number, or null for an empty value.
+ */
+export function cleanId(value) {
+  if (value === null || value === undefined || value === "") return null;
+  return String(value).replace(/^gid:\/\/shopify\/\w+\//, "");
+}
+
+export function toVariantGid(variantId) {
+  const id = String(variantId);
+  return id.startsWith("gid://") ? id : `gid://shopify/ProductVariant/${id}`;
+}
+
+/**
+ * Variant GIDs of a list metafield value (a JSON array), an array or a
+ * single id.
+ */
+export function parseIdList(value) {
+  if (Array.isArray(value)) return value.filter(Boolean).map(toVariantGid);
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed.filter(Boolean).map(toVariantGid) : [toVariantGid(parsed)];
+  } catch {
+    return [toVariantGid(value)];
+  }
+}
@@ -0,0 +1,100 @@
+/************************************************************************
+ * sync-events.server.js
+ *
+ * Audit trail for every sync decision. Writing a row must never break a
+ * sync, so the record helpers log and swallow their own errors.
+ ************************************************************************/
+import prisma from "../db.server.js";
+import { cleanId } from "./shopify-ids.server.js";
+
+export const SYNC_OUTCOMES = {
+  SYNCED: "SYNCED",
+  SKIPPED: "SKIPPED",
+  FAILED: "FAILED",
+  DRY_RUN: "DRY_RUN", // Computed in dry-run mode, nothing was written
+};
+
+export const SYNC_REASONS = {
+  SOURCE_CHANGE: "SOURCE_CHANGE",         // The item named in the webhook
+  RECALCULATED: "RECALCULATED",           // MASTER/CHILD/sibling derived from the source change
+  DIRECT_UPDATE: "DIRECT_UPDATE",         // Item without a MASTER/CHILD relationship
+  DUPLICATE: "DUPLICATE",                 // Same payload seen seconds ago
+  PREDICTED_ECHO: "PREDICTED_ECHO",       // Legacy: echo guessed from item+location+qty
+  APP_ECHO: "APP_ECHO",                   // Webhook caused by one of our sync runs
+  COMBO_LOCK: "COMBO_LOCK",               // Legacy: item+location lock, events are now queued instead
+  UI_INITIATED: "UI_INITIATED",           // Change made from the app modal
+  LOCATION_EXCLUDED: "LOCATION_EXCLUDED", // Location not part of the MASTER's rule
+  SUPERSEDED: "SUPERSEDED",               // A later event in the same window replaced it
+  STALE: "STALE",                         // Older updated_at than the last applied change
+  DRIFT_CORRECTED: "DRIFT_CORRECTED",     // Reset by drift reconciliation
+  CHILD_DELETED: "CHILD_DELETED",         // Deleted CHILD removed from its MASTER
+  MASTER_DELETED: "MASTER_DELETED",       // MASTER deleted, CHILD detached from it
+  ORDER_LINE: "ORDER_LINE",               // Sale/restock applied from an order or refund
+  ALREADY_APPLIED: "ALREADY_APPLIED",     // Order line already applied from its inventory webhook
+  PAUSED: "PAUSED",                       // Sync paused for the shop or the MASTER
+  ERROR: "ERROR",
+};
+
+function toRow(shopDomain, event) {
+  return {
+    shop: shopDomain,
+    masterVariantId: cleanId(event.masterVariantId),
+    childVariantId: cleanId(event.childVariantId),
+    inventoryItemId: cleanId(event.inventoryItemId),
+    locationId: cleanId(event.locationId),
+    sku: event.sku || null,
+    oldQty: Number.isFinite(event.oldQty) ? event.oldQty : null,
+    newQty: Number.isFinite(event.newQty) ? event.newQty : null,
+    outcome: event.outcome,
+    reason: event.reason,
+    details: event.details ? String(event.details).slice(0, 1000) : null,
+    sourceWebhookId: event.sourceWebhookId || null,
+  };
+}
+
+export async function recordSyncEvent(shopDomain, event) {
+  await recordSyncEvents(shopDomain, [event]);
+}
+
+export async function recordSyncEvents(shopDomain, events) {
+  if (!shopDomain || !events || events.length === 0) return;
+  try {
+    await prisma.syncEvent.createMany({
+      data: events.map((event) => toRow(shopDomain, event)),
+    });
+  } catch (err) {
+    console.error("❌ Failed to record sync events:", err);
+  }
+}
+
+/**
+ * Paged history query used by app.history.
+ * filters: { sku, outcome, from, to } where from/to are YYYY-MM-DD strings.
+ */
+export async function querySyncEvents(shopDomain, filters = {}, { page = 1, pageSize = 50 } = {}) {
+  const where = { shop: shopDomain };
+
+  if (filters.sku) {
+    where.sku = { contains: filters.sku, mode: "insensitive" };
+  }
+  if (filters.outcome && SYNC_OUTCOMES[filters.outcome]) {
+    where.outcome = filters.outcome;
+  }
+  if (filters.from || filters.to) {
+    where.createdAt = {};
+    if (filters.from) where.createdAt.gte = new Date(`${filters.from}T00:00:00.000Z`);
+    if (filters.to) where.createdAt.lte = new Date(`${filters.to}T23:59:59.999Z`);
+  }
+
+  const [events, total] = await Promise.all([
+    prisma.syncEvent.findMany({
+      where,
+      orderBy: { createdAt: "desc" },
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+    }),
+    prisma.syncEvent.count({ where }),
+  ]);
+
+  return { events, total, page, pageSize };
+}
@@ -0,0 +1,138 @@
+/************************************************************************
+ * sync-origin.server.js
+ *
+ * Recognises inventory webhooks caused by our own writes.
+ *
+ * Every app write carries a referenceDocumentUri naming its sync run:
+ *   <MY_APP_URL>/by_app/sync-run/<runId>?source=internal|external
+ * The inventory_levels/update payload does not include that reference,
+ * so we keep what Shopify returns for the write (adjustment group time
+ * and the resulting "available" quantity) per item+location. A webhook is
+ * our echo only when its updated_at matches one of those adjustments; a
+ * customer purchase that happens to land on the same quantity at another
+ * time is processed normally.
+ ************************************************************************/
+import crypto from "crypto";
+import { getTtlStore } from "./ttl-store.server.js";
+import { cleanId } from "./shopify-ids.server.js";
+
+const ORIGIN_TTL_MS = 10 * 60 * 1000;
+// inventory_levels.updated_at has second precision
+const ORIGIN_TIME_TOLERANCE_MS = 2000;
+const ORIGIN_MAX_WRITES = 10;
+// A write still waiting for Shopify's reply only covers changes made right after it started
+const PENDING_WRITE_MAX_MS = 30 * 1000;
+
+function originKey(inventoryItemId, locationId) {
+  return `origin:${cleanId(inventoryItemId)}-${cleanId(locationId)}`;
+}
+
+export function createSyncRunId() {
+  return crypto.randomUUID();
+}
+
+export function syncRunReferenceUri(runId, internal = false) {
+  const appUrl = process.env.MY_APP_URL || "https://your-app-url.com";
+  return `${appUrl}/by_app/sync-run/${runId}?source=${internal ? "internal" : "external"}`;
+}
+
+function parseWrites(value) {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+async function readWrites(key) {
+  return parseWrites(await getTtlStore().get(key));
+}
+
+/**
+ * Replaces the pending entry of this run (if any) with `write` (if any).
+ * Runs as one atomic update: writes to the same item+location from other
+ * syncs or instances are never lost.
+ */
+async function updateWrites(inventoryItemId, locationId, runId, write) {
+  const key = originKey(inventoryItemId, locationId);
+  await getTtlStore().update(key, ORIGIN_TTL_MS, (value) => {
+    const now = Date.now();
+    const writes = parseWrites(value).filter(
+      (w) => now - w.startedAt < ORIGIN_TTL_MS && !(w.runId === runId && w.adjustedAt === null)
+    );
+    if (write) writes.push(write);
+    return JSON.stringify(writes.slice(-ORIGIN_MAX_WRITES));
+  });
+}
+
+/**
+ * Called BEFORE the mutation: an echo can arrive before Shopify's reply.
+ * items: [{ inventoryItemId, locationId }]
+ */
+export async function markSyncRunStarted(runId, items) {
+  const startedAt = Date.now();
+  await Promise.all(
+    items.map((item) =>
+      updateWrites(item.inventoryItemId, item.locationId, runId, {
+        runId,
+        startedAt,
+        adjustedAt: null,
+        available: null,
+      })
+    )
+  );
+}
+
+/**
+ * Called AFTER the mutation, also when it failed (adjustmentGroup null):
+ * pending marks are replaced by what Shopify actually changed.
+ */
+export async function finishSyncRun(runId, items, adjustmentGroup) {
+  const adjustedAt = Date.parse(adjustmentGroup?.createdAt) || Date.now();
+  const changes = new Map(
+    (adjustmentGroup?.changes || [])
+      .filter((c) => c.name === "available" && c.item?.id && c.location?.id)
+      .map((c) => [originKey(c.item.id, c.location.id), c.quantityAfterChange])
+  );
+  await Promise.all(
+    items.map((item) => {
+      const key = originKey(item.inventoryItemId, item.locationId);
+      const write = changes.has(key)
+        ? { runId, startedAt: adjustedAt, adjustedAt, available: changes.get(key) }
+        : null;
+      return updateWrites(item.inventoryItemId, item.locationId, runId, write);
+    })
+  );
+}
+
+/**
+ * The sync run that caused this inventory_levels/update webhook, or null
+ * when the change did not come from us.
+ */
+export async function findSyncOrigin(payload) {
+  const writes = await readWrites(originKey(payload.inventory_item_id, payload.location_id));
+  if (writes.length === 0) return null;
+
+  const updatedAt = Date.parse(payload.updated_at);
+  if (!Number.isFinite(updatedAt)) return null;
+
+  for (const write of [...writes].reverse()) {
+    if (write.adjustedAt !== null) {
+      if (
+        Math.abs(updatedAt - write.adjustedAt) <= ORIGIN_TIME_TOLERANCE_MS &&
+        write.available === payload.available
+      ) {
+        return write.runId;
+      }
+    } else if (
+      updatedAt >= write.startedAt - ORIGIN_TIME_TOLERANCE_MS &&
+      updatedAt <= write.startedAt + PENDING_WRITE_MAX_MS
+    ) {
+      // Shopify has not answered yet: the change happened while our write was in flight
+      return write.runId;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,103 @@
+/************************************************************************
+ * sync-pause.server.js
+ *
+ * Lets the merchant stop propagation during stocktakes and big imports
+ * without unlinking anything. The whole shop is paused with
+ * ShopSubscription.syncPausedAt, a single MASTER with a PausedMaster row.
+ *
+ * While paused, inventory webhooks are still recorded in the ledger but
+ * nothing is written to MASTERS or CHILDREN; the skipped events show up
+ * in the sync log with reason PAUSED. Drift checks keep reporting but do
+ * not correct. Resuming (sync-resume.server.js) recomputes or re-baselines
+ * before the pause is lifted.
+ ************************************************************************/
+import prisma from "../db.server.js";
+import { cleanId } from "./shopify-ids.server.js";
+
+/**
+ * => { pausedAt: Date | null, pausedMasters: [{ masterVariantId, pausedAt }] }
+ */
+export async function getSyncPauseState(shopDomain) {
+  const [shopSub, pausedMasters] = await Promise.all([
+    prisma.shopSubscription.findUnique({
+      where: { shop: shopDomain },
+      select: { syncPausedAt: true },
+    }),
+    prisma.pausedMaster.findMany({
+      where: { shop: shopDomain },
+      select: { masterVariantId: true, pausedAt: true },
+      orderBy: { pausedAt: "asc" },
+    }),
+  ]);
+  return { pausedAt: shopSub?.syncPausedAt || null, pausedMasters };
+}
+
+export async function isShopSyncPaused(shopDomain) {
+  const shopSub = await prisma.shopSubscription.findUnique({
+    where: { shop: shopDomain },
+    select: { syncPausedAt: true },
+  });
+  return !!shopSub?.syncPausedAt;
+}
+
+/**
+ * pausedAt of one MASTER, or null when it syncs normally.
+ */
+export async function getMasterPausedAt(shopDomain, masterVariantId) {
+  const row = await prisma.pausedMaster.findUnique({
+    where: {
+      shop_masterVariantId: { shop: shopDomain, masterVariantId: cleanId(masterVariantId) },
+    },
+    select: { pausedAt: true },
+  });
+  return row?.pausedAt || null;
+}
+
+/**
+ * Why events for these MASTERS must not be applied:
+ * "shop", "master" or null when syncing may go ahead.
+ */
+export async function getPauseReason(shopDomain, masterVariantIds) {
+  if (await isShopSyncPaused(shopDomain)) return "shop";
+
+  const ids = [...new Set((masterVariantIds || []).map(cleanId).filter(Boolean))];
+  if (ids.length === 0) return null;
+  const paused = await prisma.pausedMaster.count({
+    where: { shop: shopDomain, masterVariantId: { in: ids } },
+  });
+  return paused > 0 ? "master" : null;
+}
+
+export async function pauseShopSync(shopDomain) {
+  await prisma.shopSubscription.updateMany({
+    where: { shop: shopDomain, syncPausedAt: null },
+    data: { syncPausedAt: new Date() },
+  });
+  console.log(`⏸️ Sync paused => ${shopDomain}`);
+}
+
+export async function clearShopSyncPause(shopDomain) {
+  await prisma.shopSubscription.updateMany({
+    where: { shop: shopDomain },
+    data: { syncPausedAt: null },
+  });
+  console.log(`▶️ Sync resumed => ${shopDomain}`);
+}
+
+export async function pauseMasterSync(shopDomain, masterVariantId) {
+  const normalisedId = cleanId(masterVariantId);
+  await prisma.pausedMaster.upsert({
+    where: { shop_masterVariantId: { shop: shopDomain, masterVariantId: normalisedId } },
+    update: {},
+    create: { shop: shopDomain, masterVariantId: normalisedId },
+  });
+  console.log(`⏸️ Sync paused => MASTER ${normalisedId} (${shopDomain})`);
+}
+
+export async function clearMasterSyncPause(shopDomain, masterVariantId) {
+  const normalisedId = cleanId(masterVariantId);
+  await prisma.pausedMaster.deleteMany({
+    where: { shop: shopDomain, masterVariantId: normalisedId },
+  });
+  console.log(`▶️ Sync resumed => MASTER ${normalisedId} (${shopDomain})`);
+}
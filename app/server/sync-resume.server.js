@@ -0,0 +1,86 @@
+/************************************************************************
+ * sync-resume.server.js
+ *
+ * Lifts a pause set with sync-pause.server.js. Stock moved while paused
+ * is not replayed; instead the merchant picks how to continue:
+ *   RECOMPUTE  => reset every CHILD to what its MASTER says it should
+ *                 hold (drift correction), then re-baseline oldQty,
+ *   REBASELINE => keep the current stock and only store it as the new
+ *                 oldQty baseline.
+ * The work is done while still paused and the pause is cleared last, so
+ * no webhook is diffed against a baseline from before the pause. In
+ * dry-run mode RECOMPUTE only reports the drift it would correct.
+ ************************************************************************/
+import { SYNC_RESUME_MODES } from "../utils/sync-constants.js";
+import { clearShopSyncPause, clearMasterSyncPause } from "./sync-pause.server.js";
+import { DRIFT_TRIGGERS, runDriftReconciliation, recomputeMasterChildren } from "./drift-reconciliation.server.js";
+import { backfillQtyBaselines, seedRelationshipBaselines } from "./qty-baselines.server.js";
+import { getChildrenInventoryItems } from "./webhooks.inventory-update.helpers.server.js";
+import { toVariantGid } from "./shopify-ids.server.js";
+
+export { SYNC_RESUME_MODES };
+
+export function parseResumeMode(mode) {
+  const cleanMode = String(mode || "").toUpperCase();
+  if (!Object.values(SYNC_RESUME_MODES).includes(cleanMode)) {
+    throw new Error(`Unknown resume mode: ${mode}`);
+  }
+  return cleanMode;
+}
+
+/**
+ * Resumes one MASTER. Runs inline: a single MASTER is quick.
+ * => { mode, corrected, baselines }
+ */
+export async function resumeMasterSync(shopDomain, adminHeaders, masterVariantId, mode) {
+  const resumeMode = parseResumeMode(mode);
+  const masterGid = toVariantGid(masterVariantId);
+
+  let corrected = 0;
+  if (resumeMode === SYNC_RESUME_MODES.RECOMPUTE) {
+    ({ corrected } = await recomputeMasterChildren(shopDomain, adminHeaders, masterGid));
+  }
+  const children = await getChildrenInventoryItems(shopDomain, adminHeaders, masterGid);
+  const baselines = await seedRelationshipBaselines(
+    shopDomain,
+    adminHeaders,
+    [masterGid],
+    children.map((c) => c.variantId)
+  );
+
+  await clearMasterSyncPause(shopDomain, masterGid);
+  console.log(`▶️ MASTER ${masterGid} resumed (${resumeMode}): ${corrected} corrected, ${baselines} baseline(s)`);
+  return { mode: resumeMode, corrected, baselines };
+}
+
+/**
+ * Resumes the whole shop. Walks every MASTER, so callers run it in the
+ * background; the shop stays paused until it has finished.
+ */
+export async function resumeShopSync(shopDomain, mode) {
+  const resumeMode = parseResumeMode(mode);
+
+  global.__syncResumes = global.__syncResumes || new Set();
+  if (global.__syncResumes.has(shopDomain)) {
+    console.log(`▶️ Resume already running => ${shopDomain}`);
+    return false;
+  }
+  global.__syncResumes.add(shopDomain);
+
+  try {
+    if (resumeMode === SYNC_RESUME_MODES.RECOMPUTE) {
+      const report = await runDriftReconciliation(shopDomain, {
+        trigger: DRIFT_TRIGGERS.RESUME,
+        autoCorrect: true,
+      });
+      if (report.status !== "COMPLETED") {
+        throw new Error(`Recompute failed, sync stays paused: ${report.error || report.status}`);
+      }
+    }
+    await backfillQtyBaselines(shopDomain, { overwrite: true });
+    await clearShopSyncPause(shopDomain);
+    return true;
+  } finally {
+    global.__syncResumes.delete(shopDomain);
+  }
+}
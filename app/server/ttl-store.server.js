@@ -0,0 +1,202 @@
+/************************************************************************
+ * ttl-store.server.js
+ *
+ * Short-lived keys shared by the inventory webhook: exact-payload dedup
+ * and the sync-run records that let us skip the echo of our own writes.
+ * Behind a load balancer the echo usually lands on a different instance,
+ * so production uses the Postgres store; the in-memory store is for local
+ * development with a single process.
+ *
+ * A key may carry a small string value (see sync-origin.server.js);
+ * update() rewrites it without losing a concurrent update.
+ *
+ * Select with TTL_STORE=postgres|memory (default: postgres in production,
+ * memory otherwise). Store failures are logged and never break a sync.
+ ************************************************************************/
+import prisma from "../db.server.js";
+
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Process-local store. Keys expire lazily on read and during cleanup.
+ */
+export function createMemoryTtlStore() {
+  const entries = new Map();
+  let lastCleanup = 0;
+
+  const cleanup = () => {
+    const now = Date.now();
+    if (now - lastCleanup < CLEANUP_INTERVAL_MS) return;
+    lastCleanup = now;
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  };
+
+  const isLive = (key) => {
+    const entry = entries.get(key);
+    return entry !== undefined && entry.expiresAt > Date.now();
+  };
+
+  return {
+    name: "memory",
+
+    async set(key, ttlMs, value = null) {
+      cleanup();
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    async add(key, ttlMs, value = null) {
+      cleanup();
+      if (isLive(key)) return false;
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      return true;
+    },
+
+    async has(key) {
+      return isLive(key);
+    },
+
+    async get(key) {
+      return isLive(key) ? entries.get(key).value : null;
+    },
+
+    // updateValue is synchronous, so nothing runs between the read and the write
+    async update(key, ttlMs, updateValue) {
+      cleanup();
+      const current = isLive(key) ? entries.get(key).value : null;
+      entries.set(key, { value: updateValue(current), expiresAt: Date.now() + ttlMs });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+/**
+ * Postgres-backed store (TtlKey table), shared by every app instance.
+ */
+export function createPostgresTtlStore(client = prisma) {
+  let lastCleanup = 0;
+
+  const cleanup = async () => {
+    if (Date.now() - lastCleanup < CLEANUP_INTERVAL_MS) return;
+    lastCleanup = Date.now();
+    try {
+      await client.ttlKey.deleteMany({ where: { expiresAt: { lte: new Date() } } });
+    } catch (err) {
+      console.error("❌ TTL store cleanup failed =>", err);
+    }
+  };
+
+  return {
+    name: "postgres",
+
+    async set(key, ttlMs, value = null) {
+      const expiresAt = new Date(Date.now() + ttlMs);
+      try {
+        await client.ttlKey.upsert({
+          where: { key },
+          create: { key, value, expiresAt },
+          update: { value, expiresAt },
+        });
+      } catch (err) {
+        console.error(`❌ TTL store set failed => ${key}`, err);
+      }
+      await cleanup();
+    },
+
+    // Atomic "set if absent or expired" => true when this caller stored the key
+    async add(key, ttlMs, value = null) {
+      const now = new Date();
+      const expiresAt = new Date(now.getTime() + ttlMs);
+      try {
+        const rows = await client.$queryRaw`
+          INSERT INTO "TtlKey" ("key", "value", "expiresAt")
+          VALUES (${key}, ${value}, ${expiresAt})
+          ON CONFLICT ("key") DO UPDATE
+          SET "value" = EXCLUDED."value", "expiresAt" = EXCLUDED."expiresAt"
+          WHERE "TtlKey"."expiresAt" <= ${now}
+          RETURNING "key"
+        `;
+        await cleanup();
+        return rows.length > 0;
+      } catch (err) {
+        console.error(`❌ TTL store add failed => ${key}`, err);
+        return true;
+      }
+    },
+
+    async has(key) {
+      try {
+        const row = await client.ttlKey.findUnique({ where: { key } });
+        return !!row && row.expiresAt > new Date();
+      } catch (err) {
+        console.error(`❌ TTL store read failed => ${key}`, err);
+        return false;
+      }
+    },
+
+    async get(key) {
+      try {
+        const row = await client.ttlKey.findUnique({ where: { key } });
+        return row && row.expiresAt > new Date() ? row.value : null;
+      } catch (err) {
+        console.error(`❌ TTL store read failed => ${key}`, err);
+        return null;
+      }
+    },
+
+    // Read-modify-write under the row lock => concurrent updates are applied one after the other
+    async update(key, ttlMs, updateValue) {
+      const expiresAt = new Date(Date.now() + ttlMs);
+      try {
+        await client.$transaction(async (tx) => {
+          await tx.$executeRaw`
+            INSERT INTO "TtlKey" ("key", "value", "expiresAt")
+            VALUES (${key}, NULL, ${expiresAt})
+            ON CONFLICT ("key") DO NOTHING
+          `;
+          const [row] = await tx.$queryRaw`
+            SELECT "value", "expiresAt" FROM "TtlKey" WHERE "key" = ${key} FOR UPDATE
+          `;
+          const current = row && row.expiresAt > new Date() ? row.value : null;
+          await tx.ttlKey.update({
+            where: { key },
+            data: { value: updateValue(current), expiresAt },
+          });
+        });
+      } catch (err) {
+        console.error(`❌ TTL store update failed => ${key}`, err);
+      }
+      await cleanup();
+    },
+
+    async delete(key) {
+      try {
+        await client.ttlKey.deleteMany({ where: { key } });
+      } catch (err) {
+        console.error(`❌ TTL store delete failed => ${key}`, err);
+      }
+    },
+  };
+}
+
+function createConfiguredStore() {
+  const configured = (process.env.TTL_STORE || "").toLowerCase();
+  const kind = configured || (process.env.NODE_ENV === "production" ? "postgres" : "memory");
+  const store = kind === "memory" ? createMemoryTtlStore() : createPostgresTtlStore();
+  console.log(`🗝️ TTL store => ${store.name}`);
+  return store;
+}
+
+/**
+ * The process-wide store (kept on global so dev reloads share it).
+ */
+export function getTtlStore() {
+  if (!global.__ttlStore) {
+    global.__ttlStore = createConfiguredStore();
+  }
+  return global.__ttlStore;
+}
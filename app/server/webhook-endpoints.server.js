@@ -0,0 +1,116 @@
+/************************************************************************
+ * webhook-endpoints.server.js
+ *
+ * Outbound webhook endpoints configured in Settings. Each endpoint lists the
+ * event types it wants; dispatchWebhookEvent fans an event out to every
+ * active endpoint subscribed to it. Deliveries are queued, signed and
+ * retried by custom-webhook.server.js, same as the Custom API URL.
+ ************************************************************************/
+import prisma from "../db.server.js";
+import { queueCustomWebhook } from "./custom-webhook.server.js";
+import { WEBHOOK_EVENT_TYPES, buildEventPayload } from "./webhook-payloads.server.js";
+
+const VALID_EVENTS = Object.values(WEBHOOK_EVENT_TYPES);
+const LIMIT_NOTIFY_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validates form input. Throws with a merchant-readable message.
+ */
+export function parseWebhookEndpointInput({ url, description, events, active }) {
+  const cleanUrl = String(url || "").trim();
+  let parsed;
+  try {
+    parsed = new URL(cleanUrl);
+  } catch {
+    throw new Error("Enter a valid endpoint URL.");
+  }
+  if (!["https:", "http:"].includes(parsed.protocol)) {
+    throw new Error("Endpoint URLs must start with https:// or http://");
+  }
+
+  const cleanEvents = [...new Set((events || []).filter((e) => VALID_EVENTS.includes(e)))];
+  if (cleanEvents.length === 0) {
+    throw new Error("Choose at least one event for this endpoint.");
+  }
+
+  return {
+    url: cleanUrl,
+    description: description ? String(description).trim().slice(0, 200) : null,
+    events: cleanEvents,
+    active: active !== false,
+  };
+}
+
+export async function listWebhookEndpoints(shopDomain) {
+  return prisma.webhookEndpoint.findMany({
+    where: { shop: shopDomain },
+    orderBy: { createdAt: "asc" },
+  });
+}
+
+export async function saveWebhookEndpoint(shopDomain, id, input) {
+  const data = parseWebhookEndpointInput(input);
+  if (id) {
+    const { count } = await prisma.webhookEndpoint.updateMany({
+      where: { id, shop: shopDomain },
+      data,
+    });
+    if (count === 0) throw new Error("Webhook endpoint not found.");
+    return;
+  }
+  await prisma.webhookEndpoint.create({ data: { shop: shopDomain, ...data } });
+}
+
+export async function deleteWebhookEndpoint(shopDomain, id) {
+  await prisma.webhookEndpoint.deleteMany({ where: { id, shop: shopDomain } });
+}
+
+/**
+ * Queues `payload` for every active endpoint subscribed to `eventType`.
+ * Pass a prebuilt V2 body for inventory events; other events pass their
+ * data and get the generic envelope. Never throws.
+ */
+export async function dispatchWebhookEvent(shopDomain, eventType, { payload, data } = {}) {
+  try {
+    const endpoints = await prisma.webhookEndpoint.findMany({
+      where: { shop: shopDomain, active: true, events: { has: eventType } },
+    });
+    if (endpoints.length === 0) return;
+
+    const body = payload || buildEventPayload(shopDomain, eventType, data || {});
+    console.log(`📡 Dispatching ${eventType} to ${endpoints.length} endpoint(s)`);
+    await Promise.all(
+      endpoints.map((endpoint) =>
+        queueCustomWebhook(shopDomain, endpoint.url, body, {
+          eventType,
+          endpointId: endpoint.id,
+        })
+      )
+    );
+  } catch (err) {
+    console.error(`❌ Failed to dispatch ${eventType}:`, err);
+  }
+}
+
+/**
+ * Sends "plan.limit_reached" at most once a day per shop.
+ */
+export async function notifyLimitReached(shopDomain, { totalSyncedVariants, variantsLimit, plan }) {
+  try {
+    const notifiedBefore = new Date(Date.now() - LIMIT_NOTIFY_INTERVAL_MS);
+    const { count } = await prisma.shopSubscription.updateMany({
+      where: {
+        shop: shopDomain,
+        OR: [{ limitNotifiedAt: null }, { limitNotifiedAt: { lt: notifiedBefore } }],
+      },
+      data: { limitNotifiedAt: new Date() },
+    });
+    if (count === 0) return;
+
+    await dispatchWebhookEvent(shopDomain, WEBHOOK_EVENT_TYPES.LIMIT_REACHED, {
+      data: { plan, variantsLimit, totalSyncedVariants },
+    });
+  } catch (err) {
+    console.error("❌ Failed to send limit reached event:", err);
+  }
+}
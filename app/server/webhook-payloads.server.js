@@ -0,0 +1,113 @@
+/************************************************************************
+ * webhook-payloads.server.js
+ *
+ * Builds the JSON body sent to the merchant's custom webhook. Shops pick a
+ * format in Settings (ShopSubscription.webhookPayloadVersion).
+ *
+ * LEGACY (default, MASTER-originated changes only):
+ *   {
+ *     "masterID": "gid://shopify/ProductVariant/1",
+ *     "masterSKU": "ABC",
+ *     "master old inventory": 10,
+ *     "master new inventory": 8,
+ *     "Modified": true,
+ *     "children": [{ "child ID", "child SKU", "child old inventory",
+ *                    "child new inventory", "Modified" }]
+ *   }
+ *
+ * V2 (MASTER- and CHILD-originated changes):
+ *   {
+ *     "version": 2,
+ *     "eventId": "uuid",               // unique per delivery, stable across retries
+ *     "eventType": "inventory.master_changed" | "inventory.child_changed",
+ *     "shop": "example.myshopify.com",
+ *     "locationId": "123456789",
+ *     "occurredAt": "2026-10-19T10:00:00.000Z",
+ *     "trigger": {
+ *       "source": "master" | "child" | "bundle", // which side of the relationship changed
+ *       "variantId": "gid://shopify/ProductVariant/2",
+ *       "sku": "ABC-6PK",
+ *       "shopifyWebhookId": "..."      // null when not started by a Shopify webhook
+ *     },
+ *     "master": { "variantId", "sku", "oldQuantity", "newQuantity" },
+ *     "children": [{ "variantId", "sku", "oldQuantity", "newQuantity" }]
+ *   }
+ * SKUs are null when the app did not need to look them up.
+ *
+ * Webhook endpoints (WebhookEndpoint rows) always receive V2 bodies. Events
+ * that are not inventory changes use the same envelope with a "data" object:
+ *   { "version": 2, "eventId", "eventType", "shop", "occurredAt", "data": {...} }
+ ************************************************************************/
+import crypto from "crypto";
+import {
+  PAYLOAD_VERSIONS,
+  WEBHOOK_EVENT_TYPES,
+  WEBHOOK_EVENT_LABELS,
+} from "../utils/sync-constants.js";
+
+export { PAYLOAD_VERSIONS, WEBHOOK_EVENT_TYPES, WEBHOOK_EVENT_LABELS };
+
+export function buildLegacyPayload(masterData, childrenData) {
+  return {
+    masterID: masterData.variantId,
+    masterSKU: masterData.sku,
+    "master old inventory": masterData.oldQty,
+    "master new inventory": masterData.newQty,
+    Modified: true,
+    children: childrenData.map((child) => ({
+      "child ID": child.variantId,
+      "child SKU": child.sku,
+      "child old inventory": child.oldQty,
+      "child new inventory": child.newQty,
+      Modified: true,
+    })),
+  };
+}
+
+function toV2Item(item) {
+  return {
+    variantId: item.variantId,
+    sku: item.sku || null,
+    oldQuantity: item.oldQty ?? null,
+    newQuantity: item.newQty ?? null,
+  };
+}
+
+/**
+ * context: { eventType, locationId, triggerSource, triggerVariantId,
+ *            triggerSku, sourceWebhookId }
+ */
+export function buildV2Payload(shopDomain, masterData, childrenData, context = {}) {
+  return {
+    version: 2,
+    eventId: crypto.randomUUID(),
+    eventType: context.eventType || WEBHOOK_EVENT_TYPES.MASTER_CHANGED,
+    shop: shopDomain,
+    locationId: context.locationId !== undefined && context.locationId !== null
+      ? String(context.locationId)
+      : null,
+    occurredAt: new Date().toISOString(),
+    trigger: {
+      source: context.triggerSource || "master",
+      variantId: context.triggerVariantId || masterData.variantId,
+      sku: context.triggerSku ?? masterData.sku ?? null,
+      shopifyWebhookId: context.sourceWebhookId || null,
+    },
+    master: toV2Item(masterData),
+    children: childrenData.map(toV2Item),
+  };
+}
+
+/**
+ * Envelope for events that are not inventory changes.
+ */
+export function buildEventPayload(shopDomain, eventType, data) {
+  return {
+    version: 2,
+    eventId: crypto.randomUUID(),
+    eventType,
+    shop: shopDomain,
+    occurredAt: new Date().toISOString(),
+    data,
+  };
+}
@@ -8,26 +8,113 @@
  * client bundling issues.
  ************************************************************************/
 import crypto from "crypto";
-import https from "https";
-import axios from "axios";
+import os from "os";
 import prisma from "../db.server.js"; // This remains a server import (fine here)
+import {
+  LOCATION_SYNC_MODES,
+  getLocationRule,
+  locationParticipates,
+  getChildTargetLocation,
+} from "./location-rules.server.js";
+import { SYNC_OUTCOMES, SYNC_REASONS, recordSyncEvents } from "./sync-events.server.js";
+import { queueCustomWebhook, startWebhookQueueWorker } from "./custom-webhook.server.js";
+import { dispatchWebhookEvent } from "./webhook-endpoints.server.js";
+import {
+  PAYLOAD_VERSIONS,
+  WEBHOOK_EVENT_TYPES,
+  buildLegacyPayload,
+  buildV2Payload,
+} from "./webhook-payloads.server.js";
+import {
+  addDeadLetter,
+  claimDueDeadLetters,
+  markDeadLetterResolved,
+  markDeadLetterAbandoned,
+  markDeadLetterFailed,
+} from "./dead-letter.server.js";
+import {
+  parseBundleComponents,
+  bundleQuantityFromComponents,
+} from "./bundles.server.js";
+import { masterIdsForEvent, withMasterLocks } from "./master-locks.server.js";
+import { getPauseReason } from "./sync-pause.server.js";
+import { isDryRunEnabled, createDryRunRecorder } from "./dry-run.server.js";
+import { getTtlStore } from "./ttl-store.server.js";
+import {
+  checkInventoryWatermark,
+  advanceInventoryWatermark,
+} from "./inventory-watermarks.server.js";
+import {
+  createSyncRunId,
+  syncRunReferenceUri,
+  markSyncRunStarted,
+  finishSyncRun,
+} from "./sync-origin.server.js";
+import {
+  LEDGER_SOURCES,
+  recordLedgerEntries,
+  recordAppliedAdjustments,
+  pruneInventoryLedger,
+  getLedgerBaseline,
+  hasLedgerBaseline,
+} from "./inventory-ledger.server.js";
+import {
+  ORDER_CLAIM_SOURCES,
+  isOrderSyncEnabled,
+  consumeOrderClaims,
+  recordOrderClaim,
+} from "./order-claims.server.js";
+import {
+  parseRatio,
+  normaliseRounding,
+  childQtyFromMaster,
+  scaleChildDiff,
+  parseSafetyValue,
+  resolveSafetyStock,
+  hasSafetyStock,
+  applySafetyStock,
+} from "../utils/ratio-utils.js";
+import { RATIO_ROUNDING } from "../utils/sync-constants.js";
+import {
+  METAFIELD_NAMESPACE,
+  METAFIELD_KEYS,
+  metafieldSelection,
+  preferAppMetafields,
+  findMetafieldValue,
+} from "../utils/metafield-utils.js";
+import { getStoredMasterChildInfo, getStoredChildren } from "./relationships.server.js";
+import {
+  getRatioRemainder,
+  getChildRatioRemainders,
+  saveRatioRemainder,
+} from "./ratio-remainders.server.js";
+import { cleanId } from "./shopify-ids.server.js";
 
 /************************************************************************
  * 0) SHORT-TERM DEDUPLICATION (10s FOR EXACT PAYLOAD)
- * We store a key in a Map for 10 seconds to prevent re-processing the 
- * exact same payload within that short window.
+ * We store a key for 10 seconds to prevent re-processing the exact same
+ * payload within that short window. Keys live in the shared TTL store
+ * (see ttl-store.server.js) so every app instance sees them.
  ************************************************************************/
-const recentlyProcessedExact = new Map();
+const EXACT_KEY_TTL_MS = 10000;
 
-export function markExactKey(key) {
-  recentlyProcessedExact.set(key, Date.now());
-  setTimeout(() => {
-    recentlyProcessedExact.delete(key);
-  }, 10000);
+/**
+ * Marks the payload as seen => false when another delivery already did.
+ */
+export async function markExactKey(key) {
+  return getTtlStore().add(`exact:${key}`, EXACT_KEY_TTL_MS);
+}
+
+/**
+ * Forgets the payload again when its delivery was not acknowledged, so
+ * Shopify's retry is not taken for a duplicate.
+ */
+export async function releaseExactKey(key) {
+  await getTtlStore().delete(`exact:${key}`);
 }
 
-export function hasExactKey(key) {
-  return recentlyProcessedExact.has(key);
+export async function hasExactKey(key) {
+  return getTtlStore().has(`exact:${key}`);
 }
 
 export function buildExactDedupKey(payload) {
@@ -36,44 +123,14 @@ export function buildExactDedupKey(payload) {
 }
 
 /************************************************************************
- * 0.1) 6-SECOND LOCK FOR (INVENTORY_ITEM + LOCATION)
- * Used to prevent collisions and re-entries that may cause concurrency 
- * problems.
- ************************************************************************/
-const recentlyTouched = new Map();
-
-export function markComboKey(key) {
-  recentlyTouched.set(key, Date.now());
-  setTimeout(() => {
-    recentlyTouched.delete(key);
-  }, 6000);
-}
-
-export function hasComboKey(key) {
-  return recentlyTouched.has(key);
-}
-
-/************************************************************************
- * 0.2) PREDICTED (FUTURE) UPDATES MAP
- * If we update Shopify programmatically, we mark that update as predicted 
- * so we can skip processing the subsequent Shopify webhook echo.
+ * 0.2) ECHOES OF OUR OWN WRITES
+ * Every inventory write below carries a sync-run referenceDocumentUri and
+ * records the resulting Shopify adjustment (see sync-origin.server.js), so
+ * the webhook route can recognise and skip the echo on any instance.
  ************************************************************************/
-const predictedUpdates = new Map();
-
-export function buildPredictedKey(inventoryItemId, locationId, newQty) {
-  return `${inventoryItemId}-${locationId}-${newQty}`;
-}
-
-export function markPredictedUpdate(pKey) {
-  predictedUpdates.set(pKey, Date.now());
-  setTimeout(() => {
-    predictedUpdates.delete(pKey);
-  }, 10000);
-}
-
-export function hasPredictedUpdate(pKey) {
-  return predictedUpdates.has(pKey);
-}
+export { findSyncOrigin } from "./sync-origin.server.js";
+export { checkInventoryWatermark, advanceInventoryWatermark };
+export { recordLedgerEntries, LEDGER_SOURCES };
 
 /************************************************************************
  * SIMPLE CACHE IMPLEMENTATION
@@ -206,14 +263,33 @@ export async function activateInventoryItem(shopDomain, adminHeaders, inventoryI
 /************************************************************************
  * 3) SET INVENTORY QUANTITY (SINGLE)
  * This function updates on_hand (available) inventory in Shopify.
+ * `syncRunId` ties the write to the sync run it belongs to; a new run is
+ * started when none is given.
  ************************************************************************/
-export function buildPredictedKeyForInternalUpdate(
-  inventoryItemId,
-  locationId,
-  quantity
-) {
-  return `${inventoryItemId}-${locationId}-${quantity}`;
-}
+const INVENTORY_SET_QUANTITIES_MUTATION = `
+  mutation inventorySetQuantities($input: InventorySetQuantitiesInput!) {
+    inventorySetQuantities(input: $input) {
+      inventoryAdjustmentGroup {
+        id
+        createdAt
+        changes(quantityNames: ["available"]) {
+          name
+          quantityAfterChange
+          item {
+            id
+          }
+          location {
+            id
+          }
+        }
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
 
 export async function setInventoryQuantity(
   shopDomain,
@@ -221,7 +297,8 @@ export async function setInventoryQuantity(
   inventoryItemId,
   locationId,
   quantity,
-  internal = false
+  internal = false,
+  syncRunId = createSyncRunId()
 ) {
   let cleanInventoryItemId;
   if (typeof inventoryItemId === "string") {
@@ -234,61 +311,51 @@ export async function setInventoryQuantity(
     cleanInventoryItemId = `gid://shopify/InventoryItem/${inventoryItemId}`;
   }
 
-
-  // Mark as predicted update
-  const pKey = buildPredictedKey(
-    cleanInventoryItemId.replace("gid://shopify/InventoryItem/", ""),
-    locationId,
-    quantity
-  );
-  markPredictedUpdate(pKey);
+  // Recorded before the write so an early echo is still recognised
+  const runItems = [{ inventoryItemId: cleanInventoryItemId, locationId }];
+  await markSyncRunStarted(syncRunId, runItems);
 
   console.log(
-    `🔧 setInventoryQuantity => item:${cleanInventoryItemId}, loc:${locationId}, qty:${quantity}, internal:${internal}`
+    `🔧 setInventoryQuantity => item:${cleanInventoryItemId}, loc:${locationId}, qty:${quantity}, internal:${internal}, run:${syncRunId}`
   );
 
-  const response = await fetch(
-    `https://${shopDomain}/admin/api/2024-10/graphql.json`,
-    {
-      method: "POST",
-      headers: {
-        ...adminHeaders,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        query: `
-          mutation inventorySetQuantities($input: InventorySetQuantitiesInput!) {
-            inventorySetQuantities(input: $input) {
-              inventoryAdjustmentGroup {
-                id
-              }
-              userErrors {
-                field
-                message
-              }
-            }
-          }
-        `,
-        variables: {
-          input: {
-            name: "on_hand",
-            reason: "correction",
-            ignoreCompareQuantity: true,
-            referenceDocumentUri: referenceDocumentUriValue,
-            quantities: [
-              {
-                inventoryItemId: cleanInventoryItemId,
-                locationId: `gid://shopify/Location/${locationId}`,
-                quantity,
-              },
-            ],
-          },
+  let data = null;
+  try {
+    const response = await fetch(
+      `https://${shopDomain}/admin/api/2024-10/graphql.json`,
+      {
+        method: "POST",
+        headers: {
+          ...adminHeaders,
+          "Content-Type": "application/json",
         },
-      }),
-    }
-  );
+        body: JSON.stringify({
+          query: INVENTORY_SET_QUANTITIES_MUTATION,
+          variables: {
+            input: {
+              name: "on_hand",
+              reason: "correction",
+              ignoreCompareQuantity: true,
+              referenceDocumentUri: syncRunReferenceUri(syncRunId, internal),
+              quantities: [
+                {
+                  inventoryItemId: cleanInventoryItemId,
+                  locationId: `gid://shopify/Location/${locationId}`,
+                  quantity,
+                },
+              ],
+            },
+          },
+        }),
+      }
+    );
+    data = await response.json();
+  } finally {
+    const adjustmentGroup = data?.data?.inventorySetQuantities?.inventoryAdjustmentGroup;
+    await finishSyncRun(syncRunId, runItems, adjustmentGroup);
+    await recordAppliedAdjustments(shopDomain, syncRunId, adjustmentGroup);
+  }
 
-  const data = await response.json();
   if (data.errors) {
     console.error("❌ setInventoryQuantity =>", data.errors);
   } else {
@@ -305,15 +372,11 @@ export async function setInventoryQuantityBatch(
   shopDomain,
   adminHeaders,
   itemsToUpdate,
-  internal = false
+  internal = false,
+  syncRunId = createSyncRunId()
 ) {
   if (!itemsToUpdate.length) return null;
 
-  const MY_APP_URL = process.env.MY_APP_URL || "https://your-app-url.com";
-  const referenceDocumentUriValue = internal
-    ? `${MY_APP_URL}/by_app/internal-batch-update`
-    : `${MY_APP_URL}/by_app/external-batch-update`;
-
   const quantities = itemsToUpdate.map(item => {
     let cleanInventoryItemId;
     if (typeof item.inventoryItemId === "string") {
@@ -325,13 +388,6 @@ export async function setInventoryQuantityBatch(
     } else {
       cleanInventoryItemId = `gid://shopify/InventoryItem/${item.inventoryItemId}`;
     }
-    
-    const pKey = buildPredictedKey(
-      cleanInventoryItemId.replace("gid://shopify/InventoryItem/", ""),
-      item.locationId,
-      item.quantity
-    );
-    markPredictedUpdate(pKey);
 
     return {
       inventoryItemId: cleanInventoryItemId,
@@ -339,52 +395,59 @@ export async function setInventoryQuantityBatch(
       quantity: item.quantity
     };
   });
-  
-  console.log(`🔧 setInventoryQuantityBatch => Updating ${quantities.length} items in batch`);
 
-  const response = await fetch(
-    `https://${shopDomain}/admin/api/2024-10/graphql.json`,
-    {
-      method: "POST",
-      headers: {
-        ...adminHeaders,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        query: `
-          mutation inventorySetQuantities($input: InventorySetQuantitiesInput!) {
-            inventorySetQuantities(input: $input) {
-              inventoryAdjustmentGroup {
-                id
-              }
-              userErrors {
-                field
-                message
-              }
-            }
-          }
-        `,
-        variables: {
-          input: {
-            name: "on_hand",
-            reason: "correction",
-            ignoreCompareQuantity: true,
-            referenceDocumentUri: referenceDocumentUriValue,
-            quantities: quantities,
-          },
-        },
-      }),
-    }
+  // Recorded before the write so an early echo is still recognised
+  const runItems = itemsToUpdate.map((item, i) => ({
+    inventoryItemId: quantities[i].inventoryItemId,
+    locationId: item.locationId,
+  }));
+  await markSyncRunStarted(syncRunId, runItems);
+
+  console.log(
+    `🔧 setInventoryQuantityBatch => Updating ${quantities.length} items in batch, run:${syncRunId}`
   );
 
-  const data = await response.json();
-  if (data.errors) {
-    console.error("❌ setInventoryQuantityBatch =>", data.errors);
-    return null;
-  } else {
-    console.log(`✅ Inventory batch updated => ${quantities.length} items`);
-    return data;
+  let data = null;
+  try {
+    const response = await fetch(
+      `https://${shopDomain}/admin/api/2024-10/graphql.json`,
+      {
+        method: "POST",
+        headers: {
+          ...adminHeaders,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          query: INVENTORY_SET_QUANTITIES_MUTATION,
+          variables: {
+            input: {
+              name: "on_hand",
+              reason: "correction",
+              ignoreCompareQuantity: true,
+              referenceDocumentUri: syncRunReferenceUri(syncRunId, internal),
+              quantities: quantities,
+            },
+          },
+        }),
+      }
+    );
+    data = await response.json();
+  } finally {
+    const adjustmentGroup = data?.data?.inventorySetQuantities?.inventoryAdjustmentGroup;
+    await finishSyncRun(syncRunId, runItems, adjustmentGroup);
+    await recordAppliedAdjustments(shopDomain, syncRunId, adjustmentGroup);
   }
+
+  // Throw so the aggregator can dead-letter the event instead of losing it.
+  const userErrors = data?.data?.inventorySetQuantities?.userErrors || [];
+  if (data.errors || userErrors.length > 0) {
+    console.error("❌ setInventoryQuantityBatch =>", data.errors || userErrors);
+    throw new Error(
+      `setInventoryQuantityBatch failed: ${JSON.stringify(data.errors || userErrors)}`
+    );
+  }
+  console.log(`✅ Inventory batch updated => ${quantities.length} items`);
+  return data;
 }
 
 /************************************************************************
@@ -394,9 +457,7 @@ export async function getQtyOldValue(shopDomain, adminHeaders, variantId) {
   const query = `
     query GetQtyOld($id: ID!) {
       productVariant(id: $id) {
-        metafield(namespace: "projektstocksyncqtyold", key: "qtyold") {
-          value
-        }
+        ${metafieldSelection("qtyOld", METAFIELD_KEYS.QTY_OLD)}
       }
     }
   `;
@@ -413,8 +474,8 @@ export async function getQtyOldValue(shopDomain, adminHeaders, variantId) {
       body: JSON.stringify({ query, variables }),
     }
   );
-  const data = await resp.json();
-  const valStr = data?.data?.productVariant?.metafield?.value;
+  const data = preferAppMetafields(await resp.json());
+  const valStr = data?.data?.productVariant?.qtyOld?.value;
   if (!valStr) {
     return 0;
   }
@@ -443,8 +504,8 @@ export async function setQtyOldValue(shopDomain, adminHeaders, variantId, newQty
     metafields: [
       {
         ownerId: variantId,
-        namespace: "projektstocksyncqtyold",
-        key: "qtyold",
+        namespace: METAFIELD_NAMESPACE,
+        key: METAFIELD_KEYS.QTY_OLD,
         type: "number_integer",
         value: String(newQty),
       },
@@ -529,8 +590,8 @@ export async function batchUpdateMetafields(shopDomain, adminHeaders, updates) {
 export async function setQtyOldValueBatch(shopDomain, adminHeaders, updates) {
   const metafieldUpdates = updates.map(update => ({
     ownerId: update.variantId,
-    namespace: "projektstocksyncqtyold",
-    key: "qtyold",
+    namespace: METAFIELD_NAMESPACE,
+    key: METAFIELD_KEYS.QTY_OLD,
     type: "number_integer",
     value: String(update.newQty)
   }));
@@ -540,8 +601,10 @@ export async function setQtyOldValueBatch(shopDomain, adminHeaders, updates) {
 
 /************************************************************************
  * 3.2) GET/SET QTYOLD FROM PRISMA DB
- * We rely on 'oldQuantity' in the Stockdb table as our genuine source 
- * of "previous" quantity data.
+ * 'oldQuantity' in the Stockdb table is one level per variant. Locations
+ * sync independently, so the handlers diff against the per-location
+ * baseline of the inventory ledger (getLocationQtyOld); Stockdb is kept
+ * for older readers and as the fallback before the ledger knows an item.
  ************************************************************************/
 function normaliseVariantId(variantId) {
   if (!variantId) return null;
@@ -566,6 +629,28 @@ export async function getQtyOldValueDB(shopDomain, variantId) {
   return record.oldQuantity ?? 0;
 }
 
+/**
+ * Baseline of one variant at one location, or null when none is known.
+ * Stockdb's single value may be another location's level, so it is only
+ * used while the ledger has no entry for the item at any location.
+ */
+export async function getLocationQtyOld(shopDomain, variantId, inventoryItemId, locationId) {
+  const baseline = await getLedgerBaseline(shopDomain, inventoryItemId, locationId);
+  if (baseline !== null) return baseline;
+  if (await hasLedgerBaseline(shopDomain, inventoryItemId)) return null;
+
+  const record = await prisma.stockdb.findUnique({
+    where: {
+      shop_productVariantId: {
+        shop: shopDomain,
+        productVariantId: normaliseVariantId(variantId),
+      },
+    },
+    select: { oldQuantity: true },
+  });
+  return record ? record.oldQuantity : null;
+}
+
 export async function setQtyOldValueDB(shopDomain, variantId, newQty) {
   const normalisedId = normaliseVariantId(variantId);
 
@@ -619,12 +704,17 @@ export async function setQtyOldValueDBBatch(shopDomain, updates) {
 
 /************************************************************************
  * 4) DETERMINE IF THIS ITEM IS MASTER OR CHILD
- * We examine the relevant metafields on the variant to see if it is a 
- * MASTER, a CHILD, or neither.
+ * We look the item up in the Relationship table (relationships.server.js)
+ * or, until the shop was imported, examine the relevant metafields on the
+ * variant to see if it is a MASTER, a CHILD, or neither.
  ************************************************************************/
 export async function getMasterChildInfo(shopDomain, adminHeaders, inventoryItemId) {
   console.log(`🔍 getMasterChildInfo => inventory item: ${inventoryItemId}`);
 
+  // Imported shops read the Relationship table; the metafields are only a mirror
+  const storedInfo = await getStoredMasterChildInfo(shopDomain, inventoryItemId);
+  if (storedInfo !== undefined) return storedInfo;
+
   const cacheKey = `${shopDomain}:inv:${inventoryItemId}`;
   const cachedInfo = getCacheValue(metafieldCache, cacheKey);
   if (cachedInfo !== null) {
@@ -653,7 +743,7 @@ export async function getMasterChildInfo(shopDomain, adminHeaders, inventoryItem
                   id
                   title
                 }
-                metafields(first: 10) {
+                metafields(first: 50) {
                   edges {
                     node {
                       namespace
@@ -680,22 +770,18 @@ export async function getMasterChildInfo(shopDomain, adminHeaders, inventoryItem
     return null;
   }
 
-  const metafields = variantNode.metafields?.edges || [];
-  const masterField = metafields.find(
-    (m) => m.node.namespace === "projektstocksyncmaster" && m.node.key === "master"
-  );
-  const isMaster = masterField?.node?.value?.trim().toLowerCase() === "true";
+  const metafields = (variantNode.metafields?.edges || []).map((m) => m.node);
+  const masterValue = findMetafieldValue(metafields, METAFIELD_KEYS.MASTER);
+  const isMaster = masterValue?.trim().toLowerCase() === "true";
   let result = null;
 
   if (isMaster) {
     console.log("✅ This variant is designated as MASTER.");
-    const childrenKey = metafields.find(
-      (m) => m.node.namespace === "projektstocksyncchildren" && m.node.key === "childrenkey"
-    );
+    const childrenValue = findMetafieldValue(metafields, METAFIELD_KEYS.CHILDREN);
     let childrenIds = [];
-    if (childrenKey?.node?.value) {
+    if (childrenValue) {
       try {
-        childrenIds = JSON.parse(childrenKey.node.value);
+        childrenIds = JSON.parse(childrenValue);
       } catch (err) {
         console.error("❌ Error parsing 'childrenkey' =>", err);
       }
@@ -708,14 +794,43 @@ export async function getMasterChildInfo(shopDomain, adminHeaders, inventoryItem
       children: childrenIds,
     };
   } else {
-    const parentMasterField = metafields.find(
-      (m) => m.node.namespace === "projektstocksyncparentmaster" && m.node.key === "parentmaster"
+    const bundleComponents = parseBundleComponents(
+      findMetafieldValue(metafields, METAFIELD_KEYS.BUNDLE)
     );
-    if (parentMasterField?.node?.value) {
+    const parentMasterValue = findMetafieldValue(metafields, METAFIELD_KEYS.PARENT_MASTER);
+    if (bundleComponents.length > 0) {
+      console.log(`✅ This variant is a BUNDLE of ${bundleComponents.length} MASTER(s).`);
+      const components = await Promise.all(
+        bundleComponents.map(async (component) => ({
+          ...component,
+          masterInventoryItemId: await getInventoryItemIdFromVariantIdCached(
+            shopDomain,
+            adminHeaders,
+            component.masterVariantId
+          ),
+        }))
+      );
+      if (components.some((c) => !c.masterInventoryItemId)) {
+        console.error("❌ Could not find inventory items for every bundle component.");
+        return null;
+      }
+
+      // The first component stands in as "the" MASTER for locking and auditing
+      result = {
+        isChild: true,
+        isBundle: true,
+        childVariantId: variantNode.id,
+        childSku: variantNode.sku || '',
+        masterVariantId: components[0].masterVariantId,
+        masterInventoryItemId: components[0].masterInventoryItemId,
+        bundleComponents: components,
+        inventoryItemId,
+      };
+    } else if (parentMasterValue) {
       console.log("✅ This variant is designated as CHILD.");
       let masterVariantId;
       try {
-        const parsedValue = JSON.parse(parentMasterField.node.value);
+        const parsedValue = JSON.parse(parentMasterValue);
         masterVariantId = Array.isArray(parsedValue) && parsedValue.length > 0 ? parsedValue[0] : null;
       } catch (err) {
         console.error("❌ Error parsing 'parentmaster' metafield =>", err);
@@ -757,8 +872,13 @@ export async function getMasterChildInfo(shopDomain, adminHeaders, inventoryItem
 }
 
 /************************************************************************
- * 4.1) GET "qtymanagement" FOR A VARIANT
- * If qtymanagement = 1, the child’s quantity is forced to match the MASTER.
+ * 4.1) GET THE RATIO AND SAFETY STOCK OF A VARIANT
+ * => { ratio, rounding, buffer, cap }. The decimal "ratio" metafield wins
+ * over the older integer "qtymanagement"; without either the ratio is 1,
+ * i.e. the child's quantity is forced to match the MASTER.
+ * buffer/cap are null when unset. On a MASTER they are the defaults for
+ * its children (see resolveSafetyStock).
+ * See app/utils/ratio-utils.js for what the values mean.
  ************************************************************************/
 export async function getVariantQtyManagement(shopDomain, adminHeaders, variantId) {
   const cacheKey = `${shopDomain}:qm:${variantId}`;
@@ -771,9 +891,11 @@ export async function getVariantQtyManagement(shopDomain, adminHeaders, variantI
   const query = `
     query GetVariantQtyManagement($variantId: ID!) {
       productVariant(id: $variantId) {
-        metafield(namespace: "projektstocksyncqtymanagement", key: "qtymanagement") {
-          value
-        }
+        ${metafieldSelection("metafield", METAFIELD_KEYS.QTY_MANAGEMENT)}
+        ${metafieldSelection("decimalRatio", METAFIELD_KEYS.RATIO)}
+        ${metafieldSelection("rounding", METAFIELD_KEYS.ROUNDING)}
+        ${metafieldSelection("buffer", METAFIELD_KEYS.BUFFER)}
+        ${metafieldSelection("cap", METAFIELD_KEYS.CAP)}
       }
     }
   `;
@@ -788,9 +910,14 @@ export async function getVariantQtyManagement(shopDomain, adminHeaders, variantI
       body: JSON.stringify({ query, variables: { variantId } }),
     }
   );
-  const data = await resp.json();
-  const valStr = data?.data?.productVariant?.metafield?.value;
-  const result = valStr ? parseInt(valStr, 10) : 1;
+  const data = preferAppMetafields(await resp.json());
+  const variant = data?.data?.productVariant;
+  const result = {
+    ratio: parseRatio(variant?.decimalRatio?.value) || parseRatio(variant?.metafield?.value) || 1,
+    rounding: normaliseRounding(variant?.rounding?.value),
+    buffer: parseSafetyValue(variant?.buffer?.value),
+    cap: parseSafetyValue(variant?.cap?.value),
+  };
   
   setCacheValue(qtyManagementCache, cacheKey, result, 5 * 60 * 1000);
   return result;
@@ -800,6 +927,9 @@ export async function getVariantQtyManagement(shopDomain, adminHeaders, variantI
  * 4.2) GET CHILDREN (inventoryItemId) OF A MASTER
  ************************************************************************/
 export async function getChildrenInventoryItems(shopDomain, adminHeaders, masterVariantId) {
+  const storedChildren = await getStoredChildren(shopDomain, masterVariantId);
+  if (storedChildren !== undefined) return storedChildren;
+
   const cacheKey = `${shopDomain}:children:${masterVariantId}`;
   const cachedValue = getCacheValue(childrenCache, cacheKey);
   
@@ -812,9 +942,7 @@ export async function getChildrenInventoryItems(shopDomain, adminHeaders, master
     query GetProductVariant($variantId: ID!) {
       productVariant(id: $variantId) {
         id
-        metafield(namespace: "projektstocksyncchildren", key: "childrenkey") {
-          value
-        }
+        ${metafieldSelection("metafield", METAFIELD_KEYS.CHILDREN)}
       }
     }
   `;
@@ -830,7 +958,7 @@ export async function getChildrenInventoryItems(shopDomain, adminHeaders, master
     }
   );
 
-  const data = await resp.json();
+  const data = preferAppMetafields(await resp.json());
   if (data.errors) {
     console.error("❌ getChildrenInventoryItems => error retrieving children for MASTER", data.errors);
     return [];
@@ -871,6 +999,7 @@ export async function getChildrenInventoryItems(shopDomain, adminHeaders, master
           inventoryItem {
             id
           }
+          ${metafieldSelection("bundle", METAFIELD_KEYS.BUNDLE)}
         }
       }
     }
@@ -891,7 +1020,7 @@ export async function getChildrenInventoryItems(shopDomain, adminHeaders, master
     }
   );
   
-  const batchData = await batchResp.json();
+  const batchData = preferAppMetafields(await batchResp.json());
   if (batchData.errors) {
     console.error("❌ Error fetching child variants =>", batchData.errors);
     return [];
@@ -900,10 +1029,12 @@ export async function getChildrenInventoryItems(shopDomain, adminHeaders, master
   const foundChildren = [];
   for (const node of batchData.data?.nodes || []) {
     if (node && node.inventoryItem?.id) {
+      const bundleComponents = parseBundleComponents(node.bundle?.value);
       foundChildren.push({
         variantId: node.id,
         sku: node.sku || '',
         inventoryItemId: node.inventoryItem.id,
+        bundleComponents: bundleComponents.length > 0 ? bundleComponents : null,
       });
     } else {
       console.warn(`⚠️ Missing inventoryItem for => ${node?.id}`);
@@ -1091,31 +1222,302 @@ export async function getInventoryItemIdFromVariantIdCached(shopDomain, adminHea
 }
 
 /************************************************************************
- * 7) 5-SECOND "LISTENING WINDOW" AGGREGATOR
+ * HELPER => SUM OF "available" ACROSS POOLED LOCATIONS
+ * `overrides` lets the caller supply quantities it already knows (e.g. the
+ * value from the webhook) instead of re-reading them from Shopify.
+ ************************************************************************/
+export async function getPooledAvailableQuantity(
+  shopDomain,
+  adminHeaders,
+  inventoryItemId,
+  locationIds,
+  overrides = {}
+) {
+  const quantities = await Promise.all(
+    locationIds.map((locId) =>
+      overrides[locId] !== undefined
+        ? overrides[locId]
+        : getCurrentAvailableQuantity(shopDomain, adminHeaders, inventoryItemId, locId)
+    )
+  );
+  return quantities.reduce((total, qty) => total + (qty || 0), 0);
+}
+
+/************************************************************************
+ * HELPER => BUNDLE AVAILABILITY
+ * A bundle can be built min(floor(componentQty / ratio)) times. Each
+ * component follows its own MASTER's location rule (pooled or not).
+ * `knownBasis` maps MASTER variant IDs to quantities the caller already
+ * knows, e.g. the MASTER that is being processed right now. With
+ * `bundleVariantId` the remainders the bundle carries are counted in.
+ ************************************************************************/
+export async function getBundleAvailableQuantity(
+  shopDomain,
+  adminHeaders,
+  components,
+  locationId,
+  knownBasis = {},
+  bundleVariantId = null
+) {
+  const remainders = bundleVariantId
+    ? await getChildRatioRemainders(shopDomain, bundleVariantId, locationId)
+    : new Map();
+  const entries = await Promise.all(
+    components.map(async (component) => {
+      const remainder = remainders.get(cleanId(component.masterVariantId)) || 0;
+      if (knownBasis[component.masterVariantId] !== undefined) {
+        return { qty: knownBasis[component.masterVariantId] + remainder, ratio: component.ratio };
+      }
+      const inventoryItemId =
+        component.masterInventoryItemId ||
+        (await getInventoryItemIdFromVariantIdCached(shopDomain, adminHeaders, component.masterVariantId));
+      if (!inventoryItemId) {
+        return { qty: 0, ratio: component.ratio };
+      }
+      const rule = await getLocationRule(shopDomain, component.masterVariantId);
+      const qty = rule.mode === LOCATION_SYNC_MODES.POOLED
+        ? await getPooledAvailableQuantity(shopDomain, adminHeaders, inventoryItemId, rule.locationIds)
+        : await getCurrentAvailableQuantity(shopDomain, adminHeaders, inventoryItemId, locationId);
+      return { qty: qty + remainder, ratio: component.ratio };
+    })
+  );
+  return bundleQuantityFromComponents(entries);
+}
+
+/**
+ * Target quantity for one child of a MASTER whose basis qty is known.
+ * Plain children apply their ratio; bundles take the minimum over
+ * all of their components. Carried remainders are counted in and
+ * safety stock is applied last.
+ */
+export async function calculateChildQuantity(shopDomain, adminHeaders, child, childSettings, masterVariantId, masterBasisQty, locationId) {
+  const derivedQty = child.bundleComponents
+    ? await getBundleAvailableQuantity(
+        shopDomain,
+        adminHeaders,
+        child.bundleComponents,
+        locationId,
+        { [masterVariantId]: masterBasisQty },
+        child.variantId
+      )
+    : childQtyFromMaster(
+        masterBasisQty + (await getRatioRemainder(shopDomain, child.variantId, masterVariantId, locationId)),
+        childSettings.ratio,
+        childSettings.rounding
+      );
+  return applySafetyStock(derivedQty, childSettings);
+}
+
+/**
+ * Ratio and safety stock of a child, with the MASTER's safety stock
+ * filling in unset values. Bundles only use their own safety stock.
+ */
+export async function getChildSettings(shopDomain, adminHeaders, child, masterDefaults) {
+  const settings = await getVariantQtyManagement(shopDomain, adminHeaders, child.variantId);
+  return {
+    ...settings,
+    ...resolveSafetyStock(settings, child.bundleComponents ? null : masterDefaults),
+  };
+}
+
+/************************************************************************
+ * 7) 5-SECOND "LISTENING WINDOW" AGGREGATOR (DATABASE-BACKED)
  * We group multiple near-simultaneous updates for the same MASTER combo 
  * into a single handling pass, preventing collisions.
+ *
+ * Pending events are stored in the PendingInventoryEvent table before the
+ * webhook is acknowledged. A worker running in every app instance claims
+ * windows whose time has elapsed (FOR UPDATE SKIP LOCKED), so a deploy, a
+ * crash or a second replica never drops an accepted event.
+ *
+ * Handling a window holds the advisory lock of every MASTER it touches
+ * (see master-locks.server.js): windows of the same MASTER at other
+ * locations, bundles and dead-letter replays wait their turn.
  ************************************************************************/
-const aggregatorMap = new Map();
+const AGGREGATOR_WINDOW_MS = 5000;
+const AGGREGATOR_POLL_MS = 2000;
+const AGGREGATOR_STALE_CLAIM_MS = 2 * 60 * 1000;
+const AGGREGATOR_MAX_ATTEMPTS = 5;
+const AGGREGATOR_RETENTION_MS = 24 * 60 * 60 * 1000;
+const AGGREGATOR_WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+
+let aggregatorWorkerRunning = false;
+let aggregatorLastCleanup = 0;
+
+export async function addEventToAggregator(comboKey, event) {
+  // Admin credentials are looked up again when the window is processed.
+  const { adminHeaders, shopDomain, ...payload } = event;
+
+  const openWindow = await prisma.pendingInventoryEvent.findFirst({
+    where: { comboKey, status: "PENDING" },
+    orderBy: { windowClosesAt: "asc" },
+    select: { windowClosesAt: true },
+  });
+  const windowClosesAt = openWindow?.windowClosesAt || new Date(Date.now() + AGGREGATOR_WINDOW_MS);
 
-export function addEventToAggregator(comboKey, event) {
-  if (aggregatorMap.has(comboKey)) {
-    const aggregator = aggregatorMap.get(comboKey);
-    aggregator.events.push(event);
-  } else {
-    const aggregator = { events: [event], timer: null };
-    aggregatorMap.set(comboKey, aggregator);
-    aggregator.timer = setTimeout(() => {
-      processAggregatorEvents(comboKey);
-    }, 5000);
+  await prisma.pendingInventoryEvent.create({
+    data: {
+      shop: shopDomain,
+      comboKey,
+      payload,
+      windowClosesAt,
+    },
+  });
+  console.log(`📥 Event persisted => combo:${comboKey}, window closes at ${windowClosesAt.toISOString()}`);
+
+  // Nudge this instance's worker as soon as the window closes; the poller
+  // (here or on any other instance) picks it up otherwise.
+  const delay = Math.max(0, windowClosesAt.getTime() - Date.now()) + 250;
+  setTimeout(() => {
+    runAggregatorWorker().catch((err) => console.error("runAggregatorWorker => error =>", err));
+  }, delay);
+}
+
+/**
+ * Starts the background poller once per process. Safe to call repeatedly.
+ */
+export function startAggregatorWorker() {
+  if (global.__aggregatorWorkerTimer) return;
+  // Webhooks queued by a crashed instance are picked up here too
+  startWebhookQueueWorker();
+  global.__aggregatorWorkerTimer = setInterval(() => {
+    runAggregatorWorker().catch((err) => console.error("runAggregatorWorker => error =>", err));
+  }, AGGREGATOR_POLL_MS);
+  if (typeof global.__aggregatorWorkerTimer.unref === "function") {
+    global.__aggregatorWorkerTimer.unref();
+  }
+  console.log(`🛠️ Aggregator worker started => ${AGGREGATOR_WORKER_ID}`);
+}
+
+/**
+ * Claims and processes every window that is due, one combo at a time.
+ */
+export async function runAggregatorWorker() {
+  if (aggregatorWorkerRunning) return;
+  aggregatorWorkerRunning = true;
+  try {
+    await releaseStaleAggregatorClaims();
+
+    let claimed = await claimNextAggregatorWindow();
+    while (claimed.length > 0) {
+      await processAggregatorEvents(claimed[0].comboKey, claimed);
+      claimed = await claimNextAggregatorWindow();
+    }
+
+    await retryDueDeadLetters();
+    await cleanupProcessedAggregatorEvents();
+    await pruneInventoryLedger();
+  } finally {
+    aggregatorWorkerRunning = false;
+  }
+}
+
+async function claimNextAggregatorWindow() {
+  const now = new Date();
+  return prisma.$queryRaw`
+    UPDATE "PendingInventoryEvent"
+    SET status = 'PROCESSING',
+        "claimedBy" = ${AGGREGATOR_WORKER_ID},
+        "claimedAt" = ${now},
+        attempts = attempts + 1
+    WHERE status = 'PENDING'
+      AND "windowClosesAt" <= ${now}
+      AND "comboKey" = (
+        SELECT p."comboKey"
+        FROM "PendingInventoryEvent" p
+        WHERE p.status = 'PENDING'
+          AND p."windowClosesAt" <= ${now}
+          AND NOT EXISTS (
+            SELECT 1 FROM "PendingInventoryEvent" q
+            WHERE q."comboKey" = p."comboKey" AND q.status = 'PROCESSING'
+          )
+        ORDER BY p."windowClosesAt" ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+    RETURNING *
+  `;
+}
+
+async function releaseStaleAggregatorClaims() {
+  const staleBefore = new Date(Date.now() - AGGREGATOR_STALE_CLAIM_MS);
+  const { count } = await prisma.pendingInventoryEvent.updateMany({
+    where: { status: "PROCESSING", claimedAt: { lt: staleBefore } },
+    data: { status: "PENDING", claimedBy: null, claimedAt: null },
+  });
+  if (count > 0) {
+    console.warn(`⚠️ Released ${count} stale aggregator claims (worker died mid-window?)`);
+  }
+}
+
+async function cleanupProcessedAggregatorEvents() {
+  if (Date.now() - aggregatorLastCleanup < 10 * 60 * 1000) return;
+  aggregatorLastCleanup = Date.now();
+  const { count } = await prisma.pendingInventoryEvent.deleteMany({
+    where: {
+      status: "DONE",
+      processedAt: { lt: new Date(Date.now() - AGGREGATOR_RETENTION_MS) },
+    },
+  });
+  if (count > 0) {
+    console.log(`🧹 Removed ${count} processed aggregator events`);
+  }
+}
+
+async function completeAggregatorRows(rows) {
+  await prisma.pendingInventoryEvent.updateMany({
+    where: { id: { in: rows.map((row) => row.id) } },
+    data: { status: "DONE", processedAt: new Date(), lastError: null },
+  });
+}
+
+async function releaseAggregatorRows(rows, err) {
+  const attempts = Math.max(...rows.map((row) => row.attempts));
+  const giveUp = attempts >= AGGREGATOR_MAX_ATTEMPTS;
+  if (giveUp) {
+    for (const row of rows) {
+      await reportSyncFailure(row.shop, row.comboKey, row.payload, err);
+    }
   }
+  const backoffMs = Math.pow(2, attempts) * 1000;
+  await prisma.pendingInventoryEvent.updateMany({
+    where: { id: { in: rows.map((row) => row.id) } },
+    data: giveUp
+      ? { status: "FAILED", lastError: err.message, processedAt: new Date() }
+      : {
+          status: "PENDING",
+          claimedBy: null,
+          claimedAt: null,
+          lastError: err.message,
+          windowClosesAt: new Date(Date.now() + backoffMs),
+        },
+  });
+  console.error(
+    giveUp
+      ? `❌ Aggregator window failed permanently after ${attempts} attempts => ${err.message}`
+      : `⚠️ Aggregator window released for retry in ${backoffMs}ms => ${err.message}`
+  );
 }
 
-async function processAggregatorEvents(comboKey) {
-  const aggregator = aggregatorMap.get(comboKey);
-  if (!aggregator) return;
+async function processAggregatorEvents(comboKey, rows) {
+  const shopDomain = rows[0].shop;
+
+  let adminHeaders;
+  try {
+    ({ adminHeaders } = await getShopSessionHeaders(shopDomain));
+  } catch (err) {
+    await releaseAggregatorRows(rows, err);
+    return;
+  }
 
-  const { events } = aggregator;
-  aggregatorMap.delete(comboKey);
+  // One sync run per window: every write it causes carries the same reference.
+  // Ordered by when Shopify changed the level, not by delivery, so the last
+  // event per item is really the newest one.
+  const syncRunId = createSyncRunId();
+  const eventTime = (row) => new Date(row.payload?.sourceUpdatedAt || row.createdAt).getTime();
+  const events = [...rows]
+    .sort((a, b) => eventTime(a) - eventTime(b) || new Date(a.createdAt) - new Date(b.createdAt))
+    .map((row) => ({ ...row.payload, shopDomain, adminHeaders, syncRunId }));
 
   console.log(
     `⌛ Listening window closed => combo:${comboKey}, total events: ${events.length}`
@@ -1137,47 +1539,356 @@ async function processAggregatorEvents(comboKey) {
 
   const finalChildMap = new Map();
   let finalMaster = null;
+  const superseded = [];
 
   for (const ev of events) {
     if (ev.isMaster) {
+      if (finalMaster) superseded.push(finalMaster);
       finalMaster = ev;
     } else {
+      if (finalChildMap.has(ev.childVariantId)) superseded.push(finalChildMap.get(ev.childVariantId));
       finalChildMap.set(ev.childVariantId, ev);
     }
   }
 
-  for (const [childVarId, ev] of finalChildMap) {
+  const masterIds = [...finalChildMap.values(), finalMaster].flatMap(masterIdsForEvent);
+  try {
+    await withMasterLocks(shopDomain, masterIds, () =>
+      handleAggregatedEvents(shopDomain, comboKey, superseded, finalChildMap, finalMaster)
+    );
+  } catch (err) {
+    // Lock wait timed out or the database went away => retry the whole window later
+    await releaseAggregatorRows(rows, err);
+    return;
+  }
+
+  await completeAggregatorRows(rows);
+  console.log(`✅ Aggregator processing complete => combo:${comboKey}`);
+}
+
+async function handleAggregatedEvents(shopDomain, comboKey, superseded, finalChildMap, finalMaster) {
+  const dryRun = await isDryRunEnabled(shopDomain);
+  await recordSyncEvents(
+    shopDomain,
+    superseded.map((ev) => ({
+      ...auditFields(ev),
+      oldQty: ev.oldQty,
+      newQty: ev.newQty,
+      outcome: SYNC_OUTCOMES.SKIPPED,
+      reason: SYNC_REASONS.SUPERSEDED,
+    }))
+  );
+
+  for (const ev of finalChildMap.values()) {
+    if (await skipPausedEvent(shopDomain, ev)) continue;
+    if (await skipStaleEvent(shopDomain, ev)) continue;
     try {
-      await handleChildEvent(ev);
+      await applyLedgerBaseline(ev);
+      await runEventHandler(ev, handleChildEvent, dryRun);
+      await recordHandledEvent(ev);
+      await advanceInventoryWatermark(shopDomain, ev.inventoryItemId, ev.locationId, ev.sourceUpdatedAt);
     } catch (err) {
       console.error("handleChildEvent => error =>", err);
+      await reportSyncFailure(shopDomain, comboKey, ev, err);
+      await recordSyncEvents(shopDomain, [{
+        ...auditFields(ev),
+        oldQty: ev.oldQty,
+        newQty: ev.newQty,
+        outcome: SYNC_OUTCOMES.FAILED,
+        reason: SYNC_REASONS.ERROR,
+        details: err.message,
+      }]);
     }
   }
 
-  if (finalMaster) {
+  if (
+    finalMaster &&
+    !(await skipPausedEvent(shopDomain, finalMaster)) &&
+    !(await skipStaleEvent(shopDomain, finalMaster))
+  ) {
     try {
-      await handleMasterEvent(finalMaster);
+      await applyLedgerBaseline(finalMaster);
+      await runEventHandler(finalMaster, handleMasterEvent, dryRun);
+      await recordHandledEvent(finalMaster);
+      await advanceInventoryWatermark(
+        shopDomain,
+        finalMaster.inventoryItemId,
+        finalMaster.locationId,
+        finalMaster.sourceUpdatedAt
+      );
     } catch (err) {
       console.error("handleMasterEvent => error =>", err);
+      await reportSyncFailure(shopDomain, comboKey, finalMaster, err);
+      await recordSyncEvents(shopDomain, [{
+        ...auditFields(finalMaster),
+        oldQty: finalMaster.oldQty,
+        newQty: finalMaster.newQty,
+        outcome: SYNC_OUTCOMES.FAILED,
+        reason: SYNC_REASONS.ERROR,
+        details: err.message,
+      }]);
     }
   }
+}
 
-  console.log(`✅ Aggregator processing complete => combo:${comboKey}`);
+/**
+ * Runs one event handler. In dry-run mode the event gets a recorder for
+ * its writes, whose changes are stored once the handler is done.
+ */
+async function runEventHandler(ev, handler, dryRun) {
+  if (!dryRun) return handler(ev);
+  ev.dryRun = createDryRunRecorder(ev.shopDomain, { sourceWebhookId: ev.sourceWebhookId });
+  try {
+    await handler(ev);
+  } finally {
+    await ev.dryRun.flush();
+    // Never dead-lettered with the event: a replay checks the mode again
+    delete ev.dryRun;
+  }
+}
+
+/**
+ * Derives the event's oldQty from the ledger under the MASTER lock, so every
+ * change is diffed against what was really accounted for last. Superseded
+ * changes in the same window are covered by the final event's delta.
+ * Items without accounted entries keep the baseline read on arrival.
+ */
+async function applyLedgerBaseline(ev) {
+  const baseline = await getLedgerBaseline(ev.shopDomain, ev.inventoryItemId, ev.locationId);
+  if (baseline === null || baseline === ev.oldQty) return;
+  console.log(`📒 Ledger baseline => oldQty ${ev.oldQty} → ${baseline} (item:${ev.inventoryItemId})`);
+  ev.oldQty = baseline;
+}
+
+async function recordHandledEvent(ev) {
+  await recordLedgerEntries(ev.shopDomain, [{
+    inventoryItemId: ev.inventoryItemId,
+    locationId: ev.locationId,
+    variantId: ev.isMaster ? ev.variantId : ev.childVariantId,
+    quantity: ev.newQty,
+    source: LEDGER_SOURCES.HANDLED,
+    syncRunId: ev.syncRunId,
+    sourceWebhookId: ev.sourceWebhookId,
+    observedAt: ev.sourceUpdatedAt,
+  }]);
+}
+
+/**
+ * Re-checked under the MASTER lock: a newer change for the same item and
+ * location may have been applied by another window since it was queued.
+ */
+async function skipStaleEvent(shopDomain, ev) {
+  const { stale, watermark } = await checkInventoryWatermark(
+    shopDomain,
+    ev.inventoryItemId,
+    ev.locationId,
+    ev.sourceUpdatedAt
+  );
+  if (!stale) return false;
+  console.log(
+    `⏪ Stale event skipped => item:${ev.inventoryItemId}, loc:${ev.locationId}, ` +
+    `updated_at:${ev.sourceUpdatedAt} < applied:${watermark.toISOString()}`
+  );
+  await recordSyncEvents(shopDomain, [{
+    ...auditFields(ev),
+    oldQty: ev.oldQty,
+    newQty: ev.newQty,
+    outcome: SYNC_OUTCOMES.SKIPPED,
+    reason: SYNC_REASONS.STALE,
+    details: `updated_at ${ev.sourceUpdatedAt} is older than the last applied ${watermark.toISOString()}`,
+  }]);
+  return true;
+}
+
+/**
+ * Re-checked under the MASTER lock: the shop or MASTER may have been
+ * paused while the event waited in the queue.
+ */
+async function skipPausedEvent(shopDomain, ev) {
+  const pausedBy = await getPauseReason(shopDomain, masterIdsForEvent(ev));
+  if (!pausedBy) return false;
+  console.log(`⏸️ Paused event skipped => item:${ev.inventoryItemId}, loc:${ev.locationId} (${pausedBy})`);
+  await recordSyncEvents(shopDomain, [{
+    ...auditFields(ev),
+    oldQty: ev.oldQty,
+    newQty: ev.newQty,
+    outcome: SYNC_OUTCOMES.SKIPPED,
+    reason: SYNC_REASONS.PAUSED,
+    details: pausedBy === "shop" ? "Sync paused for the shop" : "Sync paused for the MASTER",
+  }]);
+  return true;
+}
+
+/************************************************************************
+ * 7.0) DEAD-LETTER REPLAY
+ * Re-runs a failed event through the same handler with fresh credentials.
+ * The event is replayed as recorded: a CHILD event still writes the MASTER
+ * level derived from its payload's newQty. That is only right while the
+ * event is the latest change for its item and location, so a row whose
+ * updated_at is behind the watermark is abandoned instead of replayed.
+ * While the shop or MASTER is paused the row is left untouched.
+ ************************************************************************/
+export async function replayDeadLetter(row, { manual = false } = {}) {
+  try {
+    const { adminHeaders } = await getShopSessionHeaders(row.shop);
+    const ev = { ...row.payload, shopDomain: row.shop, adminHeaders, syncRunId: createSyncRunId() };
+    const dryRun = await isDryRunEnabled(row.shop);
+    let paused = false;
+    let superseded = false;
+    await withMasterLocks(row.shop, masterIdsForEvent(ev), async () => {
+      if (await skipPausedEvent(row.shop, ev)) {
+        paused = true;
+        return;
+      }
+      if (await skipStaleEvent(row.shop, ev)) {
+        superseded = true;
+        return;
+      }
+      await applyLedgerBaseline(ev);
+      await runEventHandler(ev, ev.isMaster ? handleMasterEvent : handleChildEvent, dryRun);
+      await recordHandledEvent(ev);
+      await advanceInventoryWatermark(row.shop, ev.inventoryItemId, ev.locationId, ev.sourceUpdatedAt);
+    });
+    if (paused) {
+      // Left as it is: the next due retry tries again
+      console.log(`⏸️ Dead-letter ${row.id} kept => sync paused`);
+      return { id: row.id, success: false, skipped: true, error: "Sync is paused" };
+    }
+    if (superseded) {
+      await markDeadLetterAbandoned(row.id, "A newer change for the item and location was applied since");
+      console.log(`⏭️ Dead-letter ${row.id} abandoned => superseded by a newer change`);
+      return { id: row.id, success: false, skipped: true, error: "Superseded by a newer change" };
+    }
+    await markDeadLetterResolved(row.id);
+    console.log(`✅ Dead-letter ${row.id} replayed successfully`);
+    return { id: row.id, success: true };
+  } catch (err) {
+    console.error(`❌ Dead-letter ${row.id} replay failed =>`, err);
+    await markDeadLetterFailed(row, err, { manual });
+    return { id: row.id, success: false, error: err.message };
+  }
+}
+
+/**
+ * Dead-letters a failed event and tells subscribed endpoints about it.
+ */
+async function reportSyncFailure(shopDomain, comboKey, ev, err) {
+  await addDeadLetter(shopDomain, comboKey, ev, err);
+  await dispatchWebhookEvent(shopDomain, WEBHOOK_EVENT_TYPES.SYNC_FAILED, {
+    data: {
+      source: ev.isMaster ? "master" : "child",
+      variantId: ev.isMaster ? ev.variantId : ev.childVariantId,
+      masterVariantId: ev.isMaster ? ev.variantId : ev.masterVariantId,
+      sku: ev.sku || null,
+      locationId: ev.locationId !== undefined ? String(ev.locationId) : null,
+      oldQuantity: ev.oldQty ?? null,
+      newQuantity: ev.newQty ?? null,
+      error: err?.message || String(err),
+    },
+  });
+}
+
+async function retryDueDeadLetters() {
+  const due = await claimDueDeadLetters();
+  for (const row of due) {
+    await replayDeadLetter(row);
+  }
+}
+
+/************************************************************************
+ * HELPER => COMMON AUDIT FIELDS FOR THE ITEM NAMED IN A WEBHOOK EVENT
+ ************************************************************************/
+function auditFields(ev) {
+  return {
+    masterVariantId: ev.isMaster ? ev.variantId : ev.masterVariantId,
+    childVariantId: ev.isMaster ? null : ev.childVariantId,
+    inventoryItemId: ev.inventoryItemId,
+    locationId: ev.locationId,
+    sku: ev.sku,
+    sourceWebhookId: ev.sourceWebhookId,
+  };
+}
+
+/************************************************************************
+ * HELPER => WRITES OF THE EVENT HANDLERS
+ * Live unless the event carries a dry-run recorder (ev.dryRun, see
+ * dry-run.server.js), which records them so the handlers still run in full.
+ ************************************************************************/
+const LIVE_WRITES = {
+  setInventoryQuantityBatch,
+  setQtyOldValue,
+  setQtyOldValueDB,
+  sendCustomWebhook,
+  consumeOrderClaims,
+  recordOrderClaim,
+  saveRatioRemainder,
+  recordSyncEvents,
+};
+
+function writesFor(ev) {
+  return ev.dryRun || LIVE_WRITES;
 }
 
 /************************************************************************
  * CHILD EVENT HANDLER
- * We do difference-based logic: newMaster = masterOld + (childDiff * childDivisor).
- * Then recalc siblings. If childDivisor=1 => child's quantity matches MASTER.
+ * We do difference-based logic: newMaster = masterOld + (childDiff * childRatio),
+ * rounded with the child's rounding mode. Then recalc siblings.
+ * If childRatio=1 => child's quantity matches MASTER. A child with safety
+ * stock is re-derived from the new MASTER qty instead of keeping its own.
  ************************************************************************/
 async function handleChildEvent(ev) {
   console.log(
     `handleChildEvent => childVariant:${ev.childVariantId}, oldQty:${ev.oldQty}, newQty:${ev.newQty}`
   );
+  if (ev.isBundle) {
+    return handleBundleEvent(ev);
+  }
   const { shopDomain, adminHeaders } = ev;
+  const writes = writesFor(ev);
 
-  const childDivisor = await getVariantQtyManagement(shopDomain, adminHeaders, ev.childVariantId);
-  console.log(`childDivisor => ${childDivisor}`);
+  const locationRule = await getLocationRule(shopDomain, ev.masterVariantId);
+  if (!locationParticipates(locationRule, ev.locationId)) {
+    console.log(
+      `📍 Location ${ev.locationId} is not synced for MASTER ${ev.masterVariantId} ` +
+      `(${locationRule.mode}). Skipping.`
+    );
+    await writes.recordSyncEvents(shopDomain, [{
+      ...auditFields(ev),
+      oldQty: ev.oldQty,
+      newQty: ev.newQty,
+      outcome: SYNC_OUTCOMES.SKIPPED,
+      reason: SYNC_REASONS.LOCATION_EXCLUDED,
+      details: `Location rule: ${locationRule.mode}`,
+    }]);
+    return;
+  }
+  const isPooled = locationRule.mode === LOCATION_SYNC_MODES.POOLED;
+  const childLocationId = getChildTargetLocation(locationRule, ev.locationId);
+
+  // With order sync, sales and restocks an order/refund already applied are netted out
+  const orderSync = await isOrderSyncEnabled(shopDomain);
+  const rawChildDiff = ev.newQty - ev.oldQty;
+  const childDiff = orderSync
+    ? await writes.consumeOrderClaims(
+        shopDomain,
+        ev.inventoryItemId,
+        ev.locationId,
+        rawChildDiff,
+        ORDER_CLAIM_SOURCES.INVENTORY
+      )
+    : rawChildDiff;
+
+  const masterDefaults = await getVariantQtyManagement(shopDomain, adminHeaders, ev.masterVariantId);
+  const childRatio = await getChildSettings(
+    shopDomain,
+    adminHeaders,
+    { variantId: ev.childVariantId },
+    masterDefaults
+  );
+  console.log(
+    `childRatio => ${childRatio.ratio} (${childRatio.rounding}), ` +
+    `buffer:${childRatio.buffer ?? '-'}, cap:${childRatio.cap ?? '-'}`
+  );
 
   const masterCurrentQty = await getCurrentAvailableQuantity(
     shopDomain,
@@ -1187,12 +1898,21 @@ async function handleChildEvent(ev) {
   );
   console.log(`masterCurrentQty => ${masterCurrentQty}`);
 
-  let expectedChildQty;
-  if (childDivisor === 1) {
-    expectedChildQty = masterCurrentQty;
-  } else {
-    expectedChildQty = Math.floor(masterCurrentQty / (childDivisor || 1));
-  }
+  const masterBasisQty = isPooled
+    ? await getPooledAvailableQuantity(
+        shopDomain,
+        adminHeaders,
+        ev.masterInventoryItemId,
+        locationRule.locationIds,
+        { [String(ev.locationId)]: masterCurrentQty }
+      )
+    : masterCurrentQty;
+
+  const remainder = await getRatioRemainder(shopDomain, ev.childVariantId, ev.masterVariantId, ev.locationId);
+  const expectedChildQty = applySafetyStock(
+    childQtyFromMaster(masterBasisQty + remainder, childRatio.ratio, childRatio.rounding),
+    childRatio
+  );
   console.log(`expectedChildQty => ${expectedChildQty}, actualNewQty => ${ev.newQty}`);
 
   if (expectedChildQty === ev.newQty) {
@@ -1201,26 +1921,36 @@ async function handleChildEvent(ev) {
       `Likely originated from the modal.`
     );
     await Promise.all([
-      setQtyOldValueDB(shopDomain, ev.childVariantId, ev.newQty),
-      setQtyOldValue(shopDomain, adminHeaders, ev.childVariantId, ev.newQty)
+      writes.setQtyOldValueDB(shopDomain, ev.childVariantId, ev.newQty),
+      writes.setQtyOldValue(shopDomain, adminHeaders, ev.childVariantId, ev.newQty)
     ]);
+    await writes.recordSyncEvents(shopDomain, [{
+      ...auditFields(ev),
+      oldQty: ev.oldQty,
+      newQty: ev.newQty,
+      outcome: SYNC_OUTCOMES.SKIPPED,
+      reason: SYNC_REASONS.UI_INITIATED,
+      details: `Child already matches MASTER (${masterBasisQty}) / ratio ${childRatio.ratio}`,
+    }]);
     return;
   }
 
-  const childDiff = ev.newQty - ev.oldQty;
-  const masterOldQty = await getQtyOldValueDB(shopDomain, ev.masterVariantId) || masterCurrentQty;
-  console.log(`masterOldQty (from DB) => ${masterOldQty}`);
+  const masterOldQty =
+    (await getLocationQtyOld(shopDomain, ev.masterVariantId, ev.masterInventoryItemId, ev.locationId)) ??
+    masterCurrentQty;
+  console.log(`masterOldQty (ledger) => ${masterOldQty}`);
 
-  const scaledDiff = childDiff * childDivisor;
-  const newMasterQty = masterOldQty + scaledDiff;
-  console.log(`newMasterQty => ${newMasterQty}`);
+  const scaled = scaleChildDiff(childDiff, childRatio.ratio, childRatio.rounding, remainder);
+  const newMasterQty = masterOldQty + scaled.masterDiff;
+  console.log(`newMasterQty => ${newMasterQty} (remainder ${remainder} → ${scaled.remainder})`);
 
   const batchUpdates = [];
-  batchUpdates.push({
+  const childUpdate = {
     inventoryItemId: ev.inventoryItemId,
     locationId: ev.locationId,
     quantity: ev.newQty
-  });
+  };
+  batchUpdates.push(childUpdate);
 
   const masterNeedsUpdate = newMasterQty !== masterCurrentQty;
   if (masterNeedsUpdate) {
@@ -1239,6 +1969,25 @@ async function handleChildEvent(ev) {
   }
 
   const finalMasterQty = masterNeedsUpdate ? newMasterQty : masterCurrentQty;
+  const finalMasterBasisQty = isPooled
+    ? await getPooledAvailableQuantity(
+        shopDomain,
+        adminHeaders,
+        ev.masterInventoryItemId,
+        locationRule.locationIds,
+        { [String(ev.locationId)]: finalMasterQty }
+      )
+    : finalMasterQty;
+
+  // With safety stock the child is re-derived from the new MASTER qty,
+  // e.g. a capped child goes back up to its cap after a sale.
+  const childFinalQty = hasSafetyStock(childRatio)
+    ? applySafetyStock(
+        childQtyFromMaster(finalMasterBasisQty + scaled.remainder, childRatio.ratio, childRatio.rounding),
+        childRatio
+      )
+    : ev.newQty;
+  childUpdate.quantity = childFinalQty;
 
   const siblingData = await Promise.all(
     siblings.map(async (sib) => {
@@ -1246,15 +1995,17 @@ async function handleChildEvent(ev) {
       if (sid === String(ev.inventoryItemId)) {
         return null;
       }
-      const sDivisor = await getVariantQtyManagement(shopDomain, adminHeaders, sib.variantId);
-      const oldSQty = await getCurrentAvailableQuantity(shopDomain, adminHeaders, sid, ev.locationId);
-      
-      let newSQty;
-      if (sDivisor === 1) {
-        newSQty = finalMasterQty;
-      } else {
-        newSQty = Math.floor(finalMasterQty / (sDivisor || 1));
-      }
+      const sRatio = await getChildSettings(shopDomain, adminHeaders, sib, masterDefaults);
+      const oldSQty = await getCurrentAvailableQuantity(shopDomain, adminHeaders, sid, childLocationId);
+      const newSQty = await calculateChildQuantity(
+        shopDomain,
+        adminHeaders,
+        sib,
+        sRatio,
+        ev.masterVariantId,
+        finalMasterBasisQty,
+        childLocationId
+      );
       
       return {
         sibling: sib,
@@ -1270,7 +2021,7 @@ async function handleChildEvent(ev) {
     if (data && data.needsUpdate) {
       batchUpdates.push({
         inventoryItemId: data.sid,
-        locationId: ev.locationId,
+        locationId: childLocationId,
         quantity: data.newSQty
       });
       updatedVariants.add(data.sibling.variantId);
@@ -1279,13 +2030,84 @@ async function handleChildEvent(ev) {
   }
 
   if (batchUpdates.length > 0) {
-    await setInventoryQuantityBatch(shopDomain, adminHeaders, batchUpdates, true);
+    await writes.setInventoryQuantityBatch(shopDomain, adminHeaders, batchUpdates, true, ev.syncRunId);
+  }
+  if (scaled.remainder !== remainder) {
+    await writes.saveRatioRemainder(shopDomain, {
+      childVariantId: ev.childVariantId,
+      masterVariantId: ev.masterVariantId,
+      locationId: ev.locationId,
+      remainder: scaled.remainder,
+    });
+  }
+  if (orderSync) {
+    await writes.recordOrderClaim(shopDomain, {
+      inventoryItemId: ev.inventoryItemId,
+      locationId: ev.locationId,
+      quantity: childDiff,
+      source: ORDER_CLAIM_SOURCES.INVENTORY,
+      reference: ev.sourceWebhookId,
+    });
   }
 
+  const auditRows = [{
+    ...auditFields(ev),
+    oldQty: ev.oldQty,
+    newQty: ev.newQty,
+    outcome: SYNC_OUTCOMES.SYNCED,
+    reason: SYNC_REASONS.SOURCE_CHANGE,
+    details: `Child diff ${childDiff} x ratio ${childRatio.ratio} (${childRatio.rounding})` +
+      (childDiff !== rawChildDiff ? `; ${rawChildDiff - childDiff} already applied from orders` : '') +
+      (childFinalQty !== ev.newQty ? `; safety stock set child to ${childFinalQty}` : ''),
+  }];
+  if (masterNeedsUpdate) {
+    auditRows.push({
+      masterVariantId: ev.masterVariantId,
+      inventoryItemId: ev.masterInventoryItemId,
+      locationId: ev.locationId,
+      oldQty: masterCurrentQty,
+      newQty: newMasterQty,
+      outcome: SYNC_OUTCOMES.SYNCED,
+      reason: SYNC_REASONS.RECALCULATED,
+      details: `MASTER adjusted by child ${ev.childVariantId}`,
+      sourceWebhookId: ev.sourceWebhookId,
+    });
+  }
+  for (const data of siblingData) {
+    if (data && data.needsUpdate) {
+      auditRows.push({
+        masterVariantId: ev.masterVariantId,
+        childVariantId: data.sibling.variantId,
+        inventoryItemId: data.sid,
+        locationId: childLocationId,
+        sku: data.sibling.sku,
+        oldQty: data.oldSQty,
+        newQty: data.newSQty,
+        outcome: SYNC_OUTCOMES.SYNCED,
+        reason: SYNC_REASONS.RECALCULATED,
+        details: `Sibling of child ${ev.childVariantId}`,
+        sourceWebhookId: ev.sourceWebhookId,
+      });
+    }
+  }
+  await writes.recordSyncEvents(shopDomain, auditRows);
+
+  const childrenData = [
+    { variantId: ev.childVariantId, sku: ev.sku, oldQty: ev.oldQty, newQty: childFinalQty },
+    ...siblingData
+      .filter(Boolean)
+      .map((data) => ({
+        variantId: data.sibling.variantId,
+        sku: data.sibling.sku,
+        oldQty: data.oldSQty,
+        newQty: data.newSQty,
+      })),
+  ];
+
   const qtyOldUpdates = Array.from(updatedVariants).map(async (vid) => {
     let finalQty;
     if (vid === ev.childVariantId) {
-      finalQty = ev.newQty;
+      finalQty = childFinalQty;
     } else if (vid === ev.masterVariantId) {
       finalQty = newMasterQty;
     } else {
@@ -1295,50 +2117,246 @@ async function handleChildEvent(ev) {
         shopDomain,
         adminHeaders,
         siblingInvId,
-        ev.locationId
+        childLocationId
       );
       finalQty = realQty;
     }
 
     return Promise.all([
-      setQtyOldValueDB(shopDomain, vid, finalQty),
-      setQtyOldValue(shopDomain, adminHeaders, vid, finalQty)
+      writes.setQtyOldValueDB(shopDomain, vid, finalQty),
+      writes.setQtyOldValue(shopDomain, adminHeaders, vid, finalQty)
     ]);
   });
 
   await Promise.all(qtyOldUpdates);
+
+  await writes.sendCustomWebhook(
+    shopDomain,
+    { variantId: ev.masterVariantId, sku: null, oldQty: masterCurrentQty, newQty: finalMasterQty },
+    childrenData,
+    {
+      eventType: WEBHOOK_EVENT_TYPES.CHILD_CHANGED,
+      locationId: ev.locationId,
+      triggerSource: "child",
+      triggerVariantId: ev.childVariantId,
+      triggerSku: ev.sku,
+      sourceWebhookId: ev.sourceWebhookId,
+    }
+  );
+}
+
+/************************************************************************
+ * BUNDLE EVENT HANDLER
+ * A bundle changed => every component MASTER moves by bundleDiff * ratio.
+ * All MASTERS are written in one batch first, so that when each MASTER
+ * then recalculates its children, every bundle sees the final quantities.
+ ************************************************************************/
+async function handleBundleEvent(ev) {
+  const { shopDomain, adminHeaders } = ev;
+  const writes = writesFor(ev);
+  const components = ev.bundleComponents || [];
+
+  const rules = await Promise.all(
+    components.map((component) => getLocationRule(shopDomain, component.masterVariantId))
+  );
+  const participating = components.filter((_, i) => locationParticipates(rules[i], ev.locationId));
+
+  if (participating.length === 0) {
+    console.log(
+      `📍 Location ${ev.locationId} is not synced for any component of bundle ${ev.childVariantId}. ` +
+      `Skipping.`
+    );
+    await writes.recordSyncEvents(shopDomain, [{
+      ...auditFields(ev),
+      oldQty: ev.oldQty,
+      newQty: ev.newQty,
+      outcome: SYNC_OUTCOMES.SKIPPED,
+      reason: SYNC_REASONS.LOCATION_EXCLUDED,
+      details: "No bundle component syncs this location",
+    }]);
+    return;
+  }
+
+  const orderSync = await isOrderSyncEnabled(shopDomain);
+  const rawBundleDiff = ev.newQty - ev.oldQty;
+  const bundleDiff = orderSync
+    ? await writes.consumeOrderClaims(
+        shopDomain,
+        ev.inventoryItemId,
+        ev.locationId,
+        rawBundleDiff,
+        ORDER_CLAIM_SOURCES.INVENTORY
+      )
+    : rawBundleDiff;
+
+  const bundleSettings = await getVariantQtyManagement(shopDomain, adminHeaders, ev.childVariantId);
+  const expectedBundleQty = applySafetyStock(
+    await getBundleAvailableQuantity(shopDomain, adminHeaders, components, ev.locationId, {}, ev.childVariantId),
+    bundleSettings
+  );
+  console.log(`expectedBundleQty => ${expectedBundleQty}, actualNewQty => ${ev.newQty}`);
+
+  if (expectedBundleQty === ev.newQty) {
+    console.log(
+      `🚩 Skipping webhook processing: Bundle quantity matches its components. ` +
+      `Likely originated from the modal or a component change.`
+    );
+    await Promise.all([
+      writes.setQtyOldValueDB(shopDomain, ev.childVariantId, ev.newQty),
+      writes.setQtyOldValue(shopDomain, adminHeaders, ev.childVariantId, ev.newQty)
+    ]);
+    await writes.recordSyncEvents(shopDomain, [{
+      ...auditFields(ev),
+      oldQty: ev.oldQty,
+      newQty: ev.newQty,
+      outcome: SYNC_OUTCOMES.SKIPPED,
+      reason: SYNC_REASONS.UI_INITIATED,
+      details: `Bundle already matches its ${components.length} components`,
+    }]);
+    return;
+  }
+
+  const componentUpdates = await Promise.all(
+    participating.map(async (component) => {
+      const currentQty = await getCurrentAvailableQuantity(
+        shopDomain,
+        adminHeaders,
+        component.masterInventoryItemId,
+        ev.locationId
+      );
+      const oldQty =
+        (await getLocationQtyOld(
+          shopDomain,
+          component.masterVariantId,
+          component.masterInventoryItemId,
+          ev.locationId
+        )) ?? currentQty;
+      const remainder = await getRatioRemainder(
+        shopDomain,
+        ev.childVariantId,
+        component.masterVariantId,
+        ev.locationId
+      );
+      // Bundles always round down so a sale never leaves a MASTER overstated
+      const scaled = scaleChildDiff(bundleDiff, component.ratio, RATIO_ROUNDING.FLOOR, remainder);
+      return {
+        ...component,
+        currentQty,
+        oldQty,
+        newQty: oldQty + scaled.masterDiff,
+        remainder,
+        newRemainder: scaled.remainder,
+      };
+    })
+  );
+  console.log(
+    `🧩 Bundle diff ${bundleDiff} => ` +
+    componentUpdates.map((u) => `${u.masterVariantId}: ${u.oldQty} → ${u.newQty}`).join(", ")
+  );
+
+  const batchUpdates = componentUpdates
+    .filter((update) => update.newQty !== update.currentQty)
+    .map((update) => ({
+      inventoryItemId: update.masterInventoryItemId,
+      locationId: ev.locationId,
+      quantity: update.newQty
+    }));
+  if (batchUpdates.length > 0) {
+    await writes.setInventoryQuantityBatch(shopDomain, adminHeaders, batchUpdates, true, ev.syncRunId);
+  }
+  for (const update of componentUpdates) {
+    if (update.newRemainder === update.remainder) continue;
+    await writes.saveRatioRemainder(shopDomain, {
+      childVariantId: ev.childVariantId,
+      masterVariantId: update.masterVariantId,
+      locationId: ev.locationId,
+      remainder: update.newRemainder,
+    });
+  }
+  if (orderSync) {
+    await writes.recordOrderClaim(shopDomain, {
+      inventoryItemId: ev.inventoryItemId,
+      locationId: ev.locationId,
+      quantity: bundleDiff,
+      source: ORDER_CLAIM_SOURCES.INVENTORY,
+      reference: ev.sourceWebhookId,
+    });
+  }
+
+  await Promise.all([
+    writes.setQtyOldValueDB(shopDomain, ev.childVariantId, ev.newQty),
+    writes.setQtyOldValue(shopDomain, adminHeaders, ev.childVariantId, ev.newQty)
+  ]);
+  await writes.recordSyncEvents(shopDomain, [{
+    ...auditFields(ev),
+    oldQty: ev.oldQty,
+    newQty: ev.newQty,
+    outcome: SYNC_OUTCOMES.SYNCED,
+    reason: SYNC_REASONS.SOURCE_CHANGE,
+    details: `Bundle diff ${bundleDiff} across ${componentUpdates.length} components` +
+      (bundleDiff !== rawBundleDiff ? `; ${rawBundleDiff - bundleDiff} already applied from orders` : ''),
+  }]);
+
+  // Sequential on purpose: each MASTER rewrites the shared bundle as one of its children
+  for (const update of componentUpdates) {
+    await handleMasterEvent(
+      {
+        shopDomain,
+        adminHeaders,
+        isMaster: true,
+        variantId: update.masterVariantId,
+        inventoryItemId: update.masterInventoryItemId,
+        locationId: ev.locationId,
+        oldQty: update.oldQty,
+        newQty: update.newQty,
+        sku: '',
+        sourceWebhookId: ev.sourceWebhookId,
+        syncRunId: ev.syncRunId,
+        dryRun: ev.dryRun,
+      },
+      { variantId: ev.childVariantId, sku: ev.sku }
+    );
+  }
 }
 
 /************************************************************************
  * MASTER EVENT HANDLER
- * MASTER => recalc children => if childDivisor=1 => child=MASTER 
- * else child = floor(MASTER / childDivisor)
+ * MASTER => recalc children => if childRatio=1 => child=MASTER 
+ * else child = MASTER / childRatio, rounded; bundles take the minimum
+ * over all of their components. Safety stock (buffer/cap) is applied
+ * last. `trigger` is set when a bundle or order sale moved this MASTER:
+ * { variantId, sku, source: "bundle" | "child", details }.
  ************************************************************************/
-async function handleMasterEvent(ev) {
+async function handleMasterEvent(ev, trigger = null) {
   const { shopDomain, adminHeaders } = ev;
+  const writes = writesFor(ev);
   console.log(`handleMasterEvent => oldQty:${ev.oldQty}, newQty:${ev.newQty}, sku:${ev.sku || 'N/A'}`);
 
+  const locationRule = await getLocationRule(shopDomain, ev.variantId);
+  if (!locationParticipates(locationRule, ev.locationId)) {
+    console.log(
+      `📍 Location ${ev.locationId} is not synced for MASTER ${ev.variantId} ` +
+      `(${locationRule.mode}). Skipping.`
+    );
+    await writes.recordSyncEvents(shopDomain, [{
+      ...auditFields(ev),
+      oldQty: ev.oldQty,
+      newQty: ev.newQty,
+      outcome: SYNC_OUTCOMES.SKIPPED,
+      reason: SYNC_REASONS.LOCATION_EXCLUDED,
+      details: `Location rule: ${locationRule.mode}`,
+    }]);
+    return;
+  }
+  const childLocationId = getChildTargetLocation(locationRule, ev.locationId);
+
   const shopMasterQty = await getCurrentAvailableQuantity(
     shopDomain,
     adminHeaders,
     ev.inventoryItemId,
     ev.locationId
   );
-  const storedOldQty = await getQtyOldValueDB(shopDomain, ev.variantId);
 
-  const likelyFromUI = storedOldQty !== ev.oldQty && shopMasterQty === ev.newQty;
-  if (likelyFromUI) {
-    console.log(
-      `🚩 Potential UI-initiated update => mismatch oldQty, but final matches newQty. ` +
-      `Updating oldQty only, skipping child recalculation.`
-    );
-    await Promise.all([
-      setQtyOldValueDB(shopDomain, ev.variantId, ev.newQty),
-      setQtyOldValue(shopDomain, adminHeaders, ev.variantId, ev.newQty)
-    ]);
-    return;
-  }
-  
   const batchUpdates = [];
   const updatedVariants = new Set();
   updatedVariants.add(ev.variantId);
@@ -1351,30 +2369,44 @@ async function handleMasterEvent(ev) {
     });
   }
 
+  const masterBasisQty = locationRule.mode === LOCATION_SYNC_MODES.POOLED
+    ? await getPooledAvailableQuantity(
+        shopDomain,
+        adminHeaders,
+        ev.inventoryItemId,
+        locationRule.locationIds,
+        { [String(ev.locationId)]: ev.newQty }
+      )
+    : ev.newQty;
+
   const children = await getChildrenInventoryItems(shopDomain, adminHeaders, ev.variantId);
+  const masterDefaults = await getVariantQtyManagement(shopDomain, adminHeaders, ev.variantId);
   let childrenData = [];
 
-  const childDivisors = await Promise.all(
+  const childRatios = await Promise.all(
     children.map(async (child) => {
       const cid = child.inventoryItemId.replace("gid://shopify/InventoryItem/", "");
-      const divisor = await getVariantQtyManagement(shopDomain, adminHeaders, child.variantId);
-      const oldQty = await getCurrentAvailableQuantity(shopDomain, adminHeaders, cid, ev.locationId);
-      return { child, cid, divisor, oldQty };
+      const ratio = await getChildSettings(shopDomain, adminHeaders, child, masterDefaults);
+      const oldQty = await getCurrentAvailableQuantity(shopDomain, adminHeaders, cid, childLocationId);
+      const newCQty = await calculateChildQuantity(
+        shopDomain,
+        adminHeaders,
+        child,
+        ratio,
+        ev.variantId,
+        masterBasisQty,
+        childLocationId
+      );
+      return { child, cid, ratio, oldQty, newCQty };
     })
   );
 
-  for (const { child, cid, divisor, oldQty } of childDivisors) {
-    let newCQty;
-    if (divisor === 1) {
-      newCQty = ev.newQty;
-    } else {
-      newCQty = Math.floor(ev.newQty / (divisor || 1));
-    }
+  for (const { child, cid, oldQty, newCQty } of childRatios) {
 
     if (newCQty !== oldQty) {
       batchUpdates.push({
         inventoryItemId: cid,
-        locationId: ev.locationId,
+        locationId: childLocationId,
         quantity: newCQty
       });
       updatedVariants.add(child.variantId);
@@ -1388,14 +2420,44 @@ async function handleMasterEvent(ev) {
   }
 
   if (batchUpdates.length > 0) {
-    await setInventoryQuantityBatch(
+    await writes.setInventoryQuantityBatch(
       shopDomain,
       adminHeaders,
       batchUpdates,
-      true
+      true,
+      ev.syncRunId
     );
   }
 
+  await writes.recordSyncEvents(shopDomain, [
+    {
+      ...auditFields(ev),
+      oldQty: ev.oldQty,
+      newQty: ev.newQty,
+      outcome: SYNC_OUTCOMES.SYNCED,
+      reason: trigger ? SYNC_REASONS.RECALCULATED : SYNC_REASONS.SOURCE_CHANGE,
+      details: trigger ? trigger.details || `Component of bundle ${trigger.variantId}` : undefined,
+    },
+    ...childRatios
+      .map(({ child, cid, ratio, oldQty }, i) => ({
+        masterVariantId: ev.variantId,
+        childVariantId: child.variantId,
+        inventoryItemId: cid,
+        locationId: childLocationId,
+        sku: child.sku,
+        oldQty,
+        newQty: childrenData[i].newQty,
+        outcome: SYNC_OUTCOMES.SYNCED,
+        reason: SYNC_REASONS.RECALCULATED,
+        details: (child.bundleComponents
+          ? `Bundle minimum across ${child.bundleComponents.length} components`
+          : `MASTER ${masterBasisQty} / ratio ${ratio.ratio} (${ratio.rounding})`) +
+          (hasSafetyStock(ratio) ? `, buffer ${ratio.buffer ?? 0}, cap ${ratio.cap ?? 'none'}` : ''),
+        sourceWebhookId: ev.sourceWebhookId,
+      }))
+      .filter((row) => row.oldQty !== row.newQty),
+  ]);
+
   const dbUpdatePromises = Array.from(updatedVariants).map(async (vId) => {
     let finalQty;
     if (vId === ev.variantId) {
@@ -1407,31 +2469,205 @@ async function handleMasterEvent(ev) {
         shopDomain,
         adminHeaders,
         childInvId,
-        ev.locationId
+        childLocationId
       );
     }
     await Promise.all([
-      setQtyOldValueDB(shopDomain, vId, finalQty),
-      setQtyOldValue(shopDomain, adminHeaders, vId, finalQty)
+      writes.setQtyOldValueDB(shopDomain, vId, finalQty),
+      writes.setQtyOldValue(shopDomain, adminHeaders, vId, finalQty)
     ]);
   });
 
   await Promise.all(dbUpdatePromises);
 
   console.log("🚀 Calling sendCustomWebhook...");
-  await sendCustomWebhook(
+  await writes.sendCustomWebhook(
     shopDomain,
     { variantId: ev.variantId, sku: ev.sku || '', oldQty: ev.oldQty, newQty: ev.newQty },
-    childrenData
+    childrenData,
+    {
+      eventType: trigger ? WEBHOOK_EVENT_TYPES.CHILD_CHANGED : WEBHOOK_EVENT_TYPES.MASTER_CHANGED,
+      locationId: ev.locationId,
+      triggerSource: trigger ? trigger.source || "bundle" : "master",
+      triggerVariantId: trigger ? trigger.variantId : ev.variantId,
+      triggerSku: trigger ? trigger.sku : ev.sku,
+      sourceWebhookId: ev.sourceWebhookId,
+    }
   );
   console.log("📬 sendCustomWebhook function executed.");
 }
 
+/************************************************************************
+ * ORDER EVENT HANDLER
+ * A sold (delta < 0) or restocked (delta > 0) CHILD line moves its
+ * MASTER by delta x ratio directly; bundles move every component. Each
+ * MASTER then recalculates all of its children, the sold one included.
+ * The inventory webhook of the same sale is netted out by the ORDER claim
+ * left here. Runs under the MASTER locks (see order-sync.server.js).
+ * change: { shopDomain, adminHeaders, info (getMasterChildInfo), locationId,
+ *           delta, reference, syncRunId, dryRun }
+ ************************************************************************/
+export async function applyOrderLineChange(change) {
+  const { shopDomain, adminHeaders, info, locationId, reference, syncRunId } = change;
+  const writes = writesFor(change);
+  const audit = {
+    masterVariantId: info.masterVariantId,
+    childVariantId: info.childVariantId,
+    inventoryItemId: info.inventoryItemId,
+    locationId,
+    sku: info.childSku,
+  };
+
+  let components;
+  if (info.isBundle) {
+    // Bundles always round down so a sale never leaves a MASTER overstated
+    components = info.bundleComponents.map((c) => ({ ...c, rounding: RATIO_ROUNDING.FLOOR }));
+  } else {
+    const masterDefaults = await getVariantQtyManagement(shopDomain, adminHeaders, info.masterVariantId);
+    const settings = await getChildSettings(
+      shopDomain,
+      adminHeaders,
+      { variantId: info.childVariantId },
+      masterDefaults
+    );
+    components = [{
+      masterVariantId: info.masterVariantId,
+      masterInventoryItemId: info.masterInventoryItemId,
+      ratio: settings.ratio,
+      rounding: settings.rounding,
+    }];
+  }
+
+  const rules = await Promise.all(components.map((c) => getLocationRule(shopDomain, c.masterVariantId)));
+  const participating = components.filter((_, i) => locationParticipates(rules[i], locationId));
+  if (participating.length === 0) {
+    await writes.recordSyncEvents(shopDomain, [{
+      ...audit,
+      outcome: SYNC_OUTCOMES.SKIPPED,
+      reason: SYNC_REASONS.LOCATION_EXCLUDED,
+      details: `${reference}: location not synced`,
+    }]);
+    return;
+  }
+
+  const delta = await writes.consumeOrderClaims(
+    shopDomain,
+    info.inventoryItemId,
+    locationId,
+    change.delta,
+    ORDER_CLAIM_SOURCES.ORDER
+  );
+  if (delta === 0) {
+    await writes.recordSyncEvents(shopDomain, [{
+      ...audit,
+      outcome: SYNC_OUTCOMES.SKIPPED,
+      reason: SYNC_REASONS.ALREADY_APPLIED,
+      details: `${reference}: ${change.delta} already applied from the inventory webhook`,
+    }]);
+    return;
+  }
+
+  const masterUpdates = await Promise.all(
+    participating.map(async (component) => {
+      const currentQty = await getCurrentAvailableQuantity(
+        shopDomain,
+        adminHeaders,
+        component.masterInventoryItemId,
+        locationId
+      );
+      const remainder = await getRatioRemainder(
+        shopDomain,
+        info.childVariantId,
+        component.masterVariantId,
+        locationId
+      );
+      const scaled = scaleChildDiff(delta, component.ratio, component.rounding, remainder);
+      return {
+        ...component,
+        currentQty,
+        newQty: currentQty + scaled.masterDiff,
+        remainder,
+        newRemainder: scaled.remainder,
+      };
+    })
+  );
+  console.log(
+    `🛒 ${reference} => child ${info.childVariantId} ${delta > 0 ? "+" : ""}${delta} => ` +
+    masterUpdates.map((u) => `${u.masterVariantId}: ${u.currentQty} → ${u.newQty}`).join(", ")
+  );
+
+  // Every MASTER first, so bundles recalculated below see all final quantities
+  const batchUpdates = masterUpdates
+    .filter((update) => update.newQty !== update.currentQty)
+    .map((update) => ({
+      inventoryItemId: update.masterInventoryItemId,
+      locationId,
+      quantity: update.newQty,
+    }));
+  if (batchUpdates.length > 0) {
+    await writes.setInventoryQuantityBatch(shopDomain, adminHeaders, batchUpdates, true, syncRunId);
+  }
+  for (const update of masterUpdates) {
+    if (update.newRemainder === update.remainder) continue;
+    await writes.saveRatioRemainder(shopDomain, {
+      childVariantId: info.childVariantId,
+      masterVariantId: update.masterVariantId,
+      locationId,
+      remainder: update.newRemainder,
+    });
+  }
+  await writes.recordOrderClaim(shopDomain, {
+    inventoryItemId: info.inventoryItemId,
+    locationId,
+    quantity: delta,
+    source: ORDER_CLAIM_SOURCES.ORDER,
+    reference,
+  });
+  await writes.recordSyncEvents(shopDomain, [{
+    ...audit,
+    outcome: SYNC_OUTCOMES.SYNCED,
+    reason: SYNC_REASONS.ORDER_LINE,
+    details: `${reference}: ${delta} unit(s)` +
+      (delta !== change.delta ? `, ${change.delta - delta} already applied from the inventory webhook` : ''),
+  }]);
+
+  for (const update of masterUpdates) {
+    await handleMasterEvent(
+      {
+        shopDomain,
+        adminHeaders,
+        isMaster: true,
+        variantId: update.masterVariantId,
+        inventoryItemId: update.masterInventoryItemId,
+        locationId,
+        oldQty: update.currentQty,
+        newQty: update.newQty,
+        sku: '',
+        sourceWebhookId: null,
+        syncRunId,
+        dryRun: change.dryRun,
+      },
+      {
+        variantId: info.childVariantId,
+        sku: info.childSku,
+        source: "child",
+        details: `${reference}: child ${delta} x ratio ${update.ratio}`,
+      }
+    );
+  }
+}
+
 /************************************************************************
  * 7.1) SEND CUSTOM WEBHOOK
  * We dispatch a JSON payload to the 'customApiUrl' the merchant has defined.
+ * The body format follows the shop's webhookPayloadVersion; the LEGACY format
+ * is only sent for MASTER-originated changes (see webhook-payloads.server.js).
+ * Deliveries are queued and sent once the sync is done (custom-webhook.server.js).
  ************************************************************************/
-export async function sendCustomWebhook(shopDomain, masterData, childrenData) {
+export async function sendCustomWebhook(shopDomain, masterData, childrenData, context = {}) {
+  const eventType = context.eventType || WEBHOOK_EVENT_TYPES.MASTER_CHANGED;
+  const v2Payload = buildV2Payload(shopDomain, masterData, childrenData, { ...context, eventType });
+
   try {
     console.log(`🔍 Retrieving customApiUrl for shop: ${shopDomain}`);
     const subscription = await prisma.shopSubscription.findUnique({
@@ -1440,49 +2676,24 @@ export async function sendCustomWebhook(shopDomain, masterData, childrenData) {
 
     if (!subscription || !subscription.customApiUrl) {
       console.warn(`⚠️ No customApiUrl found for shop: ${shopDomain}, skipping webhook.`);
-      return;
-    }
-
-    const webhookUrl = subscription.customApiUrl;
-    console.log(`📡 Sending webhook to: ${webhookUrl}`);
-
-    const payload = {
-      masterID: masterData.variantId,
-      masterSKU: masterData.sku,
-      "master old inventory": masterData.oldQty,
-      "master new inventory": masterData.newQty,
-      Modified: true,
-      children: childrenData.map((child) => ({
-        "child ID": child.variantId,
-        "child SKU": child.sku,
-        "child old inventory": child.oldQty,
-        "child new inventory": child.newQty,
-        Modified: true,
-      })),
-    };
-
-    console.log(`📦 Webhook Payload:`, JSON.stringify(payload, null, 2));
+    } else {
+      const isV2 = subscription.webhookPayloadVersion === PAYLOAD_VERSIONS.V2;
+      if (!isV2 && eventType !== WEBHOOK_EVENT_TYPES.MASTER_CHANGED) {
+        console.log(`ℹ️ Legacy payload format => not sending ${eventType}`);
+      } else {
+        const webhookUrl = subscription.customApiUrl;
+        console.log(`📡 Queueing webhook for: ${webhookUrl}`);
 
-    const agent = new https.Agent({
-      keepAlive: true,
-      family: 4, 
-    });
+        const payload = isV2 ? v2Payload : buildLegacyPayload(masterData, childrenData);
+        console.log(`📦 Webhook Payload:`, JSON.stringify(payload, null, 2));
 
-    const response = await axios.post(webhookUrl, payload, {
-      headers: {
-        "Content-Type": "application/json",
-      },
-      timeout: 20000, // 20s
-      httpsAgent: agent,
-    });
-
-    console.log(`📨 Webhook response status: ${response.status}`);
-    if (response.status < 200 || response.status >= 300) {
-      console.error(`❌ Failed to send custom webhook. Status: ${response.status}, Response: ${response.data}`);
-    } else {
-      console.log(`✅ Custom webhook sent successfully to ${webhookUrl}`);
+        await queueCustomWebhook(shopDomain, webhookUrl, payload, { eventType });
+      }
     }
   } catch (error) {
     console.error("❌ Error sending custom webhook:", error.message);
   }
+
+  // Additional endpoints always receive the V2 body.
+  await dispatchWebhookEvent(shopDomain, eventType, { payload: v2Payload });
 }
@@ -9,6 +9,10 @@ import {
 import { PrismaSessionStorage } from "@shopify/shopify-app-session-storage-prisma";
 import prisma from "./db.server";
 import jwt from "jsonwebtoken";
+import { backfillQtyBaselines } from "./server/qty-baselines.server.js";
+import { importRelationshipsFromMetafields } from "./server/relationships.server.js";
+import { ensureMetafieldDefinitions } from "./server/metafield-definitions.server.js";
+import { migrateLegacyMetafields } from "./server/metafield-migration.server.js";
 
 // Configure your Shopify app with the new embedded auth strategy enabled.
 // Using PrismaSessionStorage for cookie-based sessions along with session tokens.
@@ -28,6 +32,24 @@ const shopify = shopifyApp({
     maxAge: 86400 * 30, // Cookies valid for 30 days.
   },
   distribution: AppDistribution.AppStore,
+  hooks: {
+    // Runs on install (and re-auth): seed oldQty baselines for linked variants
+    // that have none yet, import the relationships once and set up the app's
+    // metafield definitions, without holding up the auth redirect.
+    afterAuth: async ({ session }) => {
+      backfillQtyBaselines(session.shop).catch((err) =>
+        console.error("backfillQtyBaselines => error =>", err)
+      );
+      importRelationshipsFromMetafields(session.shop, {
+        "X-Shopify-Access-Token": session.accessToken,
+      }).catch((err) => console.error("importRelationshipsFromMetafields => error =>", err));
+      // Typed definitions first, so the moved values are validated against them
+      const adminHeaders = { "X-Shopify-Access-Token": session.accessToken };
+      ensureMetafieldDefinitions(session.shop, adminHeaders)
+        .then(() => migrateLegacyMetafields(session.shop, adminHeaders))
+        .catch((err) => console.error("metafield definitions/migration => error =>", err));
+    },
+  },
   // Enable new embedded auth strategy using session tokens.
   future: {
     unstable_newEmbeddedAuthStrategy: true,
@@ -0,0 +1,99 @@
+/**
+ * Metafield Utilities
+ * Every variant metafield of the app lives in one app-reserved namespace.
+ * Shopify expands "$app:" to "app--<app id>--", so only this app can write
+ * the values, and each key has a typed, validated definition
+ * (metafield-definitions.server.js).
+ *
+ * Shops installed before the move keep their values in the old
+ * projektstocksync* namespaces until the migration has copied them over.
+ * Reads therefore select both (metafieldSelection) and prefer the app
+ * namespace (preferAppMetafields); writes only go to the app namespace.
+ * Shared by the server and the admin UI.
+ */
+export const METAFIELD_NAMESPACE = "$app:stocksync";
+
+export const METAFIELD_KEYS = {
+  MASTER: "master",
+  CHILDREN: "childrenkey",
+  PARENT_MASTER: "parentmaster",
+  QTY_MANAGEMENT: "qtymanagement",
+  RATIO: "ratio",
+  ROUNDING: "rounding",
+  BUFFER: "buffer",
+  CAP: "cap",
+  BUNDLE: "components",
+  QTY_OLD: "qtyold",
+};
+
+// Where each key lived before the app-reserved namespace
+export const LEGACY_METAFIELD_NAMESPACES = {
+  [METAFIELD_KEYS.MASTER]: "projektstocksyncmaster",
+  [METAFIELD_KEYS.CHILDREN]: "projektstocksyncchildren",
+  [METAFIELD_KEYS.PARENT_MASTER]: "projektstocksyncparentmaster",
+  [METAFIELD_KEYS.QTY_MANAGEMENT]: "projektstocksyncqtymanagement",
+  [METAFIELD_KEYS.RATIO]: "projektstocksyncqtymanagement",
+  [METAFIELD_KEYS.ROUNDING]: "projektstocksyncqtymanagement",
+  [METAFIELD_KEYS.BUFFER]: "projektstocksyncqtymanagement",
+  [METAFIELD_KEYS.CAP]: "projektstocksyncqtymanagement",
+  [METAFIELD_KEYS.BUNDLE]: "projektstocksyncbundle",
+  [METAFIELD_KEYS.QTY_OLD]: "projektstocksyncqtyold",
+};
+
+const LEGACY_SUFFIX = "Legacy";
+// "$app:stocksync" as Shopify returns it in the `namespace` field
+const RESOLVED_NAMESPACE = /^app--\d+--stocksync$/;
+
+/**
+ * True for the app namespace (as written or as returned by Shopify) and
+ * for the legacy namespace of `key`.
+ */
+export function isStockSyncNamespace(namespace, key) {
+  return (
+    namespace === METAFIELD_NAMESPACE ||
+    RESOLVED_NAMESPACE.test(namespace || "") ||
+    namespace === LEGACY_METAFIELD_NAMESPACES[key]
+  );
+}
+
+/**
+ * GraphQL selection of one key under `alias`, plus `<alias>Legacy` for
+ * the old namespace. Run the response through preferAppMetafields.
+ */
+export function metafieldSelection(alias, key, fields = "value") {
+  return `${alias}: metafield(namespace: "${METAFIELD_NAMESPACE}", key: "${key}") { ${fields} }
+        ${alias}${LEGACY_SUFFIX}: metafield(namespace: "${LEGACY_METAFIELD_NAMESPACES[key]}", key: "${key}") { ${fields} }`;
+}
+
+/**
+ * Folds every `<alias>Legacy` field of a response into `<alias>` when the
+ * app namespace has no value yet. Works in place and returns `data`.
+ */
+export function preferAppMetafields(data) {
+  if (Array.isArray(data)) {
+    data.forEach(preferAppMetafields);
+  } else if (data && typeof data === "object") {
+    for (const field of Object.keys(data)) {
+      if (field.endsWith(LEGACY_SUFFIX) && field.length > LEGACY_SUFFIX.length) {
+        const alias = field.slice(0, -LEGACY_SUFFIX.length);
+        if (data[alias] === null || data[alias] === undefined) data[alias] = data[field];
+        delete data[field];
+      } else {
+        preferAppMetafields(data[field]);
+      }
+    }
+  }
+  return data;
+}
+
+/**
+ * Value of `key` in a list of { namespace, key, value } metafields,
+ * app namespace first.
+ */
+export function findMetafieldValue(metafields, key) {
+  const matches = (metafields || []).filter(
+    (m) => m?.key === key && isStockSyncNamespace(m.namespace, key)
+  );
+  const appValue = matches.find((m) => m.namespace !== LEGACY_METAFIELD_NAMESPACES[key]);
+  return (appValue || matches[0])?.value ?? null;
+}
@@ -2,6 +2,13 @@
  * Product Utility Functions
  * Shared utility functions for product and variant management
  */
+import { RELATIONSHIP_ISSUES, RELATIONSHIP_REPAIRS } from "./sync-constants";
+import {
+  METAFIELD_NAMESPACE,
+  METAFIELD_KEYS,
+  metafieldSelection,
+  preferAppMetafields,
+} from "./metafield-utils";
 
 /**
  * Extracts the numeric part from a Shopify GID string
@@ -56,27 +63,9 @@ export function parseVariantId(gid = "") {
                           id
                           originalSrc
                         }
-                        masterMetafield: metafield(
-                          namespace: "projektstocksyncmaster"
-                          key: "master"
-                        ) {
-                          id
-                          value
-                        }
-                        childrenMetafield: metafield(
-                          namespace: "projektstocksyncchildren"
-                          key: "childrenkey"
-                        ) {
-                          id
-                          value
-                        }
-                        parentMasterMetafield: metafield(
-                          namespace: "projektstocksyncparentmaster"
-                          key: "parentmaster"
-                        ) {
-                          id
-                          value
-                        }
+                        ${metafieldSelection("masterMetafield", METAFIELD_KEYS.MASTER, "id value")}
+                        ${metafieldSelection("childrenMetafield", METAFIELD_KEYS.CHILDREN, "id value")}
+                        ${metafieldSelection("parentMasterMetafield", METAFIELD_KEYS.PARENT_MASTER, "id value")}
                       }
                     }
                   }
@@ -143,7 +132,7 @@ export function parseVariantId(gid = "") {
     for (const line of lines) {
       try {
         const record = JSON.parse(line);
-        allNodes.push(record);
+        allNodes.push(preferAppMetafields(record));
       } catch (err) {
         console.error("Error parsing a JSONL line:", err);
       }
@@ -283,8 +272,8 @@ export function parseVariantId(gid = "") {
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
           variantId,
-          namespace: "projektstocksyncmaster",
-          key: "master",
+          namespace: METAFIELD_NAMESPACE,
+          key: METAFIELD_KEYS.MASTER,
           value: isMaster ? "true" : "false",
         }),
       });
@@ -294,4 +283,85 @@ export function parseVariantId(gid = "") {
       console.error("Error updating 'master' metafield:", error);
       throw error;
     }
+  }
+  
+  /**
+   * Parses a list.variant_reference metafield value into an array of IDs
+   * @param {string|null} value - The raw metafield value
+   * @returns {Array} The referenced variant IDs (empty when unset or invalid)
+   */
+  function parseReferenceList(value) {
+    if (!value || value === "[]") return [];
+    try {
+      const parsed = JSON.parse(value);
+      if (Array.isArray(parsed)) return parsed.filter(Boolean);
+      return parsed ? [String(parsed)] : [];
+    } catch (e) {
+      return [value];
+    }
+  }
+  
+  /**
+   * Compares every MASTER's children list with the parent-master back-references
+   * of its children and lists each link that is only recorded on one side
+   * @param {Array} reassembledProducts - Products from rebuildNestedProducts (or processProductData)
+   * @returns {Array} Issues: { id, type, masterVariantId, childVariantId, masterLabel, childLabel, repairs }
+   */
+  export function findRelationshipIssues(reassembledProducts) {
+    const variants = new Map();
+    for (const product of reassembledProducts) {
+      for (const { node } of product.variants.edges) {
+        variants.set(node.id, {
+          label: `${product.title} – ${node.title}`,
+          children: parseReferenceList(node.childrenMetafield?.value),
+          parents: parseReferenceList(node.parentMasterMetafield?.value),
+        });
+      }
+    }
+  
+    const labelOf = (id) => variants.get(id)?.label || `Deleted variant ${parseVariantId(id)}`;
+    const issues = [];
+    const addIssue = (type, masterVariantId, childVariantId, repairs) => {
+      issues.push({
+        id: `${type}:${masterVariantId}:${childVariantId}`,
+        type,
+        masterVariantId,
+        childVariantId,
+        masterLabel: labelOf(masterVariantId),
+        childLabel: labelOf(childVariantId),
+        repairs,
+      });
+    };
+  
+    for (const [variantId, variant] of variants) {
+      // Links as the MASTER records them
+      for (const childId of new Set(variant.children)) {
+        const child = variants.get(childId);
+        if (!child) {
+          addIssue(RELATIONSHIP_ISSUES.DELETED_CHILD, variantId, childId, [
+            RELATIONSHIP_REPAIRS.DELETE_REFERENCE,
+          ]);
+        } else if (!child.parents.includes(variantId)) {
+          addIssue(RELATIONSHIP_ISSUES.ONE_SIDED_CHILD, variantId, childId, [
+            RELATIONSHIP_REPAIRS.ADOPT,
+            RELATIONSHIP_REPAIRS.DETACH,
+          ]);
+        }
+      }
+      // Links as the CHILD records them
+      for (const masterId of new Set(variant.parents)) {
+        const master = variants.get(masterId);
+        if (!master) {
+          addIssue(RELATIONSHIP_ISSUES.DELETED_MASTER, masterId, variantId, [
+            RELATIONSHIP_REPAIRS.DELETE_REFERENCE,
+          ]);
+        } else if (!master.children.includes(variantId)) {
+          addIssue(RELATIONSHIP_ISSUES.ORPHAN_CHILD, masterId, variantId, [
+            RELATIONSHIP_REPAIRS.ADOPT,
+            RELATIONSHIP_REPAIRS.DETACH,
+          ]);
+        }
+      }
+    }
+    return issues;
   }
\ No newline at end of file
@@ -0,0 +1,101 @@
+/**
+ * Ratio Utilities
+ * A CHILD's ratio is how many MASTER units one CHILD unit uses up:
+ *   2   => a 2-pack, child = master / 2
+ *   0.5 => half a master unit (a half-case, 0.5 kg of a 1 kg master),
+ *          child = master * 2
+ * Fractional results are turned into whole units with the CHILD's
+ * rounding mode. The same rounding is used when a CHILD change is scaled
+ * back to its MASTER, and the fraction it leaves is carried into the next
+ * change (scaleChildDiff), so a series of changes adds up exactly.
+ * Shared by the webhook handlers and the sync modal.
+ */
+import { RATIO_ROUNDING } from "./sync-constants.js";
+
+// Guards against results like 3 / 0.1 = 29.999999999999996
+const EPSILON = 1e-9;
+
+/**
+ * Returns a positive ratio or null when the value is unusable.
+ */
+export function parseRatio(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const ratio = parseFloat(value);
+  return Number.isFinite(ratio) && ratio > 0 ? ratio : null;
+}
+
+export function normaliseRounding(value) {
+  const rounding = String(value || "").toUpperCase();
+  return RATIO_ROUNDING[rounding] ? rounding : RATIO_ROUNDING.FLOOR;
+}
+
+export function applyRounding(value, rounding = RATIO_ROUNDING.FLOOR) {
+  switch (normaliseRounding(rounding)) {
+    case RATIO_ROUNDING.CEIL:
+      return Math.ceil(value - EPSILON);
+    case RATIO_ROUNDING.ROUND:
+      return Math.round(value + EPSILON);
+    default:
+      return Math.floor(value + EPSILON);
+  }
+}
+
+/**
+ * MASTER qty => CHILD qty
+ */
+export function childQtyFromMaster(masterQty, ratio, rounding) {
+  return applyRounding((Number(masterQty) || 0) / (ratio || 1), rounding);
+}
+
+/**
+ * A CHILD move of childDiff units in MASTER units => { masterDiff, remainder }.
+ * masterDiff is whole; `remainder` is the part rounding left out, to be
+ * passed in with the next change of the same CHILD. A CHILD derived from
+ * its MASTER counts it in: childQtyFromMaster(masterQty + remainder, ...).
+ */
+export function scaleChildDiff(childDiff, ratio, rounding, remainder = 0) {
+  const exact = (Number(remainder) || 0) + childDiff * (ratio || 1);
+  const masterDiff = applyRounding(exact, rounding) || 0;
+  const left = exact - masterDiff;
+  return { masterDiff, remainder: Math.abs(left) < EPSILON ? 0 : left };
+}
+
+/**
+ * Safety stock is counted in CHILD units and set per CHILD, with the
+ * MASTER's own values as the default for its children:
+ *   buffer => units held back, e.g. 5 shows "master - 5"
+ *   cap    => the CHILD never shows more than this
+ * Returns a non-negative whole number or null when unset.
+ */
+export function parseSafetyValue(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+}
+
+/**
+ * CHILD values win; unset ones fall back to the MASTER defaults.
+ */
+export function resolveSafetyStock(childSettings, masterDefaults) {
+  return {
+    buffer: childSettings?.buffer ?? masterDefaults?.buffer ?? null,
+    cap: childSettings?.cap ?? masterDefaults?.cap ?? null,
+  };
+}
+
+export function hasSafetyStock(safetyStock) {
+  return Boolean(safetyStock?.buffer) || (safetyStock?.cap !== null && safetyStock?.cap !== undefined);
+}
+
+/**
+ * Applies buffer and cap to a derived CHILD qty. Never goes below 0 once
+ * safety stock is configured, so a buffer cannot create negative stock.
+ */
+export function applySafetyStock(childQty, safetyStock) {
+  if (!hasSafetyStock(safetyStock)) return childQty;
+  let qty = childQty - (safetyStock.buffer || 0);
+  if (safetyStock.cap !== null && safetyStock.cap !== undefined) {
+    qty = Math.min(qty, safetyStock.cap);
+  }
+  return Math.max(0, qty);
+}
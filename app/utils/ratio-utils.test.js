@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { childQtyFromMaster, scaleChildDiff } from "./ratio-utils.js";
+import { RATIO_ROUNDING } from "./sync-constants.js";
+
+// One sale of a half-case child at a time, starting from 10 cases
+function sellTwice(rounding) {
+  let masterQty = 10;
+  let remainder = 0;
+  const steps = [];
+  for (let sale = 0; sale < 2; sale++) {
+    const scaled = scaleChildDiff(-1, 0.5, rounding, remainder);
+    masterQty += scaled.masterDiff;
+    remainder = scaled.remainder;
+    steps.push({
+      masterQty,
+      remainder,
+      childQty: childQtyFromMaster(masterQty + remainder, 0.5, rounding),
+    });
+  }
+  return steps;
+}
+
+test("two sales at ratio 0.5 take exactly one unit off the MASTER (FLOOR)", () => {
+  assert.deepEqual(sellTwice(RATIO_ROUNDING.FLOOR), [
+    { masterQty: 9, remainder: 0.5, childQty: 19 },
+    { masterQty: 9, remainder: 0, childQty: 18 },
+  ]);
+});
+
+test("two sales at ratio 0.5 take exactly one unit off the MASTER (CEIL)", () => {
+  assert.deepEqual(sellTwice(RATIO_ROUNDING.CEIL), [
+    { masterQty: 10, remainder: -0.5, childQty: 19 },
+    { masterQty: 9, remainder: 0, childQty: 18 },
+  ]);
+});
+
+test("two sales at ratio 0.5 take exactly one unit off the MASTER (ROUND)", () => {
+  assert.deepEqual(sellTwice(RATIO_ROUNDING.ROUND), [
+    { masterQty: 10, remainder: -0.5, childQty: 19 },
+    { masterQty: 9, remainder: 0, childQty: 18 },
+  ]);
+});
+
+test("whole-unit changes leave no remainder", () => {
+  assert.deepEqual(scaleChildDiff(-3, 2, RATIO_ROUNDING.FLOOR), { masterDiff: -6, remainder: 0 });
+  assert.deepEqual(scaleChildDiff(10, 0.1, RATIO_ROUNDING.FLOOR), { masterDiff: 1, remainder: 0 });
+});
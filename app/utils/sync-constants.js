@@ -0,0 +1,106 @@
+/**
+ * Sync Constants
+ * Values shared by server modules and route components. Kept outside the
+ * .server.js files so the client bundle can import them.
+ */
+
+/**
+ * Location sync modes for a shop default or a per-master override
+ */
+export const LOCATION_SYNC_MODES = {
+  INDEPENDENT: "INDEPENDENT",
+  SELECTED: "SELECTED",
+  POOLED: "POOLED",
+};
+
+/**
+ * Custom webhook body formats (ShopSubscription.webhookPayloadVersion)
+ */
+export const PAYLOAD_VERSIONS = {
+  LEGACY: "LEGACY",
+  V2: "V2",
+};
+
+/**
+ * Event types outbound webhook endpoints can subscribe to
+ */
+export const WEBHOOK_EVENT_TYPES = {
+  MASTER_CHANGED: "inventory.master_changed",
+  CHILD_CHANGED: "inventory.child_changed",
+  RELATIONSHIP_CREATED: "relationship.created",
+  RELATIONSHIP_REMOVED: "relationship.removed",
+  MASTER_DELETED: "relationship.master_deleted",
+  SYNC_FAILED: "sync.failed",
+  LIMIT_REACHED: "plan.limit_reached",
+};
+
+export const WEBHOOK_EVENT_LABELS = {
+  [WEBHOOK_EVENT_TYPES.MASTER_CHANGED]: "Master inventory changed",
+  [WEBHOOK_EVENT_TYPES.CHILD_CHANGED]: "Child inventory changed",
+  [WEBHOOK_EVENT_TYPES.RELATIONSHIP_CREATED]: "Child linked to a master",
+  [WEBHOOK_EVENT_TYPES.RELATIONSHIP_REMOVED]: "Child removed from a master",
+  [WEBHOOK_EVENT_TYPES.MASTER_DELETED]: "Master variant deleted",
+  [WEBHOOK_EVENT_TYPES.SYNC_FAILED]: "Sync failed",
+  [WEBHOOK_EVENT_TYPES.LIMIT_REACHED]: "Plan variant limit reached",
+};
+
+/**
+ * FailedPropagation.status values
+ */
+export const DEAD_LETTER_STATUS = {
+  PENDING: "PENDING",
+  EXHAUSTED: "EXHAUSTED",
+  RESOLVED: "RESOLVED",
+  DISCARDED: "DISCARDED",
+};
+
+/**
+ * How a fractional CHILD quantity is turned into whole units
+ * ($app:stocksync/rounding)
+ */
+export const RATIO_ROUNDING = {
+  FLOOR: "FLOOR",
+  ROUND: "ROUND",
+  CEIL: "CEIL",
+};
+
+/**
+ * Inconsistencies between a MASTER's "childrenkey" list and the
+ * "parentmaster" back-references of its CHILDREN
+ */
+export const RELATIONSHIP_ISSUES = {
+  // MASTER lists the CHILD, the CHILD does not point back
+  ONE_SIDED_CHILD: "ONE_SIDED_CHILD",
+  // CHILD points to the MASTER, the MASTER does not list it
+  ORPHAN_CHILD: "ORPHAN_CHILD",
+  // MASTER lists a variant that no longer exists
+  DELETED_CHILD: "DELETED_CHILD",
+  // CHILD points to a MASTER that no longer exists
+  DELETED_MASTER: "DELETED_MASTER",
+};
+
+/**
+ * One-click repairs offered for a relationship issue
+ */
+export const RELATIONSHIP_REPAIRS = {
+  ADOPT: "ADOPT", // complete the link on the missing side
+  DETACH: "DETACH", // remove the link on the side that has it
+  DELETE_REFERENCE: "DELETE_REFERENCE", // drop the ID of a deleted variant
+};
+
+/**
+ * What resuming a paused shop or MASTER does before events flow again
+ */
+export const SYNC_RESUME_MODES = {
+  RECOMPUTE: "RECOMPUTE", // reset CHILDREN to what the MASTER says, then re-baseline
+  REBASELINE: "REBASELINE", // keep current stock, only refresh the oldQty baselines
+};
+
+/**
+ * Writes recorded in dry-run mode (DryRunChange.kind)
+ */
+export const DRY_RUN_KINDS = {
+  INVENTORY: "INVENTORY", // inventory level
+  QTY_OLD: "QTY_OLD", // oldQty baseline
+  WEBHOOK: "WEBHOOK", // custom webhook delivery
+};
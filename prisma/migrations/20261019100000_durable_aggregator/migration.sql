@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "PendingInventoryEvent" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "comboKey" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "windowClosesAt" TIMESTAMP(3) NOT NULL,
+    "claimedBy" TEXT,
+    "claimedAt" TIMESTAMP(3),
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "processedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PendingInventoryEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PendingInventoryEvent_status_windowClosesAt_idx" ON "PendingInventoryEvent"("status", "windowClosesAt");
+
+-- CreateIndex
+CREATE INDEX "PendingInventoryEvent_comboKey_status_idx" ON "PendingInventoryEvent"("comboKey", "status");
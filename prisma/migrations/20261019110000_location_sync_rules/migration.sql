@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "ShopSubscription" ADD COLUMN     "locationSyncMode" TEXT NOT NULL DEFAULT 'INDEPENDENT',
+ADD COLUMN     "syncLocationIds" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- CreateTable
+CREATE TABLE "MasterLocationRule" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "masterVariantId" TEXT NOT NULL,
+    "mode" TEXT NOT NULL DEFAULT 'INDEPENDENT',
+    "locationIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MasterLocationRule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MasterLocationRule_shop_masterVariantId_key" ON "MasterLocationRule"("shop", "masterVariantId");
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "SyncEvent" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "masterVariantId" TEXT,
+    "childVariantId" TEXT,
+    "inventoryItemId" TEXT,
+    "locationId" TEXT,
+    "sku" TEXT,
+    "oldQty" INTEGER,
+    "newQty" INTEGER,
+    "outcome" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "details" TEXT,
+    "sourceWebhookId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SyncEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SyncEvent_shop_createdAt_idx" ON "SyncEvent"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "SyncEvent_shop_sku_idx" ON "SyncEvent"("shop", "sku");
+
+-- CreateIndex
+CREATE INDEX "SyncEvent_shop_outcome_idx" ON "SyncEvent"("shop", "outcome");
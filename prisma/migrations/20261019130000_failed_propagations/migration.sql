@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "FailedPropagation" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "comboKey" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "error" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "nextRetryAt" TIMESTAMP(3),
+    "lastAttemptAt" TIMESTAMP(3),
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FailedPropagation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FailedPropagation_shop_status_idx" ON "FailedPropagation"("shop", "status");
+
+-- CreateIndex
+CREATE INDEX "FailedPropagation_status_nextRetryAt_idx" ON "FailedPropagation"("status", "nextRetryAt");
@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "ShopSubscription" ADD COLUMN "webhookSecret" TEXT;
+
+-- CreateTable
+CREATE TABLE "CustomWebhookDelivery" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "eventType" TEXT NOT NULL,
+    "attempt" INTEGER NOT NULL,
+    "success" BOOLEAN NOT NULL,
+    "statusCode" INTEGER,
+    "latencyMs" INTEGER,
+    "responseSnippet" TEXT,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CustomWebhookDelivery_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CustomWebhookDelivery_shop_createdAt_idx" ON "CustomWebhookDelivery"("shop", "createdAt");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ShopSubscription" ADD COLUMN "webhookPayloadVersion" TEXT NOT NULL DEFAULT 'LEGACY';
@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "ShopSubscription" ADD COLUMN     "limitNotifiedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "CustomWebhookDelivery" ADD COLUMN     "endpointId" TEXT;
+
+-- CreateTable
+CREATE TABLE "WebhookEndpoint" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "description" TEXT,
+    "events" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "WebhookEndpoint_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "WebhookEndpoint_shop_idx" ON "WebhookEndpoint"("shop");
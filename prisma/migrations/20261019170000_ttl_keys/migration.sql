@@ -0,0 +1,10 @@
+-- CreateTable
+CREATE TABLE "TtlKey" (
+    "key" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "TtlKey_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateIndex
+CREATE INDEX "TtlKey_expiresAt_idx" ON "TtlKey"("expiresAt");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "TtlKey" ADD COLUMN     "value" TEXT;
@@ -0,0 +1,10 @@
+-- CreateTable
+CREATE TABLE "InventoryWatermark" (
+    "shop" TEXT NOT NULL,
+    "inventoryItemId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "lastUpdatedAt" TIMESTAMP(3) NOT NULL,
+    "appliedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "InventoryWatermark_pkey" PRIMARY KEY ("shop","inventoryItemId","locationId")
+);
@@ -0,0 +1,47 @@
+-- AlterTable
+ALTER TABLE "ShopSubscription" ADD COLUMN     "driftAutoCorrect" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "driftCheckEnabled" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "driftCheckedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "DriftReport" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'RUNNING',
+    "autoCorrect" BOOLEAN NOT NULL DEFAULT false,
+    "mastersChecked" INTEGER NOT NULL DEFAULT 0,
+    "childrenChecked" INTEGER NOT NULL DEFAULT 0,
+    "driftCount" INTEGER NOT NULL DEFAULT 0,
+    "correctedCount" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "DriftReport_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DriftItem" (
+    "id" TEXT NOT NULL,
+    "reportId" TEXT NOT NULL,
+    "masterVariantId" TEXT NOT NULL,
+    "childVariantId" TEXT NOT NULL,
+    "sku" TEXT,
+    "locationId" TEXT NOT NULL,
+    "masterQty" INTEGER NOT NULL,
+    "expectedQty" INTEGER NOT NULL,
+    "actualQty" INTEGER NOT NULL,
+    "corrected" BOOLEAN NOT NULL DEFAULT false,
+
+    CONSTRAINT "DriftItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DriftReport_shop_startedAt_idx" ON "DriftReport"("shop", "startedAt");
+
+-- CreateIndex
+CREATE INDEX "DriftItem_reportId_idx" ON "DriftItem"("reportId");
+
+-- AddForeignKey
+ALTER TABLE "DriftItem" ADD CONSTRAINT "DriftItem_reportId_fkey" FOREIGN KEY ("reportId") REFERENCES "DriftReport"("id") ON DELETE CASCADE ON UPDATE CASCADE;
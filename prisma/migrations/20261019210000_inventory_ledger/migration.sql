@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "InventoryLedgerEntry" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "inventoryItemId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "variantId" TEXT,
+    "quantity" INTEGER NOT NULL,
+    "source" TEXT NOT NULL,
+    "syncRunId" TEXT,
+    "sourceWebhookId" TEXT,
+    "observedAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "InventoryLedgerEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "InventoryLedgerEntry_shop_inventoryItemId_locationId_observedAt_idx" ON "InventoryLedgerEntry"("shop", "inventoryItemId", "locationId", "observedAt");
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "ShopSubscription" ADD COLUMN "orderSyncEnabled" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "OrderSyncClaim" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "inventoryItemId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "reference" TEXT,
+    "quantity" INTEGER NOT NULL,
+    "remaining" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrderSyncClaim_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OrderSyncClaim_shop_inventoryItemId_locationId_createdAt_idx" ON "OrderSyncClaim"("shop", "inventoryItemId", "locationId", "createdAt");
@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "ShopSubscription" ADD COLUMN "relationsImportedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "Relationship" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "masterVariantId" TEXT NOT NULL,
+    "childVariantId" TEXT NOT NULL,
+    "masterInventoryItemId" TEXT NOT NULL,
+    "childInventoryItemId" TEXT NOT NULL,
+    "masterSku" TEXT NOT NULL DEFAULT '',
+    "childSku" TEXT NOT NULL DEFAULT '',
+    "bundleRatio" DOUBLE PRECISION,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Relationship_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Relationship_shop_masterVariantId_childVariantId_key" ON "Relationship"("shop", "masterVariantId", "childVariantId");
+
+-- CreateIndex
+CREATE INDEX "Relationship_shop_childVariantId_idx" ON "Relationship"("shop", "childVariantId");
+
+-- CreateIndex
+CREATE INDEX "Relationship_shop_masterInventoryItemId_idx" ON "Relationship"("shop", "masterInventoryItemId");
+
+-- CreateIndex
+CREATE INDEX "Relationship_shop_childInventoryItemId_idx" ON "Relationship"("shop", "childInventoryItemId");
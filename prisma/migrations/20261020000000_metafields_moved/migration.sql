@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ShopSubscription" ADD COLUMN "metafieldsMovedAt" TIMESTAMP(3);
@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "ShopSubscription" ADD COLUMN "syncPausedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "PausedMaster" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "masterVariantId" TEXT NOT NULL,
+    "pausedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PausedMaster_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PausedMaster_shop_masterVariantId_key" ON "PausedMaster"("shop", "masterVariantId");
@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "ShopSubscription" ADD COLUMN "dryRunEnabled" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "DryRunChange" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "inventoryItemId" TEXT,
+    "locationId" TEXT,
+    "variantId" TEXT,
+    "quantity" INTEGER,
+    "payload" JSONB,
+    "syncRunId" TEXT,
+    "sourceWebhookId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DryRunChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DryRunChange_shop_createdAt_idx" ON "DryRunChange"("shop", "createdAt");
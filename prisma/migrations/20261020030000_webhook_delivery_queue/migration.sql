@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "PendingWebhookDelivery" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "endpointId" TEXT,
+    "url" TEXT NOT NULL,
+    "eventType" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "claimedBy" TEXT,
+    "claimedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PendingWebhookDelivery_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PendingWebhookDelivery_claimedAt_createdAt_idx" ON "PendingWebhookDelivery"("claimedAt", "createdAt");
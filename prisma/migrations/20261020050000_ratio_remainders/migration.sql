@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "RatioRemainder" (
+    "shop" TEXT NOT NULL,
+    "childVariantId" TEXT NOT NULL,
+    "masterVariantId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "remainder" DOUBLE PRECISION NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RatioRemainder_pkey" PRIMARY KEY ("shop","childVariantId","masterVariantId","locationId")
+);